@@ -1,7 +1,13 @@
 'use strict';
 const fs = require('fs');
+const http = require('http');
 const https = require('https');
 const chokidar = require('chokidar');
+const runGenerator = require('./lib/run_generator.js');
+const SpecDiff = require('./lib/spec_diff.js');
+const validateDocs = require('./lib/validate_docs.js');
+const DocCache = require('./lib/doc_cache.js');
+const applyOverlay = require('./lib/doc_overlays.js');
 const { exec } = require("child_process");
 
 var generator_name = process.argv.length > 2 ? process.argv.pop().trim() : false;
@@ -10,7 +16,11 @@ var flags = {
 	help: false,
 	install: false,
 	refresh: false,
-	watch: false
+	watch: false,
+	mock: false,
+	diff: false,
+	json: false,
+	versions: false
 };
 
 // the first argument isn't a generator, so set that to false and put the argument back in the list
@@ -22,8 +32,12 @@ if (generator_name[0] === "-") {
 var options = [
 	["-help", "help", "View all the options for this script"],
 	["-install", "install", "Run this before anything else to generate your config.js file!"],
-	["-refresh", "refresh", "Download the latest object documentation"],
-	["-w", "watch", "Watch for changes to generator and partial scripts and auto-build"]
+	["-refresh", "refresh", "Download the latest object documentation (or load it from the URL or file path given after this option)"],
+	["-w", "watch", "Watch for changes to generator and partial scripts and auto-build"],
+	["-mock", "mock", "Start a local mock Newgrounds.io server, using the mock_server settings in config.js"],
+	["-diff", "diff", "Show what changed in the object documentation since the last -refresh"],
+	["-json", "json", "Show -refresh and -diff changes as JSON"],
+	["-versions", "versions", "List every version of the object documentation that -refresh has saved"]
 ];
 
 // parse the remaining command line arguments
@@ -49,8 +63,6 @@ while (process.argv.length > 2) {
 	}
 }
 
-var file_contents, file_name;
-
 // Make sure we have a config.js file
 if (!fs.existsSync('./config.js')) {
 
@@ -74,17 +86,130 @@ if (!fs.existsSync('./config.js')) {
 var config = require('./config.js');
 var doc_file = './docs/objects_and_components.json';
 
-if (flags.refresh === true) {
+// -refresh keeps the documentation it replaces, and a list of what changed, next to the new documentation
+var previous_doc_file = './docs/objects_and_components.previous.json';
+var changes_file = './docs/objects_and_components.changes.json';
+
+// every version -refresh has saved, so builds can be pinned to one with object_doc_version in config.js
+var doc_cache = new DocCache('./docs');
+
+/**
+ * Parses object documentation and checks that it's safe to generate code from
+ * @param {string} json The contents of an objects_and_components.json file
+ * @param {string} source Where the documentation came from, for error messages
+ * @return {object} The parsed documentation. Exits with a list of problems if it's invalid.
+ */
+function parseObjectDocs(json, source) {
+	let docs;
+
+	try {
+		docs = JSON.parse(json);
+	} catch (e) {
+		console.error("The object documentation from " + source + " is not valid JSON: " + e.message);
+		process.exit(1);
+	}
+
+	docs = applyObjectDocOverlays(docs);
 
-	// load the config file
+	let problems = validateDocs(docs);
 
-	// download the object documentation
-	console.log("Downloading object documentation from " + config.object_doc_url + "...");
+	if (problems.length) {
+		let overlays = (config.object_doc_overlays || []).length ? " (with your object_doc_overlays applied)" : "";
+		console.error("The object documentation from " + source + overlays + " has " + problems.length + " problem(s):");
+		problems.forEach(problem => console.error("  " + problem.path + ": " + problem.message));
+		process.exit(1);
+	}
+
+	return docs;
+}
+
+/**
+ * Applies every overlay listed in config.js to the object documentation, and reports what each one changed
+ * @param {object} docs The parsed documentation
+ * @return {object} The patched documentation. Exits with an error if an overlay can't be loaded.
+ */
+function applyObjectDocOverlays(docs) {
+	// keep -json output parseable, and keep warnings off stderr otherwise, since -w stops on anything written there
+	let log = flags.json ? console.error : console.log;
+
+	(config.object_doc_overlays || []).forEach(file => {
+		let report;
+
+		if (!fs.existsSync(file)) {
+			console.error("Unable to load object documentation overlay from " + file);
+			process.exit(1);
+		}
+
+		try {
+			report = applyOverlay(docs, JSON.parse(String(fs.readFileSync(file))));
+		} catch (e) {
+			console.error("Unable to apply object documentation overlay " + file + ": " + (e.message || e));
+			process.exit(1);
+		}
+
+		docs = report.docs;
+
+		log("Applied overlay " + file + ": " + report.added.length + " added, " + report.changed.length + " changed, " + report.removed.length + " removed");
+		[["+", report.added], ["~", report.changed], ["-", report.removed]].forEach(([symbol, paths]) => {
+			paths.forEach(path => log("  " + symbol + " " + path));
+		});
+		report.warnings.forEach(warning => log("  warning: " + warning.path + ": " + warning.message));
+	});
+
+	return docs;
+}
+
+/**
+ * Loads the object documentation to generate code from: the version pinned in config.js, or the latest one
+ * @return {object} The parsed documentation. Exits with an error if it can't be loaded or is invalid.
+ */
+function loadObjectDocs() {
+
+	if (config.object_doc_version) {
+		let contents;
+
+		try {
+			contents = doc_cache.load(config.object_doc_version);
+		} catch (e) {
+			console.error(e);
+			console.log("Run node build.js -versions to see the versions you have, or -refresh to download the latest.");
+			process.exit(1);
+		}
+
+		return parseObjectDocs(contents, "version " + config.object_doc_version);
+	}
+
+	// make sure doc_file exists
+	if (!fs.existsSync(doc_file)) {
+		console.error("Unable to load object documentation from " + config.object_doc_url);
+		console.log("Run node build-js -refresh to download the latest documentation.");
+		process.exit(1);
+	}
+
+	return parseObjectDocs(String(fs.readFileSync(doc_file)), doc_file);
+}
+
+/**
+ * Gets the object documentation from a URL or local file
+ * @param {string} source The URL or file path
+ * @param {Function} callback Will be passed the documentation's contents
+ */
+function fetchObjectDocs(source, callback) {
+
+	if (!/^https?:\/\//i.test(source)) {
+		if (!fs.existsSync(source)) {
+			console.error("Unable to load object documentation from " + source);
+			process.exit(1);
+		}
+
+		callback(String(fs.readFileSync(source)));
+		return;
+	}
 
 	// only accept if status code is 200 and response is JSON
-	https.get(config.object_doc_url, (res) => {
+	(/^https:/i.test(source) ? https : http).get(source, (res) => {
 		if (res.statusCode !== 200) {
-			console.error("Unable to download object documentation from " + config.object_doc_url);
+			console.error("Unable to download object documentation from " + source);
 			process.exit(1);
 		}
 
@@ -95,171 +220,188 @@ if (flags.refresh === true) {
 		});
 
 		res.on('end', () => {
-			fs.writeFileSync(doc_file, data);
-			console.log("Downloaded object documentation to " + doc_file);
-			process.exit();
+			callback(data);
 		});
 
 	}).on('error', (e) => {
-		console.error("Unable to download object documentation from " + config.object_doc_url);
+		console.error("Unable to download object documentation from " + source);
 		process.exit(1);
 	});
+}
 
-} else {
+/**
+ * Compares the previous and current object documentation, saves the changes to changes_file and shows them
+ */
+function showDocChanges() {
+	let report = SpecDiff.compare(JSON.parse(String(fs.readFileSync(previous_doc_file))), JSON.parse(String(fs.readFileSync(doc_file))));
 
-	// make sure the user has selected a generator to run (or opted to run them all for some insane reason)
-	if (flags.help || !generator_name) {
-		console.log("Use: node build.js {options} {generator_name|all}\n\nexample:\nnode build.js -w javascript\n\nValid Options:\n");
-		options.forEach(option => {
-			console.log("  ", option[0], (" ").repeat(16 - option[0].length), option[2]);
-		});
-		process.exit(1);
-	}
+	fs.writeFileSync(changes_file, JSON.stringify(report, null, "\t"));
 
-	// make sure doc_file exists
-	if (!fs.existsSync(doc_file)) {
-		console.error("Unable to load object documentation from " + config.object_doc_url);
-		console.log("Run node build-js -refresh to download the latest documentation.");
-		process.exit(1);
+	console.log(flags.json ? JSON.stringify(report, null, "\t") : SpecDiff.format(report));
+
+	if (!flags.json && report.breaking > 0) {
+		console.log("\n" + report.breaking + " change(s) may break code generated from the previous documentation.  Rebuild your generators and review the snapshot tests.");
 	}
+}
 
-	// load the object document
-	var json = fs.readFileSync(doc_file);
-	var objectDocs = JSON.parse(String(json));
+if (flags.refresh === true) {
 
-	// figure out what generators we're actually running and throw them in an array
-	var to_generate = [];
-	if (generator_name === 'all') {
-		for (var i in config.generators) {
-			to_generate.push(i);
-		}
-	} else {
-		if (typeof (config.aliases[generator_name]) === 'string') generator_name = config.aliases[generator_name];
-		to_generate.push(generator_name);
-	}
+	// a URL or file path after -refresh overrides the one in config.js
+	let source = generator_name || config.object_doc_url;
 
-	function generate(generate_as) {
-		// get actual generator name if user is using an alias
-		if (typeof (config.aliases[generate_as]) === 'string') generate_as = config.aliases[generate_as];
+	// keep -json output parseable, only the changes go to stdout
+	let log = flags.json ? console.error : console.log;
 
-		// attempt to import the generator
-		var baseDir = './generators/' + generate_as.toLowerCase();
-		if (!fs.existsSync(baseDir + '/generate.js')) {
-			console.error("No generator exists for '" + generate_as + "'");
-			process.exit(1);
-		}
-		var generator = require(baseDir + '/generate.js');
+	log("Loading object documentation from " + source + "...");
 
-		console.log("Generating " + generate_as + "...");
+	fetchObjectDocs(source, (data) => {
+		// don't replace the documentation we have with something we can't use
+		parseObjectDocs(data, source);
 
-		// pass the config to the generator
-		generator.config = config.generators[generate_as.toLowerCase()];
+		let had_doc = fs.existsSync(doc_file);
+		if (had_doc) fs.copyFileSync(doc_file, previous_doc_file);
 
-		/**
-		 * Checks if a director exists and creates it if needed
-		 * @param {string} dir The directory to check
-		 * @return {string} The directory that was checked
-		 */
-		function checkDir(dir) {
-			if (!fs.existsSync(dir)) {
-				fs.mkdirSync(dir, { recursive: true });
-				if (!fs.existsSync(dir)) {
-					console.error("Unable to create directory: ", dir);
-					process.exit(1);
-				}
-			}
-			return dir;
+		fs.writeFileSync(doc_file, data);
+		log("Saved object documentation to " + doc_file);
+
+		let version = doc_cache.add(data, source);
+		log((version.isNew ? "Saved as version " : "Already had this documentation as version ") + version.key + " (sha256 " + version.sha256 + ")");
+
+		if (config.object_doc_version && config.object_doc_version !== version.key) {
+			log("config.js is pinned to version " + config.object_doc_version + ", so builds will keep using that version until you change object_doc_version.");
 		}
 
-		function checkFilePath(path) {
-			path = path.replaceAll("\\", "/").split("/");
+		if (had_doc) showDocChanges();
 
-			let name = path.pop();
-			path = checkDir(path.join("/"));
+		process.exit();
+	});
 
-			return path + "/" + name;
-		}
+} else if (flags.versions === true) {
+
+	let lock = doc_cache.getLock();
+	let keys = Object.keys(lock.versions).sort((a, b) => lock.versions[a].date < lock.versions[b].date ? -1 : 1);
 
-		var objectLists = {
-			objects: [],
-			components: [],
-			results: []
-		};
+	if (!keys.length) {
+		console.log("No versions saved yet.  Run node build.js -refresh to download the latest documentation.");
+		process.exit();
+	}
 
-		// Loop through the docs and generate request and response files for each component/method
-		for (const [name, obj] of Object.entries(objectDocs.components)) {
-			for (const [method, data] of Object.entries(obj.methods)) {
+	keys.forEach(key => {
+		let version = lock.versions[key];
+		let notes = [];
 
-				objectLists.components.push(name + "." + method);
+		if (key === lock.current) notes.push("latest");
+		if (key === config.object_doc_version) notes.push("pinned");
 
-				if (generator.generateComponentObject) {
-					// create a request object file for each method
-					[file_name, file_contents] = generator.generateComponentObject(name, method, data);
+		console.log(key + (notes.length ? " (" + notes.join(", ") + ")" : ""));
+		console.log("   ", version.date, "from", version.source);
+		console.log("    sha256", version.sha256);
+	});
 
-					// save the file
-					file_name = checkFilePath(generator.config.outputDirs.components + "/" + file_name);
-					fs.writeFileSync(file_name, file_contents);
+} else if (flags.diff === true) {
 
-					console.log('created', file_name);
-				}
+	if (!fs.existsSync(previous_doc_file) || !fs.existsSync(doc_file)) {
+		console.error("There's nothing to compare yet.  Run node build.js -refresh to download the latest documentation, and it will show what changed.");
+		process.exit(1);
+	}
 
-				// create a result object file for each method
-				if (data.return) {
+	showDocChanges();
 
-					objectLists.results.push(name + "." + method);
+} else if (flags.mock === true) {
 
-					if (generator.generateResultObject) {
-						// generate the code
-						[file_name, file_contents] = generator.generateResultObject(name, method, data.return);
+	const MockServer = require('./lib/mock_server.js');
 
-						// save the file
-						file_name = checkFilePath(generator.config.outputDirs.component_results + "/" + file_name);
-						fs.writeFileSync(file_name, file_contents);
+	// older config files won't have these settings
+	let mock_config = Object.assign({ port: 8086 }, config.mock_server);
+	let fixtures = null;
 
-						console.log('created', file_name);
-					}
-				}
-			}
+	if (mock_config.fixtures) {
+		if (!fs.existsSync(mock_config.fixtures)) {
+			console.error("Unable to load mock server fixtures from " + mock_config.fixtures);
+			process.exit(1);
 		}
+		fixtures = JSON.parse(String(fs.readFileSync(mock_config.fixtures)));
+	}
 
-		// Loop through the docs and generate a file for each object
-		for (const [name, obj] of Object.entries(objectDocs.objects)) {
+	let server = new MockServer(loadObjectDocs(), Object.assign({}, mock_config, { fixtures: fixtures }));
 
-			objectLists.objects.push(name);
+	server.listen(mock_config.port, (gateway_url) => {
+		console.log("Mock Newgrounds.io server running at " + gateway_url);
+		console.log("Pass this as the gateway_url option to your NewgroundsIO core. Press Ctrl+C to stop.");
+	});
 
-			let partials = null;
-			if (generator.config.partialDirs && generator.config.partialDirs.objects) {
-				let partial_file = generator.config.partialDirs.objects + "/" + name + ".js";
-				if (fs.existsSync(partial_file))
-					partials = require(partial_file);
-			}
+} else {
 
-			if (generator.generateObject) {
-				// generate the code
-				[file_name, file_contents] = generator.generateObject(name, obj, partials);
+	// make sure the user has selected a generator to run (or opted to run them all for some insane reason)
+	if (flags.help || !generator_name) {
+		console.log("Use: node build.js {options} {generator_name|all}\n\nexample:\nnode build.js -w javascript\nnode build.js -refresh ./my_docs.json\n\nValid Options:\n");
+		options.forEach(option => {
+			console.log("  ", option[0], (" ").repeat(16 - option[0].length), option[2]);
+		});
+		process.exit(1);
+	}
 
-				if (!file_contents) continue;
+	// load the object document, and make sure nothing gets generated from a broken one
+	var objectDocs = loadObjectDocs();
 
-				// save the file
-				file_name = checkFilePath(generator.config.outputDirs.objects + "/" + file_name);
-				fs.writeFileSync(file_name, file_contents);
+	// figure out what generators we're actually running and throw them in an array
+	var to_generate = [];
+	if (generator_name === 'all') {
+		for (var i in config.generators) {
+			to_generate.push(i);
+		}
+	} else {
+		if (typeof (config.aliases[generator_name]) === 'string') generator_name = config.aliases[generator_name];
+		to_generate.push(generator_name);
+	}
 
-				console.log('created', file_name);
+	/**
+	 * Checks if a director exists and creates it if needed
+	 * @param {string} dir The directory to check
+	 * @return {string} The directory that was checked
+	 */
+	function checkDir(dir) {
+		if (!fs.existsSync(dir)) {
+			fs.mkdirSync(dir, { recursive: true });
+			if (!fs.existsSync(dir)) {
+				console.error("Unable to create directory: ", dir);
+				process.exit(1);
 			}
 		}
+		return dir;
+	}
 
-		if (generator.generateObjectIndex) {
-			[file_name, file_contents] = generator.generateObjectIndex(objectLists);
+	function checkFilePath(path) {
+		path = path.replaceAll("\\", "/").split("/");
 
-			if (file_contents) {
-				// save the file
-				file_name = checkFilePath(generator.config.outputDirs.object_index + "/" + file_name);
-				fs.writeFileSync(file_name, file_contents);
+		let name = path.pop();
+		path = checkDir(path.join("/"));
 
-				console.log('created', file_name);
-			}
+		return path + "/" + name;
+	}
+
+	function generate(generate_as) {
+		// get actual generator name if user is using an alias
+		if (typeof (config.aliases[generate_as]) === 'string') generate_as = config.aliases[generate_as];
+
+		console.log("Generating " + generate_as + "...");
+
+		var files;
+
+		try {
+			files = runGenerator(generate_as, config.generators[generate_as.toLowerCase()], objectDocs);
+		} catch (e) {
+			console.error(e);
+			process.exit(1);
 		}
 
+		// save everything the generator created
+		files.forEach(function (file) {
+			fs.writeFileSync(checkFilePath(file.path), file.contents);
+
+			console.log('created', file.path);
+		});
+
 		console.log("done!");
 	}
 
@@ -5,16 +5,47 @@
  */
 module.exports = {
 
-	// URL of the ngio object and component documentation in json format
+	// URL (or local file path) of the ngio object and component documentation in json format
 	object_doc_url : "https://www.newgrounds.io/help/objects_and_components.json",
 
+	// build from a specific version of the documentation (see 'node build.js -versions'), or null to use the latest
+	object_doc_version : null,
+
+	// JSON overlay files applied, in order, over the documentation before anything is built from it (see the README)
+	object_doc_overlays : [],
+
 	// CLI aliases, eg you can run 'build.js js' instead of 'build.js javascript'
 	aliases: {
 		js: "javascript",
+		ts: "typescript",
 		cs: "csharp",
 		as2: "actionscript2",
 	},
 
+	// Settings for the local mock server you can run with 'node build.js -mock'
+	mock_server: {
+
+		// the gateway will be at http://{host}:{port}/gateway_v3.php
+		port: 8086,
+
+		// only this machine can reach "localhost". Use "0.0.0.0" to test from other devices on your network.
+		host: "localhost",
+
+		// only accept requests for this App ID (null accepts any App ID)
+		app_id: null,
+
+		// needed to decrypt secure components. Use the same settings as your app's API Tools page.
+		aes_key: null,
+		cipher: "aes-128",
+		format: "base64",
+
+		// path to a JSON file of canned results, by component name, ie {"Medal.getList": {"medals": [...]}}
+		fixtures: null,
+
+		// set to true to log new sessions in right away, without visiting the passport url
+		auto_login: false
+	},
+
 	// Set up generators for different langauges here
 	generators: {
 
@@ -43,7 +74,11 @@ module.exports = {
 				objects: "./build/javascript/newgroundsio/objects",
 				components: "./build/javascript/newgroundsio/components",
 				component_results: "./build/javascript/newgroundsio/results",
-				object_index: "./build/javascript/newgroundsio/objects"
+				object_index: "./build/javascript/newgroundsio/objects",
+				core: "./build/javascript/newgroundsio/core",
+
+				// single-file builds, and an ES module copy of every class (in an 'esm' subdirectory)
+				bundles: "./build/javascript"
 			},
 
 			// directories where partials (code that will be inserted into generated files) can be found
@@ -54,6 +89,25 @@ module.exports = {
 			}
 		},
 
+		typescript: {
+
+			// declaration files are saved next to the javascript classes they describe
+			outputDirs: {
+				objects: "./build/javascript/newgroundsio/objects",
+				components: "./build/javascript/newgroundsio/components",
+				component_results: "./build/javascript/newgroundsio/results",
+				object_index: "./build/javascript/newgroundsio",
+				core: "./build/javascript/newgroundsio/core"
+			},
+
+			// directories where partials (declarations that will be inserted into generated files) can be found
+			partialDirs: {
+				objects: "./generators/typescript/partials/objects",
+				components: "./generators/typescript/partials/components",
+				component_results: "./generators/typescript/partials/results"
+			}
+		},
+
 		csharp: {
 
 			// directories where generated files will be saved, by object type
@@ -61,7 +115,8 @@ module.exports = {
 				objects: "./build/csharp/newgroundsio/objects",
 				components: "./build/csharp/newgroundsio/components",
 				component_results: "./build/csharp/newgroundsio/results",
-				object_index: "./build/csharp/newgroundsio/objects"
+				object_index: "./build/csharp/newgroundsio/objects",
+				core: "./build/csharp/newgroundsio/core"
 			},
 
 			// directories where partials (code that will be inserted into generated files) can be found
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * This module is used to generate the idempotent component marker interface in C#
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO.IIdempotentComponent interface
+	 */
+	getTemplate: function() 
+	{
+		return `
+using System;
+
+namespace NewgroundsIO {
+
+	/// <summary>Marks components that are safe to send more than once, so the RequestScheduler can retry them.</summary>
+	public interface IIdempotentComponent {
+	}
+}`;
+	}
+}
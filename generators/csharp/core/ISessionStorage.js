@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * This module is used to generate the session storage interface in C#
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO.ISessionStorage interface
+	 */
+	getTemplate: function() 
+	{
+		return `
+using System;
+
+namespace NewgroundsIO {
+
+	/// <summary>A place a remembered session id can be saved, keyed by app id. Implement this to save sessions somewhere else, ie an encrypted file.</summary>
+	public interface ISessionStorage {
+
+		/// <summary>Gets the remembered session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		/// <returns>The session id, or null if there isn't one.</returns>
+		string GetSessionId(string appID);
+
+		/// <summary>Remembers the session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		/// <param name="sessionID">The session id to remember.</param>
+		void SetSessionId(string appID, string sessionID);
+
+		/// <summary>Forgets the session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		void RemoveSessionId(string appID);
+	}
+}`;
+	}
+}
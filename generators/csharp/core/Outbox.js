@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * This module is used to generate the outbox for unsent secure components in C#
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO.Outbox class
+	 */
+	getTemplate: function() 
+	{
+		return `
+using System;
+using System.Collections;
+using System.Collections.Generic;
+using System.Globalization;
+using UnityEngine;
+
+namespace NewgroundsIO {
+
+	/// <summary>
+	/// Keeps secure components (ie Medal.unlock, ScoreBoard.postScore) that couldn't reach the server, and sends them again later.
+	/// Entries are saved in SessionStorage.Current, if it implements IOutboxStorage, so they survive the app closing.
+	/// Each entry is only replayed while the session it was first sent with is logged in, so nothing is credited to another user.
+	/// Enable it by giving a RequestScheduler an outbox. The scheduler flushes it whenever a request gets through to the server.
+	/// </summary>
+	public class Outbox {
+
+		/// <summary>A component waiting to be sent.</summary>
+		[Serializable]
+		public class Entry {
+
+			/// <summary>The component's name (ie "Medal.unlock").</summary>
+			public string component;
+
+			/// <summary>The component's parameters.</summary>
+			public List<Parameter> parameters = new List<Parameter>();
+
+			/// <summary>The session id the component was sent with.</summary>
+			public string session_id;
+
+			/// <summary>When the component was added, in milliseconds since 1970.</summary>
+			public long queued;
+		}
+
+		/// <summary>A component parameter, saved as text.</summary>
+		[Serializable]
+		public class Parameter {
+
+			/// <summary>The parameter's name.</summary>
+			public string name;
+
+			/// <summary>The full name of the value's type (ie "System.Int32").</summary>
+			public string type;
+
+			/// <summary>The value, converted with the invariant culture.</summary>
+			public string value;
+		}
+
+		/// <summary>What a Flush() sent.</summary>
+		public class Report {
+
+			/// <summary>The responses for components the server accepted.</summary>
+			public List<NewgroundsIO.objects.Response> delivered = new List<NewgroundsIO.objects.Response>();
+
+			/// <summary>The responses for components the server rejected. These are removed from the outbox too.</summary>
+			public List<NewgroundsIO.objects.Response> failed = new List<NewgroundsIO.objects.Response>();
+
+			/// <summary>The number of components still waiting.</summary>
+			public int remaining = 0;
+		}
+
+		// JsonUtility can't save a list on its own
+		[Serializable]
+		private class SavedEntries {
+			public List<Entry> entries = new List<Entry>();
+		}
+
+		/// <summary>The App ID the outbox is saved under.</summary>
+		public string appID { get; private set; }
+
+		/// <summary>The scheduler used to replay components. Defaults to RequestScheduler.Default.</summary>
+		public RequestScheduler scheduler;
+
+		/// <summary>The number of components waiting to be sent.</summary>
+		public int Count { get { return this._entries.Count; } }
+
+		/// <summary>The entries waiting to be sent.</summary>
+		public List<Entry> Entries { get { return new List<Entry>(this._entries); } }
+
+		private List<Entry> _entries;
+
+		// components being replayed, so they don't get added again if they fail
+		private HashSet<NewgroundsIO.BaseComponent> _replaying = new HashSet<NewgroundsIO.BaseComponent>();
+
+		private bool _flushing = false;
+
+		/// <summary>Constructor. Loads anything saved for this app. Select your session storage before creating it.</summary>
+		/// <param name="appID">The App ID to save the outbox under.</param>
+		/// <param name="scheduler">The scheduler used to replay components, or null to use RequestScheduler.Default.</param>
+		public Outbox(string appID, RequestScheduler scheduler = null)
+		{
+			this.appID = appID;
+			this.scheduler = scheduler is null ? RequestScheduler.Default : scheduler;
+			this._entries = this.Load();
+		}
+
+		/// <summary>Adds a component to the outbox. A Medal.unlock that's already waiting, for the same session, won't be added twice.</summary>
+		/// <param name="component">The component to send later.</param>
+		/// <param name="sessionID">The session id to send it with.</param>
+		/// <returns>False if the component was already in the outbox.</returns>
+		public bool Add(NewgroundsIO.BaseComponent component, string sessionID)
+		{
+			var entry = new Entry();
+			entry.component = component.__object;
+			entry.session_id = sessionID ?? "";
+			entry.queued = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+
+			component.__properties.ForEach(propName => {
+				var value = component.GetType().GetProperty(propName).GetValue(component) as IConvertible;
+				if (value is null) return;
+
+				var parameter = new Parameter();
+				parameter.name = propName;
+				parameter.type = value.GetType().FullName;
+				parameter.value = value.ToString(CultureInfo.InvariantCulture);
+				entry.parameters.Add(parameter);
+			});
+
+			string key = GetKey(entry);
+			if (!(key is null) && this._entries.Exists(_entry => GetKey(_entry) == key)) return false;
+
+			this._entries.Add(entry);
+			this.Save();
+			return true;
+		}
+
+		/// <summary>
+		/// Sends every waiting component for the core's session, one at a time. Components the server accepts or rejects are removed,
+		/// but if the server can't be reached the rest stay in the outbox for next time.
+		/// Nothing gets sent until the core's session is logged in, or while another flush is running.
+		/// </summary>
+		/// <param name="core">The core instance to send components with.</param>
+		/// <param name="callback">An optional function to call with a Report when done.</param>
+		public IEnumerator Flush(NewgroundsIO.Core core, Action<Report> callback = null)
+		{
+			var report = new Report();
+
+			if (!this._flushing && !(core.session is null) && core.session.status == NewgroundsIO.SessionState.LOGIN_SUCCESSFUL) {
+				this._flushing = true;
+
+				string sessionID = core.session.id ?? "";
+
+				foreach (var entry in this._entries.FindAll(_entry => _entry.session_id == sessionID)) {
+					var component = GetComponent(entry);
+
+					// drop anything we can't rebuild, rather than getting stuck on it
+					if (component is null) {
+						this.Remove(entry);
+						continue;
+					}
+
+					NewgroundsIO.objects.Response response = null;
+
+					this._replaying.Add(component);
+					yield return this.scheduler.ExecuteComponent(core, component, r => response = r);
+					this._replaying.Remove(component);
+
+					if (RequestScheduler.IsConnectionFailure(response)) break;
+
+					this.Remove(entry);
+
+					var result = response.result as NewgroundsIO.BaseResult;
+					if (response.success == true && !(result is null) && result.success) report.delivered.Add(response);
+					else report.failed.Add(response);
+				}
+
+				this._flushing = false;
+			}
+
+			report.remaining = this._entries.Count;
+			if (callback != null) callback(report);
+		}
+
+		/// <summary>Removes every waiting component without sending them.</summary>
+		public void Clear()
+		{
+			this._entries.Clear();
+			this.Save();
+		}
+
+		/// <summary>Keeps a secure component that couldn't reach the server, unless it's already being replayed from here. RequestScheduler calls this.</summary>
+		/// <param name="core">The core instance the component was sent with.</param>
+		/// <param name="component">The component that failed.</param>
+		public void OnConnectionFailed(NewgroundsIO.Core core, NewgroundsIO.BaseComponent component)
+		{
+			if (!component.__isSecure || this._replaying.Contains(component)) return;
+			this.Add(component, core.session?.id);
+		}
+
+		// gets the key used to spot duplicate entries, or null if the entry can be sent any number of times
+		private static string GetKey(Entry entry)
+		{
+			if (entry.component != "Medal.unlock") return null;
+
+			var id = entry.parameters.Find(parameter => parameter.name == "id");
+			return entry.component + ":" + entry.session_id + ":" + (id is null ? "" : id.value);
+		}
+
+		// rebuilds the component for an entry, or returns null if it can't be
+		private static NewgroundsIO.BaseComponent GetComponent(Entry entry)
+		{
+			var componentType = Type.GetType("NewgroundsIO.components." + entry.component);
+			if (componentType is null) return null;
+
+			var component = Activator.CreateInstance(componentType) as NewgroundsIO.BaseComponent;
+			if (component is null) return null;
+
+			try {
+				entry.parameters.ForEach(parameter => {
+					var valueType = Type.GetType(parameter.type);
+					var value = Convert.ChangeType(parameter.value, valueType, CultureInfo.InvariantCulture);
+					componentType.GetProperty(parameter.name).SetValue(component, value, null);
+				});
+			} catch (Exception) {
+				return null;
+			}
+
+			return component;
+		}
+
+		private void Remove(Entry entry)
+		{
+			this._entries.Remove(entry);
+			this.Save();
+		}
+
+		private List<Entry> Load()
+		{
+			var storage = NewgroundsIO.SessionStorage.Current as IOutboxStorage;
+			string saved = storage is null ? null : storage.GetOutbox(this.appID);
+			if (String.IsNullOrEmpty(saved)) return new List<Entry>();
+
+			try {
+				var loaded = JsonUtility.FromJson<SavedEntries>(saved);
+				return loaded is null || loaded.entries is null ? new List<Entry>() : loaded.entries;
+			} catch (Exception) {
+				return new List<Entry>();
+			}
+		}
+
+		private void Save()
+		{
+			var storage = NewgroundsIO.SessionStorage.Current as IOutboxStorage;
+			if (storage is null) return;
+
+			if (this._entries.Count > 0) {
+				var saved = new SavedEntries();
+				saved.entries = this._entries;
+				storage.SetOutbox(this.appID, JsonUtility.ToJson(saved));
+			} else {
+				storage.RemoveOutbox(this.appID);
+			}
+		}
+	}
+}`;
+	}
+}
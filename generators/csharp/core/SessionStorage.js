@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * This module is used to generate the session storage registry in C#
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO.SessionStorage class
+	 */
+	getTemplate: function() 
+	{
+		return `
+using System;
+using System.Collections.Generic;
+
+namespace NewgroundsIO {
+
+	/// <summary>Picks where remembered session ids are saved. Register your own ISessionStorage here, then select it with Use().</summary>
+	public static class SessionStorage {
+
+		/// <summary>The name of the PlayerPrefs storage.</summary>
+		public const string PLAYER_PREFS = "playerprefs";
+
+		/// <summary>The name of the in-memory storage.</summary>
+		public const string MEMORY = "memory";
+
+		// factories for every registered storage, keyed by name
+		private static Dictionary<string, Func<ISessionStorage>> _registry = new Dictionary<string, Func<ISessionStorage>>() {
+			{ PLAYER_PREFS, () => new PlayerPrefsSessionStorage() },
+			{ MEMORY, () => new MemorySessionStorage() }
+		};
+
+		private static ISessionStorage _current = null;
+
+		/// <summary>The storage sessions are saved in. Defaults to PlayerPrefs.</summary>
+		public static ISessionStorage Current {
+			get {
+				if (_current is null) _current = new PlayerPrefsSessionStorage();
+				return _current;
+			}
+			set {
+				_current = value;
+			}
+		}
+
+		/// <summary>Registers a storage so it can be selected by name.</summary>
+		/// <param name="name">The name to register (ie "file").</param>
+		/// <param name="factory">A function that returns the storage. It won't be called until Use() selects this name.</param>
+		public static void Register(string name, Func<ISessionStorage> factory)
+		{
+			_registry[name] = factory;
+		}
+
+		/// <summary>Selects a registered storage.</summary>
+		/// <param name="name">The registered name.</param>
+		public static void Use(string name)
+		{
+			if (!_registry.ContainsKey(name)) throw new ArgumentException("No session storage is registered as '" + name + "'", "name");
+			Current = _registry[name]();
+		}
+	}
+}`;
+	}
+}
@@ -1,5 +1,6 @@
 'use strict';
 const fs = require('fs');
+const isIdempotent = require('../../lib/is_idempotent.js');
 
 /**
  * This module is used to generate object model and component validation classes in browser-friendly ES6 JavaScript
@@ -8,6 +9,32 @@ module.exports = {
 	
 	/* =========================================== CODE GENERATORS =========================================== */
 
+	/* ------------------------------------------- CORE CLASSES ------------------------------------------- */
+
+	/**
+	 * The core classes generated alongside the objects, found in ./core
+	 * @type {Array.<string>}
+	 */
+	coreClasses: [
+		"ISessionStorage",
+		"IOutboxStorage",
+		"PlayerPrefsSessionStorage",
+		"MemorySessionStorage",
+		"SessionStorage",
+		"IIdempotentComponent",
+		"RequestScheduler",
+		"Outbox"
+	],
+
+	/**
+	 * Generates the C# code for the core classes
+	 * @return {Array.<Array.<string>>} A list of [filename, code] pairs
+	 */
+	generateCoreClasses: function()
+	{
+		return this.coreClasses.map(className => [className + ".cs", require("./core/" + className + ".js").getTemplate()]);
+	},
+
 	/* ------------------------------------------- COMPONENT OBJECTS ------------------------------------------- */
 
 	/**
@@ -21,7 +48,12 @@ module.exports = {
 	generateComponentObject: function(componentName,methodName,methodData,partials) 
 	{
 		methodData.properties = methodData.params ?? {};
-		let out = this.generateObjectClass(componentName+"."+methodName, methodName, "NewgroundsIO.components."+componentName, "NewgroundsIO.BaseComponent", methodData, partials);
+
+		// the request scheduler only retries components that are safe to send twice
+		let baseClass = "NewgroundsIO.BaseComponent";
+		if (isIdempotent(methodName, methodData)) baseClass += ", NewgroundsIO.IIdempotentComponent";
+
+		let out = this.generateObjectClass(componentName+"."+methodName, methodName, "NewgroundsIO.components."+componentName, baseClass, methodData, partials);
 		let filename = componentName+"/"+methodName+".cs";
 		return [filename,out];
 	},
@@ -31,7 +31,7 @@ return `
 			// Do the unlock
 			var component = new NewgroundsIO.components.Medal.unlock();
 			component.id = this.id;
-			yield return __ngioCore.ExecuteComponent(component, callback);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, component, callback);
 		}
 `;
 	}
@@ -63,7 +63,7 @@ return `
 			var component = new NewgroundsIO.components.CloudSave.setData();
 			component.id = this.id;
 			component.data = data;
-			yield return __ngioCore.ExecuteComponent(component, callback);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, component, callback);
 		}
 `;
 	}
@@ -33,7 +33,7 @@ return `
 			if (social) component.social = true;
 			if (skip > 0) component.skip = skip;
 			if (limit > 0) component.limit = limit;
-			yield return __ngioCore.ExecuteComponent(component, callback);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, component, callback);
 		}
 
 		/// <summary>Posts a score to this board.</summary>
@@ -53,7 +53,7 @@ return `
 			component.id = this.id;
 			component.value = value;
 			if (!(tag is null)) component.tag = tag;
-			yield return __ngioCore.ExecuteComponent(component, callback);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, component, callback);
 		}
 `;
 	}
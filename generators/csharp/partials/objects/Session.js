@@ -82,7 +82,7 @@ return `
 			this.user = null;
 			this.expired = false;
 
-			PlayerPrefs.SetString("__ngio_session_id", null);
+			if (!(__ngioCore is null)) NewgroundsIO.SessionStorage.Current.RemoveSessionId(__ngioCore.appID);
 		}
 
 		/// <summary>Opens the Newgrounds Passport login page in a new browser tab</summary>
@@ -155,7 +155,7 @@ return `
 			// first time getting here (probably).  We need to see if we have any existing session data to try...
 			if (this.status == NewgroundsIO.SessionState.SESSION_UNINITIALIZED) {
 
-				this._saved_id = PlayerPrefs.GetString("__ngio_session_id", null);
+				this._saved_id = NewgroundsIO.SessionStorage.Current.GetSessionId(__ngioCore.appID);
 
 				// check if we have a session id from our URL params (hosted on Newgrounds)
 				if (!String.IsNullOrEmpty(this._uri_id)) {
@@ -214,7 +214,7 @@ return `
 			this.status = NewgroundsIO.SessionState.WAITING_FOR_SERVER;
 
 			var startSession = new NewgroundsIO.components.App.startSession();
-			yield return __ngioCore.ExecuteComponent(startSession, this.OnStartSession);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, startSession, this.OnStartSession);
 		}
 
 		// Handles the acquisition of a new session id from the server.
@@ -258,7 +258,7 @@ return `
 
 			var checkSession = new NewgroundsIO.components.App.checkSession();
 			checkSession.SetCore(__ngioCore);
-			yield return __ngioCore.ExecuteComponent(checkSession, this.OnCheckSession);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, checkSession, this.OnCheckSession);
 		}
 
 		// Handles the response to CheckSession. This may lead to a change in status if the user has signed in, 
@@ -300,7 +300,7 @@ return `
 						if (result.session.remember) {
 							this._saved_id = this.id;
 							this.remember = true;
-							PlayerPrefs.SetString("__ngio_session_id", this.id);
+							NewgroundsIO.SessionStorage.Current.SetSessionId(__ngioCore.appID, this.id);
 						}
 
 					// Nothing has changed, we'll have to check again in the next loop.
@@ -331,7 +331,7 @@ return `
 
 			var endSession = new NewgroundsIO.components.App.endSession();
 			endSession.SetCore(__ngioCore);
-			yield return __ngioCore.ExecuteComponent(endSession, this.OnEndSession);
+			yield return NewgroundsIO.RequestScheduler.Default.ExecuteComponent(__ngioCore, endSession, this.OnEndSession);
 		}
 
 		// Handler for EndSession. Resets the session locally
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * This module is used to generate the in-memory session storage backend in browser-friendly ES6 JavaScript
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO_MemorySessionStorage class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * Keeps session ids in memory, so they are forgotten when the app closes.
+ * This is the default when localStorage isn't available (ie in Node), and is handy for tests.
+ */
+class NewgroundsIO_MemorySessionStorage extends NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		super();
+		this.__sessions = {};
+	}
+
+	/**
+	 * Gets the remembered session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string} The session id, or null if there isn't one
+	 */
+	getSessionId(app_id)
+	{
+		return Object.prototype.hasOwnProperty.call(this.__sessions, app_id) ? this.__sessions[app_id] : null;
+	}
+
+	/**
+	 * Remembers the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @param {string} session_id The session id to remember
+	 */
+	setSessionId(app_id, session_id)
+	{
+		this.__sessions[app_id] = session_id;
+	}
+
+	/**
+	 * Forgets the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 */
+	removeSessionId(app_id)
+	{
+		delete this.__sessions[app_id];
+	}
+}
+
+NewgroundsIO_SessionStorage.register(NewgroundsIO_SessionStorage.MEMORY, () => new NewgroundsIO_MemorySessionStorage());
+
+NewgroundsIO.MemorySessionStorage = NewgroundsIO_MemorySessionStorage;
+`;
+		return template;
+	}
+}
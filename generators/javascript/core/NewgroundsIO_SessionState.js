@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * This module is used to generate the session state constants in browser-friendly ES6 JavaScript
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO_SessionState constants
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The states a NewgroundsIO_objects_Session can be in while its update() loop runs.
+ */
+const NewgroundsIO_SessionState = {
+
+	/** We don't know anything about the session yet. */
+	SESSION_UNINITIALIZED: "session-uninitialized",
+
+	/** We're waiting for the server to respond. */
+	WAITING_FOR_SERVER: "waiting-for-server",
+
+	/** We have a session, but the user needs to log in. */
+	LOGIN_REQUIRED: "login-required",
+
+	/** The passport page was opened and we're waiting for the user to log in. */
+	WAITING_FOR_USER: "waiting-for-user",
+
+	/** The user cancelled the login. */
+	LOGIN_CANCELLED: "login-cancelled",
+
+	/** The user is logged in. */
+	LOGIN_SUCCESSFUL: "login-successful",
+
+	/** The login failed. */
+	LOGIN_FAILED: "login-failed",
+
+	/** The user logged out. */
+	USER_LOGGED_OUT: "user-logged-out",
+
+	/** The server didn't respond as expected, it may be down. */
+	SERVER_UNAVAILABLE: "server-unavailable",
+
+	/** We failed to reach the server too many times in a row and gave up. */
+	EXCEEDED_MAX_ATTEMPTS: "exceeded-max-attempts"
+};
+
+/**
+ * The states that mean we're still waiting on the server or user
+ * @type {Array.<string>}
+ */
+NewgroundsIO_SessionState.SESSION_WAITING = [
+	NewgroundsIO_SessionState.SESSION_UNINITIALIZED,
+	NewgroundsIO_SessionState.WAITING_FOR_SERVER,
+	NewgroundsIO_SessionState.WAITING_FOR_USER,
+	NewgroundsIO_SessionState.LOGIN_CANCELLED,
+	NewgroundsIO_SessionState.LOGIN_FAILED
+];
+
+NewgroundsIO.SessionState = NewgroundsIO_SessionState;
+`;
+		return template;
+	}
+}
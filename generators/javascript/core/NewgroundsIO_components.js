@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * This module is used to generate the base class for components in browser-friendly ES6 JavaScript
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO_components class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The base class for every NewgroundsIO component.
+ */
+class NewgroundsIO_components extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		super();
+		this.__object = "Component";
+		this.__isSecure = false;
+		this.__requireSession = false;
+		this.__isIdempotent = false;
+	}
+}
+`;
+		return template;
+	}
+}
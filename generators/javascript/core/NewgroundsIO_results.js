@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * This module is used to generate the base class for component results in browser-friendly ES6 JavaScript
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code for the NewgroundsIO_results class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The base class for every NewgroundsIO component result.
+ */
+class NewgroundsIO_results extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Result";
+		this._success = null;
+		this._error = null;
+		this.__properties = this.__properties.concat(["success","error"]);
+		if (typeof(props) === 'object' && props !== null) {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+	}
+
+	/**
+	 * If false, the component failed and details will be in the error property.
+	 * @type {Boolean}
+	 */
+	get success() {
+		return this._success;
+	}
+
+	set success(_success) {
+		if (_success !== null && typeof(_success) !== 'boolean') this.__typeMismatch('success', 'boolean', _success);
+		this._success = _success === null ? null : (_success ? true : false);
+	}
+
+	/**
+	 * Contains any error info if the success property is false.
+	 * @type {NewgroundsIO_objects_Error}
+	 */
+	get error() {
+		return this._error;
+	}
+
+	set error(_error) {
+		if (_error !== null && !(_error instanceof NewgroundsIO.objects.Error) && typeof(_error) === 'object')
+			_error = new NewgroundsIO.objects.Error(_error);
+		if (_error !== null && !(_error instanceof NewgroundsIO.objects.Error)) this.__typeMismatch('error', 'NewgroundsIO_objects_Error', _error);
+		this._error = _error;
+	}
+
+	/**
+	 * Links a result class to the name of the component that returns it
+	 * @param {string} componentName The name of the component (ie 'Medal.unlock')
+	 * @param {Function} resultClass The NewgroundsIO_results class to use for this component
+	 */
+	static registerComponent(componentName, resultClass)
+	{
+		NewgroundsIO_results.__registry[componentName] = resultClass;
+	}
+
+	/**
+	 * Gets the result class that was registered for a component
+	 * @param {string} componentName The name of the component (ie 'Medal.unlock')
+	 * @return {Function} The NewgroundsIO_results class, or null if nothing was registered
+	 */
+	static getResultClass(componentName)
+	{
+		return NewgroundsIO_results.__registry[componentName] || null;
+	}
+}
+
+// Every registered result class, by component name. It has no prototype, so names like 'toString' aren't found on it.
+NewgroundsIO_results.__registry = Object.create(null);
+`;
+		return template;
+	}
+}
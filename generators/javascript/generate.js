@@ -1,5 +1,6 @@
 'use strict';
 const fs = require('fs');
+const isIdempotent = require('../../lib/is_idempotent.js');
 
 /**
  * This module is used to generate object model and component validation classes in browser-friendly ES6 JavaScript
@@ -8,6 +9,38 @@ module.exports = {
 	
 	/* =========================================== CODE GENERATORS =========================================== */
 
+	/* ------------------------------------------- Core Classes ------------------------------------------- */
+
+	/**
+	 * The core classes every generated class depends on, in the order they need to be loaded
+	 * @type {Array.<string>}
+	 */
+	coreClasses: [
+		"NewgroundsIO",
+		"NewgroundsIO_objects",
+		"NewgroundsIO_components",
+		"NewgroundsIO_results",
+		"NewgroundsIO_ExecuteError",
+		"NewgroundsIO_ValidationError",
+		"NewgroundsIO_SessionState",
+		"NewgroundsIO_Event",
+		"NewgroundsIO_RequestScheduler",
+		"NewgroundsIO_Outbox",
+		"NewgroundsIO_Encryption",
+		"NewgroundsIO_SessionStorage",
+		"NewgroundsIO_WebSessionStorage",
+		"NewgroundsIO_MemorySessionStorage"
+	],
+
+	/**
+	 * Generates the JS code for the namespace and base classes every generated class depends on
+	 * @return {Array.<Array.<string>>} A list of [filename, code] pairs
+	 */
+	generateCoreClasses: function()
+	{
+		return this.coreClasses.map(className => [className + ".js", require("./core/" + className + ".js").getTemplate()]);
+	},
+
 	/* ------------------------------------------- Componet Objetcs ------------------------------------------- */
 
 	/**
@@ -40,8 +73,10 @@ class NewgroundsIO_components_${componentName}_${methodName} extends NewgroundsI
 				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
 			}
 		}` : ''}
+		${methodData.params ? `this.__required = ${JSON.stringify(Object.keys(methodData.params).filter(name => methodData.params[name].required))};` : ''}
 		${methodData.secure ? 'this.__isSecure = true;' : ''}
 		${methodData.require_session ? 'this.__requireSession = true;' : ''}
+		${isIdempotent(methodName, methodData) ? 'this.__isIdempotent = true;' : ''}
 		${partials && partials.getConstructorPartial ? partials.getConstructorPartial() : ''}
 	}
 
@@ -55,7 +90,7 @@ class NewgroundsIO_components_${componentName}_${methodName} extends NewgroundsI
 	}
 
 	set ${property}(_${property}) {
-		${data.object ? this.castObject(`this._${property}`, `_${property}`, data.object, '		') : data.type ? this.castValue(`this._${property}`, `_${property}`, data.type, '		') : ''}
+		${this.castProperty(property, data, '		')}
 	}
 	`).join('\n\t') : ''}
 
@@ -117,9 +152,7 @@ class NewgroundsIO_results_${componentName}_${methodName} extends NewgroundsIO_r
 	}
 
 	set ${property}(_${property}) {
-		${data.object ? `if (!(_${property} instanceof NewgroundsIO_objects_${data.object}) && typeof(_${property}) === 'object')
-			_${property} = new NewgroundsIO_objects_${data.object}(_${property});` : ''}
-		${data.object ? this.castObject(`this._${property}`, `_${property}`, data.object, '		') : data.type ? this.castValue(`this._${property}`, `_${property}`, data.type, '		') : ''}
+		${this.castProperty(property, data, '		')}
 	}
 	`).join('\n\t') : ''}
 
@@ -184,15 +217,7 @@ class NewgroundsIO_objects_${objectName} extends NewgroundsIO_objects {
 	}
 
 	set ${name}(_${name}) {
-		${obj.array ? `if (Array.isArray(_${name})) {
-			let newArr = [];
-			_${name}.forEach(function(val, index) {
-				${obj.array.object ? this.castObject('newArr[index]', 'val', obj.array.object, '				') : this.castValue('newArr[index]', 'val', obj.array.type, '				')}
-			});
-			this._${name} = newArr;
-			return;
-		}` : ''}
-		${obj.object ? this.castObject(`this._${name}`, `_${name}`, obj.object, '		') : this.castValue(`this._${name}`, `_${name}`, obj.type, '		')}
+		${this.castProperty(name, obj, '		')}
 	}
 	`).join('\n\t') : ''}
 
@@ -208,8 +233,397 @@ NewgroundsIO.objects.${objectName} = NewgroundsIO_objects_${objectName};
 	},
 
 
+	/* ------------------------------------------- Object Index ------------------------------------------- */
+
+	/**
+	 * Generates the JS code for a class that creates object, component and result instances from their string names,
+	 * and lists every component along with its metadata from the document
+	 * @param {object} objectLists Lists of every object, component and result name that was generated
+	 * @param {object} objectDocs The full object document
+	 * @return {string}
+	 */
+	generateObjectIndex: function(objectLists,objectDocs)
+	{
+		let components = {};
+
+		Object.entries(objectDocs.components).forEach(([componentName, component]) => {
+			Object.entries(component.methods).forEach(([methodName, methodData]) => {
+				components[componentName + "." + methodName] = this.getComponentMetadata(methodName, methodData);
+			});
+		});
+
+		const template = `
+/**
+ * Creates object, component and result instances from their string names (case insensitive) and decoded or encoded JSON.
+ * Also lists every known component, with the metadata from the object document, for tooling.
+ */
+class NewgroundsIO_ObjectIndex {
+
+	/**
+	 * Creates an object model instance
+	 * @param {string} name The object's name (ie 'Medal')
+	 * @param {(object|string)} json The values to apply to the object, or a JSON string containing them
+	 * @return {NewgroundsIO_objects} The new instance, or null if there is no object with this name
+	 */
+	static createObject(name, json)
+	{
+		let objectClass = NewgroundsIO_ObjectIndex.__getClass(NewgroundsIO_ObjectIndex.objects, NewgroundsIO.objects, name);
+		return objectClass ? objectClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Creates a component instance
+	 * @param {string} name The component's name (ie 'Medal.unlock')
+	 * @param {(object|string)} json The values to apply to the component, or a JSON string containing them
+	 * @return {NewgroundsIO_components} The new instance, or null if there is no component with this name
+	 */
+	static createComponent(name, json)
+	{
+		let componentClass = NewgroundsIO_ObjectIndex.__getClass(Object.keys(NewgroundsIO_ObjectIndex.components), NewgroundsIO.components, name);
+		return componentClass ? componentClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Creates a result instance
+	 * @param {string} name The name of the component the result is for (ie 'Medal.unlock')
+	 * @param {(object|string)} json The values to apply to the result, or a JSON string containing them
+	 * @return {NewgroundsIO_results} The new instance, or null if there is no result with this name
+	 */
+	static createResult(name, json)
+	{
+		let resultClass = NewgroundsIO_ObjectIndex.__getClass(NewgroundsIO_ObjectIndex.results, NewgroundsIO.results, name);
+		return resultClass ? resultClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Gets the metadata for a component
+	 * @param {string} name The component's name (ie 'Medal.unlock')
+	 * @return {object} {description, secure, require_session, params, return}, or null if there is no component with this name
+	 */
+	static getComponentInfo(name)
+	{
+		let match = NewgroundsIO_ObjectIndex.__findName(Object.keys(NewgroundsIO_ObjectIndex.components), name);
+		return match ? NewgroundsIO_ObjectIndex.components[match] : null;
+	}
+
+	/**
+	 * Gets the names of every component
+	 * @param {object} filter Optional flags the components must match (ie {secure: true})
+	 * @return {Array.<string>}
+	 */
+	static getComponentNames(filter)
+	{
+		return Object.keys(NewgroundsIO_ObjectIndex.components).filter(name => {
+			if (typeof(filter) !== 'object' || filter === null) return true;
+
+			let info = NewgroundsIO_ObjectIndex.components[name];
+			return Object.keys(filter).every(flag => info[flag] === filter[flag]);
+		});
+	}
+
+	// finds the properly cased version of a name in a list
+	static __findName(names, name)
+	{
+		if (typeof(name) !== 'string') return null;
+
+		let lower = name.toLowerCase();
+		let match = names.find(_name => _name.toLowerCase() === lower);
+		return match ? match : null;
+	}
+
+	// finds a class in one of the NewgroundsIO namespaces
+	static __getClass(names, namespace, name)
+	{
+		let match = NewgroundsIO_ObjectIndex.__findName(names, name);
+		if (!match) return null;
+
+		let found = match.split(".").reduce((parent, part) => parent ? parent[part] : null, namespace);
+		return typeof(found) === 'function' ? found : null;
+	}
+}
+
+/**
+ * The name of every object model
+ * @type {Array.<string>}
+ */
+NewgroundsIO_ObjectIndex.objects = ${JSON.stringify(objectLists.objects.filter(name => name !== "Result"))};
+
+/**
+ * The name of every component with a result class
+ * @type {Array.<string>}
+ */
+NewgroundsIO_ObjectIndex.results = ${JSON.stringify(objectLists.results)};
+
+/**
+ * Every component, by name, with its description, secure and require_session flags, params and return values
+ * @type {object}
+ */
+NewgroundsIO_ObjectIndex.components = ${JSON.stringify(components, null, "\t")};
+
+NewgroundsIO.ObjectIndex = NewgroundsIO_ObjectIndex;
+`;
+
+		return ["ObjectIndex.js", template];
+	},
+
+	/* ------------------------------------------- Bundles ------------------------------------------- */
+
+	/**
+	 * The subdirectories each type of generated file goes in, within the ES module output
+	 * @type {object}
+	 */
+	moduleDirs: {
+		core: "core",
+		objects: "objects",
+		components: "components",
+		component_results: "results",
+		object_index: "objects"
+	},
+
+	/**
+	 * Generates a single-file bundle, a UMD bundle and an ES module copy of every generated class
+	 * @param {Array.<object>} files Every generated file, as {type, file_name, file_contents} objects
+	 * @return {Array.<Array.<string>>} A list of [filename, code] pairs
+	 */
+	generateBundles: function(files)
+	{
+		let modules = this.sortModules(files.map(file => this.getModuleInfo(file)));
+		let bundle = modules.map(module => `/* ---- ${module.path} ---- */\n${module.code.trim()}\n`).join('\n');
+
+		const umd = `
+(function(root, factory) {
+	if (typeof(define) === 'function' && define.amd) define([], factory);
+	else if (typeof(module) === 'object' && module.exports) module.exports = factory();
+	else root.NewgroundsIO = factory();
+}(typeof(self) !== 'undefined' ? self : this, function() {
+
+${bundle}
+return NewgroundsIO;
+}));
+`;
+
+		let output = [
+			["NewgroundsIO.js", bundle],
+			["NewgroundsIO.umd.js", umd]
+		];
+
+		modules.forEach(module => {
+			output.push(["esm/" + module.path, this.getESModule(module, modules)]);
+		});
+
+		output.push(["esm/index.js", this.getESModuleIndex(modules)]);
+
+		// lets node load the .js files in the esm directory as ES modules
+		output.push(["esm/package.json", JSON.stringify({type: "module"}, null, "\t") + "\n"]);
+
+		return output;
+	},
+
+
 	/* =========================================== HELPER METHODS =========================================== */
 
+	/**
+	 * Gets the metadata the object index lists for a component
+	 * @param {string} methodName The name of the component's method
+	 * @param {object} methodData All the data about the component's method
+	 * @return {object}
+	 */
+	getComponentMetadata: function(methodName, methodData)
+	{
+		return {
+			description: methodData.description ? methodData.description : "",
+			secure: methodData.secure ? true : false,
+			require_session: methodData.require_session ? true : false,
+			idempotent: isIdempotent(methodName, methodData),
+			params: methodData.params ? methodData.params : {},
+			return: methodData.return ? methodData.return : {}
+		};
+	},
+
+
+	/**
+	 * Finds the names a generated file declares, and the names it uses from other files.
+	 * Names used outside of any block (ie 'extends' clauses and namespace aliases) are needed as soon as the file loads,
+	 * names used inside class bodies aren't needed until the code runs.
+	 * @param {object} file A {type, file_name, file_contents} object
+	 * @return {object} {path, code, declares, loadDeps, runDeps}
+	 */
+	getModuleInfo: function(file)
+	{
+		let code = this.stripCommentsAndStrings(file.file_contents);
+		let declares = [];
+		let loadDeps = [];
+		let runDeps = [];
+		let depth = 0;
+		let pattern = /[{}]|\b(?:(class|const|let|var)\s+)?(NewgroundsIO\w*)\b/g;
+		let match;
+
+		while ((match = pattern.exec(code)) !== null) {
+			if (match[0] === "{") depth++;
+			else if (match[0] === "}") depth--;
+			else if (match[1] && depth === 0) declares.push(match[2]);
+			else if (depth === 0) loadDeps.push(match[2]);
+			else runDeps.push(match[2]);
+		}
+
+		let unique = list => list.filter((name, index) => list.indexOf(name) === index && declares.indexOf(name) < 0);
+
+		return {
+			path: this.moduleDirs[file.type] + "/" + file.file_name,
+			code: file.file_contents,
+			declares: declares,
+			loadDeps: unique(loadDeps),
+			runDeps: unique(runDeps)
+		};
+	},
+
+
+	/**
+	 * Sorts modules so each one comes after every module it needs at load time. Otherwise, the original order is kept.
+	 * @param {Array.<object>} modules Objects from getModuleInfo()
+	 * @return {Array.<object>}
+	 */
+	sortModules: function(modules)
+	{
+		let sorted = [];
+		let visiting = [];
+
+		let findDeclaring = name => modules.find(module => module.declares.indexOf(name) >= 0);
+
+		let visit = module => {
+			if (sorted.indexOf(module) >= 0) return;
+			if (visiting.indexOf(module) >= 0) throw("NewgroundsIO Error: " + module.path + " depends on itself when loading");
+
+			visiting.push(module);
+			module.loadDeps.map(findDeclaring).forEach(dep => { if (dep) visit(dep); });
+			visiting.pop();
+
+			sorted.push(module);
+		};
+
+		modules.forEach(visit);
+		return sorted;
+	},
+
+
+	/**
+	 * Converts a module to an ES module. Everything it uses from other modules gets imported from the index, which
+	 * loads every module in the same order as the bundle, so classes are always defined before anything extends them.
+	 * @param {object} module An object from getModuleInfo()
+	 * @param {Array.<object>} modules Every module, in load order
+	 * @return {string}
+	 */
+	getESModule: function(module, modules)
+	{
+		let depth = module.path.split("/").length - 1;
+		let root = depth > 0 ? "../".repeat(depth) : "./";
+		let uses = module.loadDeps.concat(module.runDeps);
+		let names = [];
+
+		modules.forEach(other => {
+			if (other !== module) names = names.concat(other.declares.filter(name => uses.indexOf(name) >= 0));
+		});
+
+		let imports = names.length > 0 ? `import { ${names.join(", ")} } from '${root}index.js';\n` : '';
+
+		return `${imports}${module.code.trim()}\n\nexport { ${module.declares.join(", ")} };\n`;
+	},
+
+
+	/**
+	 * Generates an ES module that loads every other module (so the NewgroundsIO namespace is complete) and exports every class
+	 * @param {Array.<object>} modules Every module, in load order
+	 * @return {string}
+	 */
+	getESModuleIndex: function(modules)
+	{
+		let names = [];
+		let imports = modules.map(module => {
+			names = names.concat(module.declares);
+			return `import { ${module.declares.join(", ")} } from './${module.path}';`;
+		});
+
+		return `${imports.join("\n")}\n\nexport {\n\t${names.join(",\n\t")}\n};\n\nexport default NewgroundsIO;\n`;
+	},
+
+
+	/**
+	 * Blanks out comments, and the contents of string, template and regex literals, so code can be scanned for names.
+	 * Expressions inside template literals are kept, without the ${ and } around them, so their braces don't change the depth getModuleInfo() sees.
+	 * @param {string} code JavaScript code
+	 * @return {string}
+	 */
+	stripCommentsAndStrings: function(code)
+	{
+		let out = "";
+		let quote = null;
+
+		// the open brace count of each template expression we're in, innermost last
+		let expressions = [];
+
+		// a / after one of these starts a regex, anywhere else it's division
+		let regexAfter = /(?:^|[(,=:[!&|?{};+\-*%<>~^]|(?:^|[^\w$])(?:return|typeof|case|do|else|in|of|new|delete|void|throw|instanceof|yield|await))$/;
+
+		for (let i = 0; i < code.length; i++) {
+			let c = code[i];
+
+			if (quote) {
+				if (c === "\\") i++;
+				else if (quote === "`" && c === "$" && code[i + 1] === "{") {
+					expressions.push(0);
+					quote = null;
+					i++;
+				} else if (c === quote) {
+					quote = null;
+					out += c;
+				}
+				continue;
+			}
+
+			if (expressions.length > 0 && (c === "{" || c === "}")) {
+				let last = expressions.length - 1;
+
+				if (c === "{") {
+					expressions[last]++;
+				} else if (expressions[last] > 0) {
+					expressions[last]--;
+				} else {
+					// back in the template
+					expressions.pop();
+					quote = "`";
+					continue;
+				}
+			}
+
+			if (c === "/" && code[i + 1] === "/") {
+				while (i < code.length && code[i] !== "\n") i++;
+				out += "\n";
+
+			} else if (c === "/" && code[i + 1] === "*") {
+				let end = code.indexOf("*/", i + 2);
+				i = end < 0 ? code.length : end + 1;
+
+			} else if (c === "/" && regexAfter.test(out.trimEnd())) {
+				let inClass = false;
+
+				for (i++; i < code.length && code[i] !== "\n"; i++) {
+					if (code[i] === "\\") i++;
+					else if (code[i] === "[") inClass = true;
+					else if (code[i] === "]") inClass = false;
+					else if (code[i] === "/" && !inClass) break;
+				}
+				out += "/ /";
+
+			} else {
+				if (c === "'" || c === '"' || c === "`") quote = c;
+				out += c;
+			}
+		}
+
+		return out;
+	},
+
+
 	/**
 	 * Converts type names from the object document to native JavaScript types
 	 * @param {string} type_from_doc The data type as defined in the document
@@ -274,14 +688,62 @@ NewgroundsIO.objects.${objectName} = NewgroundsIO_objects_${objectName};
 
 
 	/**
-	 * Generates code for typecasting and error checking of native datatypes in setter methods
+	 * Generates the body of a property setter, casting single values and arrays of values to the types in the document
+	 * @param {string} name The property name
+	 * @param {object} property The property object from the objects document
+	 * @param {string} tab Any additional indenting to apply to new lines
+	 * @returns {string} JavaScript code for the setter
+	 */
+	castProperty: function(name,property,tab)
+	{
+		let _out = "";
+
+		// this property can accept an array of values, so each one gets cast on its own
+		if (property.array) {
+			_out += `if (Array.isArray(_${name})) {\n`;
+			_out += `${tab}	let newArr = [];\n`;
+			_out += `${tab}	_${name}.forEach((val, index) => {\n`;
+			if (property.array.object) {
+				_out += `${tab}		${this.castObject('newArr[index]', 'val', property.array.object, tab + '		', `'${name}[' + index + ']'`)}\n`;
+			} else {
+				_out += `${tab}		${this.castValue('newArr[index]', 'val', property.array.type, tab + '		', `'${name}[' + index + ']'`)}`;
+			}
+			_out += `${tab}	});\n`;
+			_out += `${tab}	this._${name} = newArr;\n`;
+			_out += `${tab}	return;\n`;
+			_out += `${tab}}\n${tab}`;
+		}
+
+		// this property needs to be an instance of another NGIO object
+		if (property.object) {
+			_out += this.castObject(`this._${name}`, `_${name}`, property.object, tab, `'${name}'`);
+
+		// this is a flat type
+		} else if (property.type) {
+			_out += this.castValue(`this._${name}`, `_${name}`, property.type, tab, `'${name}'`);
+
+		// this property can ONLY accept an array of values
+		} else if (property.array) {
+			_out += `if (_${name} !== null) this.__typeMismatch('${name}', 'Array', _${name});\n`;
+			_out += `${tab}this._${name} = _${name};\n`;
+		}
+
+		return _out;
+	},
+
+
+	/**
+	 * Generates code for typecasting and error checking of native datatypes in setter methods.
+	 * Mismatched values are reported with NewgroundsIO_objects.__typeMismatch, which handles them according to NewgroundsIO.validationMode.
+	 * Null values are always allowed, so properties can be cleared.
 	 * @param {string} key The property or variable name that needs strict casting
 	 * @param {string} value The name of the value variable
 	 * @param {string} type The value type from the document (may need translating)
 	 * @param {string} tab Any additional indenting to apply to new lines
+	 * @param {string} property Code for the property name to use in error reports (ie "'medals[' + index + ']'")
 	 * @returns {string} JavaScript code to handle strict typecasting
 	 */
-	castValue: function(key,value,type,tab) 
+	castValue: function(key,value,type,tab,property) 
 	{
 		let _out = "";
 		let is_int = false;
@@ -293,43 +755,35 @@ NewgroundsIO.objects.${objectName} = NewgroundsIO_objects_${objectName};
 				is_int = true;
 			case "float":
 
-				_out += `if (typeof(${value}) !== 'number') console.warn('NewgroundsIO Type Mismatch: Value should be a number, got a '+typeof(${value}));\n`;
+				_out += `if (${value} !== null && typeof(${value}) !== 'number') this.__typeMismatch(${property}, '${type}', ${value});\n`;
 				if (is_int) {
-					_out += `${tab}else if (!Number.isInteger(${value})) console.warn('NewgroundsIO Type Mismatch: Value should be an integer, got a float');\n`;
+					_out += `${tab}else if (${value} !== null && !Number.isInteger(${value})) this.__typeMismatch(${property}, 'int', ${value}, 'float');\n`;
 				}
-				_out += `${tab}${key} = Number(${value});\n`;
+				_out += `${tab}${key} = ${value} === null ? null : Number(${value});\n`;
 				_out += `${tab}if (isNaN(${key})) ${key} = null;\n`;
 				break;
 
 			// handle strings
 			case "string":
-				_out += `if (typeof(${value}) !== 'string') console.warn('NewgroundsIO Type Mismatch: Value should be a string, got a ' + typeof(${value}));\n`;
-				_out += `${tab}${key} = String(${value});\n`;
+				_out += `if (${value} !== null && typeof(${value}) !== 'string') this.__typeMismatch(${property}, 'string', ${value});\n`;
+				_out += `${tab}${key} = ${value} === null ? null : String(${value});\n`;
 				break;
 
 			// handle booleans
 			case "boolean":
-				_out += `${tab}if (typeof(${value}) !== 'boolean') console.warn('NewgroundsIO Type Mismatch: Value should be a boolean, got a ' + typeof(${value}));\n`;
-				_out += `${tab}${key} = ${value} ? true : false;\n`;
+				_out += `${tab}if (${value} !== null && typeof(${value}) !== 'boolean') this.__typeMismatch(${property}, 'boolean', ${value});\n`;
+				_out += `${tab}${key} = ${value} === null ? null : (${value} ? true : false);\n`;
 				break;
 
 			case "object":
-				_out += `${tab}if (typeof(${value}) !== 'object') console.warn('NewgroundsIO Type Mismatch: Value should be an object, got a ' + typeof(${value}));\n`;
+				_out += `${tab}if (typeof(${value}) !== 'object') this.__typeMismatch(${property}, 'object', ${value});\n`;
 				_out += `${tab}${key} = ${value};\n`;
 				break;
 
 			case "NewgroundsIO_objects":
-				_out += `${tab}if (!(${value} instanceof NewgroundsIO_objects)) console.warn('NewgroundsIO Type Mismatch: Value should be a NewgroundsIO_objects instance, got a ' + typeof(${value}));\n`;
-				_out += `${tab}${key} = ${value};\n`;
-				break;
-
 			case "NewgroundsIO_components":
-				_out += `${tab}if (!(${value} instanceof NewgroundsIO_components)) console.warn('NewgroundsIO Type Mismatch: Value should be a NewgroundsIO_components instance, got a ' + typeof(${value}));\n`;
-				_out += `${tab}${key} = ${value};\n`;
-				break;
-
 			case "NewgroundsIO_results":
-				_out += `${tab}if (!(${value} instanceof NewgroundsIO_results)) console.warn('NewgroundsIO Type Mismatch: Value should be a NewgroundsIO_results instance, got a ' + typeof(${value}));\n`;
+				_out += `${tab}if (${value} !== null && !(${value} instanceof ${type})) this.__typeMismatch(${property}, '${type}', ${value});\n`;
 				_out += `${tab}${key} = ${value};\n`;
 				break;
 
@@ -343,18 +797,23 @@ NewgroundsIO.objects.${objectName} = NewgroundsIO_objects_${objectName};
 
 
 	/**
-	 * Generates code for typecasting and error checking of class instances in setter methods
+	 * Generates code for typecasting and error checking of class instances in setter methods.
+	 * Plain objects (ie from decoded JSON) get turned into instances of the expected class, which in turn casts any objects they contain.
 	 * @param {string} key The property or variable name that needs strict casting
 	 * @param {string} value The name of the value variable
 	 * @param {string} obj The class name the value is expected to be an instance of
 	 * @param {string} tab Any additional indenting to apply to new lines
+	 * @param {string} property Code for the property name to use in error reports (ie "'medals[' + index + ']'")
 	 * @returns {string} JavaScript code to handle strict typecasting
 	 */
-	castObject: function(key,value,obj,tab) 
+	castObject: function(key,value,obj,tab,property) 
 	{
 		return `
-			if (!(${value} instanceof NewgroundsIO_objects_${obj})) {
-				console.warn("Type Mismatch: expecting NewgroundsIO_objects_${obj}, got " + typeof(${value}));
+			if (${value} !== null && typeof(${value}) === 'object' && !(${value} instanceof NewgroundsIO_objects_${obj})) {
+				${value} = new NewgroundsIO_objects_${obj}(${value});
+			}
+			if (${value} !== null && !(${value} instanceof NewgroundsIO_objects_${obj})) {
+				this.__typeMismatch(${property}, 'NewgroundsIO_objects_${obj}', ${value});
 			}
 			${key} = ${value};
 		`;
@@ -58,6 +58,11 @@ module.exports = {
 
 			// SHOULD have an actual component object. Validate that as well, if it exists
 			if (this.__componentObject) {
+				if (this.__componentObject.__isSecure && !this.__ngioCore.aes_key) {
+					console.error('NewgroundsIO Error: '+this.component+' is a secure component and requires an aes_key!');
+					return false;
+				}
+
 				if (this.__componentObject.__requireSession && !this.__ngioCore.session.isActive()) {
 					console.warn('NewgroundsIO Warning: '+this.component+' can only be used with a valid user session.');
 					this.__ngioCore.session.logProblems();
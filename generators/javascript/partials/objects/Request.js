@@ -28,6 +28,8 @@ module.exports = {
 		{
 			super.setCore(core);
 			this._app_id = core.app_id;
+			if (core.session && core.session.id) this.session_id = core.session.id;
+			if (core.debug) this.debug = true;
 		}
 
 		/**
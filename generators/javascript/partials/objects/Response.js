@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * This module is used to generate object model and component validation classes in browser-friendly ES6 JavaScript
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code to inject into the overall NewgroundsIO_objects_Response class
+	 */
+	getClassPartial: function() 
+	{
+		const template = `
+		/**
+		 * There is no Result model, so this replaces the generated setter and casts each result to its registered NewgroundsIO_results class
+		 * @param {(object|Array.<object>)} _result A result, or list of results, as decoded from the server response
+		 */
+		set result(_result) {
+			if (Array.isArray(_result)) {
+				this._result = _result.map(result => this.__castResult(result));
+				return;
+			}
+			this._result = this.__castResult(_result);
+		}
+
+		/**
+		 * Turns a decoded result into an instance of the NewgroundsIO_results class registered to its component
+		 * @param {object} result A decoded result object, with component and data properties
+		 * @return {NewgroundsIO_results}
+		 */
+		__castResult(result)
+		{
+			if (result instanceof NewgroundsIO_results || result === null || typeof(result) !== 'object') return result;
+
+			let resultClass = NewgroundsIO_results.getResultClass(result.component);
+
+			// components that don't return any data only get the basic success/error properties
+			if (!resultClass) resultClass = NewgroundsIO_results;
+
+			let instance = new resultClass(result.data);
+			instance.__object = result.component;
+
+			return instance;
+		}
+		`;
+
+		return template;
+	}
+}
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * This module is used to generate component result classes in browser-friendly ES6 JavaScript
+ */
+module.exports = {
+
+	/**
+	 * return {string} Code to inject into the overall NewgroundsIO_results_ScoreBoard_getScores class
+	 */
+	getClassPartial: function() 
+	{
+		const template = `
+	/**
+	 * Finds a user's score in the list that was loaded
+	 * @param {(NewgroundsIO_objects_User|Number|string)} user The user, or their ID or name (not case sensitive)
+	 * @return {NewgroundsIO_objects_Score} The score, or null if the user isn't in this list
+	 */
+	getUserScore(user)
+	{
+		if (user instanceof NewgroundsIO_objects_User) user = user.id;
+		if (typeof(user) === 'string') user = user.toLowerCase();
+
+		return (this.scores || []).find(score => {
+			if (!score || !score.user) return false;
+			return typeof(user) === 'string' ? String(score.user.name).toLowerCase() === user : score.user.id === user;
+		}) || null;
+	}
+		`;
+		return template;
+	}
+}
@@ -0,0 +1,276 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the core NewgroundsIO client
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO class and namespace
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * Maps component names to the result classes they return. The generated index.d.ts fills this in.
+ */
+interface NewgroundsIO_ResultMap {}
+
+/**
+ * The core NewgroundsIO client. Sends components to the Newgrounds.io gateway and turns the responses into result objects.
+ * This also serves as the namespace for every generated class.
+ */
+declare class NewgroundsIO {
+
+	/**
+	 * Constructor
+	 * @param app_id The App ID from your Newgrounds project's API Tools page
+	 * @param aes_key The encryption key from your Newgrounds project's API Tools page
+	 * @param options Optional settings
+	 */
+	constructor(app_id: string, aes_key?: string | null, options?: NewgroundsIO.Options);
+
+	/**
+	 * The App ID from your Newgrounds project's API Tools page
+	 */
+	app_id: string;
+
+	/**
+	 * The encryption key from your Newgrounds project's API Tools page
+	 */
+	aes_key: string | null;
+
+	/**
+	 * The cipher used to encrypt secure components (NewgroundsIO_Encryption.AES_128 or NewgroundsIO_Encryption.RC4)
+	 */
+	cipher: string;
+
+	/**
+	 * How the aes_key and encrypted values are encoded (NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX)
+	 */
+	format: string;
+
+	/**
+	 * The function used to get a 16 byte initialization vector for AES encryption
+	 */
+	iv_generator: () => Array<number>;
+
+	/**
+	 * If true, calls will be executed in debug mode
+	 */
+	debug: boolean;
+
+	/**
+	 * The URL all requests get posted to
+	 */
+	gateway_url: string;
+
+	/**
+	 * The function used to post requests to the gateway
+	 */
+	transport: NewgroundsIO.Transport;
+
+	/**
+	 * Where remembered session ids are saved
+	 */
+	storage: NewgroundsIO.SessionStorageBackend;
+
+	/**
+	 * The function used to open the Passport login page
+	 */
+	open_url: (url: string) => void;
+
+	/**
+	 * Spaces out requests and retries the ones that fail to reach the server
+	 */
+	scheduler: NewgroundsIO_RequestScheduler;
+
+	/**
+	 * Keeps secure components that couldn't reach the server and sends them again later, if the 'outbox' option was set to true
+	 */
+	outbox: NewgroundsIO_Outbox | null;
+
+	/**
+	 * The current user session
+	 */
+	session: NewgroundsIO_objects_Session;
+
+	/**
+	 * Encrypts text with the aes_key, cipher and format of this instance
+	 * @param text The text to encrypt
+	 * @return The encrypted, encoded text
+	 */
+	encrypt(text: string): string;
+
+	/**
+	 * Adds a function to call whenever an event of the given type happens
+	 * @param type One of the NewgroundsIO_Event type constants (ie NewgroundsIO_Event.MEDAL_UNLOCKED)
+	 * @param listener Will be passed a NewgroundsIO_Event object
+	 * @param thisArg An optional value to use as 'this' when executing listener
+	 */
+	addEventListener<K extends NewgroundsIO.EventType>(type: K, listener: (event: NewgroundsIO.EventMap[K]) => void, thisArg?: any): void;
+
+	/**
+	 * Removes a function that was added with addEventListener()
+	 */
+	removeEventListener<K extends NewgroundsIO.EventType>(type: K, listener: (event: NewgroundsIO.EventMap[K]) => void): void;
+
+	/**
+	 * Passes an event to every function listening for its type. A listener that throws an error won't stop the others from being called.
+	 */
+	dispatchEvent(event: NewgroundsIO_Event): void;
+
+	/**
+	 * Gets a new request object, with this instance's settings, that components can be sent with
+	 */
+	getRequest(): NewgroundsIO_objects_Request;
+
+	/**
+	 * Executes a component, or an array of components, and calls a function when the server responds
+	 * @param component Any NGIO component object, or an array of NGIO components
+	 * @param callback An optional function to call when the server responds
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 * @return will return false if the request failed to send
+	 */
+	executeComponent(component: NewgroundsIO_components | Array<NewgroundsIO_components>, callback?: (response: NewgroundsIO_objects_Response) => void, thisArg?: any): boolean;
+
+	/**
+	 * Executes a component and resolves to its result, or rejects with a NewgroundsIO_ExecuteError
+	 * @param component Any NGIO component object
+	 */
+	execute<C extends NewgroundsIO_components>(component: C): Promise<NewgroundsIO.ResultOf<C>>;
+
+	/**
+	 * Executes a list of components in a single request, and resolves to a list of outcomes in the same order
+	 * @param components An array of NGIO components
+	 */
+	execute(components: Array<NewgroundsIO_components>): Promise<Array<NewgroundsIO.ExecuteOutcome>>;
+
+	/**
+	 * Adds a component to the queue. Queued components get sent together, in a single request, when you call executeQueue().
+	 * @param component Any NGIO component object
+	 * @param callback An optional function to call when the queue has been executed
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 */
+	queueComponent<C extends NewgroundsIO_components>(component: C, callback?: (result: NewgroundsIO.ResultOf<C>) => void, thisArg?: any): void;
+
+	/**
+	 * The number of components waiting in the queue
+	 */
+	readonly queueLength: number;
+
+	/**
+	 * Removes every component from the queue without sending them
+	 */
+	clearQueue(): void;
+
+	/**
+	 * Sends every queued component in a single request
+	 * @param callback An optional function to call when the server responds
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 * @return will return false if the queue was empty or the request failed to send
+	 */
+	executeQueue(callback?: (response: NewgroundsIO_objects_Response) => void, thisArg?: any): boolean;
+
+	/**
+	 * Gets the best transport for the current environment. Browsers use XMLHttpRequest, Node uses fetch (Node 18+) or the http/https modules.
+	 */
+	static getDefaultTransport(): NewgroundsIO.Transport;
+
+	/**
+	 * Posts data to a URL with XMLHttpRequest. This is the default in browsers.
+	 */
+	static xhrTransport: NewgroundsIO.Transport;
+
+	/**
+	 * Posts data to a URL with fetch(). This is the default in Node 18+.
+	 */
+	static fetchTransport: NewgroundsIO.Transport;
+
+	/**
+	 * Posts data to a URL with Node's http or https module, for versions of Node without fetch().
+	 */
+	static httpTransport: NewgroundsIO.Transport;
+
+	/**
+	 * Opens a URL in a new browser tab. Outside of browsers, the URL gets logged instead.
+	 */
+	static openURL(url: string): void;
+
+	/**
+	 * The default URL for the Newgrounds.io gateway
+	 */
+	static GATEWAY_URL: string;
+
+	/**
+	 * Validation mode that logs type mismatches to the console and keeps the coerced values
+	 */
+	static VALIDATION_WARN: "warn";
+
+	/**
+	 * Validation mode that quietly coerces mismatched values
+	 */
+	static VALIDATION_COERCE: "coerce";
+
+	/**
+	 * Validation mode that throws a NewgroundsIO_ValidationError on any mismatch
+	 */
+	static VALIDATION_THROW: "throw";
+
+	/**
+	 * Validation mode that stores mismatches so they can be read with getValidationErrors()
+	 */
+	static VALIDATION_COLLECT: "collect";
+
+	/**
+	 * How every object handles values of the wrong type
+	 */
+	static validationMode: NewgroundsIO.ValidationMode;
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Optional settings for the NewgroundsIO constructor
+	 */
+	interface Options extends SchedulerOptions {
+		debug?: boolean;
+		gateway_url?: string;
+		transport?: Transport;
+		storage?: StorageOption;
+		open_url?: (url: string) => void;
+		cipher?: string;
+		format?: string;
+		iv_generator?: () => Array<number>;
+		scheduler?: NewgroundsIO_RequestScheduler;
+		outbox?: boolean;
+	}
+
+	/**
+	 * Posts url-encoded data to a URL, then calls callback with (error, responseText). error will be null on success.
+	 */
+	type Transport = (url: string, postData: string, callback: (error: string | null, responseText: string | null) => void) => void;
+
+	/**
+	 * One of the NewgroundsIO.VALIDATION_ constants
+	 */
+	type ValidationMode = "warn" | "coerce" | "throw" | "collect";
+
+	/**
+	 * The result class a component returns
+	 */
+	type ResultOf<C> = C extends { __object: infer K } ? (K extends keyof NewgroundsIO_ResultMap ? NewgroundsIO_ResultMap[K] : NewgroundsIO_results) : NewgroundsIO_results;
+
+	/**
+	 * What happened to one component when a list of components was executed
+	 */
+	interface ExecuteOutcome {
+		component: NewgroundsIO_components;
+		result: NewgroundsIO_results;
+		error: NewgroundsIO_ExecuteError | null;
+	}
+}
+`;
+		return template;
+	}
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the encryption helpers
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_Encryption class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * Encrypts the payloads of secure components (ie Medal.unlock, ScoreBoard.postScore).
+ * All byte data is handled as arrays of numbers from 0 to 255.
+ */
+declare class NewgroundsIO_Encryption {
+
+	/**
+	 * Encrypts a string and encodes the result
+	 * @param text The text to encrypt
+	 * @param key The encoded encryption key
+	 * @param cipher The cipher to use (NewgroundsIO_Encryption.AES_128 or NewgroundsIO_Encryption.RC4)
+	 * @param format How the key and result are encoded (NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX)
+	 * @param iv The 16 byte initialization vector to use with AES-128. Ignored by RC4.
+	 * @return The encrypted, encoded text. AES-128 results have the iv prepended.
+	 */
+	static encrypt(text: string, key: string, cipher: string, format: string, iv?: Array<number>): string;
+
+	/**
+	 * Gets 16 random bytes to use as an AES initialization vector
+	 */
+	static randomIV(): Array<number>;
+
+	/**
+	 * Encrypts bytes with AES in CBC mode, using PKCS#7 padding
+	 */
+	static aesCBC(key: Array<number>, iv: Array<number>, data: Array<number>): Array<number>;
+
+	/**
+	 * Encrypts (or decrypts) bytes with RC4
+	 */
+	static rc4(key: Array<number>, data: Array<number>): Array<number>;
+
+	/**
+	 * Encodes bytes as a string
+	 */
+	static encode(bytes: Array<number>, format: string): string;
+
+	/**
+	 * Decodes a string to bytes
+	 */
+	static decode(text: string, format: string): Array<number>;
+
+	/**
+	 * Gets the UTF-8 bytes of a string
+	 */
+	static toUTF8(text: string): Array<number>;
+
+	/**
+	 * Cipher for AES-128 (CBC) encryption
+	 */
+	static AES_128: "aes-128";
+
+	/**
+	 * Cipher for RC4 encryption
+	 */
+	static RC4: "rc4";
+
+	/**
+	 * Format for Base64 encoded keys and results
+	 */
+	static BASE64: "base64";
+
+	/**
+	 * Format for hex encoded keys and results
+	 */
+	static HEX: "hex";
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_Encryption
+	 */
+	const Encryption: typeof NewgroundsIO_Encryption;
+	type Encryption = NewgroundsIO_Encryption;
+}
+`;
+		return template;
+	}
+}
@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the error class of failed execute() calls
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_ExecuteError class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The optional details passed to the NewgroundsIO_ExecuteError constructor
+ */
+interface NewgroundsIO_ExecuteError_Props {
+	code?: number | null;
+	component?: NewgroundsIO_components | Array<NewgroundsIO_components> | null;
+	response?: NewgroundsIO_objects_Response | null;
+	result?: NewgroundsIO_results | null;
+}
+
+/**
+ * Rejected by NewgroundsIO.execute() when a component could not be sent, the request failed, or the component failed.
+ */
+declare class NewgroundsIO_ExecuteError extends Error {
+
+	/**
+	 * Constructor
+	 * @param type Where the failure happened. One of the NewgroundsIO_ExecuteError type constants.
+	 * @param message Details about what went wrong
+	 * @param props Any additional info
+	 */
+	constructor(type: string, message: string, props?: NewgroundsIO_ExecuteError_Props);
+
+	/**
+	 * Where the failure happened. One of the NewgroundsIO_ExecuteError type constants.
+	 */
+	type: string;
+
+	/**
+	 * The error code from the server, if there was one
+	 */
+	code: number | null;
+
+	/**
+	 * The name of the component that failed (ie 'Medal.unlock')
+	 */
+	component: string | null;
+
+	/**
+	 * The response from the server, if there was one
+	 */
+	response: NewgroundsIO_objects_Response | null;
+
+	/**
+	 * The result for the component, if there was one
+	 */
+	result: NewgroundsIO_results | null;
+
+	/**
+	 * The component was not valid and could not be sent
+	 */
+	static INVALID_COMPONENT: "invalid_component";
+
+	/**
+	 * The request failed, or the server returned an error for the whole request
+	 */
+	static REQUEST_FAILED: "request_failed";
+
+	/**
+	 * The server returned an error for the component
+	 */
+	static COMPONENT_FAILED: "component_failed";
+
+	/**
+	 * The server could not be reached, even after retrying the request as many times as the scheduler allows
+	 */
+	static EXCEEDED_MAX_ATTEMPTS: "exceeded_max_attempts";
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_ExecuteError
+	 */
+	const ExecuteError: typeof NewgroundsIO_ExecuteError;
+	type ExecuteError = NewgroundsIO_ExecuteError;
+}
+`;
+		return template;
+	}
+}
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the request scheduler
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_RequestScheduler class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * Spaces out requests so we don't get blocked by DDOS protection, and retries requests that failed to reach the server.
+ * Only requests where every component is idempotent get retried.
+ */
+declare class NewgroundsIO_RequestScheduler {
+
+	/**
+	 * Constructor
+	 * @param options Optional settings
+	 */
+	constructor(options?: NewgroundsIO.SchedulerOptions);
+
+	/**
+	 * The minimum number of milliseconds between requests
+	 */
+	min_interval: number;
+
+	/**
+	 * The most times a request will be sent before giving up
+	 */
+	max_attempts: number;
+
+	/**
+	 * The number of milliseconds to wait before the first retry
+	 */
+	retry_delay: number;
+
+	/**
+	 * The longest a retry will wait, in milliseconds
+	 */
+	max_retry_delay: number;
+
+	/**
+	 * The number of requests waiting to be sent (not counting any waiting to be retried)
+	 */
+	readonly pending: number;
+
+	/**
+	 * Adds a request to the schedule. It will be sent right away if enough time has passed since the last one.
+	 * @param post Sends the request, then calls done like a transport would
+	 * @param retryable Set to true if the request is safe to send more than once
+	 * @param callback Gets the outcome, and the number of times the request was sent
+	 */
+	schedule(post: (done: (error: string | null, responseText: string | null) => void) => void, retryable: boolean, callback: (error: string | null, responseText: string | null, attempts: number) => void): void;
+
+	/**
+	 * Gets how long to wait, in milliseconds, before retrying a request that has been sent this many times
+	 */
+	getRetryDelay(attempts: number): number;
+
+	/** The default minimum number of milliseconds between requests */
+	static MIN_INTERVAL: number;
+
+	/** The default number of times a request will be sent before giving up */
+	static MAX_ATTEMPTS: number;
+
+	/** The default number of milliseconds to wait before the first retry */
+	static RETRY_DELAY: number;
+
+	/** The default longest a retry will wait, in milliseconds */
+	static MAX_RETRY_DELAY: number;
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_RequestScheduler
+	 */
+	const RequestScheduler: typeof NewgroundsIO_RequestScheduler;
+	type RequestScheduler = NewgroundsIO_RequestScheduler;
+
+	/**
+	 * Optional settings for NewgroundsIO_RequestScheduler. These can also be passed to the NewgroundsIO constructor.
+	 */
+	interface SchedulerOptions {
+		min_interval?: number;
+		max_attempts?: number;
+		retry_delay?: number;
+		max_retry_delay?: number;
+	}
+}
+`;
+		return template;
+	}
+}
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the session state constants
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_SessionState constants
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The states a NewgroundsIO_objects_Session can be in while its update() loop runs.
+ */
+declare const NewgroundsIO_SessionState: {
+
+	/** We don't know anything about the session yet. */
+	readonly SESSION_UNINITIALIZED: "session-uninitialized";
+
+	/** We're waiting for the server to respond. */
+	readonly WAITING_FOR_SERVER: "waiting-for-server";
+
+	/** We have a session, but the user needs to log in. */
+	readonly LOGIN_REQUIRED: "login-required";
+
+	/** The passport page was opened and we're waiting for the user to log in. */
+	readonly WAITING_FOR_USER: "waiting-for-user";
+
+	/** The user cancelled the login. */
+	readonly LOGIN_CANCELLED: "login-cancelled";
+
+	/** The user is logged in. */
+	readonly LOGIN_SUCCESSFUL: "login-successful";
+
+	/** The login failed. */
+	readonly LOGIN_FAILED: "login-failed";
+
+	/** The user logged out. */
+	readonly USER_LOGGED_OUT: "user-logged-out";
+
+	/** The server didn't respond as expected, it may be down. */
+	readonly SERVER_UNAVAILABLE: "server-unavailable";
+
+	/** We failed to reach the server too many times in a row and gave up. */
+	readonly EXCEEDED_MAX_ATTEMPTS: "exceeded-max-attempts";
+
+	/** The states that mean we're still waiting on the server or user */
+	readonly SESSION_WAITING: Array<string>;
+};
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_SessionState
+	 */
+	const SessionState: typeof NewgroundsIO_SessionState;
+
+	/**
+	 * One of the NewgroundsIO.SessionState values
+	 */
+	type SessionStatus = "session-uninitialized" | "waiting-for-server" | "login-required" | "waiting-for-user" | "login-cancelled" | "login-successful" | "login-failed" | "user-logged-out" | "server-unavailable" | "exceeded-max-attempts";
+}
+`;
+		return template;
+	}
+}
@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the session storage base class
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_SessionStorage class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The methods of localStorage that NewgroundsIO_WebSessionStorage uses. Any object with these can be used as the 'storage' option.
+ */
+interface NewgroundsIO_Storage {
+	getItem(key: string): string | null;
+	setItem(key: string, value: string): void;
+	removeItem(key: string): void;
+}
+
+/**
+ * The base class for places a remembered session id can be saved, keyed by app_id.
+ * Extend this (or make any object with the same three methods) to save sessions somewhere else, ie an encrypted file.
+ * If you use the outbox, override getOutbox(), setOutbox() and removeOutbox() too, or unsent calls will only be kept in memory.
+ */
+declare class NewgroundsIO_SessionStorage {
+
+	/**
+	 * Gets the remembered session id for an app, or null if there isn't one
+	 */
+	getSessionId(app_id: string): string | null;
+
+	/**
+	 * Remembers the session id for an app
+	 */
+	setSessionId(app_id: string, session_id: string): void;
+
+	/**
+	 * Forgets the session id for an app
+	 */
+	removeSessionId(app_id: string): void;
+
+	/**
+	 * Gets the JSON encoded outbox for an app, or null if there isn't one
+	 */
+	getOutbox(app_id: string): string | null;
+
+	/**
+	 * Saves the JSON encoded outbox for an app
+	 */
+	setOutbox(app_id: string, outbox: string): void;
+
+	/**
+	 * Deletes the saved outbox for an app
+	 */
+	removeOutbox(app_id: string): void;
+
+	/**
+	 * Registers a storage backend so it can be selected by name with the 'storage' option.
+	 * The factory won't be called until something uses this name.
+	 */
+	static register(name: string, factory: () => NewgroundsIO.SessionStorageBackend): void;
+
+	/**
+	 * Gets a storage backend from the value of the 'storage' option.
+	 * If this is omitted, localStorage will be used if it's available, or memory if not.
+	 */
+	static create(storage?: NewgroundsIO.StorageOption): NewgroundsIO.SessionStorageBackend;
+
+	/**
+	 * The name of the localStorage backend
+	 */
+	static readonly LOCAL: "local";
+
+	/**
+	 * The name of the in-memory backend
+	 */
+	static readonly MEMORY: "memory";
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_SessionStorage
+	 */
+	const SessionStorage: typeof NewgroundsIO_SessionStorage;
+	type SessionStorage = NewgroundsIO_SessionStorage;
+
+	/**
+	 * Anything with the methods of NewgroundsIO_SessionStorage, whether or not it extends the class
+	 */
+	type SessionStorageBackend = Pick<NewgroundsIO_SessionStorage, "getSessionId" | "setSessionId" | "removeSessionId"> & Partial<Pick<NewgroundsIO_SessionStorage, "getOutbox" | "setOutbox" | "removeOutbox">>;
+
+	/**
+	 * A registered storage name, a storage backend, or an object with localStorage's methods
+	 */
+	type StorageOption = string | SessionStorageBackend | NewgroundsIO_Storage;
+}
+`;
+		return template;
+	}
+}
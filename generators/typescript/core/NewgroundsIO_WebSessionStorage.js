@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the localStorage session storage backend
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_WebSessionStorage class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * Saves session ids in localStorage, or any other object with the same getItem, setItem and removeItem methods.
+ */
+declare class NewgroundsIO_WebSessionStorage extends NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 * @param storage The storage to use. Defaults to localStorage.
+	 */
+	constructor(storage?: NewgroundsIO_Storage);
+
+	/**
+	 * The storage session ids are saved in
+	 */
+	storage: NewgroundsIO_Storage;
+
+	/**
+	 * Gets the key an app's session id is saved under
+	 */
+	static getKey(app_id: string): string;
+
+	/**
+	 * Gets the key an app's outbox is saved under
+	 */
+	static getOutboxKey(app_id: string): string;
+
+	/**
+	 * Checks if localStorage can be used
+	 */
+	static isAvailable(): boolean;
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_WebSessionStorage
+	 */
+	const WebSessionStorage: typeof NewgroundsIO_WebSessionStorage;
+	type WebSessionStorage = NewgroundsIO_WebSessionStorage;
+}
+`;
+		return template;
+	}
+}
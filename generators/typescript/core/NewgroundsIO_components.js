@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for the base class of components
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations for the NewgroundsIO_components class
+	 */
+	getTemplate: function() 
+	{
+		const template = `
+/**
+ * The base class for every NewgroundsIO component.
+ */
+declare class NewgroundsIO_components extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor(props?: object);
+}
+`;
+		return template;
+	}
+}
@@ -0,0 +1,426 @@
+'use strict';
+const javascript = require('../javascript/generate.js');
+
+/**
+ * This module is used to generate TypeScript declaration files for the classes made by the javascript generator
+ */
+module.exports = {
+
+	/* =========================================== CODE GENERATORS =========================================== */
+
+	/* ------------------------------------------- Core Classes ------------------------------------------- */
+
+	/**
+	 * Declarations for the same core classes the javascript generator creates
+	 * @type {Array.<string>}
+	 */
+	coreClasses: javascript.coreClasses,
+
+	/**
+	 * Generates the declarations for the namespace and base classes every generated class depends on
+	 * @return {Array.<Array.<string>>} A list of [filename, code] pairs
+	 */
+	generateCoreClasses: function()
+	{
+		return this.coreClasses.map(className => [className + ".d.ts", require("./core/" + className + ".js").getTemplate()]);
+	},
+
+	/* ------------------------------------------- Componet Objetcs ------------------------------------------- */
+
+	/**
+	 * Generates the declarations for a component class
+	 * @param {string} componentName The name of the component
+	 * @param {string} methodName The name of the method
+	 * @param {object} methodData All the data about the method
+	 * @param {object} partials An optional partials module for this class
+	 * @return {string}
+	 */
+	generateComponentObject: function(componentName,methodName,methodData,partials)
+	{
+		let className = `NewgroundsIO_components_${componentName}_${methodName}`;
+		let params = methodData.params ? methodData.params : {};
+
+		const template = `
+${this.getPropsInterface(className, params, true)}
+
+/**
+ * Used to call the ${componentName}.${methodName} component.
+ */
+declare class ${className} extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: ${className}_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "${componentName}.${methodName}";
+${this.getPropertyDeclarations(params)}
+${partials && partials.getClassPartial ? partials.getClassPartial() : ''}
+}
+`;
+
+		let filename = componentName + "/" + methodName + ".d.ts";
+		return [filename, template];
+	},
+
+	/* ------------------------------------------- Result Objetcs ------------------------------------------- */
+
+	/**
+	 * Generates the declarations for a result class
+	 * @param {string} componentName The name of the component
+	 * @param {string} methodName The name of the method
+	 * @param {object} resultData All the data about the result object
+	 * @param {object} partials An optional partials module for this class
+	 * @return {string}
+	 */
+	generateResultObject: function(componentName,methodName,resultData,partials)
+	{
+		let className = `NewgroundsIO_results_${componentName}_${methodName}`;
+		let properties = resultData ? resultData : {};
+
+		const template = `
+${this.getPropsInterface(className, properties, false, 'NewgroundsIO_results_Props')}
+
+/**
+ * Returned when ${componentName}.${methodName} component is called
+ */
+declare class ${className} extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: ${className}_Props);
+${this.getPropertyDeclarations(properties)}
+${partials && partials.getClassPartial ? partials.getClassPartial() : ''}
+}
+`;
+
+		let filename = componentName + "/" + methodName + ".d.ts";
+		return [filename, template];
+	},
+
+	/* ------------------------------------------- Model Objetcs ------------------------------------------- */
+
+	/**
+	 * Generates the declarations for an object class
+	 * @param {string} objectName The name of the object being generated
+	 * @param {object} objectData All the data about the object from the main document
+	 * @param {object} partials An optional partials module for this class
+	 * @return {string}
+	 */
+	generateObject: function(objectName,objectData,partials)
+	{
+		// there's no model for this, results get their own classes
+		if (objectName === "Result") return "";
+
+		let className = `NewgroundsIO_objects_${objectName}`;
+		let properties = objectData.properties ? objectData.properties : {};
+
+		const template = `
+${this.getPropsInterface(className, properties, false)}
+
+/**
+${objectData.description ? ` * ${this.formatJSDocDescription(objectData.description, "")}` : ''}
+ */
+declare class ${className} extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: ${className}_Props);
+${this.getPropertyDeclarations(properties)}
+${partials && partials.getClassPartial ? partials.getClassPartial() : ''}
+}
+`;
+
+		let filename = objectName + ".d.ts";
+		return [filename, template];
+	},
+
+	/* ------------------------------------------- Object Index ------------------------------------------- */
+
+	/**
+	 * Generates index.d.ts, which references every other declaration file and declares the NewgroundsIO namespace aliases and object index
+	 * @param {object} objectLists Lists of every object, component and result name that was generated
+	 * @return {string}
+	 */
+	generateObjectIndex: function(objectLists)
+	{
+		let objects = objectLists.objects.filter(name => name !== "Result");
+
+		let references = []
+			.concat(this.coreClasses.map(className => `core/${className}.d.ts`))
+			.concat(objects.map(name => `objects/${name}.d.ts`))
+			.concat(objectLists.components.map(name => `components/${name.replace(".", "/")}.d.ts`))
+			.concat(objectLists.results.map(name => `results/${name.replace(".", "/")}.d.ts`));
+
+		const template = `${references.map(path => `/// <reference path="./${path}" />`).join('\n')}
+
+/**
+ * Maps component names to the result classes they return, so NewgroundsIO.execute() can resolve to the right type
+ */
+interface NewgroundsIO_ResultMap {
+	${objectLists.results.map(name => `"${name}": NewgroundsIO_results_${name.replace(".", "_")};`).join('\n\t')}
+}
+
+/**
+ * Maps object names to their classes
+ */
+interface NewgroundsIO_ObjectMap {
+	${objects.map(name => `"${name}": NewgroundsIO_objects_${name};`).join('\n\t')}
+}
+
+/**
+ * Maps component names to their classes
+ */
+interface NewgroundsIO_ComponentMap {
+	${objectLists.components.map(name => `"${name}": NewgroundsIO_components_${name.replace(".", "_")};`).join('\n\t')}
+}
+
+/**
+ * The metadata NewgroundsIO_ObjectIndex lists for each component
+ */
+interface NewgroundsIO_ComponentInfo {
+	description: string;
+	secure: boolean;
+	require_session: boolean;
+	idempotent: boolean;
+	params: { [name: string]: object };
+	return: { [name: string]: object };
+}
+
+/**
+ * Creates object, component and result instances from their string names (case insensitive) and decoded or encoded JSON.
+ */
+declare class NewgroundsIO_ObjectIndex {
+	static createObject<K extends keyof NewgroundsIO_ObjectMap>(name: K, json?: object | string): NewgroundsIO_ObjectMap[K];
+	static createObject(name: string, json?: object | string): NewgroundsIO_objects | null;
+	static createComponent<K extends keyof NewgroundsIO_ComponentMap>(name: K, json?: object | string): NewgroundsIO_ComponentMap[K];
+	static createComponent(name: string, json?: object | string): NewgroundsIO_components | null;
+	static createResult<K extends keyof NewgroundsIO_ResultMap>(name: K, json?: object | string): NewgroundsIO_ResultMap[K];
+	static createResult(name: string, json?: object | string): NewgroundsIO_results | null;
+	static getComponentInfo(name: string): NewgroundsIO_ComponentInfo | null;
+	static getComponentNames(filter?: Partial<NewgroundsIO_ComponentInfo>): Array<string>;
+
+	/**
+	 * The name of every object model
+	 */
+	static objects: Array<keyof NewgroundsIO_ObjectMap>;
+
+	/**
+	 * The name of every component with a result class
+	 */
+	static results: Array<keyof NewgroundsIO_ResultMap>;
+
+	/**
+	 * Every component, by name, with its metadata
+	 */
+	static components: { [K in keyof NewgroundsIO_ComponentMap]: NewgroundsIO_ComponentInfo };
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_ObjectIndex
+	 */
+	const ObjectIndex: typeof NewgroundsIO_ObjectIndex;
+
+	namespace objects {
+		${objects.map(name => this.getAliasDeclaration(name, `NewgroundsIO_objects_${name}`)).join('\n\t\t')}
+	}
+
+	namespace components {
+		${this.getNamespaceDeclarations(objectLists.components, 'NewgroundsIO_components_')}
+	}
+
+	namespace results {
+		${this.getNamespaceDeclarations(objectLists.results, 'NewgroundsIO_results_')}
+	}
+}
+`;
+
+		return ["index.d.ts", template];
+	},
+
+
+	/* =========================================== HELPER METHODS =========================================== */
+
+	/**
+	 * Gets the TypeScript type a property will have when it is read
+	 * @param {object} property The property object from the objects document
+	 * @returns {string} a TypeScript type
+	 */
+	getTSType: function(property)
+	{
+		// this property can accept an array of values
+		if (typeof(property.array) !== 'undefined') {
+			let atype = this.getTSType(property.array);
+
+			// this property can accept either a flat value, OR an array of values
+			if (typeof(property.type) !== 'undefined' || typeof(property.object) !== 'undefined') {
+				return this.getTSType({type: property.type, object: property.object}) + " | Array<" + atype + ">";
+
+			// this property can ONLY accept an array of values
+			} else {
+				return "Array<" + atype + ">";
+			}
+		}
+
+		// there is no Result model, responses cast each result to the class registered to its component
+		if (property.object === "Result") return 'NewgroundsIO_results';
+
+		// this property needs to be an instance of another NGIO object
+		if (typeof(property.object) !== 'undefined') return 'NewgroundsIO_objects_' + property.object;
+
+		// this is a flat type
+		return this.getTSNativeType(property.type);
+	},
+
+
+	/**
+	 * Gets the TypeScript type(s) a property can be set to. Plain objects are allowed wherever a model is expected, because setters hydrate them.
+	 * @param {object} property The property object from the objects document
+	 * @returns {string} a TypeScript type
+	 */
+	getTSInputType: function(property)
+	{
+		if (typeof(property.array) !== 'undefined') {
+			let atype = this.getTSInputType(property.array);
+
+			if (typeof(property.type) !== 'undefined' || typeof(property.object) !== 'undefined') {
+				return this.getTSInputType({type: property.type, object: property.object}) + " | Array<" + atype + ">";
+			} else {
+				return "Array<" + atype + ">";
+			}
+		}
+
+		if (property.object === "Result") return 'NewgroundsIO_results | object';
+
+		if (typeof(property.object) !== 'undefined') return '(NewgroundsIO_objects_' + property.object + ' | NewgroundsIO_objects_' + property.object + '_Props)';
+
+		return this.getTSNativeType(property.type);
+	},
+
+
+	/**
+	 * Converts type names from the object document to native TypeScript types
+	 * @param {string} type_from_doc The data type as defined in the document
+	 * @return {string} The comparable TypeScript type
+	 */
+	getTSNativeType: function(type_from_doc)
+	{
+		var replace = [
+			[ 'int',    'float',  'string', 'boolean', 'object' ],
+			[ 'number', 'number', 'string', 'boolean', 'object' ]
+		];
+
+		let i = replace[0].indexOf(type_from_doc);
+
+		return i >= 0 ? replace[1][i] : 'any';
+	},
+
+
+	/**
+	 * Formats descriptions, from the object document, to doc comment friendly strings
+	 * @param {string} description The original description text
+	 * @param {string} tab Any additional indentation to add to new lines
+	 * @return {string}
+	 */
+	formatJSDocDescription: function(description, tab)
+	{
+		return javascript.formatJSDocDescription(description, tab);
+	},
+
+
+	/**
+	 * Generates the interface for the props object a class constructor accepts
+	 * @param {string} className The name of the class the props are for
+	 * @param {object} properties The properties from the objects document
+	 * @param {Boolean} useRequired If true, required properties can't be left out
+	 * @param {string} baseInterface An optional interface to extend
+	 * @returns {string} TypeScript declarations
+	 */
+	getPropsInterface: function(className,properties,useRequired,baseInterface)
+	{
+		let _out = `/**\n * The properties that can be passed to the ${className} constructor\n */\n`;
+		_out += `interface ${className}_Props${baseInterface ? ' extends ' + baseInterface : ''} {`;
+
+		Object.entries(properties).forEach(([name, property]) => {
+			let required = useRequired && property.required;
+			_out += `\n\t${name}${required ? '' : '?'}: ${this.getTSInputType(property)}${required ? '' : ' | null'};`;
+		});
+
+		return _out + "\n}";
+	},
+
+
+	/**
+	 * Generates declarations for every property in a class
+	 * @param {object} properties The properties from the objects document
+	 * @returns {string} TypeScript declarations
+	 */
+	getPropertyDeclarations: function(properties)
+	{
+		return Object.entries(properties).map(([name, property]) => {
+			let _out = `\n\t/**\n`;
+			if (property.description) _out += `\t * ${this.formatJSDocDescription(property.description, "\t")}\n`;
+			_out += `\t */\n`;
+
+			let type = this.getTSType(property);
+			let inputType = this.getTSInputType(property);
+
+			// setters hydrate plain objects, so they accept more than the getters return
+			if (type === inputType) {
+				_out += `\t${name}: ${type} | null;\n`;
+			} else {
+				_out += `\tget ${name}(): ${type} | null;\n`;
+				_out += `\tset ${name}(_${name}: ${inputType} | null);\n`;
+			}
+
+			return _out;
+		}).join("");
+	},
+
+
+	/**
+	 * Declares a class alias, as both a value and a type, in a namespace
+	 * @param {string} name The name of the alias
+	 * @param {string} className The name of the class it points to
+	 * @returns {string} TypeScript declarations
+	 */
+	getAliasDeclaration: function(name,className)
+	{
+		return `const ${name}: typeof ${className};\n\t\ttype ${name} = ${className};`;
+	},
+
+
+	/**
+	 * Declares the sub-namespaces for a list of components or results
+	 * @param {Array.<string>} names The component names (ie 'Medal.unlock')
+	 * @param {string} prefix The class prefix (ie 'NewgroundsIO_components_')
+	 * @returns {string} TypeScript declarations
+	 */
+	getNamespaceDeclarations: function(names,prefix)
+	{
+		let grouped = {};
+
+		names.forEach(name => {
+			let [componentName, methodName] = name.split(".");
+			if (!grouped[componentName]) grouped[componentName] = [];
+			grouped[componentName].push(methodName);
+		});
+
+		return Object.entries(grouped).map(([componentName, methods]) => {
+			return `namespace ${componentName} {\n\t\t\t` +
+				methods.map(methodName => this.getAliasDeclaration(methodName, prefix + componentName + "_" + methodName).replace("\n\t\t", "\n\t\t\t")).join('\n\t\t\t') +
+				`\n\t\t}`;
+		}).join('\n\t\t');
+	}
+
+}
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for object models
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations to inject into the NewgroundsIO_objects_Execute class
+	 */
+	getClassPartial: function() 
+	{
+		return `
+	/**
+	 * Set a component object to execute
+	 * @param component Any NGIO component object
+	 */
+	setComponent(component: NewgroundsIO_components): void;
+		`;
+	}
+}
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for object models
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations to inject into the NewgroundsIO_objects_Request class
+	 */
+	getClassPartial: function() 
+	{
+		return `
+	/**
+	 * Executes a component, or an array of components, and calls a function when the server responds
+	 * @param component Any NGIO component object, or an array of NGIO components
+	 * @param callback An optional function to call when the server responds
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 * @return will return false if the request failed to send
+	 */
+	send(component: NewgroundsIO_components | Array<NewgroundsIO_components>, callback?: (response: NewgroundsIO_objects_Response) => void, thisArg?: any): boolean;
+		`;
+	}
+}
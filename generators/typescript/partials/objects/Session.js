@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for object models
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations to inject into the NewgroundsIO_objects_Session class
+	 */
+	getClassPartial: function() 
+	{
+		return `
+	/**
+	 * The current state of this session. Will be one of the NewgroundsIO.SessionState constants.
+	 */
+	readonly status: NewgroundsIO.SessionStatus;
+
+	/**
+	 * Will be true if the status has changed since the last time update() was called
+	 */
+	readonly statusChanged: boolean;
+
+	/**
+	 * Will be true if the current state is a waiting state
+	 */
+	readonly waiting: boolean;
+
+	getSessionStorageKey(): string;
+
+	/**
+	 * Checks if we have a session id that can be used with components requiring a session
+	 */
+	isActive(): boolean;
+
+	/**
+	 * Logs details about why this session can't be used yet
+	 */
+	logProblems(): void;
+
+	wasServerValidated(): boolean;
+
+	/**
+	 * Adds a function to call whenever update() sees a change in status
+	 * @param listener Will be passed this session object
+	 * @param thisArg An optional value to use as 'this' when executing listener
+	 */
+	addStatusListener(listener: (session: NewgroundsIO_objects_Session) => void, thisArg?: any): void;
+
+	/**
+	 * Removes a function that was added with addStatusListener()
+	 * @param listener The function to remove
+	 */
+	removeStatusListener(listener: (session: NewgroundsIO_objects_Session) => void): void;
+
+	/**
+	 * Opens the Newgrounds Passport login page in a new browser tab
+	 */
+	openLoginPage(): void;
+
+	/**
+	 * Logs the user out of their current session, locally and on the server, then calls a function when complete
+	 * @param callback An optional function to call when complete
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 */
+	logOut(callback?: (session: NewgroundsIO_objects_Session) => void, thisArg?: any): void;
+
+	/**
+	 * Cancels a pending login attempt
+	 * @param newStatus An optional status code to use if LOGIN_CANCELLED is insufficient
+	 */
+	cancelLogin(newStatus?: NewgroundsIO.SessionStatus): void;
+
+	/**
+	 * Call this to update the session process and call a function if there are any changes
+	 * @param callback An optional function to call if the status changed
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 */
+	update(callback?: (session: NewgroundsIO_objects_Session) => void, thisArg?: any): void;
+
+	/**
+	 * Resets our current session object, then makes the API call to get a new session
+	 */
+	startSession(): void;
+
+	/**
+	 * Calls the API to see what the status of our current session is
+	 */
+	checkSession(): void;
+
+	/**
+	 * Ends the current session on the server
+	 * @param callback An optional function to call when complete
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 */
+	endSession(callback?: (session: NewgroundsIO_objects_Session) => void, thisArg?: any): void;
+		`;
+	}
+}
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * This module is used to generate TypeScript declarations for component results
+ */
+module.exports = {
+
+	/**
+	 * return {string} Declarations to inject into the NewgroundsIO_results_ScoreBoard_getScores class
+	 */
+	getClassPartial: function() 
+	{
+		return `
+	/**
+	 * Finds a user's score in the list that was loaded
+	 * @param user The user, or their ID or name (not case sensitive)
+	 * @return The score, or null if the user isn't in this list
+	 */
+	getUserScore(user: NewgroundsIO_objects_User | number | string): NewgroundsIO_objects_Score | null;
+		`;
+	}
+}
@@ -0,0 +1,119 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Keeps every version of objects_and_components.json that has been downloaded, so builds can be pinned to one and
+ * repeated without a network connection.
+ *
+ * Versions are saved as {dir}/versions/{key}.json, where the key is the download date and the start of the
+ * document's SHA-256 (ie '2024-03-01-9f86d081').  The lockfile, {dir}/objects_and_components.lock.json, records
+ * where each version came from and its full checksum:
+ *
+ *   {
+ *     "current": "2024-03-01-9f86d081",
+ *     "versions": {
+ *       "2024-03-01-9f86d081": {"file": "versions/2024-03-01-9f86d081.json", "sha256": "9f86d081...", "source": "https://...", "date": "2024-03-01T12:00:00.000Z"}
+ *     }
+ *   }
+ */
+class DocCache {
+
+	/**
+	 * Constructor
+	 * @param {string} dir The directory to keep the versions and lockfile in
+	 */
+	constructor(dir)
+	{
+		this.dir = dir;
+		this.lock_file = path.join(dir, "objects_and_components.lock.json");
+	}
+
+	/**
+	 * Gets the contents of the lockfile
+	 * @return {object} The lockfile, with current (the latest version key, or null) and versions properties
+	 */
+	getLock()
+	{
+		if (!fs.existsSync(this.lock_file)) return { current: null, versions: {} };
+
+		let lock = JSON.parse(String(fs.readFileSync(this.lock_file)));
+		if (!lock.versions) lock.versions = {};
+
+		return lock;
+	}
+
+	/**
+	 * Saves a new version of the documentation and makes it the current version.
+	 * If the same document was saved before, that version is reused.
+	 * @param {string} contents The documentation, exactly as downloaded
+	 * @param {string} source The URL or file it came from
+	 * @param {Date} date When it was downloaded (defaults to now)
+	 * @return {object} The version's lockfile entry, with its key and an isNew property
+	 */
+	add(contents, source, date)
+	{
+		let lock = this.getLock();
+		let sha256 = DocCache.getChecksum(contents);
+
+		let key = Object.keys(lock.versions).find(key => lock.versions[key].sha256 === sha256);
+		let isNew = !key;
+
+		if (isNew) {
+			date = date || new Date();
+			key = date.toISOString().substr(0, 10) + "-" + sha256.substr(0, 8);
+
+			lock.versions[key] = {
+				file: "versions/" + key + ".json",
+				sha256: sha256,
+				source: source,
+				date: date.toISOString()
+			};
+
+			fs.mkdirSync(path.join(this.dir, "versions"), { recursive: true });
+			fs.writeFileSync(path.join(this.dir, lock.versions[key].file), contents);
+		}
+
+		lock.current = key;
+		fs.writeFileSync(this.lock_file, JSON.stringify(lock, null, "\t"));
+
+		return Object.assign({ key: key, isNew: isNew }, lock.versions[key]);
+	}
+
+	/**
+	 * Loads a saved version, making sure it hasn't changed since it was saved
+	 * @param {string} key The version key
+	 * @return {string} The documentation. Throws an error message if the version is unknown, missing or doesn't match its checksum.
+	 */
+	load(key)
+	{
+		let versions = this.getLock().versions;
+		let version = Object.prototype.hasOwnProperty.call(versions, key) ? versions[key] : null;
+		if (!version) throw("Version '" + key + "' of the object documentation isn't in " + this.lock_file);
+
+		let file = path.join(this.dir, version.file);
+		if (!fs.existsSync(file)) throw("Version '" + key + "' of the object documentation is missing from " + file);
+
+		let contents = String(fs.readFileSync(file));
+		let sha256 = DocCache.getChecksum(contents);
+
+		if (sha256 !== version.sha256) {
+			throw("Version '" + key + "' of the object documentation doesn't match its checksum in " + this.lock_file + " (expected " + version.sha256 + ", got " + sha256 + ")");
+		}
+
+		return contents;
+	}
+
+	/**
+	 * Gets the SHA-256 of a document
+	 * @param {string} contents
+	 * @return {string} The checksum, in hex
+	 */
+	static getChecksum(contents)
+	{
+		return crypto.createHash("sha256").update(contents).digest("hex");
+	}
+}
+
+module.exports = DocCache;
@@ -0,0 +1,173 @@
+'use strict';
+const validateDocs = require('./validate_docs.js');
+
+/**
+ * Applies a local overlay to objects_and_components.json, so missing descriptions, defaults or components that are
+ * still in beta can be added without editing the downloaded document.
+ *
+ * An overlay is either:
+ *   A JSON merge patch (RFC 7386): an object that is merged over the document, where null removes a value, ie
+ *     {"components": {"Medal": {"methods": {"unlock": {"description": "Unlocks a medal."}}}}}
+ *
+ *   A list of JSON patch operations (RFC 6902), limited to add, replace and remove, ie
+ *     [{"op": "replace", "path": "/components/Medal/methods/unlock/description", "value": "Unlocks a medal."}]
+ *
+ * Anything an overlay adds is reported.  Adding a whole component, method or object also gets a warning, because it's
+ * either something still in beta or a patch for something that was removed upstream.  Use replace and remove
+ * operations for changes that only make sense if their target still exists; they're skipped, with a warning, if it doesn't.
+ *
+ * @param {object} docs The parsed objects_and_components.json document. It isn't modified.
+ * @param {object|Array.<object>} overlay The parsed overlay
+ * @return {object} A report with docs (the patched document), added, changed and removed (lists of paths, ie 'components.Medal.methods.unlock.description') and warnings (objects with path and message properties) properties. Throws an error message if the overlay isn't a valid patch.
+ */
+function applyOverlay(docs, overlay)
+{
+	let report = {
+		docs: JSON.parse(JSON.stringify(docs)),
+		added: [],
+		changed: [],
+		removed: [],
+		warnings: []
+	};
+
+	if (Array.isArray(overlay)) {
+		overlay.forEach((operation, index) => applyOperation(report, operation, index));
+	} else if (isObject(overlay)) {
+		mergePatch(report, report.docs, overlay, []);
+	} else {
+		throw("An overlay must be a JSON merge patch object, or a list of JSON patch operations");
+	}
+
+	return report;
+}
+
+// merges a patch object into a target object (found at the given keys), recording every change
+function mergePatch(report, target, patch, keys)
+{
+	for (const [key, value] of Object.entries(patch)) {
+		let keyPath = keys.concat([key]).reduce(getPath, "");
+		let exists = Object.prototype.hasOwnProperty.call(target, key);
+
+		if (value === null) {
+			if (exists) {
+				delete target[key];
+				report.removed.push(keyPath);
+			} else {
+				report.warnings.push({ path: keyPath, message: "Removes something that isn't in the documentation" });
+			}
+
+		} else if (isObject(value) && exists && isObject(target[key])) {
+			mergePatch(report, target[key], value, keys.concat([key]));
+
+		} else {
+			let newValue = isObject(value) ? withoutNulls(value) : value;
+			if (exists && JSON.stringify(target[key]) === JSON.stringify(newValue)) continue;
+
+			if (exists) report.changed.push(keyPath);
+			else addValue(report, keys.concat([key]));
+
+			target[key] = newValue;
+		}
+	}
+}
+
+// applies one JSON patch operation, recording the change or a warning if its target doesn't exist
+function applyOperation(report, operation, index)
+{
+	if (!isObject(operation) || typeof(operation.path) !== 'string') {
+		throw("Overlay operation " + index + " must be an object with op and path properties");
+	}
+
+	if (["add", "replace", "remove"].indexOf(operation.op) < 0) {
+		throw("Overlay operation " + index + " has an unsupported op " + JSON.stringify(operation.op) + ", expected add, replace or remove");
+	}
+
+	if (operation.op !== "remove" && !("value" in operation)) {
+		throw("Overlay operation " + index + " (" + operation.op + " " + operation.path + ") is missing a value");
+	}
+
+	let keys = parsePointer(operation.path, index);
+	let key = keys.pop();
+	let parentPath = keys.reduce(getPath, "");
+	let keyPath = getPath(parentPath, key);
+	let parent = report.docs;
+
+	for (const parentKey of keys) {
+		parent = isObject(parent) ? parent[parentKey] : undefined;
+	}
+
+	if (!isObject(parent)) {
+		report.warnings.push({ path: parentPath || "$", message: "Can't " + operation.op + " '" + key + "', this isn't in the documentation" });
+		return;
+	}
+
+	let exists = Object.prototype.hasOwnProperty.call(parent, key);
+
+	if (operation.op !== "add" && !exists) {
+		report.warnings.push({ path: keyPath, message: "Can't " + operation.op + " this, it isn't in the documentation" });
+		return;
+	}
+
+	if (operation.op === "remove") {
+		delete parent[key];
+		report.removed.push(keyPath);
+		return;
+	}
+
+	if (exists) report.changed.push(keyPath);
+	else addValue(report, keys.concat([key]));
+
+	parent[key] = operation.value;
+}
+
+// records something an overlay added, with a warning if it's a whole component, method or object
+function addValue(report, keys)
+{
+	let path = keys.reduce(getPath, "");
+	let kind = null;
+
+	if (keys.length === 2 && keys[0] === "components") kind = "a component";
+	if (keys.length === 4 && keys[0] === "components" && keys[2] === "methods") kind = "a method";
+	if (keys.length === 2 && keys[0] === "objects") kind = "an object";
+
+	report.added.push(path);
+
+	if (kind) {
+		report.warnings.push({ path: path, message: "Adds " + kind + " that isn't in the documentation" });
+	}
+}
+
+// splits a JSON pointer (ie '/components/Medal') into its keys
+function parsePointer(pointer, index)
+{
+	if (pointer[0] !== "/") throw("Overlay operation " + index + " has an invalid path " + JSON.stringify(pointer) + ", paths look like /components/Medal");
+
+	return pointer.substr(1).split("/").map(key => key.replaceAll("~1", "/").replaceAll("~0", "~"));
+}
+
+// copies a merge patch value that's being added, leaving out the nulls that would have removed something
+function withoutNulls(value)
+{
+	let copy = {};
+
+	for (const [key, child] of Object.entries(value)) {
+		if (child !== null) copy[key] = isObject(child) ? withoutNulls(child) : child;
+	}
+
+	return copy;
+}
+
+// true for plain objects (not arrays or null)
+function isObject(value)
+{
+	return value !== null && typeof(value) === 'object' && !Array.isArray(value);
+}
+
+// paths start without a leading dot, to match the ones validateDocs reports
+function getPath(path, key)
+{
+	let full = validateDocs.getPath(path, key);
+	return full[0] === "." ? full.substr(1) : full;
+}
+
+module.exports = applyOverlay;
@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Checks if a component is safe to send more than once, so the request scheduler can retry it.
+ * The document can say so with an 'idempotent' flag. Otherwise, components that only read data (get, load, check and ping methods) are idempotent.
+ * @param {string} methodName The name of the component's method
+ * @param {object} methodData All the data about the component's method
+ * @return {Boolean}
+ */
+function isIdempotent(methodName, methodData)
+{
+	if (typeof(methodData.idempotent) === 'boolean') return methodData.idempotent;
+	return !methodData.secure && /^(get|load|check|ping)/.test(methodName);
+}
+
+module.exports = isIdempotent;
@@ -0,0 +1,721 @@
+'use strict';
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * A local stand-in for the Newgrounds.io gateway, driven entirely by objects_and_components.json.
+ *
+ * Requests are checked against the documentation the same way the real server checks them, and every
+ * component returns a result built from its documented return values.  Use fixtures to replace those
+ * generated values with real-looking data, or with errors.
+ */
+class MockServer {
+
+	/**
+	 * Constructor
+	 * @param {object} objectDocs The parsed objects_and_components.json document
+	 * @param {object} options Any of the following:
+	 *   host:         The address to listen on (defaults to "localhost", so other machines can't reach it)
+	 *   app_id:       Only accept requests for this App ID (any App ID is accepted if this isn't set)
+	 *   aes_key:      The encryption key used to decrypt secure components
+	 *   cipher:       "aes-128" or "rc4"
+	 *   format:       "base64" or "hex"
+	 *   fixtures:     Canned results, by component name, ie {"Medal.getList": {"medals": [...]}, "Gateway.ping": {"error": {"code": 500, "message": "Down for maintenance"}}}
+	 *   user:         Properties to use for the User object that logs in
+	 *   auto_login:   Set to true to log new sessions in right away, skipping the passport page
+	 */
+	constructor(objectDocs, options)
+	{
+		if (!objectDocs || !objectDocs.objects || !objectDocs.components) throw("MockServer Error: Invalid object documentation");
+
+		options = options || {};
+
+		this.objectDocs = objectDocs;
+		this.host = options.host || "localhost";
+		this.app_id = options.app_id || null;
+		this.aes_key = options.aes_key || null;
+		this.cipher = options.cipher || MockServer.AES_128;
+		this.format = options.format || MockServer.BASE64;
+		this.fixtures = options.fixtures || {};
+		this.user = Object.assign(this.getSample("User"), {id: 1, name: "MockUser"}, options.user || {});
+		this.auto_login = options.auto_login ? true : false;
+
+		/**
+		 * Every session that has been started, by session id
+		 * @type {object}
+		 */
+		this.sessions = {};
+
+		/**
+		 * The base url of the server, once it is listening
+		 * @type {string}
+		 */
+		this.url = "http://" + this.host;
+
+		this.__server = null;
+	}
+
+	/* ------------------------------------------- HTTP ------------------------------------------- */
+
+	/**
+	 * Starts the HTTP server
+	 * @param {Number} port The port to listen on (0 picks any open port)
+	 * @param {Function} callback A function to call once the server is listening. Will receive the gateway url as a parameter.
+	 */
+	listen(port, callback)
+	{
+		this.__server = http.createServer((req, res) => this.handleHttp(req, res));
+
+		this.__server.listen(port, this.host, () => {
+			this.url = "http://" + this.host + ":" + this.__server.address().port;
+			if (typeof(callback) === "function") callback(this.url + "/gateway_v3.php");
+		});
+	}
+
+	/**
+	 * Stops the HTTP server
+	 * @param {Function} callback A function to call once the server has stopped
+	 */
+	close(callback)
+	{
+		if (!this.__server) {
+			if (typeof(callback) === "function") callback();
+			return;
+		}
+
+		this.__server.close(callback);
+		this.__server = null;
+	}
+
+	/**
+	 * Handles a request to the HTTP server.
+	 *   POST /gateway_v3.php    - The gateway. Expects a url-encoded 'input' field, just like the real thing.
+	 *   GET  /passport          - Stands in for the Newgrounds Passport page. Pass '&action=cancel' to cancel the login.
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 */
+	handleHttp(req, res)
+	{
+		let url = new URL(req.url, this.url);
+
+		// games running in a browser will be on a different origin
+		res.setHeader("Access-Control-Allow-Origin", "*");
+		res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+		if (req.method === "OPTIONS") {
+			res.writeHead(204);
+			res.end();
+			return;
+		}
+
+		if (url.pathname === "/passport") {
+			let session_id = url.searchParams.get("session_id");
+			let message;
+
+			if (!this.getSession(session_id)) {
+				message = "This session has expired.";
+			} else if (url.searchParams.get("action") === "cancel") {
+				this.cancelLogin(session_id);
+				message = "Login cancelled. You can close this window.";
+			} else {
+				this.login(session_id);
+				message = "Logged in as " + this.user.name + ". You can close this window.";
+			}
+
+			res.writeHead(200, {"Content-Type": "text/html"});
+			res.end("<!DOCTYPE html><html><head><title>Newgrounds Passport (mock)</title></head><body><p>" + message + "</p></body></html>");
+			return;
+		}
+
+		if (req.method !== "POST") {
+			res.writeHead(404, {"Content-Type": "text/plain"});
+			res.end("Not found");
+			return;
+		}
+
+		let body = "";
+
+		req.on("data", chunk => { body += chunk; });
+
+		req.on("end", () => {
+			let input = new URLSearchParams(body).get("input");
+			let response;
+
+			// a bug in a fixture (or here) shouldn't take the whole server down
+			try {
+				response = this.handleRequest(input);
+			} catch (e) {
+				console.error("MockServer Error:", e);
+				response = this.getErrorResponse(null, MockServer.SERVER_ERROR, "The mock server failed to handle this request: " + (e && e.message ? e.message : e));
+			}
+
+			res.writeHead(200, {"Content-Type": "application/json"});
+			res.end(JSON.stringify(response));
+		});
+	}
+
+	/* ------------------------------------------- Gateway ------------------------------------------- */
+
+	/**
+	 * Handles a single gateway request
+	 * @param {string|object} input The Request object, or the JSON string that was posted as 'input'
+	 * @return {object} The Response object
+	 */
+	handleRequest(input)
+	{
+		let started = Date.now();
+
+		if (input === null || typeof(input) === 'undefined' || input === "") {
+			return this.getErrorResponse(null, MockServer.MISSING_INPUT, "Missing required input.");
+		}
+
+		let request = input;
+
+		if (typeof(input) === 'string') {
+			try {
+				request = JSON.parse(input);
+			} catch (e) {
+				return this.getErrorResponse(null, MockServer.INVALID_INPUT, "Input is not valid JSON.");
+			}
+		}
+
+		if (!request || typeof(request) !== 'object' || Array.isArray(request)) {
+			return this.getErrorResponse(null, MockServer.INVALID_INPUT, "Input must be a Request object.");
+		}
+
+		if (!request.app_id) {
+			return this.getErrorResponse(null, MockServer.MISSING_PARAMETER, "Missing required property app_id.");
+		}
+
+		if (typeof(request.app_id) !== 'string' || (this.app_id && request.app_id !== this.app_id)) {
+			return this.getErrorResponse(request.app_id, MockServer.INVALID_APP_ID, "Invalid App ID.");
+		}
+
+		if (!request.execute || typeof(request.execute) !== 'object') {
+			return this.getErrorResponse(request.app_id, MockServer.MISSING_PARAMETER, "Missing required property execute.");
+		}
+
+		let response = {
+			app_id: request.app_id,
+			success: true
+		};
+
+		if (Array.isArray(request.execute)) {
+			response.result = request.execute.map(execute => this.execute(execute, request));
+		} else {
+			response.result = this.execute(request.execute, request);
+		}
+
+		if (request.debug) {
+			response.debug = {
+				exec_time: (Date.now() - started) + " ms",
+				request: request
+			};
+		}
+
+		if (typeof(request.echo) !== 'undefined') response.echo = request.echo;
+
+		return response;
+	}
+
+	/**
+	 * Runs a single Execute object
+	 * @param {object} execute The Execute object
+	 * @param {object} request The Request object it came in
+	 * @return {object} The Result object
+	 */
+	execute(execute, request)
+	{
+		let encrypted = false;
+
+		if (execute && typeof(execute.secure) === 'string') {
+			try {
+				execute = JSON.parse(this.decrypt(execute.secure));
+				encrypted = true;
+			} catch (e) {
+				return this.getErrorResult(null, MockServer.INVALID_ENCRYPTION, "Unable to decrypt secure component. Check your aes_key, cipher and format.");
+			}
+		}
+
+		if (!execute || typeof(execute) !== 'object' || !execute.component) {
+			return this.getErrorResult(null, MockServer.MISSING_PARAMETER, "Missing required property component.");
+		}
+
+		let component = execute.component;
+		let [name, method] = String(component).split(".");
+		let components = this.objectDocs.components;
+
+		// names like 'constructor' and '__proto__' aren't components, even though every object has them
+		let doc = hasOwn(components, name) && hasOwn(components[name].methods, method) ? components[name].methods[method] : null;
+
+		let result = doc ?
+			this.__run(component, doc, execute.parameters || {}, request.session_id, encrypted) :
+			this.getErrorResult(component, MockServer.INVALID_INPUT, "Invalid component: " + component);
+
+		if (typeof(execute.echo) !== 'undefined') result.echo = execute.echo;
+
+		return result;
+	}
+
+	// checks a component against its documentation, then builds its result
+	__run(component, doc, params, session_id, encrypted)
+	{
+		if (doc.secure && !encrypted) {
+			return this.getErrorResult(component, MockServer.INVALID_INPUT, component + " is a secure component and must be encrypted.");
+		}
+
+		if (typeof(params) !== 'object' || Array.isArray(params)) {
+			return this.getErrorResult(component, MockServer.INVALID_INPUT, "Parameters must be an object.");
+		}
+
+		let error = this.validateParams(doc.params || {}, params);
+		if (error) return this.getErrorResult(component, error.code, error.message);
+
+		let session = this.getSession(session_id);
+
+		if (doc.require_session) {
+			if (!session || session.expired) {
+				return this.getErrorResult(component, MockServer.EXPIRED_SESSION, "Session is invalid or has expired.");
+			}
+
+			// checking and ending a session works while we wait for the user to log in, nothing else does
+			if (!session.user && component !== "App.checkSession" && component !== "App.endSession") {
+				return this.getErrorResult(component, MockServer.LOGIN_REQUIRED, component + " requires a logged in user.");
+			}
+		}
+
+		let data = {};
+		if (doc.return) {
+			for (const [key, spec] of Object.entries(doc.return)) {
+				data[key] = this.getSampleValue(spec, MockServer.SAMPLE_DEPTH, key);
+			}
+		}
+
+		let builtin = this.__builtins[component];
+		if (builtin) {
+			let value = builtin.call(this, params, session);
+			if (value && value.error) return this.getErrorResult(component, value.error.code, value.error.message);
+			Object.assign(data, value);
+		}
+
+		let fixture = this.fixtures[component];
+		if (typeof(fixture) === 'function') fixture = fixture(params, session);
+
+		if (fixture) {
+			if (fixture.error) return this.getErrorResult(component, fixture.error.code, fixture.error.message);
+			Object.assign(data, fixture);
+		}
+
+		return {
+			component: component,
+			data: Object.assign({success: true}, data)
+		};
+	}
+
+	/**
+	 * Checks component parameters against their documentation
+	 * @param {object} specs The documented parameters
+	 * @param {object} params The parameters that were sent
+	 * @return {object} An object with code and message properties, or null if the parameters are valid
+	 */
+	validateParams(specs, params)
+	{
+		for (const [key, spec] of Object.entries(specs)) {
+			let value = params[key];
+
+			if (value === null || typeof(value) === 'undefined') {
+				if (spec.required) return {code: MockServer.MISSING_PARAMETER, message: "Missing required parameter: " + key};
+				continue;
+			}
+
+			if (!this.__isType(value, spec)) {
+				return {code: MockServer.INVALID_PARAMETER, message: "Invalid value for parameter '" + key + "', expected " + this.__describe(spec)};
+			}
+		}
+
+		return null;
+	}
+
+	// checks a value against a documented property
+	__isType(value, spec)
+	{
+		if (spec.array && Array.isArray(value)) return true;
+		if (spec.object) return typeof(value) === 'object' && !Array.isArray(value);
+
+		switch (spec.type) {
+			case "int":
+			case "integer":
+				return Number.isInteger(value);
+			case "float":
+			case "number":
+				return typeof(value) === 'number' && isFinite(value);
+			case "string":
+				return typeof(value) === 'string';
+			case "boolean":
+				return typeof(value) === 'boolean';
+			case "object":
+				return typeof(value) === 'object';
+			case "array":
+				return Array.isArray(value);
+		}
+
+		// mixed or undocumented types can be anything
+		return true;
+	}
+
+	// describes a documented property, for error messages
+	__describe(spec)
+	{
+		if (spec.array) return "an array";
+		if (spec.object) return "a " + spec.object + " object";
+		return spec.type;
+	}
+
+	/* ------------------------------------------- Sessions ------------------------------------------- */
+
+	/**
+	 * Gets a session that has been started
+	 * @param {string} session_id
+	 * @return {object} The session, or null if there is no session with that id
+	 */
+	getSession(session_id)
+	{
+		return session_id && hasOwn(this.sessions, session_id) ? this.sessions[session_id] : null;
+	}
+
+	/**
+	 * Starts a new session
+	 * @return {object} The Session object
+	 */
+	startSession()
+	{
+		let id = crypto.randomBytes(16).toString("hex");
+
+		let session = this.sessions[id] = {
+			id: id,
+			user: null,
+			expired: false,
+			remember: false,
+			passport_url: this.url + "/passport?session_id=" + id,
+			__cancelled: false
+		};
+
+		if (this.auto_login) this.login(id);
+
+		return session;
+	}
+
+	/**
+	 * Logs a user in to a session, as if they had signed in on the passport page
+	 * @param {string} session_id The session to log in to
+	 * @param {object} user Properties to use for the User object, if not the server's default user
+	 */
+	login(session_id, user)
+	{
+		let session = this.getSession(session_id);
+		if (!session) throw("MockServer Error: Unknown session '" + session_id + "'");
+
+		session.user = Object.assign({}, this.user, user || {});
+		session.__cancelled = false;
+	}
+
+	/**
+	 * Cancels the login for a session, as if the user had closed the passport page. The next App.checkSession will fail with error 111.
+	 * @param {string} session_id The session to cancel
+	 */
+	cancelLogin(session_id)
+	{
+		let session = this.getSession(session_id);
+		if (!session) throw("MockServer Error: Unknown session '" + session_id + "'");
+
+		session.__cancelled = true;
+	}
+
+	/**
+	 * Expires a session. Any component using it will fail with error 104.
+	 * @param {string} session_id The session to expire
+	 */
+	expireSession(session_id)
+	{
+		let session = this.getSession(session_id);
+		if (session) session.expired = true;
+	}
+
+	/**
+	 * Gets a copy of a session with only its documented properties
+	 * @param {object} session
+	 * @return {object}
+	 */
+	getSessionObject(session)
+	{
+		let out = {};
+		Object.keys(this.objectDocs.objects.Session.properties).forEach(key => {
+			if (typeof(session[key]) !== 'undefined') out[key] = session[key];
+		});
+		return out;
+	}
+
+	/* ------------------------------------------- Results ------------------------------------------- */
+
+	/**
+	 * Builds a Response object for a request that failed completely
+	 * @param {string} app_id
+	 * @param {Number} code
+	 * @param {string} message
+	 * @return {object}
+	 */
+	getErrorResponse(app_id, code, message)
+	{
+		return {
+			app_id: app_id,
+			success: false,
+			error: {code: code, message: message}
+		};
+	}
+
+	/**
+	 * Builds a Result object for a component that failed
+	 * @param {string} component
+	 * @param {Number} code
+	 * @param {string} message
+	 * @return {object}
+	 */
+	getErrorResult(component, code, message)
+	{
+		return {
+			component: component,
+			data: {
+				success: false,
+				error: {code: code, message: message}
+			}
+		};
+	}
+
+	/**
+	 * Builds an instance of a documented object, filled with placeholder values
+	 * @param {string} name The object name, ie "Medal"
+	 * @param {Number} depth How many levels of child objects to include
+	 * @return {object}
+	 */
+	getSample(name, depth)
+	{
+		if (typeof(depth) === 'undefined') depth = MockServer.SAMPLE_DEPTH;
+
+		let doc = this.objectDocs.objects[name];
+		if (!doc || depth < 0) return null;
+
+		let sample = {};
+
+		for (const [key, spec] of Object.entries(doc.properties || {})) {
+			sample[key] = this.getSampleValue(spec, depth - 1, key);
+		}
+
+		return sample;
+	}
+
+	/**
+	 * Builds a placeholder value for a documented property
+	 * @param {object} spec The documented property
+	 * @param {Number} depth How many levels of child objects to include
+	 * @param {string} key The property name
+	 * @return {*}
+	 */
+	getSampleValue(spec, depth, key)
+	{
+		if (typeof(depth) === 'undefined') depth = MockServer.SAMPLE_DEPTH;
+
+		if (spec.array) {
+			let item = this.getSampleValue(spec.array, depth, key);
+			return item === null ? [] : [item];
+		}
+
+		if (spec.object) return this.getSample(spec.object, depth);
+
+		switch (spec.type) {
+			case "int":
+			case "integer":
+				return 1;
+			case "float":
+			case "number":
+				return 1.5;
+			case "string":
+				return key ? "mock " + key : "mock";
+			case "boolean":
+				return false;
+			case "object":
+				return {};
+			case "array":
+				return [];
+		}
+
+		return null;
+	}
+
+	/* ------------------------------------------- Encryption ------------------------------------------- */
+
+	/**
+	 * Decrypts the payload of a secure component
+	 * @param {string} secure The encoded, encrypted text
+	 * @return {string} The decrypted text
+	 */
+	decrypt(secure)
+	{
+		if (!this.aes_key) throw("MockServer Error: Can not decrypt secure components without an aes_key");
+
+		let key = Buffer.from(this.aes_key, this.format);
+		let data = Buffer.from(secure, this.format);
+
+		switch (this.cipher) {
+
+			case MockServer.AES_128:
+				let decipher = crypto.createDecipheriv("aes-" + (key.length * 8) + "-cbc", key, data.subarray(0, 16));
+				return Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]).toString("utf8");
+
+			case MockServer.RC4:
+				return MockServer.rc4(key, data).toString("utf8");
+		}
+
+		throw("MockServer Error: Unsupported cipher '" + this.cipher + "'");
+	}
+
+	/**
+	 * Decrypts (or encrypts) bytes with RC4. Newer versions of OpenSSL no longer support it, so it lives here.
+	 * @param {Buffer} key
+	 * @param {Buffer} data
+	 * @return {Buffer}
+	 */
+	static rc4(key, data)
+	{
+		let s = [];
+		let i, j = 0, swap;
+
+		for (i = 0; i < 256; i++) s[i] = i;
+
+		for (i = 0; i < 256; i++) {
+			j = (j + s[i] + key[i % key.length]) % 256;
+			swap = s[i]; s[i] = s[j]; s[j] = swap;
+		}
+
+		i = 0;
+		j = 0;
+
+		return Buffer.from(data.map(byte => {
+			i = (i + 1) % 256;
+			j = (j + s[i]) % 256;
+			swap = s[i]; s[i] = s[j]; s[j] = swap;
+			return byte ^ s[(s[i] + s[j]) % 256];
+		}));
+	}
+}
+
+/**
+ * Results for components that depend on server state. Fixtures are applied on top of these.
+ * Each is called with the component parameters and the session, and returns result data or an {error} object.
+ * @type {object}
+ */
+MockServer.prototype.__builtins = {
+
+	"App.startSession": function(params, session) {
+		return {session: this.getSessionObject(this.startSession())};
+	},
+
+	"App.checkSession": function(params, session) {
+		if (session.__cancelled) return {error: {code: MockServer.CANCELLED_LOGIN, message: "User cancelled login."}};
+		return {session: this.getSessionObject(session)};
+	},
+
+	"App.endSession": function(params, session) {
+		delete this.sessions[session.id];
+		return {};
+	},
+
+	"Gateway.ping": function(params, session) {
+		return {pong: "pong"};
+	},
+
+	"Gateway.getDatetime": function(params, session) {
+		let now = new Date();
+		return {datetime: now.toISOString(), timestamp: Math.floor(now.getTime() / 1000)};
+	},
+
+	"Medal.unlock": function(params, session) {
+		let list = this.fixtures["Medal.getList"] && this.fixtures["Medal.getList"].medals;
+		let medal = list ? list.find(medal => medal.id === params.id) : Object.assign(this.getSample("Medal"), {id: params.id});
+
+		if (!medal) return {error: {code: MockServer.INVALID_MEDAL_ID, message: "Invalid medal ID: " + params.id}};
+
+		return {medal: Object.assign({}, medal, {unlocked: true})};
+	},
+
+	"ScoreBoard.postScore": function(params, session) {
+		let list = this.fixtures["ScoreBoard.getBoards"] && this.fixtures["ScoreBoard.getBoards"].scoreboards;
+		let scoreboard = list ? list.find(board => board.id === params.id) : Object.assign(this.getSample("ScoreBoard"), {id: params.id});
+
+		if (!scoreboard) return {error: {code: MockServer.INVALID_SCOREBOARD_ID, message: "Invalid scoreboard ID: " + params.id}};
+
+		return {
+			scoreboard: scoreboard,
+			score: {
+				value: params.value,
+				formatted_value: String(params.value),
+				tag: params.tag || null,
+				user: session.user
+			}
+		};
+	}
+};
+
+/**
+ * How many levels of child objects placeholder results include
+ * @type {Number}
+ */
+MockServer.SAMPLE_DEPTH = 3;
+
+/**
+ * Cipher for AES (CBC) encryption
+ * @type {string}
+ */
+MockServer.AES_128 = "aes-128";
+
+/**
+ * Cipher for RC4 encryption
+ * @type {string}
+ */
+MockServer.RC4 = "rc4";
+
+/**
+ * Format for Base64 encoded keys
+ * @type {string}
+ */
+MockServer.BASE64 = "base64";
+
+/**
+ * Format for hex encoded keys
+ * @type {string}
+ */
+MockServer.HEX = "hex";
+
+// Error codes, matching the ones the real server uses
+
+MockServer.MISSING_INPUT = 100;
+MockServer.INVALID_INPUT = 101;
+MockServer.MISSING_PARAMETER = 102;
+MockServer.INVALID_PARAMETER = 103;
+MockServer.EXPIRED_SESSION = 104;
+MockServer.LOGIN_REQUIRED = 110;
+MockServer.CANCELLED_LOGIN = 111;
+MockServer.INVALID_APP_ID = 200;
+MockServer.INVALID_ENCRYPTION = 201;
+MockServer.INVALID_MEDAL_ID = 202;
+MockServer.INVALID_SCOREBOARD_ID = 203;
+
+// Not a real server error code. Sent when the mock server itself throws an error.
+MockServer.SERVER_ERROR = 500;
+
+// true if an object has a property of its own, not one inherited from Object.prototype
+function hasOwn(object, key)
+{
+	return object !== null && typeof(object) === 'object' && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+module.exports = MockServer;
@@ -0,0 +1,137 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+
+// generator and partial paths in config.js are relative to the project root
+const root = path.join(__dirname, '..');
+
+/**
+ * Runs a generator against the object documentation and collects everything it creates, without saving anything.
+ * @param {string} generate_as The generator name (not an alias)
+ * @param {object} generatorConfig The generator's settings from config.js
+ * @param {object} objectDocs The parsed objects_and_components.json document
+ * @return {Array.<object>} Every generated file, as objects with path (the output directory and file name) and contents properties
+ */
+module.exports = function runGenerator(generate_as, generatorConfig, objectDocs)
+{
+	// attempt to import the generator
+	var generate_file = path.join(root, 'generators', generate_as.toLowerCase(), 'generate.js');
+	if (!fs.existsSync(generate_file)) throw("No generator exists for '" + generate_as + "'");
+
+	if (!generatorConfig) throw("Missing settings for '" + generate_as + "' in config.js.  Copy them from default_config.js.");
+
+	var generator = require(generate_file);
+
+	// pass the config to the generator
+	generator.config = generatorConfig;
+
+	var file_contents, file_name;
+	var output = [];
+
+	// every file this generator has created, so bundles can be made from them
+	var generatedFiles = [];
+
+	/**
+	 * Adds a generated file to the output directory for its type
+	 * @param {string} type The type of file (core, objects, components, component_results or object_index)
+	 * @param {string} name The file name, relative to the output directory
+	 * @param {string} contents The generated code
+	 */
+	function addFile(type, name, contents) {
+		output.push({ path: (generator.config.outputDirs[type] + "/" + name).replaceAll("\\", "/"), contents: contents });
+
+		generatedFiles.push({ type: type, file_name: name, file_contents: contents });
+	}
+
+	/**
+	 * Loads the partials module for a class, if there is one
+	 * @param {string} type The type of class (objects, components or component_results)
+	 * @param {string} name The partial's file name within the partialDirs directory for its type, without the extension (ie 'Session' or 'ScoreBoard/postScore')
+	 * @return {object} The partials module, or null if there isn't one
+	 */
+	function getPartials(type, name) {
+		if (!generator.config.partialDirs || !generator.config.partialDirs[type]) return null;
+
+		let partial_file = path.resolve(root, generator.config.partialDirs[type], name + ".js");
+		return fs.existsSync(partial_file) ? require(partial_file) : null;
+	}
+
+	// generate any core classes the rest of the generated code depends on
+	if (generator.generateCoreClasses) {
+		if (!generator.config.outputDirs.core) throw("Missing outputDirs.core for '" + generate_as + "' in config.js.  Copy it from default_config.js.");
+
+		generator.generateCoreClasses().forEach(function (core_file) {
+			[file_name, file_contents] = core_file;
+
+			addFile("core", file_name, file_contents);
+		});
+	}
+
+	var objectLists = {
+		objects: [],
+		components: [],
+		results: []
+	};
+
+	// Loop through the docs and generate request and response files for each component/method
+	for (const [name, obj] of Object.entries(objectDocs.components)) {
+		for (const [method, data] of Object.entries(obj.methods)) {
+
+			objectLists.components.push(name + "." + method);
+
+			if (generator.generateComponentObject) {
+				// create a request object file for each method
+				[file_name, file_contents] = generator.generateComponentObject(name, method, data, getPartials("components", name + "/" + method));
+
+				addFile("components", file_name, file_contents);
+			}
+
+			// create a result object file for each method
+			if (data.return) {
+
+				objectLists.results.push(name + "." + method);
+
+				if (generator.generateResultObject) {
+					// generate the code
+					[file_name, file_contents] = generator.generateResultObject(name, method, data.return, getPartials("component_results", name + "/" + method));
+
+					addFile("component_results", file_name, file_contents);
+				}
+			}
+		}
+	}
+
+	// Loop through the docs and generate a file for each object
+	for (const [name, obj] of Object.entries(objectDocs.objects)) {
+
+		objectLists.objects.push(name);
+
+		if (generator.generateObject) {
+			// generate the code
+			[file_name, file_contents] = generator.generateObject(name, obj, getPartials("objects", name));
+
+			if (!file_contents) continue;
+
+			addFile("objects", file_name, file_contents);
+		}
+	}
+
+	if (generator.generateObjectIndex) {
+		[file_name, file_contents] = generator.generateObjectIndex(objectLists, objectDocs);
+
+		if (file_contents) addFile("object_index", file_name, file_contents);
+	}
+
+	// combine everything that was generated into bundled files
+	if (generator.generateBundles) {
+		if (!generator.config.outputDirs.bundles) throw("Missing outputDirs.bundles for '" + generate_as + "' in config.js.  Copy it from default_config.js.");
+
+		generator.generateBundles(generatedFiles).forEach(function (bundle_file) {
+			[file_name, file_contents] = bundle_file;
+
+			output.push({ path: (generator.config.outputDirs.bundles + "/" + file_name).replaceAll("\\", "/"), contents: file_contents });
+		});
+	}
+
+	return output;
+};
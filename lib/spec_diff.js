@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Compares two versions of objects_and_components.json and lists everything that changed, flagging
+ * the changes that break clients generated from the older version.
+ *
+ * Every change is an object with these properties:
+ *   section:  SpecDiff.COMPONENT or SpecDiff.OBJECT
+ *   kind:     What changed (see SpecDiff.KINDS)
+ *   target:   The component (ie 'Medal.unlock') or object (ie 'Medal') that changed
+ *   property: The parameter, return value or object property that changed, if any
+ *   old:      The old value (a type name or flag), if any
+ *   new:      The new value, if any
+ *   breaking: True if code generated from the old documentation may stop working
+ *   message:  A description of the change
+ */
+class SpecDiff {
+
+	/**
+	 * Compares two versions of the documentation
+	 * @param {object} oldDocs The previous objects_and_components.json
+	 * @param {object} newDocs The new objects_and_components.json
+	 * @return {object} A report with breaking (the number of breaking changes) and changes (every change, components first) properties
+	 */
+	static compare(oldDocs, newDocs)
+	{
+		let changes = SpecDiff.__compareComponents(SpecDiff.__getMethods(oldDocs), SpecDiff.__getMethods(newDocs))
+			.concat(SpecDiff.__compareObjects(oldDocs.objects || {}, newDocs.objects || {}));
+
+		return {
+			breaking: changes.filter(change => change.breaking).length,
+			changes: changes
+		};
+	}
+
+	/**
+	 * Formats a report from compare() as readable text
+	 * @param {object} report
+	 * @return {string}
+	 */
+	static format(report)
+	{
+		if (!report.changes.length) return "No changes to the object documentation.";
+
+		let out = ["Object documentation changes: " + report.changes.length + " total, " + report.breaking + " breaking"];
+
+		[["Components", SpecDiff.COMPONENT], ["Objects", SpecDiff.OBJECT]].forEach(([title, section]) => {
+			let changes = report.changes.filter(change => change.section === section);
+			if (!changes.length) return;
+
+			out.push("", title + ":");
+
+			changes.forEach(change => {
+				out.push("  " + SpecDiff.__symbols[change.kind] + " " + change.message + (change.breaking ? "  [BREAKING]" : ""));
+			});
+		});
+
+		return out.join("\n");
+	}
+
+	/**
+	 * Describes a documented property's type, ie 'int', 'Medal' or 'Array<Score>'
+	 * @param {object} spec The documented property
+	 * @return {string}
+	 */
+	static describeType(spec)
+	{
+		if (!spec) return "none";
+
+		let types = [];
+		if (spec.object) types.push(spec.object);
+		if (spec.type) types.push(spec.type);
+		if (spec.array) types.push("Array<" + SpecDiff.describeType(spec.array) + ">");
+
+		return types.length ? types.join(" | ") : "mixed";
+	}
+
+	/* ------------------------------------------- Internals ------------------------------------------- */
+
+	// flattens the components into a list of methods, keyed by their full component name
+	static __getMethods(docs)
+	{
+		let methods = {};
+
+		for (const [name, component] of Object.entries(docs.components || {})) {
+			for (const [method, data] of Object.entries(component.methods || {})) {
+				methods[name + "." + method] = data;
+			}
+		}
+
+		return methods;
+	}
+
+	static __compareComponents(oldMethods, newMethods)
+	{
+		let changes = [];
+		let add = (kind, target, props) => changes.push(SpecDiff.__change(SpecDiff.COMPONENT, kind, target, props));
+
+		for (const name of Object.keys(oldMethods)) {
+			if (!newMethods[name]) add(SpecDiff.COMPONENT_REMOVED, name, { breaking: true, message: name + " was removed" });
+		}
+
+		for (const [name, data] of Object.entries(newMethods)) {
+			let old = oldMethods[name];
+
+			if (!old) {
+				add(SpecDiff.COMPONENT_ADDED, name, { message: name + " was added" });
+				continue;
+			}
+
+			// flags that change how a component has to be called
+			[["secure", "must be encrypted"], ["require_session", "requires a user session"], ["idempotent", "is safe to retry"]].forEach(([flag, meaning]) => {
+				let was = old[flag] ? true : false;
+				let is = data[flag] ? true : false;
+				if (was === is) return;
+
+				add(SpecDiff.FLAG_CHANGED, name, {
+					property: flag,
+					old: was,
+					new: is,
+					breaking: is && flag !== "idempotent",
+					message: name + " " + (is ? "now " + meaning : "no longer " + meaning) + " (" + flag + ")"
+				});
+			});
+
+			// anything a client sends
+			changes = changes.concat(SpecDiff.__compareProperties(SpecDiff.COMPONENT, name, "parameter", old.params || {}, data.params || {}, {
+				removed: true,
+				added: spec => spec.required ? true : false,
+				type: true,
+				required: true
+			}));
+
+			// anything a client receives
+			changes = changes.concat(SpecDiff.__compareProperties(SpecDiff.COMPONENT, name, "return value", old.return || {}, data.return || {}, {
+				removed: true,
+				added: () => false,
+				type: true,
+				required: false
+			}));
+		}
+
+		return changes;
+	}
+
+	static __compareObjects(oldObjects, newObjects)
+	{
+		let changes = [];
+
+		for (const name of Object.keys(oldObjects)) {
+			if (!newObjects[name]) changes.push(SpecDiff.__change(SpecDiff.OBJECT, SpecDiff.OBJECT_REMOVED, name, { breaking: true, message: name + " was removed" }));
+		}
+
+		for (const [name, data] of Object.entries(newObjects)) {
+			let old = oldObjects[name];
+
+			if (!old) {
+				changes.push(SpecDiff.__change(SpecDiff.OBJECT, SpecDiff.OBJECT_ADDED, name, { message: name + " was added" }));
+				continue;
+			}
+
+			// objects go both ways, so new required properties break the ones clients build, and removed properties break the ones they read
+			changes = changes.concat(SpecDiff.__compareProperties(SpecDiff.OBJECT, name, "property", old.properties || {}, data.properties || {}, {
+				removed: true,
+				added: spec => spec.required ? true : false,
+				type: true,
+				required: true
+			}));
+		}
+
+		return changes;
+	}
+
+	/**
+	 * Compares a list of documented properties
+	 * @param {string} section SpecDiff.COMPONENT or SpecDiff.OBJECT
+	 * @param {string} target The component or object name
+	 * @param {string} label What to call the properties in messages (parameter, return value or property)
+	 * @param {object} oldProps
+	 * @param {object} newProps
+	 * @param {object} breaks Which changes are breaking: removed, added (a function that gets the new property), type and required (a property becoming required)
+	 * @return {Array.<object>}
+	 */
+	static __compareProperties(section, target, label, oldProps, newProps, breaks)
+	{
+		let changes = [];
+		let add = (kind, property, props) => changes.push(SpecDiff.__change(section, kind, target, Object.assign({ property: property }, props)));
+
+		for (const key of Object.keys(oldProps)) {
+			if (!newProps[key]) add(SpecDiff.PROPERTY_REMOVED, key, { old: SpecDiff.describeType(oldProps[key]), breaking: breaks.removed, message: target + ": " + label + " '" + key + "' was removed" });
+		}
+
+		for (const [key, spec] of Object.entries(newProps)) {
+			let old = oldProps[key];
+
+			if (!old) {
+				let required = spec.required ? "required " : "";
+				add(SpecDiff.PROPERTY_ADDED, key, { new: SpecDiff.describeType(spec), breaking: breaks.added(spec), message: target + ": added " + required + label + " '" + key + "' (" + SpecDiff.describeType(spec) + ")" });
+				continue;
+			}
+
+			let oldType = SpecDiff.describeType(old);
+			let newType = SpecDiff.describeType(spec);
+
+			if (oldType !== newType) {
+				add(SpecDiff.TYPE_CHANGED, key, { old: oldType, new: newType, breaking: breaks.type, message: target + ": " + label + " '" + key + "' changed from " + oldType + " to " + newType });
+			}
+
+			let wasRequired = old.required ? true : false;
+			let isRequired = spec.required ? true : false;
+
+			if (wasRequired !== isRequired) {
+				add(SpecDiff.REQUIRED_CHANGED, key, {
+					old: wasRequired,
+					new: isRequired,
+					breaking: isRequired && breaks.required,
+					message: target + ": " + label + " '" + key + "' is " + (isRequired ? "now required" : "no longer required")
+				});
+			}
+		}
+
+		return changes;
+	}
+
+	// builds a change with every property set
+	static __change(section, kind, target, props)
+	{
+		return Object.assign({
+			section: section,
+			kind: kind,
+			target: target,
+			property: null,
+			old: null,
+			new: null,
+			breaking: false,
+			message: ""
+		}, props);
+	}
+}
+
+// Sections of the report
+
+SpecDiff.COMPONENT = "component";
+SpecDiff.OBJECT = "object";
+
+// Kinds of changes
+
+SpecDiff.COMPONENT_ADDED = "component_added";
+SpecDiff.COMPONENT_REMOVED = "component_removed";
+SpecDiff.OBJECT_ADDED = "object_added";
+SpecDiff.OBJECT_REMOVED = "object_removed";
+SpecDiff.PROPERTY_ADDED = "property_added";
+SpecDiff.PROPERTY_REMOVED = "property_removed";
+SpecDiff.TYPE_CHANGED = "type_changed";
+SpecDiff.REQUIRED_CHANGED = "required_changed";
+SpecDiff.FLAG_CHANGED = "flag_changed";
+
+/**
+ * Every kind of change
+ * @type {Array.<string>}
+ */
+SpecDiff.KINDS = [
+	SpecDiff.COMPONENT_ADDED, SpecDiff.COMPONENT_REMOVED, SpecDiff.OBJECT_ADDED, SpecDiff.OBJECT_REMOVED, SpecDiff.PROPERTY_ADDED,
+	SpecDiff.PROPERTY_REMOVED, SpecDiff.TYPE_CHANGED, SpecDiff.REQUIRED_CHANGED, SpecDiff.FLAG_CHANGED
+];
+
+// how each kind of change is marked in formatted reports
+SpecDiff.__symbols = {
+	component_added: "+",
+	component_removed: "-",
+	object_added: "+",
+	object_removed: "-",
+	property_added: "+",
+	property_removed: "-",
+	type_changed: "~",
+	required_changed: "~",
+	flag_changed: "~"
+};
+
+module.exports = SpecDiff;
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * The value types generators know how to handle
+ * @type {Array.<string>}
+ */
+const TYPES = ["int", "float", "string", "boolean", "object"];
+
+// object, component, method and property names all end up as class or property names in generated code
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Checks the structure of objects_and_components.json before anything is generated from it.
+ * Every object reference must point to a documented object, and every type must be one of validateDocs.TYPES.
+ * @param {object} docs The parsed objects_and_components.json document
+ * @return {Array.<object>} Every problem found, as objects with path (ie 'components.Medal.methods.unlock.params.id.type') and message properties. Empty if the document is valid.
+ */
+function validateDocs(docs)
+{
+	let problems = [];
+	let report = (path, message) => problems.push({ path: path, message: message });
+
+	if (!isObject(docs)) {
+		report("$", "The document must be an object");
+		return problems;
+	}
+
+	if (!isObject(docs.objects)) report("objects", "Missing the list of objects");
+	if (!isObject(docs.components)) report("components", "Missing the list of components");
+	if (problems.length) return problems;
+
+	let objectNames = Object.keys(docs.objects);
+
+	/**
+	 * Checks a documented property, parameter or return value
+	 * @param {string} path
+	 * @param {object} spec
+	 * @param {Boolean} inArray True if this describes the items of an array
+	 */
+	function checkProperty(path, spec, inArray) {
+		if (!isObject(spec)) {
+			report(path, "Must be an object describing the value");
+			return;
+		}
+
+		if (!("type" in spec) && !("object" in spec) && !("array" in spec)) {
+			report(path, "Must have a type, object or array");
+		}
+
+		if ("type" in spec && TYPES.indexOf(spec.type) < 0) {
+			report(path + ".type", "Unknown type " + JSON.stringify(spec.type) + ", expected one of: " + TYPES.join(", "));
+		}
+
+		if ("object" in spec && objectNames.indexOf(spec.object) < 0) {
+			report(path + ".object", "Refers to " + JSON.stringify(spec.object) + ", which isn't a documented object");
+		}
+
+		if ("array" in spec) checkProperty(path + ".array", spec.array, true);
+
+		if (!inArray) {
+			checkType(path + ".required", spec.required, "boolean");
+			checkType(path + ".description", spec.description, "string");
+		}
+	}
+
+	/**
+	 * Checks a list of properties
+	 * @param {string} path
+	 * @param {object} properties
+	 */
+	function checkProperties(path, properties) {
+		if (!isObject(properties)) {
+			report(path, "Must be an object of properties");
+			return;
+		}
+
+		for (const [key, spec] of Object.entries(properties)) {
+			checkName(path, key);
+			checkProperty(getPath(path, key), spec, false);
+		}
+	}
+
+	// reports optional values that aren't the expected type
+	function checkType(path, value, type) {
+		if (typeof(value) !== 'undefined' && typeof(value) !== type) report(path, "Must be a " + type);
+	}
+
+	function checkName(path, name) {
+		if (!NAME_PATTERN.test(name)) report(getPath(path, name), "Not a valid name for generated code");
+	}
+
+	for (const [name, object] of Object.entries(docs.objects)) {
+		let path = getPath("objects", name);
+		checkName("objects", name);
+
+		if (!isObject(object)) {
+			report(path, "Must be an object");
+			continue;
+		}
+
+		checkType(path + ".description", object.description, "string");
+		checkProperties(path + ".properties", object.properties);
+	}
+
+	for (const [name, component] of Object.entries(docs.components)) {
+		let path = getPath("components", name);
+		checkName("components", name);
+
+		if (!isObject(component)) {
+			report(path, "Must be an object");
+			continue;
+		}
+
+		checkType(path + ".description", component.description, "string");
+
+		if (!isObject(component.methods)) {
+			report(path + ".methods", "Missing the list of methods");
+			continue;
+		}
+
+		for (const [methodName, method] of Object.entries(component.methods)) {
+			let methodPath = getPath(path + ".methods", methodName);
+			checkName(path + ".methods", methodName);
+
+			if (!isObject(method)) {
+				report(methodPath, "Must be an object");
+				continue;
+			}
+
+			checkType(methodPath + ".description", method.description, "string");
+			checkType(methodPath + ".secure", method.secure, "boolean");
+			checkType(methodPath + ".require_session", method.require_session, "boolean");
+			checkType(methodPath + ".idempotent", method.idempotent, "boolean");
+
+			if (typeof(method.params) !== 'undefined') checkProperties(methodPath + ".params", method.params);
+			if (typeof(method.return) !== 'undefined') checkProperties(methodPath + ".return", method.return);
+		}
+	}
+
+	return problems;
+}
+
+// true for plain objects (not arrays or null)
+function isObject(value)
+{
+	return value !== null && typeof(value) === 'object' && !Array.isArray(value);
+}
+
+// adds a key to a path, using brackets for keys that can't be written with a dot
+function getPath(path, key)
+{
+	return NAME_PATTERN.test(key) ? path + "." + key : path + "[" + JSON.stringify(key) + "]";
+}
+
+validateDocs.TYPES = TYPES;
+validateDocs.getPath = getPath;
+
+module.exports = validateDocs;
@@ -0,0 +1,58 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The small test runner used by test/runtime.js and test/lib.js.  Add tests with test(), then call run() once
+ * they've all been added.  Tests run one at a time, in the order they were added.
+ */
+
+var tests = [];
+
+// the sample object documentation, as text, so every copy starts out the same
+const fixture = String(fs.readFileSync(path.join(__dirname, 'fixtures', 'objects_and_components.json')));
+
+/**
+ * Adds a test
+ * @param {string} name
+ * @param {Function} fn Throws (or rejects) to fail the test
+ */
+function test(name, fn) {
+	tests.push([name, fn]);
+}
+
+/**
+ * Runs every test, then exits with 1 if any of them failed
+ * @param {string} label What to call the tests in the summary, ie 'runtime'
+ */
+async function run(label) {
+	let failed = 0;
+
+	for (const [name, fn] of tests) {
+		try {
+			await fn();
+			console.log("ok", name);
+		} catch (e) {
+			failed++;
+			console.log("FAIL", name);
+			console.log(String(e && e.stack ? e.stack : e).replace(/^/gm, "    "));
+		}
+	}
+
+	console.log("\n" + (tests.length - failed) + " of " + tests.length + " " + label + " tests passed");
+	process.exit(failed ? 1 : 0);
+}
+
+/**
+ * Gets a fresh copy of the sample object documentation in test/fixtures, so tests can change it freely
+ * @param {Function} change An optional function to change the copy with before it's returned
+ * @return {object}
+ */
+function loadFixture(change) {
+	let docs = JSON.parse(fixture);
+	if (typeof(change) === 'function') change(docs);
+	return docs;
+}
+
+module.exports = { test: test, run: run, loadFixture: loadFixture };
@@ -0,0 +1,16 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./harness.js');
+
+/**
+ * Unit tests for the modules in lib/.  Each file in test/lib tests the module with the same name.
+ *
+ * Use: node test/lib.js
+ */
+
+fs.readdirSync(path.join(__dirname, 'lib')).sort().filter(name => name.endsWith(".js")).forEach(name => {
+	require(path.join(__dirname, 'lib', name));
+});
+
+run("lib");
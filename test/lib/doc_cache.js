@@ -0,0 +1,93 @@
+'use strict';
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocCache = require('../../lib/doc_cache.js');
+const { test } = require('../harness.js');
+
+const first = JSON.stringify({ objects: {}, components: { Gateway: { methods: { ping: {} } } } });
+const second = JSON.stringify({ objects: {}, components: { Gateway: { methods: { ping: {}, getDatetime: {} } } } });
+
+/**
+ * Runs a test with a DocCache in a new temporary directory, and deletes the directory when it's done
+ * @param {Function} fn Gets passed the cache and its directory
+ */
+function withCache(fn) {
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), "ngio-doc-cache-"));
+
+	try {
+		fn(new DocCache(dir), dir);
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+}
+
+test("DocCache: adding a version saves it and records it in the lockfile", () => withCache((cache, dir) => {
+	assert.deepStrictEqual(cache.getLock(), { current: null, versions: {} });
+
+	let sha256 = crypto.createHash("sha256").update(first).digest("hex");
+	let version = cache.add(first, "https://example.com/docs.json", new Date("2024-03-01T12:00:00Z"));
+	let key = "2024-03-01-" + sha256.substr(0, 8);
+
+	assert.deepStrictEqual(version, {
+		key: key,
+		isNew: true,
+		file: "versions/" + key + ".json",
+		sha256: sha256,
+		source: "https://example.com/docs.json",
+		date: "2024-03-01T12:00:00.000Z"
+	});
+
+	assert.strictEqual(String(fs.readFileSync(path.join(dir, "versions", key + ".json"))), first);
+
+	let lock = JSON.parse(String(fs.readFileSync(path.join(dir, "objects_and_components.lock.json"))));
+	assert.strictEqual(lock.current, key);
+	assert.deepStrictEqual(Object.keys(lock.versions), [key]);
+}));
+
+test("DocCache: identical documentation is only saved once", () => withCache((cache, dir) => {
+	let original = cache.add(first, "first.json", new Date("2024-03-01T12:00:00Z"));
+	let changed = cache.add(second, "second.json", new Date("2024-04-01T12:00:00Z"));
+	let again = cache.add(first, "again.json", new Date("2024-05-01T12:00:00Z"));
+
+	assert.notStrictEqual(changed.key, original.key);
+	assert.strictEqual(again.key, original.key);
+	assert.strictEqual(again.isNew, false);
+
+	// the original source and date are kept, but it's the current version again
+	assert.strictEqual(again.source, "first.json");
+	assert.strictEqual(cache.getLock().current, original.key);
+	assert.strictEqual(fs.readdirSync(path.join(dir, "versions")).length, 2);
+}));
+
+test("DocCache: pinned versions load exactly as they were saved", () => withCache(cache => {
+	let pinned = cache.add(first, "first.json").key;
+	cache.add(second, "second.json");
+
+	assert.strictEqual(cache.load(pinned), first);
+	assert.strictEqual(DocCache.getChecksum(cache.load(pinned)), cache.getLock().versions[pinned].sha256);
+}));
+
+test("DocCache: versions that were changed after saving are refused", () => withCache((cache, dir) => {
+	let version = cache.add(first, "first.json");
+	fs.writeFileSync(path.join(dir, version.file), second);
+
+	assert.throws(() => cache.load(version.key), error => {
+		assert.match(error, new RegExp("Version '" + version.key + "' of the object documentation doesn't match its checksum"));
+		assert.match(error, new RegExp("expected " + version.sha256 + ", got " + DocCache.getChecksum(second)));
+		return true;
+	});
+}));
+
+test("DocCache: unknown and missing versions are refused", () => withCache((cache, dir) => {
+	assert.throws(() => cache.load("2024-01-01-00000000"), /Version '2024-01-01-00000000' of the object documentation isn't in /);
+
+	let version = cache.add(first, "first.json");
+	fs.unlinkSync(path.join(dir, version.file));
+	assert.throws(() => cache.load(version.key), /is missing from /);
+
+	// lockfile keys only, not anything every object has
+	assert.throws(() => cache.load("constructor"), /isn't in /);
+}));
@@ -0,0 +1,145 @@
+'use strict';
+const assert = require('assert');
+const applyOverlay = require('../../lib/doc_overlays.js');
+const { test, loadFixture } = require('../harness.js');
+
+/**
+ * Applies an overlay to a fresh copy of the sample documentation
+ * @param {object|Array.<object>} overlay The overlay to apply
+ * @return {object} The report from applyOverlay, with warnings as [path, message]
+ */
+function overlayWith(overlay) {
+	let report = applyOverlay(loadFixture(), overlay);
+	report.warnings = report.warnings.map(warning => [warning.path, warning.message]);
+	return report;
+}
+
+test("applyOverlay: merge patches change, add and remove values", () => {
+	let report = overlayWith({components: {Medal: {
+		description: "Medals!",
+		methods: {unlock: {
+			description: "Unlocks a medal for the current user.",
+			params: {id: {default: 0}}
+		}}
+	}}});
+
+	let unlock = report.docs.components.Medal.methods.unlock;
+	assert.strictEqual(report.docs.components.Medal.description, "Medals!");
+	assert.strictEqual(unlock.description, "Unlocks a medal for the current user.");
+	assert.strictEqual(unlock.params.id.default, 0);
+	assert.strictEqual(unlock.params.id.type, loadFixture().components.Medal.methods.unlock.params.id.type);
+	assert.deepStrictEqual(report.added, ["components.Medal.methods.unlock.params.id.default"]);
+	assert.deepStrictEqual(report.changed, ["components.Medal.description", "components.Medal.methods.unlock.description"]);
+	assert.deepStrictEqual(report.warnings, []);
+
+	report = overlayWith({objects: {Medal: {properties: {secret: null}}}});
+	assert.ok(!("secret" in report.docs.objects.Medal.properties));
+	assert.deepStrictEqual(report.removed, ["objects.Medal.properties.secret"]);
+});
+
+test("applyOverlay: unchanged values aren't reported", () => {
+	let docs = loadFixture();
+	let report = overlayWith({components: {Medal: {methods: {unlock: {description: docs.components.Medal.methods.unlock.description}}}}});
+
+	assert.deepStrictEqual([report.added, report.changed, report.removed, report.warnings], [[], [], [], []]);
+});
+
+test("applyOverlay: nulls inside added values are left out", () => {
+	let report = overlayWith({components: {Medal: {methods: {unlock: {params: {rarity: {type: "int", description: "How rare", default: null}}}}}}});
+
+	assert.deepStrictEqual(report.docs.components.Medal.methods.unlock.params.rarity, {type: "int", description: "How rare"});
+	assert.deepStrictEqual(report.added, ["components.Medal.methods.unlock.params.rarity"]);
+});
+
+test("applyOverlay: the documentation passed in isn't modified", () => {
+	let docs = loadFixture();
+	applyOverlay(docs, {components: {Medal: null}, objects: {Medal: {description: "Changed"}}});
+	applyOverlay(docs, [{op: "remove", path: "/components/ScoreBoard"}]);
+
+	assert.deepStrictEqual(docs, loadFixture());
+});
+
+test("applyOverlay: add, replace and remove operations", () => {
+	let report = overlayWith([
+		{op: "add", path: "/components/Medal/methods/unlock/params/rarity", value: {type: "int", description: "How rare"}},
+		{op: "add", path: "/components/Medal/description", value: "Medals!"},
+		{op: "replace", path: "/components/Medal/methods/unlock/description", value: "Unlocks a medal for the current user."},
+		{op: "remove", path: "/objects/Medal/properties/secret"}
+	]);
+
+	let unlock = report.docs.components.Medal.methods.unlock;
+	assert.deepStrictEqual(unlock.params.rarity, {type: "int", description: "How rare"});
+	assert.strictEqual(unlock.description, "Unlocks a medal for the current user.");
+	assert.ok(!("secret" in report.docs.objects.Medal.properties));
+	assert.deepStrictEqual(report.added, ["components.Medal.methods.unlock.params.rarity"]);
+	assert.deepStrictEqual(report.changed, ["components.Medal.description", "components.Medal.methods.unlock.description"]);
+	assert.deepStrictEqual(report.removed, ["objects.Medal.properties.secret"]);
+	assert.deepStrictEqual(report.warnings, []);
+});
+
+test("applyOverlay: pointers unescape ~1 and ~0", () => {
+	let report = overlayWith([{op: "add", path: "/components/Medal/a~1b~0c", value: true}]);
+
+	assert.strictEqual(report.docs.components.Medal["a/b~c"], true);
+});
+
+test("applyOverlay: operations on missing targets are skipped with a warning", () => {
+	let report = overlayWith([
+		{op: "replace", path: "/components/Medal/methods/lock/description", value: "Locks a medal."},
+		{op: "remove", path: "/components/Medal/methods/unlock/params/rarity"},
+		{op: "add", path: "/components/Medal/methods/lock/params/id", value: {type: "int"}}
+	]);
+
+	assert.deepStrictEqual(report.warnings, [
+		["components.Medal.methods.lock", "Can't replace 'description', this isn't in the documentation"],
+		["components.Medal.methods.unlock.params.rarity", "Can't remove this, it isn't in the documentation"],
+		["components.Medal.methods.lock.params", "Can't add 'id', this isn't in the documentation"]
+	]);
+	assert.deepStrictEqual(report.docs, loadFixture());
+	assert.deepStrictEqual([report.added, report.changed, report.removed], [[], [], []]);
+});
+
+test("applyOverlay: merge patches warn about removing something that's missing", () => {
+	let report = overlayWith({components: {Medal: {methods: {unlock: {params: {rarity: null}}}}}});
+
+	assert.deepStrictEqual(report.warnings, [["components.Medal.methods.unlock.params.rarity", "Removes something that isn't in the documentation"]]);
+	assert.deepStrictEqual(report.removed, []);
+});
+
+test("applyOverlay: adding a component, method or object is reported with a warning", () => {
+	let report = overlayWith({
+		components: {
+			Ghost: {description: "Spooky", methods: {boo: {description: "x"}}},
+			Medal: {methods: {lock: {description: "Locks a medal."}}}
+		},
+		objects: {Achievement: {description: "Like a medal"}}
+	});
+
+	assert.deepStrictEqual(report.added, ["components.Ghost", "components.Medal.methods.lock", "objects.Achievement"]);
+	assert.deepStrictEqual(report.warnings, [
+		["components.Ghost", "Adds a component that isn't in the documentation"],
+		["components.Medal.methods.lock", "Adds a method that isn't in the documentation"],
+		["objects.Achievement", "Adds an object that isn't in the documentation"]
+	]);
+	assert.deepStrictEqual(report.docs.components.Ghost.methods.boo, {description: "x"});
+
+	assert.deepStrictEqual(overlayWith([{op: "add", path: "/components/Ghost", value: {description: "Spooky"}}]).warnings, [
+		["components.Ghost", "Adds a component that isn't in the documentation"]
+	]);
+	assert.deepStrictEqual(overlayWith([{op: "add", path: "/components/Medal", value: {description: "Replaced"}}]).warnings, []);
+});
+
+test("applyOverlay: invalid overlays are refused", () => {
+	let refuses = (overlay, message) => assert.throws(() => applyOverlay(loadFixture(), overlay), error => {
+		assert.ok(String(error).includes(message), String(error));
+		return true;
+	});
+
+	refuses("components", "must be a JSON merge patch object, or a list of JSON patch operations");
+	refuses(null, "must be a JSON merge patch object, or a list of JSON patch operations");
+	refuses(["/components/Medal"], "Overlay operation 0 must be an object with op and path properties");
+	refuses([{op: "add"}], "Overlay operation 0 must be an object with op and path properties");
+	refuses([{op: "remove", path: "/components/App"}, {op: "move", path: "/components/Medal", from: "/components/ScoreBoard"}], "Overlay operation 1 has an unsupported op \"move\"");
+	refuses([{op: "replace", path: "/components/Medal/description"}], "Overlay operation 0 (replace /components/Medal/description) is missing a value");
+	refuses([{op: "remove", path: "components/Medal"}], "Overlay operation 0 has an invalid path \"components/Medal\"");
+});
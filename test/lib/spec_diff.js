@@ -0,0 +1,160 @@
+'use strict';
+const assert = require('assert');
+const SpecDiff = require('../../lib/spec_diff.js');
+const { test, loadFixture } = require('../harness.js');
+
+/**
+ * Compares the sample documentation with a changed copy of it
+ * @param {Function} change Gets passed the copy to change
+ * @return {object} The report from SpecDiff.compare()
+ */
+function compareWith(change) {
+	return SpecDiff.compare(loadFixture(), loadFixture(change));
+}
+
+// lists the changes in a report as [kind, target, property, breaking]
+function summarize(report) {
+	return report.changes.map(change => [change.kind, change.target, change.property, change.breaking]);
+}
+
+test("SpecDiff: identical documentation has no changes", () => {
+	let report = SpecDiff.compare(loadFixture(), loadFixture());
+
+	assert.deepStrictEqual(report, { breaking: 0, changes: [] });
+	assert.strictEqual(SpecDiff.format(report), "No changes to the object documentation.");
+});
+
+test("SpecDiff: added components and objects don't break anything, removed ones do", () => {
+	let report = compareWith(docs => {
+		docs.components.Gateway.methods.getVersion = { description: "Gets the API version." };
+		docs.components.Event = { description: "Handles logging of custom events.", methods: { logEvent: { params: { event_name: { type: "string", required: true } } } } };
+		delete docs.components.App.methods.checkSession;
+		delete docs.components.CloudSave;
+		docs.objects.Achievement = { properties: { name: { type: "string" } } };
+		delete docs.objects.SaveSlot;
+	});
+
+	assert.deepStrictEqual(summarize(report), [
+		[SpecDiff.COMPONENT_REMOVED, "App.checkSession", null, true],
+		[SpecDiff.COMPONENT_REMOVED, "CloudSave.loadSlots", null, true],
+		[SpecDiff.COMPONENT_REMOVED, "CloudSave.setData", null, true],
+		[SpecDiff.COMPONENT_ADDED, "Gateway.getVersion", null, false],
+		[SpecDiff.COMPONENT_ADDED, "Event.logEvent", null, false],
+		[SpecDiff.OBJECT_REMOVED, "SaveSlot", null, true],
+		[SpecDiff.OBJECT_ADDED, "Achievement", null, false]
+	]);
+
+	assert.strictEqual(report.breaking, 4);
+	assert.ok(report.changes.every(change => change.section === (change.kind.startsWith("object") ? SpecDiff.OBJECT : SpecDiff.COMPONENT)));
+});
+
+test("SpecDiff: parameter changes break clients when they can make old calls fail", () => {
+	let report = compareWith(docs => {
+		let getScores = docs.components.ScoreBoard.methods.getScores.params;
+
+		getScores.id.type = "string";
+		getScores.period.required = true;
+		getScores.id.required = false;
+		getScores.limit.array = { type: "int" };
+		delete getScores.limit.type;
+		delete getScores.skip;
+		getScores.page = { type: "int" };
+		getScores.board = { type: "string", required: true };
+	});
+
+	assert.deepStrictEqual(summarize(report), [
+		[SpecDiff.PROPERTY_REMOVED, "ScoreBoard.getScores", "skip", true],
+		[SpecDiff.TYPE_CHANGED, "ScoreBoard.getScores", "id", true],
+		[SpecDiff.REQUIRED_CHANGED, "ScoreBoard.getScores", "id", false],
+		[SpecDiff.REQUIRED_CHANGED, "ScoreBoard.getScores", "period", true],
+		[SpecDiff.TYPE_CHANGED, "ScoreBoard.getScores", "limit", true],
+		[SpecDiff.PROPERTY_ADDED, "ScoreBoard.getScores", "page", false],
+		[SpecDiff.PROPERTY_ADDED, "ScoreBoard.getScores", "board", true]
+	]);
+
+	let id = report.changes[1];
+	assert.deepStrictEqual([id.old, id.new], ["int", "string"]);
+	assert.deepStrictEqual([report.changes[4].old, report.changes[4].new], ["int", "Array<int>"]);
+	assert.strictEqual(report.breaking, 5);
+});
+
+test("SpecDiff: new return values are safe, removed or retyped ones aren't", () => {
+	let report = compareWith(docs => {
+		let unlock = docs.components.Medal.methods.unlock.return;
+
+		unlock.medal_score.type = "float";
+		unlock.medal_score.required = true;
+		unlock.unlocked_at = { type: "string" };
+		delete unlock.medal;
+	});
+
+	assert.deepStrictEqual(summarize(report), [
+		[SpecDiff.PROPERTY_REMOVED, "Medal.unlock", "medal", true],
+		[SpecDiff.TYPE_CHANGED, "Medal.unlock", "medal_score", true],
+		[SpecDiff.REQUIRED_CHANGED, "Medal.unlock", "medal_score", false],
+		[SpecDiff.PROPERTY_ADDED, "Medal.unlock", "unlocked_at", false]
+	]);
+	assert.strictEqual(report.breaking, 2);
+});
+
+test("SpecDiff: secure and require_session only break clients when they're turned on", () => {
+	let report = compareWith(docs => {
+		docs.components.Gateway.methods.ping.secure = true;
+		docs.components.Gateway.methods.getDatetime.require_session = true;
+		docs.components.Medal.methods.unlock.secure = false;
+		delete docs.components.ScoreBoard.methods.postScore.require_session;
+		docs.components.Medal.methods.getList.idempotent = true;
+	});
+
+	assert.deepStrictEqual(report.changes.map(change => [change.target, change.property, change.old, change.new, change.breaking]), [
+		["Gateway.getDatetime", "require_session", false, true, true],
+		["Gateway.ping", "secure", false, true, true],
+		["Medal.getList", "idempotent", false, true, false],
+		["Medal.unlock", "secure", true, false, false],
+		["ScoreBoard.postScore", "require_session", true, false, false]
+	]);
+	assert.ok(report.changes.every(change => change.kind === SpecDiff.FLAG_CHANGED));
+	assert.strictEqual(report.breaking, 2);
+});
+
+test("SpecDiff: object property changes are compared both ways", () => {
+	let report = compareWith(docs => {
+		docs.objects.Medal.properties.icon.required = true;
+		docs.objects.Medal.properties.rarity = { type: "float" };
+		docs.objects.User.properties.id.object = "UserIcons";
+		delete docs.objects.User.properties.id.type;
+	});
+
+	assert.deepStrictEqual(summarize(report), [
+		[SpecDiff.REQUIRED_CHANGED, "Medal", "icon", true],
+		[SpecDiff.PROPERTY_ADDED, "Medal", "rarity", false],
+		[SpecDiff.TYPE_CHANGED, "User", "id", true]
+	]);
+	assert.ok(report.changes.every(change => change.section === SpecDiff.OBJECT));
+});
+
+test("SpecDiff: format() lists components, then objects, and marks breaking changes", () => {
+	let report = compareWith(docs => {
+		delete docs.components.App.methods.checkSession;
+		docs.objects.Achievement = { properties: {} };
+	});
+
+	assert.strictEqual(SpecDiff.format(report), [
+		"Object documentation changes: 2 total, 1 breaking",
+		"",
+		"Components:",
+		"  - App.checkSession was removed  [BREAKING]",
+		"",
+		"Objects:",
+		"  + Achievement was added"
+	].join("\n"));
+});
+
+test("SpecDiff: describeType() names plain types, objects and arrays", () => {
+	assert.strictEqual(SpecDiff.describeType({ type: "int" }), "int");
+	assert.strictEqual(SpecDiff.describeType({ object: "Medal" }), "Medal");
+	assert.strictEqual(SpecDiff.describeType({ array: { object: "Score" } }), "Array<Score>");
+	assert.strictEqual(SpecDiff.describeType({ array: { array: { type: "string" } } }), "Array<Array<string>>");
+	assert.strictEqual(SpecDiff.describeType({}), "mixed");
+	assert.strictEqual(SpecDiff.describeType(null), "none");
+});
@@ -0,0 +1,89 @@
+'use strict';
+const assert = require('assert');
+const validateDocs = require('../../lib/validate_docs.js');
+const { test, loadFixture } = require('../harness.js');
+
+/**
+ * Validates a changed copy of the sample documentation
+ * @param {Function} change Gets passed the copy to change
+ * @return {Array.<Array.<string>>} Every problem, as [path, message]
+ */
+function validateWith(change) {
+	return validateDocs(loadFixture(change)).map(problem => [problem.path, problem.message]);
+}
+
+// just the paths of the problems from validateWith()
+function problemPaths(change) {
+	return validateWith(change).map(([path]) => path);
+}
+
+test("validateDocs: the sample documentation is valid", () => {
+	assert.deepStrictEqual(validateWith(() => {}), []);
+});
+
+test("validateDocs: documents without objects or components are rejected", () => {
+	assert.deepStrictEqual(validateDocs(null).map(problem => problem.path), ["$"]);
+	assert.deepStrictEqual(validateDocs([]).map(problem => problem.path), ["$"]);
+	assert.deepStrictEqual(validateDocs({ objects: [] }).map(problem => problem.path), ["objects", "components"]);
+});
+
+test("validateDocs: unknown types are reported with their full path", () => {
+	let problems = validateWith(docs => {
+		docs.components.Medal.methods.unlock.params.id.type = "integer";
+		docs.objects.Score.properties.value.type = 5;
+		docs.components.ScoreBoard.methods.getScores.return.scores.array = { type: "list" };
+	});
+
+	assert.deepStrictEqual(problems.map(([path]) => path), [
+		"objects.Score.properties.value.type",
+		"components.Medal.methods.unlock.params.id.type",
+		"components.ScoreBoard.methods.getScores.return.scores.array.type"
+	]);
+	assert.match(problems[1][1], /Unknown type "integer", expected one of: int, float, string, boolean, object/);
+});
+
+test("validateDocs: object references must point to documented objects", () => {
+	let problems = validateWith(docs => {
+		delete docs.objects.UserIcons;
+		docs.components.Medal.methods.getList.return.medals.array.object = "Medals";
+	});
+
+	assert.deepStrictEqual(problems, [
+		["objects.User.properties.icons.object", 'Refers to "UserIcons", which isn\'t a documented object'],
+		["components.Medal.methods.getList.return.medals.array.object", 'Refers to "Medals", which isn\'t a documented object']
+	]);
+});
+
+test("validateDocs: names that can't be used in generated code are rejected", () => {
+	assert.deepStrictEqual(problemPaths(docs => {
+		docs.objects["Medal Icon"] = { properties: {} };
+		docs.components["2Player"] = { methods: {} };
+		docs.components.Gateway.methods["get-time"] = {};
+		docs.objects.Medal.properties["class.name"] = { type: "string" };
+	}), [
+		'objects.Medal.properties["class.name"]',
+		'objects["Medal Icon"]',
+		'components.Gateway.methods["get-time"]',
+		'components["2Player"]'
+	]);
+});
+
+test("validateDocs: components need a list of methods, and methods need usable properties", () => {
+	let problems = validateWith(docs => {
+		delete docs.components.CloudSave.methods;
+		docs.components.Gateway.methods.ping.return.pong = { description: "No type" };
+		docs.components.Gateway.methods.getDatetime.params = [];
+		docs.components.Medal.methods.unlock.secure = "yes";
+		docs.components.Medal.methods.unlock.params.id.required = 1;
+		docs.objects.Medal = "Medal";
+	});
+
+	assert.deepStrictEqual(problems, [
+		["objects.Medal", "Must be an object"],
+		["components.CloudSave.methods", "Missing the list of methods"],
+		["components.Gateway.methods.getDatetime.params", "Must be an object of properties"],
+		["components.Gateway.methods.ping.return.pong", "Must have a type, object or array"],
+		["components.Medal.methods.unlock.secure", "Must be a boolean"],
+		["components.Medal.methods.unlock.params.id.required", "Must be a boolean"]
+	]);
+});
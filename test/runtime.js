@@ -0,0 +1,1055 @@
+'use strict';
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+const vm = require('vm');
+const runGenerator = require('../lib/run_generator.js');
+const MockServer = require('../lib/mock_server.js');
+const defaults = require('../default_config.js');
+const javascriptGenerator = require('../generators/javascript/generate.js');
+const coreClasses = javascriptGenerator.coreClasses;
+const { test, run, loadFixture } = require('./harness.js');
+
+/**
+ * Loads the JavaScript generator's output for the sample object documentation into a Node VM, and makes sure the
+ * generated classes actually work.  Catches template bugs that still produce valid looking code.
+ *
+ * Use: node test/runtime.js
+ */
+
+const objectDocs = loadFixture();
+
+// an AES-128 key, encoded the way the API Tools page shows it
+const AES_KEY = "AAECAwQFBgcICQoLDA0ODw==";
+
+const mock = new MockServer(objectDocs, { aes_key: AES_KEY });
+
+/* ------------------------------------------- Loading ------------------------------------------- */
+
+/**
+ * Compiles the generated classes in the order a page would load them: core classes, then every object, component
+ * and result, then the object index.
+ * @return {Array.<vm.Script>}
+ */
+function compileScripts() {
+	let outputDirs = defaults.generators.javascript.outputDirs;
+	let files = {};
+
+	runGenerator("javascript", defaults.generators.javascript, objectDocs).forEach(file => {
+		files[file.path] = file.contents;
+	});
+
+	let core = coreClasses.map(name => outputDirs.core + "/" + name + ".js");
+	let index = outputDirs.object_index + "/ObjectIndex.js";
+
+	let classes = Object.keys(files).filter(file => {
+		return file !== index && [outputDirs.objects, outputDirs.components, outputDirs.component_results].some(dir => file.startsWith(dir + "/"));
+	});
+
+	return core.concat(classes, [index]).map(file => new vm.Script(files[file], { filename: file }));
+}
+
+const scripts = compileScripts();
+
+/**
+ * Creates a fresh VM with every generated class loaded
+ * @param {object} globals Any extra globals the VM should have, ie fetch or require for the Node transports
+ * @return {object} An object with run (evaluates code in the VM), NewgroundsIO (the namespace), warnings and errors (anything logged to the console),
+ *         requests (every request createCore() sent) and tick (moves the VM's clock forward, past throttles like Session.update()'s)
+ */
+function load(globals) {
+	let env = { warnings: [], errors: [], requests: [] };
+
+	let context = vm.createContext(Object.assign({
+		console: {
+			log: console.log,
+			warn: (...args) => env.warnings.push(args.join(" ")),
+			error: (...args) => env.errors.push(args.join(" "))
+		},
+		setTimeout: setTimeout,
+		clearTimeout: clearTimeout,
+		__clockOffset: 0
+	}, globals || {}));
+
+	scripts.forEach(script => script.runInContext(context));
+
+	env.run = code => vm.runInContext(code, context);
+	env.run("Date.now = (now => () => now() + __clockOffset)(Date.now)");
+	env.tick = ms => { context.__clockOffset += ms; };
+	env.NewgroundsIO = env.run("NewgroundsIO");
+
+	return env;
+}
+
+/**
+ * Creates a core instance that sends everything to the mock server
+ * @param {object} env An environment from load()
+ * @param {object} options Any extra core options
+ * @return {NewgroundsIO}
+ */
+function createCore(env, options) {
+	let transport = (url, postData, callback) => {
+		let input = new URLSearchParams(postData).get("input");
+		env.requests.push(JSON.parse(input));
+		setTimeout(() => callback(null, JSON.stringify(mock.handleRequest(input))), 0);
+	};
+
+	return new env.NewgroundsIO("12345:abcde", AES_KEY, Object.assign({ transport: transport, storage: "memory", min_interval: 0, max_attempts: 1 }, options || {}));
+}
+
+/**
+ * Waits for any responses from createCore()'s transport to be handled
+ * @param {Number} ms How long to wait
+ * @return {Promise}
+ */
+function wait(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms || 5));
+}
+
+/**
+ * Starts a session on the mock server and logs the mock user in to it
+ * @param {object} env An environment from load()
+ * @param {NewgroundsIO} core
+ * @return {Promise} Resolves to the session id
+ */
+async function logIn(env, core) {
+	let started = await core.execute(new env.NewgroundsIO.components.App.startSession());
+	mock.login(started.session.id);
+	core.session.id = started.session.id;
+	return started.session.id;
+}
+
+/**
+ * Creates a core with the outbox turned on, and a connection that can be dropped
+ * @param {object} env An environment from load()
+ * @param {object} options Any extra core options
+ * @return {NewgroundsIO} The core, with an extra 'online' property. Set it to false to make every request fail to connect.
+ */
+function createOutboxCore(env, options) {
+	let core = createCore(env, Object.assign({ outbox: true }, options || {}));
+	let transport = core.transport;
+
+	core.online = true;
+	core.transport = (url, postData, callback) => {
+		if (core.online) transport(url, postData, callback);
+		else setTimeout(() => callback("Unable to connect to server", null), 0);
+	};
+
+	return core;
+}
+
+/**
+ * Builds property values for a documented object, component or result
+ * @param {object} specs The documented properties
+ * @return {object}
+ */
+function getSampleProps(specs) {
+	let props = {};
+	for (const [key, spec] of Object.entries(specs || {})) props[key] = mock.getSampleValue(spec, MockServer.SAMPLE_DEPTH, key);
+	return props;
+}
+
+/**
+ * Removes null properties, the way toJSON() leaves them out
+ * @param {*} value
+ * @return {*}
+ */
+function compact(value) {
+	if (Array.isArray(value)) return value.map(compact);
+	if (value === null || typeof(value) !== 'object') return value;
+
+	let out = {};
+	for (const [key, child] of Object.entries(value)) {
+		if (child !== null) out[key] = compact(child);
+	}
+	return out;
+}
+
+/**
+ * Copies a value created in the VM, so it can be compared with values created out here
+ * @param {*} value
+ * @return {*}
+ */
+function plain(value) {
+	return JSON.parse(JSON.stringify(value));
+}
+
+/* ------------------------------------------- Tests ------------------------------------------- */
+
+test("every object can be built from its documented properties, and serializes back to them", () => {
+	let env = load();
+
+	for (const [name, doc] of Object.entries(objectDocs.objects)) {
+
+		// Response casts its results to component result classes, so it gets a test of its own, and Result isn't generated at all (see NewgroundsIO_results)
+		if (name === "Response" || name === "Result") continue;
+
+		let props = getSampleProps(doc.properties);
+		let instance = new env.NewgroundsIO.objects[name](props);
+
+		assert.ok(instance instanceof env.run("NewgroundsIO_objects"), name + " should extend NewgroundsIO_objects");
+		assert.deepStrictEqual(plain(instance), compact(props), name + " didn't serialize back to its properties");
+		assert.deepStrictEqual(plain(env.NewgroundsIO.objects[name].fromJSON(JSON.stringify(instance))), compact(props), name + " didn't survive a fromJSON() round trip");
+	}
+
+	assert.deepStrictEqual(env.warnings, []);
+});
+
+test("every component can be built from its documented parameters, and serializes back to them", () => {
+	let env = load();
+
+	for (const [name, component] of Object.entries(objectDocs.components)) {
+		for (const [method, doc] of Object.entries(component.methods)) {
+			let props = getSampleProps(doc.params);
+			let instance = new env.NewgroundsIO.components[name][method](props);
+
+			assert.strictEqual(instance.toString(), name + "." + method);
+			assert.ok(instance.isValid(), name + "." + method + " should be valid with every parameter set");
+			assert.deepStrictEqual(plain(instance), compact(props), name + "." + method + " didn't serialize back to its parameters");
+		}
+	}
+
+	assert.deepStrictEqual(env.warnings, []);
+	assert.deepStrictEqual(env.errors, []);
+});
+
+test("every result is registered to its component, and casts its documented return values", () => {
+	let env = load();
+	let NewgroundsIO_results = env.run("NewgroundsIO_results");
+	let NewgroundsIO_objects = env.run("NewgroundsIO_objects");
+
+	for (const [name, component] of Object.entries(objectDocs.components)) {
+		for (const [method, doc] of Object.entries(component.methods)) {
+			if (!doc.return) continue;
+
+			let resultClass = NewgroundsIO_results.getResultClass(name + "." + method);
+			assert.strictEqual(resultClass, env.NewgroundsIO.results[name][method], name + "." + method + " isn't registered");
+
+			let props = Object.assign({ success: true }, getSampleProps(doc.return));
+			let instance = new resultClass(props);
+
+			// documented objects, and arrays of them, should become model instances
+			for (const [key, spec] of Object.entries(doc.return)) {
+				let values = spec.array ? instance[key] : [instance[key]];
+
+				if (spec.array) assert.ok(Array.isArray(values), name + "." + method + "." + key + " should be an array");
+				if (!spec.object && !(spec.array && spec.array.object)) continue;
+
+				values.forEach(value => {
+					if (value !== null) assert.ok(value instanceof NewgroundsIO_objects, name + "." + method + "." + key + " wasn't cast to an object model");
+				});
+			}
+
+			assert.deepStrictEqual(plain(instance), compact(props));
+		}
+	}
+
+	assert.deepStrictEqual(env.warnings, []);
+});
+
+test("setters cast values to their documented types, and warn about the ones that don't match", () => {
+	let env = load();
+	let scores = new env.NewgroundsIO.components.ScoreBoard.getScores();
+
+	scores.id = "5";
+	assert.strictEqual(scores.id, 5);
+
+	scores.limit = 2.5;
+	assert.strictEqual(scores.limit, 2.5);
+
+	scores.skip = "lots";
+	assert.strictEqual(scores.skip, null);
+
+	scores.social = 1;
+	assert.strictEqual(scores.social, true);
+
+	scores.tag = 10;
+	assert.strictEqual(scores.tag, "10");
+
+	assert.strictEqual(env.warnings.length, 5);
+	assert.match(env.warnings[0], /\bid\b/);
+	assert.match(env.warnings[1], /float/);
+
+	// nulls are always allowed
+	scores.tag = null;
+	assert.strictEqual(scores.tag, null);
+	assert.strictEqual(env.warnings.length, 5);
+});
+
+test("nested objects and arrays of objects are cast to their models", () => {
+	let env = load();
+	let result = new env.NewgroundsIO.results.ScoreBoard.getScores({ success: true, scores: [{ value: 10, user: { id: 1, name: "Tom" } }, null] });
+
+	assert.ok(result.scores[0] instanceof env.NewgroundsIO.objects.Score);
+	assert.ok(result.scores[0].user instanceof env.NewgroundsIO.objects.User);
+	assert.strictEqual(result.scores[0].user.name, "Tom");
+	assert.strictEqual(result.scores[1], null);
+
+	result.scores = [5];
+	assert.strictEqual(env.warnings.length, 1);
+	assert.match(env.warnings[0], /scores\[0\]/);
+});
+
+test("result partials add methods to the generated result classes", () => {
+	let env = load();
+	let result = new env.NewgroundsIO.results.ScoreBoard.getScores({ success: true, scores: [{ value: 10, user: { id: 1, name: "Tom" } }, { value: 5, user: { id: 2, name: "Wade" } }] });
+
+	assert.strictEqual(result.getUserScore(2).value, 5);
+	assert.strictEqual(result.getUserScore("tom").value, 10);
+	assert.strictEqual(result.getUserScore(new env.NewgroundsIO.objects.User({ id: 1 })).value, 10);
+	assert.strictEqual(result.getUserScore("nobody"), null);
+});
+
+test("validation modes control how bad values are reported", () => {
+	let env = load();
+	let NewgroundsIO = env.NewgroundsIO;
+	let medal = new NewgroundsIO.objects.Medal();
+
+	NewgroundsIO.validationMode = NewgroundsIO.VALIDATION_THROW;
+	assert.throws(() => { medal.value = "a lot"; }, error => error instanceof env.run("NewgroundsIO_ValidationError") && error.property === "value");
+
+	NewgroundsIO.validationMode = NewgroundsIO.VALIDATION_COLLECT;
+	medal.value = "a lot";
+	medal.name = 7;
+	assert.deepStrictEqual(plain(medal.getValidationErrors().map(error => error.property)), ["value", "name"]);
+	medal.clearValidationErrors();
+	assert.strictEqual(medal.getValidationErrors().length, 0);
+
+	NewgroundsIO.validationMode = NewgroundsIO.VALIDATION_COERCE;
+	medal.name = 8;
+	assert.strictEqual(medal.name, "8");
+
+	assert.deepStrictEqual(env.warnings, []);
+});
+
+test("responses that fail validation in throw mode fail the request, instead of throwing in the transport", async () => {
+	let env = load();
+	let NewgroundsIO = env.NewgroundsIO;
+
+	// a float where the docs say int
+	let core = createCore(env, { transport: (url, postData, callback) => {
+		let response = mock.handleRequest(new URLSearchParams(postData).get("input"));
+		response.result.data.timestamp = 1.5;
+		setTimeout(() => callback(null, JSON.stringify(response)), 0);
+	}});
+
+	NewgroundsIO.validationMode = NewgroundsIO.VALIDATION_THROW;
+
+	await assert.rejects(core.execute(new NewgroundsIO.components.Gateway.getDatetime()), error => {
+		assert.strictEqual(error.type, NewgroundsIO.ExecuteError.REQUEST_FAILED);
+		assert.ok(error.message.includes("timestamp should be a int, got a float"), error.message);
+		return true;
+	});
+});
+
+test("required properties are enforced by isValid()", () => {
+	let env = load();
+	let unlock = new env.NewgroundsIO.components.Medal.unlock();
+
+	assert.deepStrictEqual(plain(unlock.getMissingProperties()), ["id"]);
+	assert.strictEqual(unlock.isValid(), false);
+	assert.match(env.warnings[0], /Medal\.unlock is missing required property "id"/);
+
+	unlock.id = 3;
+	assert.deepStrictEqual(plain(unlock.getMissingProperties()), []);
+	assert.strictEqual(unlock.isValid(), true);
+});
+
+test("Execute.setComponent() copies the component's name and parameters", () => {
+	let env = load();
+	let execute = new env.NewgroundsIO.objects.Execute();
+
+	execute.setComponent(new env.NewgroundsIO.components.ScoreBoard.getScores({ id: 4, limit: 10 }));
+
+	assert.strictEqual(execute.component, "ScoreBoard.getScores");
+	assert.deepStrictEqual(plain(execute.parameters), { id: 4, limit: 10 });
+	assert.deepStrictEqual(plain(execute), { component: "ScoreBoard.getScores", parameters: { id: 4, limit: 10 } });
+});
+
+test("secure components are encrypted in a form the server can decrypt", () => {
+	let env = load();
+
+	[[MockServer.AES_128, MockServer.BASE64, AES_KEY], [MockServer.RC4, MockServer.HEX, "000102030405060708090a0b0c0d0e0f"]].forEach(([cipher, format, key]) => {
+		let server = new MockServer(objectDocs, { aes_key: key, cipher: cipher, format: format });
+		let core = new env.NewgroundsIO("12345:abcde", key, { storage: "memory", transport: () => {}, cipher: cipher, format: format });
+		let execute = new env.NewgroundsIO.objects.Execute();
+
+		execute.setCore(core);
+		execute.setComponent(new env.NewgroundsIO.components.Medal.unlock({ id: 42 }));
+
+		let json = plain(execute);
+
+		assert.deepStrictEqual(Object.keys(json), ["secure"], cipher + " should only send the secure property");
+		assert.deepStrictEqual(JSON.parse(server.decrypt(json.secure)), { component: "Medal.unlock", parameters: { id: 42 } }, cipher + " didn't decrypt");
+	});
+
+	// non-secure components are left alone
+	let execute = new env.NewgroundsIO.objects.Execute();
+	execute.setCore(createCore(env));
+	execute.setComponent(new env.NewgroundsIO.components.Gateway.ping());
+	assert.deepStrictEqual(plain(execute), { component: "Gateway.ping", parameters: {} });
+});
+
+test("encryption matches known test vectors, using a fixed iv", () => {
+	let env = load();
+	let Encryption = env.NewgroundsIO.Encryption;
+	let hex = text => plain(Encryption.decode(text, Encryption.HEX));
+
+	// RC4, from the original cypherpunks test vectors
+	assert.strictEqual(Encryption.encrypt("Plaintext", "4b6579", Encryption.RC4, Encryption.HEX), "bbf316e8d940af0ad3");
+	assert.strictEqual(Encryption.encrypt("Attack at dawn", "536563726574", Encryption.RC4, Encryption.HEX), "45a01f645fc35b383552544b9bf5");
+
+	// AES-128 CBC, from NIST SP 800-38A (F.2.1, first block)
+	let block = Encryption.aesCBC(hex("2b7e151628aed2a6abf7158809cf4f3c"), hex("000102030405060708090a0b0c0d0e0f"), hex("6bc1bee22e409f96e93d7e117393172a"));
+	assert.strictEqual(Encryption.encode(plain(block).slice(0, 16), Encryption.HEX), "7649abac8119b246cee98e9b12e9197d");
+
+	// a whole secure component, with the iv_generator option, matches Node's own AES
+	let iv = Array.from({ length: 16 }, (value, index) => index * 3);
+	let core = new env.NewgroundsIO("12345:abcde", AES_KEY, { storage: "memory", transport: () => {}, iv_generator: () => iv.slice() });
+	let execute = new env.NewgroundsIO.objects.Execute();
+
+	execute.setCore(core);
+	execute.setComponent(new env.NewgroundsIO.components.Medal.unlock({ id: 42 }));
+
+	let cipher = crypto.createCipheriv("aes-128-cbc", Buffer.from(AES_KEY, "base64"), Buffer.from(iv));
+	let expected = Buffer.concat([Buffer.from(iv), cipher.update('{"component":"Medal.unlock","parameters":{"id":42}}', "utf8"), cipher.final()]).toString("base64");
+
+	assert.deepStrictEqual(plain(execute), { secure: expected });
+});
+
+test("secure components are never sent unencrypted", async () => {
+	let env = load();
+	let core = createCore(env);
+	let unlock = new env.NewgroundsIO.components.Medal.unlock({ id: 42 });
+
+	unlock.setCore(new env.NewgroundsIO("12345:abcde", null, { storage: "memory", transport: () => {} }));
+	assert.throws(() => unlock.toSecureJSON(), /without a core instance with an aes_key/);
+
+	// the core won't send them either
+	core.aes_key = null;
+	await logIn(env, core);
+	let sent = env.requests.length;
+
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 42 })), error => error.type === env.NewgroundsIO.ExecuteError.INVALID_COMPONENT);
+	assert.strictEqual(env.requests.length, sent);
+	assert.match(env.errors[0], /Medal\.unlock is a secure component and requires an aes_key/);
+});
+
+test("responses cast each result to the class registered for its component", () => {
+	let env = load();
+	let NewgroundsIO = env.NewgroundsIO;
+	let NewgroundsIO_results = env.run("NewgroundsIO_results");
+
+	let response = NewgroundsIO.objects.Response.fromJSON(JSON.stringify({
+		app_id: "12345:abcde",
+		success: true,
+		result: [
+			{ component: "Medal.getList", data: { success: true, medals: [{ id: 1, name: "First" }] } },
+			{ component: "App.logView", data: { success: true } }
+		]
+	}));
+
+	assert.ok(response.result[0] instanceof NewgroundsIO.results.Medal.getList);
+	assert.ok(response.result[0].medals[0] instanceof NewgroundsIO.objects.Medal);
+	assert.ok(response.result[1] instanceof NewgroundsIO_results);
+	assert.strictEqual(response.result[1].objectIs("App.logView"), true);
+
+	// custom result classes can replace the generated ones
+	class CustomPing extends NewgroundsIO_results {}
+	NewgroundsIO_results.registerComponent("Gateway.ping", CustomPing);
+
+	response = new NewgroundsIO.objects.Response({ success: true, result: { component: "Gateway.ping", data: { success: true } } });
+	assert.ok(response.result instanceof CustomPing);
+	assert.strictEqual(NewgroundsIO_results.getResultClass("Not.real"), null);
+
+	["toString", "constructor", "__proto__", "hasOwnProperty", "valueOf"].forEach(name => {
+		assert.strictEqual(NewgroundsIO_results.getResultClass(name), null, name);
+
+		response = new NewgroundsIO.objects.Response({ success: true, result: { component: name, data: { success: true } } });
+		assert.strictEqual(Object.getPrototypeOf(response.result), NewgroundsIO_results.prototype, name);
+		assert.strictEqual(response.result.success, true, name);
+	});
+});
+
+test("the object index creates objects, components and results from case insensitive names and JSON", () => {
+	let env = load();
+	let NewgroundsIO = env.NewgroundsIO;
+	let ObjectIndex = NewgroundsIO.ObjectIndex;
+
+	let medal = ObjectIndex.createObject("mEdAl", { id: 7, name: "Seven" });
+	assert.ok(medal instanceof NewgroundsIO.objects.Medal);
+	assert.deepStrictEqual([medal.id, medal.name], [7, "Seven"]);
+	assert.strictEqual(ObjectIndex.createObject("Medal", '{"id": 8}').id, 8);
+	assert.ok(ObjectIndex.createObject("medal") instanceof NewgroundsIO.objects.Medal);
+
+	let unlock = ObjectIndex.createComponent("medal.UNLOCK", '{"id": 9}');
+	assert.ok(unlock instanceof NewgroundsIO.components.Medal.unlock);
+	assert.strictEqual(unlock.id, 9);
+
+	let result = ObjectIndex.createResult("Gateway.GetDatetime", { timestamp: 1234 });
+	assert.ok(result instanceof NewgroundsIO.results.Gateway.getDatetime);
+	assert.strictEqual(result.timestamp, 1234);
+
+	["Nope", "Medal.nope", "Medal", "toString", "constructor", "__proto__", "Medal.constructor", "", null].forEach(name => {
+		assert.strictEqual(ObjectIndex.createComponent(name, {}), null, String(name));
+		assert.strictEqual(ObjectIndex.createResult(name, {}), null, String(name));
+		assert.strictEqual(ObjectIndex.getComponentInfo(name), null, String(name));
+	});
+	["Nope", "Medal.unlock", "toString", "constructor", null].forEach(name => assert.strictEqual(ObjectIndex.createObject(name, {}), null, String(name)));
+
+	let info = ObjectIndex.getComponentInfo("MEDAL.unlock");
+	let documented = objectDocs.components.Medal.methods.unlock;
+	assert.deepStrictEqual(plain(info), {
+		description: documented.description,
+		secure: true,
+		require_session: true,
+		idempotent: false,
+		params: documented.params,
+		return: documented.return
+	});
+
+	let all = [];
+	Object.entries(objectDocs.components).forEach(([componentName, component]) => {
+		Object.keys(component.methods).forEach(methodName => all.push(componentName + "." + methodName));
+	});
+	let secure = all.filter(name => {
+		let [componentName, methodName] = name.split(".");
+		return objectDocs.components[componentName].methods[methodName].secure ? true : false;
+	});
+
+	assert.deepStrictEqual(plain(ObjectIndex.getComponentNames()), all);
+	assert.deepStrictEqual(plain(ObjectIndex.getComponentNames(null)), all);
+	assert.deepStrictEqual(plain(ObjectIndex.getComponentNames({ secure: true })), secure);
+	assert.deepStrictEqual(plain(ObjectIndex.getComponentNames({ secure: true, require_session: false })), secure.filter(name => !ObjectIndex.getComponentInfo(name).require_session));
+	assert.deepStrictEqual(plain(ObjectIndex.getComponentNames({ secure: "yes" })), []);
+	assert.ok(secure.length > 0 && secure.length < all.length);
+});
+
+test("the UMD bundle and ES modules load in order, and can execute components", async () => {
+	let outputDir = defaults.generators.javascript.outputDirs.bundles;
+	let dir = fs.mkdtempSync(path.join(os.tmpdir(), "ngio-bundles-"));
+
+	let transport = (gateway_url, postData, callback) => {
+		setTimeout(() => callback(null, JSON.stringify(mock.handleRequest(new URLSearchParams(postData).get("input")))), 0);
+	};
+
+	try {
+		runGenerator("javascript", defaults.generators.javascript, objectDocs).forEach(file => {
+			if (!file.path.startsWith(outputDir + "/")) return;
+
+			let filePath = path.join(dir, file.path.substr(outputDir.length + 1));
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(filePath, file.contents);
+		});
+
+		let umd = require(path.join(dir, "NewgroundsIO.umd.js"));
+		let esm = (await import(url.pathToFileURL(path.join(dir, "esm", "index.js")).href)).default;
+
+		for (const NewgroundsIO of [umd, esm]) {
+			let core = new NewgroundsIO("12345:abcde", AES_KEY, { transport: transport, storage: "memory", min_interval: 0 });
+			let started = await core.execute(new NewgroundsIO.components.App.startSession());
+			assert.ok(started instanceof NewgroundsIO.results.App.startSession);
+			assert.ok(started.session instanceof NewgroundsIO.objects.Session);
+			assert.ok(NewgroundsIO.ObjectIndex.createComponent("Medal.unlock", { id: 7 }) instanceof NewgroundsIO.components.Medal.unlock);
+		}
+	} finally {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+
+	// template literals and regexes used to be scanned as code, which could reorder the bundle
+	let modules = javascriptGenerator.sortModules([
+		{ type: "core", file_name: "B.js", file_contents: "const re = /[{]/; class NewgroundsIO_B extends NewgroundsIO_A { f() { return `${ { a: NewgroundsIO_C } }`; } }" },
+		{ type: "core", file_name: "C.js", file_contents: "const label = `${NewgroundsIO_A.name} {`;\nclass NewgroundsIO_C {}" },
+		{ type: "core", file_name: "A.js", file_contents: "class NewgroundsIO_A {}" }
+	].map(file => javascriptGenerator.getModuleInfo(file)));
+
+	assert.deepStrictEqual(modules.map(module => module.path), ["core/A.js", "core/B.js", "core/C.js"]);
+	assert.deepStrictEqual(modules.map(module => module.runDeps), [[], ["NewgroundsIO_C"], []]);
+});
+
+test("components round trip through the mock server", async () => {
+	let env = load();
+	let core = createCore(env);
+
+	let ping = await core.execute(new env.NewgroundsIO.components.Gateway.ping());
+	assert.ok(ping instanceof env.NewgroundsIO.results.Gateway.ping);
+	assert.strictEqual(ping.success, true);
+	assert.strictEqual(typeof(ping.pong), "string");
+
+	await logIn(env, core);
+	assert.ok(core.session.id);
+
+	let unlocked = await core.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 7 }));
+	assert.strictEqual(unlocked.medal.id, 7);
+	assert.strictEqual(unlocked.medal.unlocked, true);
+
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.ScoreBoard.getScores({ id: "nope" })));
+
+	assert.deepStrictEqual(env.errors, []);
+});
+
+test("the Node transports post to a real server, and report connection failures and bad statuses", async () => {
+	let server = new MockServer(objectDocs, { aes_key: AES_KEY });
+	let gateway_url = await new Promise(resolve => server.listen(0, resolve));
+
+	// nothing is listening on a port we just closed
+	let closed = http.createServer();
+	let closed_url = await new Promise(resolve => closed.listen(0, "localhost", () => resolve("http://localhost:" + closed.address().port + "/gateway_v3.php")));
+	await new Promise(resolve => closed.close(resolve));
+
+	let unavailable = http.createServer((req, res) => { res.statusCode = 503; res.end(); });
+	let unavailable_url = await new Promise(resolve => unavailable.listen(0, "localhost", () => resolve("http://localhost:" + unavailable.address().port + "/gateway_v3.php")));
+
+	try {
+		for (const [name, globals] of [["fetchTransport", { fetch: fetch }], ["httpTransport", { require: require }]]) {
+			let env = load(globals);
+			let NewgroundsIO = env.NewgroundsIO;
+			let options = { transport: null, min_interval: 0, retry_delay: 1, max_attempts: 2 };
+
+			assert.strictEqual(NewgroundsIO.getDefaultTransport(), NewgroundsIO[name]);
+
+			let core = new NewgroundsIO("12345:abcde", AES_KEY, Object.assign({ gateway_url: gateway_url }, options));
+			let ping = await core.execute(new NewgroundsIO.components.Gateway.ping());
+			assert.strictEqual(ping.success, true, name);
+
+			let started = await core.execute(new NewgroundsIO.components.App.startSession());
+			server.login(started.session.id);
+			core.session.id = started.session.id;
+			assert.strictEqual((await core.execute(new NewgroundsIO.components.Medal.unlock({ id: 7 }))).medal.id, 7, name);
+
+			core = new NewgroundsIO("12345:abcde", AES_KEY, Object.assign({ gateway_url: closed_url }, options));
+			await assert.rejects(core.execute(new NewgroundsIO.components.Gateway.ping()), error => {
+				assert.strictEqual(error.type, NewgroundsIO.ExecuteError.EXCEEDED_MAX_ATTEMPTS, name);
+				assert.match(error.message, /Gave up after 2 attempts\. Unable to connect to server: /, name);
+				return true;
+			});
+
+			core = new NewgroundsIO("12345:abcde", AES_KEY, Object.assign({ gateway_url: unavailable_url }, options, { max_attempts: 1 }));
+			await assert.rejects(core.execute(new NewgroundsIO.components.Gateway.ping()), error => {
+				assert.strictEqual(error.type, NewgroundsIO.ExecuteError.REQUEST_FAILED, name);
+				assert.strictEqual(error.message, "Unable to connect to server, status: 503", name);
+				return true;
+			});
+
+			assert.deepStrictEqual(env.errors, [], name);
+		}
+	} finally {
+		await new Promise(resolve => server.close(resolve));
+		await new Promise(resolve => unavailable.close(resolve));
+	}
+});
+
+test("the session goes from login to logged in to logged out, even if a status listener throws", async () => {
+	let env = load();
+	let SessionState = env.NewgroundsIO.SessionState;
+	let opened = [];
+	let core = createCore(env, { open_url: url => opened.push(url) });
+	let session = core.session;
+	let statuses = [];
+	let events = [];
+
+	session.addStatusListener(() => { throw new Error("broken listener"); });
+	session.addStatusListener(_session => statuses.push(_session.status));
+	core.addEventListener(env.NewgroundsIO.Event.SESSION_STATUS_CHANGED, event => events.push([event.previous_status, event.status]));
+
+	// no saved session, so update() starts a new one
+	session.update();
+	assert.strictEqual(session.status, SessionState.WAITING_FOR_SERVER);
+	await wait();
+
+	session.update();
+	assert.strictEqual(session.status, SessionState.LOGIN_REQUIRED);
+	assert.ok(mock.sessions[session.id]);
+
+	session.openLoginPage();
+	assert.deepStrictEqual(opened, [mock.sessions[session.id].passport_url]);
+	mock.sessions[session.id].remember = true;
+	mock.login(session.id);
+
+	// update() waits 5 seconds between checks
+	session.update();
+	assert.strictEqual(env.requests.length, 1);
+	env.tick(5000);
+	session.update();
+	assert.strictEqual(env.requests.length, 2);
+	assert.strictEqual(env.requests[1].execute.component, "App.checkSession");
+	await wait();
+
+	session.update();
+	assert.strictEqual(session.status, SessionState.LOGIN_SUCCESSFUL);
+	assert.strictEqual(session.user.name, "MockUser");
+	assert.strictEqual(core.storage.getSessionId(core.app_id), session.id);
+
+	let id = session.id;
+	await new Promise(resolve => session.logOut(resolve));
+	session.update();
+
+	assert.strictEqual(session.status, SessionState.USER_LOGGED_OUT);
+	assert.strictEqual(session.id, null);
+	assert.strictEqual(core.storage.getSessionId(core.app_id), null);
+	assert.strictEqual(mock.sessions[id], undefined);
+
+	let expected = [SessionState.SESSION_UNINITIALIZED, SessionState.LOGIN_REQUIRED, SessionState.WAITING_FOR_USER, SessionState.LOGIN_SUCCESSFUL, SessionState.USER_LOGGED_OUT];
+	assert.deepStrictEqual(plain(statuses), expected);
+	assert.deepStrictEqual(plain(events), expected.map((status, index) => [index ? expected[index - 1] : null, status]));
+	assert.strictEqual(env.errors.length, expected.length);
+	assert.match(env.errors[0], /status listener threw an error/);
+});
+
+test("remembered session ids are picked up by other cores using the same storage", async () => {
+	let env = load();
+	let SessionState = env.NewgroundsIO.SessionState;
+	let items = {};
+	let localStorage = {
+		getItem: key => key in items ? items[key] : null,
+		setItem: (key, value) => { items[key] = String(value); },
+		removeItem: key => { delete items[key]; }
+	};
+
+	for (const storage of [new env.NewgroundsIO.MemorySessionStorage(), localStorage]) {
+		let first = createCore(env, { storage: storage });
+		let id = await logIn(env, first);
+
+		mock.sessions[id].remember = true;
+		first.session.checkSession();
+		await wait();
+		assert.strictEqual(first.session.status, SessionState.LOGIN_SUCCESSFUL);
+
+		// a second core, ie the game being opened again, checks the saved session instead of starting a new one
+		let second = createCore(env, { storage: storage });
+		let sent = env.requests.length;
+		second.session.update();
+		assert.strictEqual(env.requests[sent].execute.component, "App.checkSession");
+		assert.strictEqual(env.requests[sent].session_id, id);
+		await wait();
+
+		assert.strictEqual(second.session.status, SessionState.LOGIN_SUCCESSFUL);
+		assert.strictEqual(second.session.id, id);
+
+		// logging out forgets the id for every core
+		await new Promise(resolve => second.session.logOut(resolve));
+		assert.strictEqual(createCore(env, { storage: storage }).storage.getSessionId(first.app_id), null);
+	}
+
+	assert.deepStrictEqual(items, {});
+
+	["constructor", "toString", "__proto__", "nope"].forEach(name => {
+		assert.throws(() => env.NewgroundsIO.SessionStorage.create(name), error => String(error) === "NewgroundsIO Error: No session storage is registered as '" + name + "'");
+	});
+});
+
+test("queued components are sent in one request, and each callback gets its own result", async () => {
+	let env = load();
+	let core = createCore(env);
+	let results = [];
+
+	await logIn(env, core);
+	let sent = env.requests.length;
+
+	mock.fixtures["Gateway.getDatetime"] = { error: { code: 500, message: "Down for maintenance" } };
+
+	try {
+		core.queueComponent(new env.NewgroundsIO.components.Gateway.ping(), result => results.push(result));
+		core.queueComponent(new env.NewgroundsIO.components.Gateway.getDatetime(), result => results.push(result));
+		core.queueComponent(new env.NewgroundsIO.components.Medal.unlock({ id: 3 }), result => results.push(result));
+		assert.strictEqual(core.queueLength, 3);
+
+		let response = await new Promise(resolve => assert.strictEqual(core.executeQueue(resolve), true));
+		assert.strictEqual(core.queueLength, 0);
+		assert.strictEqual(response.success, true);
+	} finally {
+		delete mock.fixtures["Gateway.getDatetime"];
+	}
+
+	assert.strictEqual(env.requests.length, sent + 1);
+	assert.strictEqual(env.requests[sent].execute.length, 3);
+
+	assert.ok(results[0] instanceof env.NewgroundsIO.results.Gateway.ping);
+	assert.strictEqual(results[0].success, true);
+	assert.strictEqual(results[1].success, false);
+	assert.strictEqual(results[1].error.code, 500);
+	assert.strictEqual(results[2].medal.id, 3);
+
+	// nothing to send
+	assert.strictEqual(core.executeQueue(), false);
+	assert.strictEqual(env.requests.length, sent + 1);
+});
+
+test("events are dispatched in order: sent, received, then one per component", async () => {
+	let env = load();
+	let Event = env.NewgroundsIO.Event;
+	let core = createCore(env);
+	let order = [];
+
+	await logIn(env, core);
+
+	[Event.REQUEST_SENT, Event.RESPONSE_RECEIVED, Event.MEDAL_UNLOCKED, Event.SCORE_POSTED, Event.COMPONENT_FAILED].forEach(type => {
+		core.addEventListener(type, event => order.push(type + (event.component && !Array.isArray(event.component) ? " " + event.component : "")));
+	});
+
+	// a listener that throws doesn't stop the others
+	core.addEventListener(Event.REQUEST_SENT, () => { throw new Error("broken listener"); });
+
+	mock.fixtures["ScoreBoard.getScores"] = { error: { code: 500, message: "Down for maintenance" } };
+
+	try {
+		core.queueComponent(new env.NewgroundsIO.components.Medal.unlock({ id: 3 }), () => order.push("callback Medal.unlock"));
+		core.queueComponent(new env.NewgroundsIO.components.ScoreBoard.postScore({ id: 9, value: 100 }), () => order.push("callback ScoreBoard.postScore"));
+		core.queueComponent(new env.NewgroundsIO.components.ScoreBoard.getScores({ id: 9 }), () => order.push("callback ScoreBoard.getScores"));
+		await new Promise(resolve => core.executeQueue(resolve));
+	} finally {
+		delete mock.fixtures["ScoreBoard.getScores"];
+	}
+
+	assert.deepStrictEqual(order, [
+		"requestSent",
+		"responseReceived",
+		"medalUnlocked Medal.unlock",
+		"scorePosted ScoreBoard.postScore",
+		"componentFailed ScoreBoard.getScores",
+		"callback Medal.unlock",
+		"callback ScoreBoard.postScore",
+		"callback ScoreBoard.getScores"
+	]);
+
+	assert.strictEqual(env.errors.length, 1);
+	assert.match(env.errors[0], /'requestSent' listener threw an error/);
+});
+
+test("the scheduler spaces out requests by min_interval", async () => {
+	let env = load();
+	let times = [];
+	let core = createCore(env, { min_interval: 40 });
+	let transport = core.transport;
+
+	core.transport = (url, postData, callback) => {
+		times.push(Date.now());
+		transport(url, postData, callback);
+	};
+
+	await Promise.all([1, 2, 3].map(() => core.execute(new env.NewgroundsIO.components.Gateway.ping())));
+
+	assert.strictEqual(times.length, 3);
+
+	// timers can fire a millisecond early
+	assert.ok(times[1] - times[0] >= 39, "second request was sent " + (times[1] - times[0]) + "ms after the first");
+	assert.ok(times[2] - times[1] >= 39, "third request was sent " + (times[2] - times[1]) + "ms after the second");
+});
+
+test("failed requests are retried with exponential backoff, and give up after max_attempts", async () => {
+	let env = load();
+	let times = [];
+	let core = createCore(env, {
+		max_attempts: 4,
+		retry_delay: 15,
+		max_retry_delay: 40,
+		transport: (url, postData, callback) => {
+			times.push(Date.now());
+			setTimeout(() => callback("Unable to connect to server", null), 0);
+		}
+	});
+
+	assert.deepStrictEqual([1, 2, 3, 4].map(attempts => core.scheduler.getRetryDelay(attempts)), [15, 30, 40, 40]);
+
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.Gateway.ping()), error => {
+		assert.strictEqual(error.type, env.NewgroundsIO.ExecuteError.EXCEEDED_MAX_ATTEMPTS);
+		assert.match(error.message, /Gave up after 4 attempts/);
+		return true;
+	});
+
+	assert.strictEqual(times.length, 4);
+	[15, 30, 40].forEach((delay, index) => {
+		let waited = times[index + 1] - times[index];
+		assert.ok(waited >= delay - 1, "retry " + (index + 1) + " waited " + waited + "ms, expected " + delay + "ms");
+	});
+});
+
+test("only requests where every component is idempotent are retried", async () => {
+	let env = load();
+	let failures = 0;
+	let sent = [];
+	let core = createCore(env, { max_attempts: 3, retry_delay: 1 });
+	let transport = core.transport;
+
+	// the first two attempts at anything fail to connect
+	core.transport = (url, postData, callback) => {
+		sent.push(JSON.parse(new URLSearchParams(postData).get("input")));
+		if (++failures <= 2) setTimeout(() => callback("Unable to connect to server", null), 0);
+		else transport(url, postData, callback);
+	};
+
+	let pong = await core.execute(new env.NewgroundsIO.components.Gateway.ping());
+	assert.strictEqual(pong.success, true);
+	assert.strictEqual(sent.length, 3);
+
+	await logIn(env, core);
+
+	// Medal.unlock isn't safe to send twice, and neither is a request that includes it
+	failures = 0;
+	sent = [];
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 3 })), error => error.type === env.NewgroundsIO.ExecuteError.REQUEST_FAILED);
+	await assert.rejects(core.execute([new env.NewgroundsIO.components.Gateway.ping(), new env.NewgroundsIO.components.Medal.unlock({ id: 3 })]), error => error.type === env.NewgroundsIO.ExecuteError.REQUEST_FAILED);
+	assert.strictEqual(sent.length, 2);
+});
+
+test("the mock server rejects components named after Object.prototype properties, and survives errors", async () => {
+	let names = ["toString.x", "__proto__.x", "constructor.name", "hasOwnProperty.call", "Medal.constructor", "Medal.__proto__", "Medal.toString"];
+
+	names.forEach(name => {
+		let response = mock.handleRequest({ app_id: "12345:abcde", session_id: "constructor", execute: { component: name } });
+		assert.strictEqual(response.result.data.success, false, name + " should fail");
+		assert.strictEqual(response.result.data.error.code, MockServer.INVALID_INPUT, name + " should be an invalid component");
+	});
+
+	assert.strictEqual(mock.getSession("__proto__"), null);
+	assert.throws(() => mock.login("constructor"), /Unknown session/);
+
+	let server = new MockServer(objectDocs, { fixtures: { "Gateway.ping": () => { throw new Error("broken fixture"); } } });
+	let gateway_url = await new Promise(resolve => server.listen(0, resolve));
+	let logged = [];
+	let error = console.error;
+
+	let post = async execute => {
+		let response = await fetch(gateway_url, {
+			method: "POST",
+			headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			body: "input=" + encodeURIComponent(JSON.stringify({ app_id: "12345:abcde", execute: execute }))
+		});
+		return response.json();
+	};
+
+	try {
+		assert.strictEqual(server.__server.address().address, (await require('dns').promises.lookup("localhost")).address);
+
+		console.error = (...args) => logged.push(args.join(" "));
+		let broken = await post({ component: "Gateway.ping" });
+		console.error = error;
+
+		assert.strictEqual(broken.success, false);
+		assert.strictEqual(broken.error.code, MockServer.SERVER_ERROR);
+		assert.match(logged[0], /broken fixture/);
+
+		// still running
+		let invalid = await post(names.map(name => ({ component: name })));
+		assert.strictEqual(invalid.result.length, names.length);
+		assert.ok(invalid.result.every(result => result.data.error.code === MockServer.INVALID_INPUT));
+		assert.strictEqual((await post({ component: "Gateway.getDatetime" })).result.data.success, true);
+	} finally {
+		console.error = error;
+		await new Promise(resolve => server.close(resolve));
+	}
+});
+
+test("the outbox keeps secure components that can't reach the server, with their session id, and only one unlock per medal", async () => {
+	let env = load();
+	let core = createOutboxCore(env);
+	let queued = [];
+
+	core.addEventListener(env.NewgroundsIO.Event.OUTBOX_QUEUED, event => queued.push(String(event.component)));
+
+	let id = await logIn(env, core);
+	core.online = false;
+
+	let attempts = [
+		new env.NewgroundsIO.components.Medal.unlock({ id: 3 }),
+		new env.NewgroundsIO.components.Medal.unlock({ id: 3 }),
+		new env.NewgroundsIO.components.Medal.unlock({ id: 4 }),
+		new env.NewgroundsIO.components.ScoreBoard.postScore({ id: 9, value: 100 }),
+		new env.NewgroundsIO.components.Gateway.ping()
+	];
+
+	for (const component of attempts) await assert.rejects(core.execute(component));
+
+	// ping isn't secure, so it's not worth keeping
+	assert.deepStrictEqual(queued, ["Medal.unlock", "Medal.unlock", "ScoreBoard.postScore"]);
+	assert.deepStrictEqual(plain(core.outbox.entries.map(entry => [entry.component, entry.parameters, entry.session_id])), [
+		["Medal.unlock", { id: 3 }, id],
+		["Medal.unlock", { id: 4 }, id],
+		["ScoreBoard.postScore", { id: 9, value: 100 }, id]
+	]);
+});
+
+test("the outbox replays its components when the connection comes back, and reports what was delivered", async () => {
+	let env = load();
+	let core = createOutboxCore(env);
+	let delivered = [];
+
+	core.addEventListener(env.NewgroundsIO.Event.OUTBOX_DELIVERED, event => delivered.push(String(event.component)));
+
+	let id = await logIn(env, core);
+	core.online = false;
+
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 3 })));
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.ScoreBoard.postScore({ id: 9, value: 100 })));
+
+	// still offline, so flushing doesn't lose anything
+	let report = await new Promise(resolve => core.outbox.flush(resolve));
+	assert.deepStrictEqual([report.delivered.length, report.failed.length, report.remaining], [0, 0, 2]);
+
+	// any request getting through flushes the outbox, with the session id each component was first sent with
+	core.online = true;
+	core.session.id = null;
+	let sent = env.requests.length;
+	await core.execute(new env.NewgroundsIO.components.Gateway.ping());
+	assert.strictEqual(core.outbox.length, 2, "the outbox shouldn't flush without an active session");
+
+	core.session.id = id;
+	await core.execute(new env.NewgroundsIO.components.Gateway.ping());
+	await wait(20);
+
+	assert.strictEqual(core.outbox.length, 0);
+	assert.deepStrictEqual(delivered, ["Medal.unlock", "ScoreBoard.postScore"]);
+	assert.deepStrictEqual(env.requests.slice(sent + 2).map(request => request.session_id), [id, id]);
+
+	// components the server rejects are dropped and reported, not retried forever
+	core.online = false;
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 5 })));
+	await assert.rejects(core.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 6 })));
+	core.online = true;
+	mock.fixtures["Medal.unlock"] = (params) => params.id === 6 ? { error: { code: MockServer.INVALID_MEDAL_ID, message: "Invalid medal ID" } } : null;
+
+	try {
+		report = await new Promise(resolve => core.outbox.flush(resolve));
+	} finally {
+		delete mock.fixtures["Medal.unlock"];
+	}
+
+	assert.deepStrictEqual(plain(report.delivered.map(result => result.medal.id)), [5]);
+	assert.deepStrictEqual(plain(report.failed.map(result => result.error.code)), [MockServer.INVALID_MEDAL_ID]);
+	assert.strictEqual(report.remaining, 0);
+});
+
+test("a new core picks up the outbox saved by another one using the same storage", async () => {
+	let env = load();
+	let items = {};
+	let localStorage = {
+		getItem: key => key in items ? items[key] : null,
+		setItem: (key, value) => { items[key] = String(value); },
+		removeItem: key => { delete items[key]; }
+	};
+
+	let first = createOutboxCore(env, { storage: localStorage });
+	let id = await logIn(env, first);
+	first.online = false;
+
+	await assert.rejects(first.execute(new env.NewgroundsIO.components.Medal.unlock({ id: 3 })));
+	assert.deepStrictEqual(Object.keys(items), [env.NewgroundsIO.WebSessionStorage.getOutboxKey(first.app_id)]);
+
+	// ie the game being opened again later, with a new session
+	let second = createOutboxCore(env, { storage: localStorage });
+	assert.strictEqual(second.outbox.length, 1);
+
+	await logIn(env, second);
+	let sent = env.requests.length;
+	let report = await new Promise(resolve => second.outbox.flush(resolve));
+
+	assert.deepStrictEqual(plain(report.delivered.map(result => result.medal.id)), [3]);
+	assert.strictEqual(env.requests[sent].session_id, id);
+	assert.deepStrictEqual(items, {});
+});
+
+run("runtime");
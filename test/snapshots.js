@@ -0,0 +1,254 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const runGenerator = require('../lib/run_generator.js');
+const validateDocs = require('../lib/validate_docs.js');
+const defaults = require('../default_config.js');
+
+/**
+ * Feeds the sample object documentation in test/fixtures through every generator and compares
+ * the output to the golden snapshots in test/snapshots/{generator}.
+ *
+ * Use: node test/snapshots.js {-update} {generator_name...}
+ *
+ * Run with -update after an intentional change to a generator or partial, and review the snapshot
+ * changes along with the code that caused them.
+ */
+
+const root = path.join(__dirname, '..');
+const doc_file = path.join(__dirname, 'fixtures', 'objects_and_components.json');
+const snapshot_dir = path.join(__dirname, 'snapshots');
+
+// the number of unchanged lines to show around each change, and the most lines to show per file
+const CONTEXT_LINES = 3;
+const MAX_DIFF_LINES = 60;
+
+// the most edits to look for before giving up on a line-by-line diff
+const MAX_EDITS = 2000;
+
+var update = false;
+var generator_names = [];
+
+process.argv.slice(2).forEach(arg => {
+	if (arg === "-update") {
+		update = true;
+	} else if (arg[0] === "-") {
+		console.error("Invalid argument:", arg);
+		process.exit(1);
+	} else {
+		generator_names.push(defaults.aliases[arg] || arg);
+	}
+});
+
+// test every generator that has both an entry in default_config.js and a generate.js file
+if (!generator_names.length) {
+	generator_names = Object.keys(defaults.generators).filter(name => fs.existsSync(path.join(root, 'generators', name, 'generate.js')));
+}
+
+var objectDocs = JSON.parse(String(fs.readFileSync(doc_file)));
+
+// generators can't be expected to handle documentation build.js would refuse to use
+var problems = validateDocs(objectDocs);
+
+if (problems.length) {
+	console.log("FAIL", doc_file, "has " + problems.length + " problem(s):");
+	problems.forEach(problem => console.log("    " + problem.path + ": " + problem.message));
+	process.exit(1);
+}
+
+/**
+ * Gets every file in a directory, and its subdirectories
+ * @param {string} dir
+ * @return {Array.<string>} File paths, relative to dir, using forward slashes
+ */
+function listFiles(dir) {
+	if (!fs.existsSync(dir)) return [];
+
+	return fs.readdirSync(dir).sort().flatMap(name => {
+		let file = path.join(dir, name);
+		if (!fs.statSync(file).isDirectory()) return [name];
+		return listFiles(file).map(child => name + "/" + child);
+	});
+}
+
+/**
+ * Removes any empty directories left behind after deleting stale snapshots
+ * @param {string} dir
+ */
+function removeEmptyDirs(dir) {
+	fs.readdirSync(dir).forEach(name => {
+		let child = path.join(dir, name);
+		if (fs.statSync(child).isDirectory()) removeEmptyDirs(child);
+	});
+
+	if (!fs.readdirSync(dir).length) fs.rmdirSync(dir);
+}
+
+/**
+ * Gets the shortest list of line edits that turn one file into another (Myers' algorithm)
+ * @param {Array.<string>} a The lines of the old file
+ * @param {Array.<string>} b The lines of the new file
+ * @return {Array.<Array>} [op, line] pairs, where op is " " for unchanged lines, "-" for removed lines and "+" for added lines. Null if the files are too different to compare.
+ */
+function diffLines(a, b) {
+	let v = { 1: 0 };
+	let trace = [];
+
+	for (let d = 0; d <= Math.min(a.length + b.length, MAX_EDITS); d++) {
+		trace.push(Object.assign({}, v));
+
+		for (let k = -d; k <= d; k += 2) {
+			let x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+			let y = x - k;
+
+			while (x < a.length && y < b.length && a[x] === b[y]) {
+				x++;
+				y++;
+			}
+
+			v[k] = x;
+
+			if (x >= a.length && y >= b.length) return backtrack(a, b, trace);
+		}
+	}
+
+	return null;
+}
+
+// walks back through each step of diffLines() to build the list of edits
+function backtrack(a, b, trace) {
+	let x = a.length;
+	let y = b.length;
+	let ops = [];
+
+	for (let d = trace.length - 1; d >= 0; d--) {
+		let v = trace[d];
+		let k = x - y;
+		let prev_k = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? k + 1 : k - 1;
+		let prev_x = v[prev_k];
+		let prev_y = prev_x - prev_k;
+
+		while (x > prev_x && y > prev_y) {
+			x--;
+			y--;
+			ops.push([" ", a[x]]);
+		}
+
+		if (d > 0) {
+			if (x === prev_x) ops.push(["+", b[--y]]);
+			else ops.push(["-", a[--x]]);
+		}
+	}
+
+	return ops.reverse();
+}
+
+/**
+ * Formats the differences between a snapshot and the new output, unified diff style
+ * @param {string} expected The snapshot contents
+ * @param {string} actual The generated contents
+ * @return {string}
+ */
+function formatDiff(expected, actual) {
+	let ops = diffLines(expected.split("\n"), actual.split("\n"));
+	if (!ops) return "      (too many changes to show)";
+
+	// only show lines near a change
+	let show = ops.map(() => false);
+	ops.forEach(([op], i) => {
+		if (op === " ") return;
+		for (let j = Math.max(0, i - CONTEXT_LINES); j <= Math.min(ops.length - 1, i + CONTEXT_LINES); j++) show[j] = true;
+	});
+
+	let out = [];
+	let old_line = 1, new_line = 1;
+	let skipped = true;
+
+	ops.forEach(([op, line], i) => {
+		if (show[i]) {
+			if (skipped) out.push("      @@ line " + old_line + " -> " + new_line + " @@");
+			out.push("      " + op + " " + line);
+		}
+
+		skipped = !show[i];
+		if (op !== "+") old_line++;
+		if (op !== "-") new_line++;
+	});
+
+	if (out.length > MAX_DIFF_LINES) {
+		let hidden = out.length - MAX_DIFF_LINES;
+		out = out.slice(0, MAX_DIFF_LINES);
+		out.push("      ... " + hidden + " more lines");
+	}
+
+	return out.join("\n");
+}
+
+var failed = 0;
+
+generator_names.forEach(generate_as => {
+	let files;
+
+	try {
+		files = runGenerator(generate_as, defaults.generators[generate_as], objectDocs);
+	} catch (e) {
+		console.error("FAIL", generate_as + ":", e);
+		failed++;
+		return;
+	}
+
+	let dir = path.join(snapshot_dir, generate_as);
+	let generated = {};
+
+	// snapshots mirror the build directory
+	files.forEach(file => {
+		let name = path.relative(path.join(root, 'build'), path.resolve(root, file.path)).replaceAll("\\", "/");
+		generated[name] = file.contents;
+	});
+
+	let snapshots = listFiles(dir);
+
+	if (update) {
+		Object.entries(generated).forEach(([name, contents]) => {
+			let file = path.join(dir, name);
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.writeFileSync(file, contents);
+		});
+
+		let stale = snapshots.filter(name => !(name in generated));
+		stale.forEach(name => fs.unlinkSync(path.join(dir, name)));
+		removeEmptyDirs(dir);
+
+		console.log("updated", generate_as + ":", Object.keys(generated).length, "snapshots" + (stale.length ? ", removed " + stale.length + " stale" : ""));
+		return;
+	}
+
+	let problems = [];
+
+	Object.entries(generated).forEach(([name, contents]) => {
+		let file = path.join(dir, name);
+
+		if (!fs.existsSync(file)) {
+			problems.push("    new file: " + name);
+		} else {
+			let expected = String(fs.readFileSync(file));
+			if (expected !== contents) problems.push("    changed: " + name + "\n" + formatDiff(expected, contents));
+		}
+	});
+
+	snapshots.filter(name => !(name in generated)).forEach(name => {
+		problems.push("    no longer generated: " + name);
+	});
+
+	if (problems.length) {
+		failed++;
+		console.log("FAIL", generate_as + ":", problems.length, "of", Object.keys(generated).length, "files differ from their snapshots");
+		console.log(problems.join("\n"));
+	} else {
+		console.log("ok", generate_as + ":", Object.keys(generated).length, "files match their snapshots");
+	}
+});
+
+if (failed && !update) console.log("\nIf these changes are intentional, run 'npm run test:update' and commit the new snapshots.");
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,54 @@
+
+using System;
+using System.Collections;
+using System.Collections.Generic;
+using UnityEngine;
+
+
+namespace NewgroundsIO.components.CloudSave {
+
+		/// <summary>Returns a list of #SaveSlot objects.</summary>
+
+	public class loadSlots : NewgroundsIO.BaseComponent, NewgroundsIO.IIdempotentComponent {
+
+		
+				/// <summary>The App ID of another, approved app to load slot data from.</summary>
+
+		public string app_id { get; set; }
+
+		
+
+		/// <summary>Constructor</summary>
+		public loadSlots()
+		{
+			this.__object = "CloudSave.loadSlots";
+			this.__properties.Add("app_id");
+			
+			
+			
+			this.__requireSession = true;
+			
+		}
+
+		
+
+		
+
+		
+
+		/// <summary>Clones the properties of this object to another (or new) object.</summary>
+		/// <param name="cloneTo">An object to clone properties to. If null, a new instance will be created.</param>
+		/// <returns>The object that was cloned to.</returns>
+		public NewgroundsIO.components.CloudSave.loadSlots clone(NewgroundsIO.components.CloudSave.loadSlots cloneTo = null)
+		{
+			if (cloneTo is null) cloneTo = new NewgroundsIO.components.CloudSave.loadSlots();
+			cloneTo.__properties.ForEach(propName => {
+				cloneTo.GetType().GetProperty(propName).SetValue(cloneTo, this.GetType().GetProperty(propName).GetValue(this), null);
+			});
+			cloneTo.__ngioCore = this.__ngioCore;
+			return cloneTo;
+		}
+
+		
+	}
+}
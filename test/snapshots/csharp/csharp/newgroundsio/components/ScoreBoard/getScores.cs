@@ -0,0 +1,96 @@
+
+using System;
+using System.Collections;
+using System.Collections.Generic;
+using UnityEngine;
+
+
+namespace NewgroundsIO.components.ScoreBoard {
+
+		/// <summary>Loads a list of #Score objects from a scoreboard.</summary>
+
+	public class getScores : NewgroundsIO.BaseComponent, NewgroundsIO.IIdempotentComponent {
+
+		
+				/// <summary>The numeric ID of the scoreboard.</summary>
+
+		public int id { get; set; }
+
+
+				/// <summary>The time-frame to pull scores from (see notes for acceptable values).</summary>
+
+		public string period { get; set; }
+
+
+				/// <summary>A tag to filter results by.</summary>
+
+		public string tag { get; set; }
+
+
+				/// <summary>If set to true, only social scores will be loaded (scores by the user and their friends).</summary>
+
+		public object social { get; set; }
+
+
+				/// <summary>A user's ID or name.  If 'social' is true, this user and their friends will be included.</summary>
+
+		public string user { get; set; }
+
+
+				/// <summary>An integer indicating the number of scores to skip before starting the list.</summary>
+
+		public int skip { get; set; }
+
+
+				/// <summary>An integer indicating the number of scores to include in the list.</summary>
+
+		public int limit { get; set; }
+
+
+				/// <summary>The App ID of another, approved app to load scores from.</summary>
+
+		public string app_id { get; set; }
+
+		
+
+		/// <summary>Constructor</summary>
+		public getScores()
+		{
+			this.__object = "ScoreBoard.getScores";
+			this.__properties.Add("id");
+this.__properties.Add("period");
+this.__properties.Add("tag");
+this.__properties.Add("social");
+this.__properties.Add("user");
+this.__properties.Add("skip");
+this.__properties.Add("limit");
+this.__properties.Add("app_id");
+			this.__required.Add("id");
+			
+			
+			
+			
+		}
+
+		
+
+		
+
+		
+
+		/// <summary>Clones the properties of this object to another (or new) object.</summary>
+		/// <param name="cloneTo">An object to clone properties to. If null, a new instance will be created.</param>
+		/// <returns>The object that was cloned to.</returns>
+		public NewgroundsIO.components.ScoreBoard.getScores clone(NewgroundsIO.components.ScoreBoard.getScores cloneTo = null)
+		{
+			if (cloneTo is null) cloneTo = new NewgroundsIO.components.ScoreBoard.getScores();
+			cloneTo.__properties.ForEach(propName => {
+				cloneTo.GetType().GetProperty(propName).SetValue(cloneTo, this.GetType().GetProperty(propName).GetValue(this), null);
+			});
+			cloneTo.__ngioCore = this.__ngioCore;
+			return cloneTo;
+		}
+
+		
+	}
+}
@@ -0,0 +1,9 @@
+
+using System;
+
+namespace NewgroundsIO {
+
+	/// <summary>Marks components that are safe to send more than once, so the RequestScheduler can retry them.</summary>
+	public interface IIdempotentComponent {
+	}
+}
\ No newline at end of file
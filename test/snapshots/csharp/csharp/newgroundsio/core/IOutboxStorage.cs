@@ -0,0 +1,23 @@
+
+using System;
+
+namespace NewgroundsIO {
+
+	/// <summary>Session storage that can keep the Outbox too. If the current ISessionStorage doesn't implement this, the outbox is only kept in memory.</summary>
+	public interface IOutboxStorage {
+
+		/// <summary>Gets the saved outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		/// <returns>The outbox, encoded by the Outbox class, or null if there isn't one.</returns>
+		string GetOutbox(string appID);
+
+		/// <summary>Saves the outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		/// <param name="outbox">The outbox, encoded by the Outbox class.</param>
+		void SetOutbox(string appID, string outbox);
+
+		/// <summary>Forgets the outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		void RemoveOutbox(string appID);
+	}
+}
\ No newline at end of file
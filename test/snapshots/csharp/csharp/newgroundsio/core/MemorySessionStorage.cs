@@ -0,0 +1,64 @@
+
+using System;
+using System.Collections.Generic;
+
+namespace NewgroundsIO {
+
+	/// <summary>Keeps session ids, and the outbox, in memory, so they are forgotten when the app closes. Handy for tests.</summary>
+	public class MemorySessionStorage : ISessionStorage, IOutboxStorage {
+
+		// session ids, keyed by app id
+		private Dictionary<string, string> _sessions = new Dictionary<string, string>();
+
+		// saved outboxes, keyed by app id
+		private Dictionary<string, string> _outboxes = new Dictionary<string, string>();
+
+		/// <summary>Gets the remembered session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		/// <returns>The session id, or null if there isn't one.</returns>
+		public string GetSessionId(string appID)
+		{
+			string sessionID;
+			return this._sessions.TryGetValue(appID, out sessionID) ? sessionID : null;
+		}
+
+		/// <summary>Remembers the session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		/// <param name="sessionID">The session id to remember.</param>
+		public void SetSessionId(string appID, string sessionID)
+		{
+			this._sessions[appID] = sessionID;
+		}
+
+		/// <summary>Forgets the session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		public void RemoveSessionId(string appID)
+		{
+			this._sessions.Remove(appID);
+		}
+
+		/// <summary>Gets the saved outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		/// <returns>The outbox, or null if there isn't one.</returns>
+		public string GetOutbox(string appID)
+		{
+			string outbox;
+			return this._outboxes.TryGetValue(appID, out outbox) ? outbox : null;
+		}
+
+		/// <summary>Saves the outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		/// <param name="outbox">The encoded outbox.</param>
+		public void SetOutbox(string appID, string outbox)
+		{
+			this._outboxes[appID] = outbox;
+		}
+
+		/// <summary>Forgets the outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		public void RemoveOutbox(string appID)
+		{
+			this._outboxes.Remove(appID);
+		}
+	}
+}
\ No newline at end of file
@@ -0,0 +1,74 @@
+
+using System;
+using UnityEngine;
+
+namespace NewgroundsIO {
+
+	/// <summary>Saves session ids, and the outbox, in PlayerPrefs. This is the default storage.</summary>
+	public class PlayerPrefsSessionStorage : ISessionStorage, IOutboxStorage {
+
+		// The key used before sessions were saved per app. It gets read if an app has nothing saved yet.
+		private const string LEGACY_KEY = "__ngio_session_id";
+
+		// The key outboxes are saved under, before the app id is added.
+		private const string OUTBOX_KEY = "__ngio_outbox";
+
+		/// <summary>Gets the PlayerPrefs key an app's session id is saved under.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		public static string GetKey(string appID)
+		{
+			return LEGACY_KEY + "-" + appID.Replace(":", "-");
+		}
+
+		/// <summary>Gets the remembered session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		/// <returns>The session id, or null if there isn't one.</returns>
+		public string GetSessionId(string appID)
+		{
+			string key = GetKey(appID);
+			if (!PlayerPrefs.HasKey(key)) key = LEGACY_KEY;
+
+			return PlayerPrefs.GetString(key, null);
+		}
+
+		/// <summary>Remembers the session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		/// <param name="sessionID">The session id to remember.</param>
+		public void SetSessionId(string appID, string sessionID)
+		{
+			PlayerPrefs.SetString(GetKey(appID), sessionID);
+			PlayerPrefs.DeleteKey(LEGACY_KEY);
+		}
+
+		/// <summary>Forgets the session id for an app.</summary>
+		/// <param name="appID">The App ID the session belongs to.</param>
+		public void RemoveSessionId(string appID)
+		{
+			PlayerPrefs.DeleteKey(GetKey(appID));
+			PlayerPrefs.DeleteKey(LEGACY_KEY);
+		}
+
+		/// <summary>Gets the saved outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		/// <returns>The outbox, or null if there isn't one.</returns>
+		public string GetOutbox(string appID)
+		{
+			return PlayerPrefs.GetString(OUTBOX_KEY + "-" + appID.Replace(":", "-"), null);
+		}
+
+		/// <summary>Saves the outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		/// <param name="outbox">The encoded outbox.</param>
+		public void SetOutbox(string appID, string outbox)
+		{
+			PlayerPrefs.SetString(OUTBOX_KEY + "-" + appID.Replace(":", "-"), outbox);
+		}
+
+		/// <summary>Forgets the outbox for an app.</summary>
+		/// <param name="appID">The App ID the outbox belongs to.</param>
+		public void RemoveOutbox(string appID)
+		{
+			PlayerPrefs.DeleteKey(OUTBOX_KEY + "-" + appID.Replace(":", "-"));
+		}
+	}
+}
\ No newline at end of file
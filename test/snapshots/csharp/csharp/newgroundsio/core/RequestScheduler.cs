@@ -0,0 +1,106 @@
+
+using System;
+using System.Collections;
+using UnityEngine;
+
+namespace NewgroundsIO {
+
+	/// <summary>
+	/// Spaces out requests so we don't get blocked by DDOS protection, and retries requests that failed to reach the server.
+	/// Retries wait longer after each failed attempt (retryDelay, then double that, and so on, up to maxRetryDelay).
+	/// Only components implementing IIdempotentComponent get retried, so nothing gets unlocked or posted twice.
+	/// </summary>
+	public class RequestScheduler {
+
+		/// <summary>The error code given to responses when every retry failed. The server never uses negative codes.</summary>
+		public const int EXCEEDED_MAX_ATTEMPTS = -1;
+
+		/// <summary>The scheduler the generated classes use.</summary>
+		public static RequestScheduler Default = new RequestScheduler();
+
+		/// <summary>The minimum number of seconds between requests.</summary>
+		public float minInterval = 0.25f;
+
+		/// <summary>The most times a request will be sent before giving up.</summary>
+		public int maxAttempts = 5;
+
+		/// <summary>The number of seconds to wait before the first retry.</summary>
+		public float retryDelay = 1f;
+
+		/// <summary>The longest a retry will wait, in seconds.</summary>
+		public float maxRetryDelay = 30f;
+
+		/// <summary>An optional Outbox to keep secure components that couldn't reach the server. It gets flushed whenever a request gets through.</summary>
+		public Outbox outbox = null;
+
+		// the earliest time the next request can be sent
+		private DateTime _nextSend = DateTime.MinValue;
+
+		/// <summary>Gets how long to wait before retrying a request.</summary>
+		/// <param name="attempts">The number of times the request has been sent.</param>
+		/// <returns>The delay, in seconds.</returns>
+		public float GetRetryDelay(int attempts)
+		{
+			return Math.Min(this.retryDelay * Mathf.Pow(2, attempts - 1), this.maxRetryDelay);
+		}
+
+		/// <summary>Checks if a response means the server couldn't be reached, rather than the server reporting an error.</summary>
+		/// <param name="response">The response to check.</param>
+		public static bool IsConnectionFailure(NewgroundsIO.objects.Response response)
+		{
+			if (response is null) return true;
+			if (response.success is bool success && success) return false;
+
+			// errors from the server always have a code
+			var error = response.error as NewgroundsIO.objects.Error;
+			return error is null || error.code == 0;
+		}
+
+		/// <summary>Executes a component when the schedule allows it, retrying idempotent components that fail to reach the server.</summary>
+		/// <param name="core">The core instance to execute the component with.</param>
+		/// <param name="component">The component to execute.</param>
+		/// <param name="callback">An optional function to call with the final response. If every retry failed, its error code will be EXCEEDED_MAX_ATTEMPTS.</param>
+		/// <remarks>If there's an outbox, a request that gets through waits for the outbox to flush after calling callback.</remarks>
+		public IEnumerator ExecuteComponent(NewgroundsIO.Core core, NewgroundsIO.BaseComponent component, Action<NewgroundsIO.objects.Response> callback = null)
+		{
+			bool retryable = component is NewgroundsIO.IIdempotentComponent;
+			NewgroundsIO.objects.Response response = null;
+			int attempts = 0;
+
+			while (true) {
+
+				// claim the next open slot, so other requests wait their turn
+				DateTime now = DateTime.Now;
+				DateTime sendAt = now > this._nextSend ? now : this._nextSend;
+				this._nextSend = sendAt.AddSeconds(this.minInterval);
+				if (sendAt > now) yield return new WaitForSecondsRealtime((float)(sendAt - now).TotalSeconds);
+
+				attempts++;
+				response = null;
+				yield return core.ExecuteComponent(component, r => response = r);
+
+				if (!retryable || attempts >= this.maxAttempts || !IsConnectionFailure(response)) break;
+
+				yield return new WaitForSecondsRealtime(this.GetRetryDelay(attempts));
+			}
+
+			if (attempts > 1 && IsConnectionFailure(response)) {
+				var lastError = response is null ? null : response.error as NewgroundsIO.objects.Error;
+				var error = new NewgroundsIO.objects.Error();
+				error.code = EXCEEDED_MAX_ATTEMPTS;
+				error.message = "NewgroundsIO Error: Gave up after " + attempts + " attempts." + (lastError is null ? "" : " " + lastError.message);
+
+				if (response is null) response = new NewgroundsIO.objects.Response();
+				response.success = false;
+				response.error = error;
+			}
+
+			if (!(this.outbox is null) && IsConnectionFailure(response)) this.outbox.OnConnectionFailed(core, component);
+
+			if (callback != null) callback(response);
+
+			// the connection is back, so send anything that was waiting for it
+			if (!(this.outbox is null) && !IsConnectionFailure(response) && this.outbox.Count > 0) yield return this.outbox.Flush(core);
+		}
+	}
+}
\ No newline at end of file
@@ -0,0 +1,5947 @@
+
+(function(root, factory) {
+	if (typeof(define) === 'function' && define.amd) define([], factory);
+	else if (typeof(module) === 'object' && module.exports) module.exports = factory();
+	else root.NewgroundsIO = factory();
+}(typeof(self) !== 'undefined' ? self : this, function() {
+
+/* ---- core/NewgroundsIO.js ---- */
+/**
+ * The core NewgroundsIO client. Sends components to the Newgrounds.io gateway and turns the responses into result objects.
+ * This also serves as the namespace for every generated class, so it needs to be loaded before any other NewgroundsIO class.
+ */
+class NewgroundsIO {
+
+	/**
+	 * Constructor
+	 * @param {string} app_id The App ID from your Newgrounds project's API Tools page
+	 * @param {string} aes_key The encryption key from your Newgrounds project's API Tools page
+	 * @param {object} options Optional settings (debug, gateway_url, transport, storage, open_url, cipher, format, iv_generator,
+	 *        scheduler, min_interval, max_attempts, retry_delay, max_retry_delay, outbox)
+	 */
+	constructor(app_id, aes_key, options) {
+		if (!app_id) throw("NewgroundsIO requires an app_id");
+
+		if (typeof(options) !== 'object' || options === null) options = {};
+
+		/**
+		 * The App ID from your Newgrounds project's API Tools page
+		 * @type {string}
+		 */
+		this.app_id = app_id;
+
+		/**
+		 * The encryption key from your Newgrounds project's API Tools page
+		 * @type {string}
+		 */
+		this.aes_key = aes_key ? aes_key : null;
+
+		/**
+		 * The cipher used to encrypt secure components (NewgroundsIO_Encryption.AES_128 or NewgroundsIO_Encryption.RC4)
+		 * @type {string}
+		 */
+		this.cipher = options.cipher ? options.cipher : NewgroundsIO_Encryption.AES_128;
+
+		/**
+		 * How the aes_key and encrypted values are encoded (NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX)
+		 * @type {string}
+		 */
+		this.format = options.format ? options.format : NewgroundsIO_Encryption.BASE64;
+
+		/**
+		 * The function used to get a 16 byte initialization vector for AES encryption
+		 * @type {Function}
+		 */
+		this.iv_generator = typeof(options.iv_generator) === 'function' ? options.iv_generator : NewgroundsIO_Encryption.randomIV;
+
+		/**
+		 * If true, calls will be executed in debug mode
+		 * @type {Boolean}
+		 */
+		this.debug = options.debug ? true : false;
+
+		/**
+		 * The URL all requests get posted to
+		 * @type {string}
+		 */
+		this.gateway_url = options.gateway_url ? options.gateway_url : NewgroundsIO.GATEWAY_URL;
+
+		/**
+		 * The function used to post requests to the gateway. See NewgroundsIO.xhrTransport for the expected signature.
+		 * @type {Function}
+		 */
+		this.transport = typeof(options.transport) === 'function' ? options.transport : NewgroundsIO.getDefaultTransport();
+
+		/**
+		 * Where remembered session ids are saved. The 'storage' option can be a registered name (ie 'local' or 'memory'), a NewgroundsIO_SessionStorage,
+		 * or any object with the getItem, setItem and removeItem methods of localStorage.
+		 * @type {NewgroundsIO_SessionStorage}
+		 */
+		this.storage = NewgroundsIO_SessionStorage.create(options.storage);
+
+		/**
+		 * Spaces out requests and retries the ones that fail to reach the server. The 'scheduler' option can be a NewgroundsIO_RequestScheduler to share
+		 * with other instances. Otherwise, one gets created with the min_interval, max_attempts, retry_delay and max_retry_delay options.
+		 * @type {NewgroundsIO_RequestScheduler}
+		 */
+		this.scheduler = options.scheduler instanceof NewgroundsIO_RequestScheduler ? options.scheduler : new NewgroundsIO_RequestScheduler(options);
+
+		/**
+		 * The function used to open the Passport login page. Will be passed the URL.
+		 * @type {Function}
+		 */
+		this.open_url = typeof(options.open_url) === 'function' ? options.open_url : NewgroundsIO.openURL;
+
+		/**
+		 * The current user session
+		 * @type {NewgroundsIO_objects_Session}
+		 */
+		this.session = new NewgroundsIO.objects.Session();
+		this.session.setCore(this);
+
+		// components waiting to be sent with executeQueue()
+		this.__componentQueue = [];
+
+		// functions added with addEventListener(), by event type
+		this.__eventListeners = {};
+
+		/**
+		 * Keeps secure components that couldn't reach the server and sends them again later, if the 'outbox' option was set to true
+		 * @type {NewgroundsIO_Outbox}
+		 */
+		this.outbox = options.outbox ? new NewgroundsIO_Outbox(this) : null;
+	}
+
+	/**
+	 * Adds a function to call whenever an event of the given type happens
+	 * @param {string} type One of the NewgroundsIO_Event type constants (ie NewgroundsIO_Event.MEDAL_UNLOCKED)
+	 * @param {Function} listener Will be passed a NewgroundsIO_Event object
+	 * @param {Object} thisArg An optional value to use as 'this' when executing listener
+	 */
+	addEventListener(type, listener, thisArg)
+	{
+		if (NewgroundsIO_Event.TYPES.indexOf(type) < 0) throw("NewgroundsIO Error: '" + type + "' is not a NewgroundsIO_Event type");
+		if (typeof(listener) !== 'function') throw("NewgroundsIO Error: Event listeners must be functions");
+
+		if (!this.__eventListeners[type]) this.__eventListeners[type] = [];
+		this.__eventListeners[type].push([listener, thisArg]);
+	}
+
+	/**
+	 * Removes a function that was added with addEventListener()
+	 * @param {string} type The event type the function was added for
+	 * @param {Function} listener The function to remove
+	 */
+	removeEventListener(type, listener)
+	{
+		if (!this.__eventListeners[type]) return;
+		this.__eventListeners[type] = this.__eventListeners[type].filter(([_listener]) => _listener !== listener);
+	}
+
+	/**
+	 * Passes an event to every function listening for its type.
+	 * A listener that throws an error won't stop the others (or the request's own callback) from being called, the error just gets logged.
+	 * @param {NewgroundsIO_Event} event The event to dispatch
+	 */
+	dispatchEvent(event)
+	{
+		event.target = this;
+
+		// copy the list, so listeners can remove themselves
+		let listeners = this.__eventListeners[event.type] ? this.__eventListeners[event.type].slice() : [];
+
+		listeners.forEach(([listener, thisArg]) => {
+			try {
+				listener.call(thisArg, event);
+			} catch(e) {
+				console.error("NewgroundsIO Error: A '" + event.type + "' listener threw an error", e);
+			}
+		});
+	}
+
+	/**
+	 * Encrypts a string using this instance's aes_key, cipher and format
+	 * @param {string} text The text to encrypt
+	 * @return {string} The encrypted, encoded text
+	 */
+	encrypt(text)
+	{
+		return NewgroundsIO_Encryption.encrypt(text, this.aes_key, this.cipher, this.format, this.iv_generator());
+	}
+
+	/**
+	 * Gets a new request object, linked to this core instance
+	 * @return {NewgroundsIO_objects_Request}
+	 */
+	getRequest()
+	{
+		let request = new NewgroundsIO.objects.Request();
+		request.setCore(this);
+		return request;
+	}
+
+	/**
+	 * Sends a component, or list of components, to the server
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+	 * @param {Function} callback An optional function to call when the server responds. Will be passed a NewgroundsIO_objects_Response object.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 * @return {Boolean} will return false if the request failed to send
+	 */
+	executeComponent(component, callback, thisArg)
+	{
+		return this.getRequest().send(component, callback, thisArg);
+	}
+
+	/**
+	 * Sends a component to the server and gets a promise for its result.
+	 * If you pass an array of components they will be sent in a single request, and the promise will resolve to an array of
+	 * {component, result, error} objects, in the same order. error will be null for any component that succeeded.
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+	 * @return {Promise} Resolves to the component's result (or list of outcomes), or rejects with a NewgroundsIO_ExecuteError
+	 */
+	execute(component)
+	{
+		return new Promise((resolve, reject) => {
+			let sent = this.executeComponent(component, response => {
+
+				if (Array.isArray(component)) {
+					if (!response.success) {
+						reject(this.__getExecuteError(component, response, null));
+						return;
+					}
+
+					resolve(component.map((_component, index) => {
+						let result = this.__getListedResult(_component, response, index);
+						return {component: _component, result: result, error: this.__getExecuteError(_component, response, result)};
+					}));
+					return;
+				}
+
+				let error = this.__getExecuteError(component, response, response.result);
+				if (error) reject(error);
+				else resolve(response.result);
+			});
+
+			if (!sent) {
+				reject(new NewgroundsIO_ExecuteError(NewgroundsIO_ExecuteError.INVALID_COMPONENT, "NewgroundsIO Error: " + String(component) + " is not valid and could not be sent.", {
+					component: component
+				}));
+			}
+		});
+	}
+
+	/**
+	 * Adds a component to the queue. Queued components get sent together, in a single request, when you call executeQueue().
+	 * @param {NewgroundsIO_components} component Any NGIO component object
+	 * @param {Function} callback An optional function to call when the queue has been executed. Will be passed the NewgroundsIO_results object for this component.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 */
+	queueComponent(component, callback, thisArg)
+	{
+		this.__componentQueue.push([component, callback, thisArg]);
+	}
+
+	/**
+	 * The number of components waiting in the queue
+	 * @type {Number}
+	 */
+	get queueLength()
+	{
+		return this.__componentQueue.length;
+	}
+
+	/**
+	 * Removes every component from the queue without sending them
+	 */
+	clearQueue()
+	{
+		this.__componentQueue = [];
+	}
+
+	/**
+	 * Sends every queued component in a single request. Each component's own callback will be passed its result
+	 * (with success set to false if the component, or the whole request, failed), then the optional callback here will get the full response.
+	 * @param {Function} callback An optional function to call when the server responds. Will be passed a NewgroundsIO_objects_Response object.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 * @return {Boolean} will return false if the queue was empty or the request failed to send. Nothing is removed from the queue when this happens.
+	 */
+	executeQueue(callback, thisArg)
+	{
+		let queue = this.__componentQueue;
+		if (queue.length < 1) return false;
+
+		// clear the queue first, so any callbacks can start a new one
+		this.__componentQueue = [];
+
+		let sent = this.executeComponent(queue.map(([component]) => component), response => {
+			queue.forEach(([component, _callback, _thisArg], index) => {
+				if (typeof(_callback) === 'function') _callback.call(_thisArg, this.__getListedResult(component, response, index));
+			});
+			if (typeof(callback) === 'function') callback.call(thisArg, response);
+		});
+
+		if (!sent) this.__componentQueue = queue.concat(this.__componentQueue);
+
+		return sent;
+	}
+
+	/**
+	 * Gets the result for one component in a list, or a failed result if the request failed or the server skipped it
+	 * @param {NewgroundsIO_components} component The component that was executed
+	 * @param {NewgroundsIO_objects_Response} response The response from the server
+	 * @param {Number} index The component's position in the list that was sent
+	 * @return {NewgroundsIO_results}
+	 */
+	__getListedResult(component, response, index)
+	{
+		let results = response.result === null ? [] : [].concat(response.result);
+
+		if (response.success && results[index] instanceof NewgroundsIO_results) return results[index];
+
+		let result = new NewgroundsIO_results({
+			success: false,
+			error: response.error ? response.error : new NewgroundsIO.objects.Error({message: "NewgroundsIO Error: The server did not return a result for " + String(component)})
+		});
+		result.__object = String(component);
+		result.setCore(this);
+		return result;
+	}
+
+	/**
+	 * Checks a response for a failed request or component
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component The component(s) that were executed
+	 * @param {NewgroundsIO_objects_Response} response The response from the server
+	 * @param {NewgroundsIO_results} result The result for the component
+	 * @return {NewgroundsIO_ExecuteError} An error describing the failure, or null if the component succeeded
+	 */
+	__getExecuteError(component, response, result)
+	{
+		if (!response.success) {
+			let type = response.__exceededMaxAttempts ? NewgroundsIO_ExecuteError.EXCEEDED_MAX_ATTEMPTS : NewgroundsIO_ExecuteError.REQUEST_FAILED;
+			return new NewgroundsIO_ExecuteError(type, response.error ? response.error.message : "NewgroundsIO Error: Request failed.", {
+				code: response.error ? response.error.code : null,
+				component: component,
+				response: response
+			});
+		}
+
+		if (!result || !result.success) {
+			return new NewgroundsIO_ExecuteError(NewgroundsIO_ExecuteError.COMPONENT_FAILED, result && result.error ? result.error.message : "NewgroundsIO Error: " + String(component) + " failed.", {
+				code: result && result.error ? result.error.code : null,
+				component: component,
+				response: response,
+				result: result
+			});
+		}
+
+		return null;
+	}
+
+	/**
+	 * Wraps components in Execute objects, attaches them to a request and posts it to the gateway.
+	 * This gets called by NewgroundsIO_objects_Request.send(), you should never call it directly.
+	 * @param {NewgroundsIO_objects_Request} request The request to send
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+	 * @param {Function} callback An optional function to call when the server responds
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 * @return {Boolean} will return false if the request failed to send
+	 */
+	__doSendRequest(request, component, callback, thisArg)
+	{
+		let executeList = [].concat(component).map(_component => {
+			let execute = new NewgroundsIO.objects.Execute();
+			execute.setCore(this);
+			execute.setComponent(_component);
+			return execute;
+		});
+
+		request.execute = Array.isArray(component) ? executeList : executeList[0];
+
+		if (executeList.length < 1 || !executeList.every(execute => execute.isValid()) || !request.isValid()) return false;
+
+		let postData = "input=" + encodeURIComponent(JSON.stringify(request));
+
+		// only retry if sending every component twice would do no harm
+		let retryable = [].concat(component).every(_component => _component.__isIdempotent);
+
+		this.scheduler.schedule(done => {
+
+			// dispatch this before posting, in case the transport calls back right away
+			this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.REQUEST_SENT, {request: request, component: component}));
+			this.transport(this.gateway_url, postData, done);
+
+		}, retryable, (error, responseText, attempts) => {
+			let response = error ? this.__getErrorResponse(error, attempts) : this.__parseResponse(responseText);
+			this.__dispatchResponseEvents(request, component, response);
+			if (typeof(callback) === 'function') callback.call(thisArg, response);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Dispatches the responseReceived event, then a componentFailed, medalUnlocked or scorePosted event for each component that was sent
+	 * @param {NewgroundsIO_objects_Request} request The request that was sent
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component The component(s) that were sent
+	 * @param {NewgroundsIO_objects_Response} response The response from the server
+	 */
+	__dispatchResponseEvents(request, component, response)
+	{
+		this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.RESPONSE_RECEIVED, {request: request, component: component, response: response}));
+
+		[].concat(component).forEach((_component, index) => {
+			let result = this.__getListedResult(_component, response, index);
+			let props = {request: request, component: _component, response: response, result: result};
+			let error = this.__getExecuteError(_component, response, result);
+
+			if (error) {
+				props.error = error;
+				this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.COMPONENT_FAILED, props));
+
+			} else if (String(_component) === "Medal.unlock") {
+				props.medal = result.medal;
+				this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.MEDAL_UNLOCKED, props));
+
+			} else if (String(_component) === "ScoreBoard.postScore") {
+				props.score = result.score;
+				props.scoreboard = result.scoreboard;
+				this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.SCORE_POSTED, props));
+			}
+		});
+	}
+
+	/**
+	 * Turns the raw text from the gateway into a response object, with results cast to their registered NewgroundsIO_results classes.
+	 * Text that isn't JSON, or that fails validation in NewgroundsIO.VALIDATION_THROW mode, becomes a failed response.
+	 * @param {string} responseText The JSON encoded response
+	 * @return {NewgroundsIO_objects_Response}
+	 */
+	__parseResponse(responseText)
+	{
+		let json;
+
+		try {
+			json = JSON.parse(responseText);
+		} catch(e) {
+			return this.__getErrorResponse("Unable to parse response from server: " + responseText);
+		}
+
+		// in VALIDATION_THROW mode a bad value from the server would throw inside the transport, and the request would never finish
+		try {
+			let response = new NewgroundsIO.objects.Response(json);
+			response.setCore(this);
+			return response;
+		} catch(e) {
+			if (!(e instanceof NewgroundsIO_ValidationError)) throw e;
+			return this.__getErrorResponse("Invalid response from server: " + e.message);
+		}
+	}
+
+	/**
+	 * Gets a failed response object for when the server could not be reached or sent back garbage
+	 * @param {string} message Details about what went wrong
+	 * @param {Number} attempts The number of times the request was sent, if it never reached the server. Anything over 1 means the scheduler gave up retrying it.
+	 * @return {NewgroundsIO_objects_Response}
+	 */
+	__getErrorResponse(message, attempts)
+	{
+		let exceeded = attempts > 1;
+		if (exceeded) message = "NewgroundsIO Error: Gave up after " + attempts + " attempts. " + message;
+
+		let response = new NewgroundsIO.objects.Response({
+			app_id: this.app_id,
+			success: false,
+			error: new NewgroundsIO.objects.Error({message: String(message)})
+		});
+		response.setCore(this);
+		response.__exceededMaxAttempts = exceeded ? true : false;
+		response.__connectionFailed = attempts > 0;
+		return response;
+	}
+
+	/**
+	 * Gets the best transport for the current environment. Browsers use XMLHttpRequest, Node uses fetch (Node 18+) or the http/https modules.
+	 * @return {Function}
+	 */
+	static getDefaultTransport()
+	{
+		if (typeof(XMLHttpRequest) !== 'undefined') return NewgroundsIO.xhrTransport;
+		if (typeof(fetch) === 'function') return NewgroundsIO.fetchTransport;
+		if (typeof(require) === 'function') return NewgroundsIO.httpTransport;
+
+		return (url, postData, callback) => {
+			callback("NewgroundsIO Error: No transport is available in this environment. Use the 'transport' option to provide one.", null);
+		};
+	}
+
+	/**
+	 * Posts data to a URL with XMLHttpRequest. This is the default in browsers.
+	 * Custom transports must use the same signature.
+	 * @param {string} url The URL to post to
+	 * @param {string} postData The url-encoded post data
+	 * @param {Function} callback Gets called with (error, responseText) when the request completes. error will be null on success.
+	 */
+	static xhrTransport(url, postData, callback)
+	{
+		let xhr = new XMLHttpRequest();
+
+		xhr.onreadystatechange = function() {
+			if (xhr.readyState !== 4) return;
+
+			if (xhr.status === 200) callback(null, xhr.responseText);
+			else callback("Unable to connect to server, status: " + xhr.status, null);
+		};
+
+		xhr.open('POST', url, true);
+		xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+		xhr.send(postData);
+	}
+
+	/**
+	 * Posts data to a URL with fetch(). This is the default in Node 18+.
+	 * @param {string} url The URL to post to
+	 * @param {string} postData The url-encoded post data
+	 * @param {Function} callback Gets called with (error, responseText) when the request completes. error will be null on success.
+	 */
+	static fetchTransport(url, postData, callback)
+	{
+		fetch(url, {
+			method: 'POST',
+			headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+			body: postData
+		}).then(response => {
+			if (response.status !== 200) throw("Unable to connect to server, status: " + response.status);
+			return response.text();
+		}).then(responseText => {
+			callback(null, responseText);
+		}, error => {
+			callback(typeof(error) === 'string' ? error : "Unable to connect to server: " + error.message, null);
+		});
+	}
+
+	/**
+	 * Posts data to a URL with Node's http or https module, for versions of Node without fetch().
+	 * @param {string} url The URL to post to
+	 * @param {string} postData The url-encoded post data
+	 * @param {Function} callback Gets called with (error, responseText) when the request completes. error will be null on success.
+	 */
+	static httpTransport(url, postData, callback)
+	{
+		let http = require(url.indexOf("http:") === 0 ? 'http' : 'https');
+
+		let request = http.request(url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/x-www-form-urlencoded',
+				'Content-Length': postData.length
+			}
+		}, response => {
+			let responseText = "";
+
+			response.setEncoding('utf8');
+			response.on('data', chunk => responseText += chunk);
+			response.on('end', () => {
+				if (response.statusCode === 200) callback(null, responseText);
+				else callback("Unable to connect to server, status: " + response.statusCode, null);
+			});
+		});
+
+		request.on('error', error => callback("Unable to connect to server: " + error.message, null));
+		request.write(postData);
+		request.end();
+	}
+
+	/**
+	 * Opens a URL in a new browser tab. Outside of browsers, the URL gets logged instead.
+	 * @param {string} url The URL to open
+	 */
+	static openURL(url)
+	{
+		if (typeof(window) !== 'undefined' && typeof(window.open) === 'function') window.open(url, "_blank");
+		else console.log("NewgroundsIO: Open this URL to continue: " + url);
+	}
+}
+
+/**
+ * The default URL for the Newgrounds.io gateway
+ * @type {string}
+ */
+NewgroundsIO.GATEWAY_URL = "https://www.newgrounds.io/gateway_v3.php";
+
+/**
+ * Type mismatches get logged with console.warn, then the value is coerced to the expected type
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_WARN = "warn";
+
+/**
+ * Type mismatches are silently coerced to the expected type
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_COERCE = "coerce";
+
+/**
+ * Type mismatches, and missing required properties, throw a NewgroundsIO_ValidationError
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_THROW = "throw";
+
+/**
+ * Type mismatches, and missing required properties, are stored on the object (see NewgroundsIO_objects.getValidationErrors), then the value is coerced
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_COLLECT = "collect";
+
+/**
+ * How every NewgroundsIO object handles bad property values. Use one of the NewgroundsIO.VALIDATION_ constants.
+ * @type {string}
+ */
+NewgroundsIO.validationMode = NewgroundsIO.VALIDATION_WARN;
+
+/**
+ * All NewgroundsIO_objects classes, by object name (ie NewgroundsIO.objects.Medal)
+ * @type {object}
+ */
+NewgroundsIO.objects = {};
+
+/**
+ * All NewgroundsIO_components classes, by component name (ie NewgroundsIO.components.Medal.unlock)
+ * @type {object}
+ */
+NewgroundsIO.components = {};
+
+/**
+ * All NewgroundsIO_results classes, by component name (ie NewgroundsIO.results.Medal.unlock)
+ * @type {object}
+ */
+NewgroundsIO.results = {};
+
+/* ---- core/NewgroundsIO_objects.js ---- */
+/**
+ * The base class for every NewgroundsIO object model.
+ * Handles property bookkeeping, validation and JSON serialization.
+ */
+class NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		this.__object = "Object";
+		this.__properties = [];
+		this.__required = [];
+		this.__ngioCore = null;
+		this.__validationErrors = [];
+	}
+
+	/**
+	 * Creates an instance of this class from decoded or encoded JSON. Any nested objects, and arrays of objects, will be cast to their models as well.
+	 * ie NewgroundsIO_objects_Response.fromJSON(responseText)
+	 * @param {(object|string)} json The object's properties, or a JSON string containing them
+	 * @return {NewgroundsIO_objects}
+	 */
+	static fromJSON(json)
+	{
+		return new this(typeof(json) === 'string' ? JSON.parse(json) : json);
+	}
+
+	/**
+	 * Checks if this object is the type of object you are expecting
+	 * @param {string} objectName The name of the object or component (ie 'Medal' or 'Medal.unlock')
+	 * @return {Boolean}
+	 */
+	objectIs(objectName)
+	{
+		return this.__object === objectName;
+	}
+
+	/**
+	 * Attach a NewgroundsIO core object to this object, and any child objects it contains
+	 * @param {NewgroundsIO} core
+	 */
+	setCore(core)
+	{
+		this.__ngioCore = core;
+
+		this.__properties.forEach(property => {
+			let value = this[property];
+
+			if (value instanceof NewgroundsIO_objects) {
+				value.setCore(core);
+
+			} else if (Array.isArray(value)) {
+				value.forEach(child => {
+					if (child instanceof NewgroundsIO_objects) child.setCore(core);
+				});
+			}
+		});
+	}
+
+	/**
+	 * Validates this object, making sure every required property has a value.
+	 * Missing properties are reported by name, according to NewgroundsIO.validationMode.
+	 * @return {Boolean}
+	 */
+	isValid()
+	{
+		let missing = this.getMissingProperties();
+
+		missing.forEach(property => {
+			let value = this[property];
+			let error = new NewgroundsIO_ValidationError(this.constructor.name, property, "value", value === null ? "null" : typeof(value),
+				'NewgroundsIO Error: '+this.__object+' is missing required property "'+property+'"');
+
+			// there's nothing to coerce a missing value to, so we always want to report these
+			if (NewgroundsIO.validationMode === NewgroundsIO.VALIDATION_COERCE) console.error(error.message);
+			else this.__reportValidationError(error);
+		});
+
+		return missing.length < 1;
+	}
+
+	/**
+	 * Gets the names of any required properties that don't have a value
+	 * @return {Array.<string>}
+	 */
+	getMissingProperties()
+	{
+		return this.__required.filter(property => this[property] === null || typeof(this[property]) === 'undefined');
+	}
+
+	/**
+	 * Gets every validation error collected by this object, and any objects it contains, while NewgroundsIO.validationMode was 'collect'
+	 * @return {Array.<NewgroundsIO_ValidationError>}
+	 */
+	getValidationErrors()
+	{
+		let errors = this.__validationErrors.slice();
+
+		this.__properties.forEach(property => {
+			[].concat(this[property]).forEach(child => {
+				if (child instanceof NewgroundsIO_objects) errors = errors.concat(child.getValidationErrors());
+			});
+		});
+
+		return errors;
+	}
+
+	/**
+	 * Removes any validation errors collected by this object
+	 */
+	clearValidationErrors()
+	{
+		this.__validationErrors = [];
+	}
+
+	/**
+	 * Reports a value that doesn't match its property's type. Setters call this before coercing the value.
+	 * @param {string} property The name of the property
+	 * @param {string} expected The type the property expects
+	 * @param {*} value The value that was used
+	 * @param {string} actual An optional type name to report, if typeof(value) isn't descriptive enough
+	 */
+	__typeMismatch(property, expected, value, actual)
+	{
+		if (!actual) actual = value === null ? "null" : (Array.isArray(value) ? "Array" : typeof(value));
+		this.__reportValidationError(new NewgroundsIO_ValidationError(this.constructor.name, property, expected, actual));
+	}
+
+	/**
+	 * Handles a validation error according to NewgroundsIO.validationMode
+	 * @param {NewgroundsIO_ValidationError} error
+	 */
+	__reportValidationError(error)
+	{
+		switch (NewgroundsIO.validationMode) {
+
+			case NewgroundsIO.VALIDATION_THROW:
+				throw error;
+
+			case NewgroundsIO.VALIDATION_COLLECT:
+				this.__validationErrors.push(error);
+				break;
+
+			case NewgroundsIO.VALIDATION_COERCE:
+				break;
+
+			default:
+				console.warn(error.message);
+		}
+	}
+
+	/**
+	 * Gets the object or component name of this object
+	 * @return {string}
+	 */
+	toString()
+	{
+		return this.__object;
+	}
+
+	/**
+	 * Gets every property with a value as a native JS object
+	 * @return {object} A native JS object that can be converted to a JSON string
+	 */
+	toJSON()
+	{
+		let json = {};
+
+		this.__properties.forEach(property => {
+			if (this[property] !== null && typeof(this[property]) !== 'undefined') json[property] = this[property];
+		});
+
+		return json;
+	}
+
+	/**
+	 * Gets every property with a value, encrypted as a single 'secure' property.
+	 * Throws an error if there's no core instance with an aes_key, so secure values are never sent unencrypted.
+	 * @return {object} A native JS object that can be converted to a JSON string
+	 */
+	toSecureJSON()
+	{
+		// subclasses may override toJSON() to call this, so we always encrypt the plain property values
+		let json = NewgroundsIO_objects.prototype.toJSON.call(this);
+
+		if (!this.__ngioCore || !this.__ngioCore.aes_key) {
+			throw("NewgroundsIO Error: Can not encrypt " + this.__object + " without a core instance with an aes_key!");
+		}
+
+		return {secure: this.__ngioCore.encrypt(JSON.stringify(json))};
+	}
+}
+
+/* ---- core/NewgroundsIO_components.js ---- */
+/**
+ * The base class for every NewgroundsIO component.
+ */
+class NewgroundsIO_components extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		super();
+		this.__object = "Component";
+		this.__isSecure = false;
+		this.__requireSession = false;
+		this.__isIdempotent = false;
+	}
+}
+
+/* ---- core/NewgroundsIO_results.js ---- */
+/**
+ * The base class for every NewgroundsIO component result.
+ */
+class NewgroundsIO_results extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Result";
+		this._success = null;
+		this._error = null;
+		this.__properties = this.__properties.concat(["success","error"]);
+		if (typeof(props) === 'object' && props !== null) {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+	}
+
+	/**
+	 * If false, the component failed and details will be in the error property.
+	 * @type {Boolean}
+	 */
+	get success() {
+		return this._success;
+	}
+
+	set success(_success) {
+		if (_success !== null && typeof(_success) !== 'boolean') this.__typeMismatch('success', 'boolean', _success);
+		this._success = _success === null ? null : (_success ? true : false);
+	}
+
+	/**
+	 * Contains any error info if the success property is false.
+	 * @type {NewgroundsIO_objects_Error}
+	 */
+	get error() {
+		return this._error;
+	}
+
+	set error(_error) {
+		if (_error !== null && !(_error instanceof NewgroundsIO.objects.Error) && typeof(_error) === 'object')
+			_error = new NewgroundsIO.objects.Error(_error);
+		if (_error !== null && !(_error instanceof NewgroundsIO.objects.Error)) this.__typeMismatch('error', 'NewgroundsIO_objects_Error', _error);
+		this._error = _error;
+	}
+
+	/**
+	 * Links a result class to the name of the component that returns it
+	 * @param {string} componentName The name of the component (ie 'Medal.unlock')
+	 * @param {Function} resultClass The NewgroundsIO_results class to use for this component
+	 */
+	static registerComponent(componentName, resultClass)
+	{
+		NewgroundsIO_results.__registry[componentName] = resultClass;
+	}
+
+	/**
+	 * Gets the result class that was registered for a component
+	 * @param {string} componentName The name of the component (ie 'Medal.unlock')
+	 * @return {Function} The NewgroundsIO_results class, or null if nothing was registered
+	 */
+	static getResultClass(componentName)
+	{
+		return NewgroundsIO_results.__registry[componentName] || null;
+	}
+}
+
+// Every registered result class, by component name. It has no prototype, so names like 'toString' aren't found on it.
+NewgroundsIO_results.__registry = Object.create(null);
+
+/* ---- core/NewgroundsIO_ExecuteError.js ---- */
+/**
+ * Passed to rejected promises when a component could not be executed, or the server reported it as failed.
+ */
+class NewgroundsIO_ExecuteError extends Error {
+
+	/**
+	 * Constructor
+	 * @param {string} type Where the failure happened. One of the NewgroundsIO_ExecuteError type constants.
+	 * @param {string} message Details about what went wrong
+	 * @param {object} props Any additional info (code, component, response, result)
+	 */
+	constructor(type, message, props) {
+		super(message);
+
+		if (typeof(props) !== 'object' || props === null) props = {};
+
+		this.name = "NewgroundsIO_ExecuteError";
+
+		/**
+		 * Where the failure happened. One of the NewgroundsIO_ExecuteError type constants.
+		 * @type {string}
+		 */
+		this.type = type;
+
+		/**
+		 * The error code from the server, or null if the failure happened locally
+		 * @type {Number}
+		 */
+		this.code = typeof(props.code) === 'number' ? props.code : null;
+
+		/**
+		 * The name of the component that failed (ie 'Medal.unlock')
+		 * @type {string}
+		 */
+		this.component = props.component ? String(props.component) : null;
+
+		/**
+		 * The response from the server, if we got one
+		 * @type {NewgroundsIO_objects_Response}
+		 */
+		this.response = props.response ? props.response : null;
+
+		/**
+		 * The component result from the server, if we got one
+		 * @type {NewgroundsIO_results}
+		 */
+		this.result = props.result ? props.result : null;
+	}
+}
+
+/**
+ * The component failed validation and was never sent
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.INVALID_COMPONENT = "invalid_component";
+
+/**
+ * The server could not be reached, or rejected the whole request
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.REQUEST_FAILED = "request_failed";
+
+/**
+ * The request went through, but the component itself reported a failure
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.COMPONENT_FAILED = "component_failed";
+
+/**
+ * The server could not be reached, even after retrying the request as many times as the scheduler allows
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.EXCEEDED_MAX_ATTEMPTS = "exceeded_max_attempts";
+
+NewgroundsIO.ExecuteError = NewgroundsIO_ExecuteError;
+
+/* ---- core/NewgroundsIO_ValidationError.js ---- */
+/**
+ * Describes a property that was given the wrong type of value, or is missing a required value.
+ * These get thrown, collected or logged depending on NewgroundsIO.validationMode.
+ */
+class NewgroundsIO_ValidationError extends Error {
+
+	/**
+	 * Constructor
+	 * @param {string} className The name of the class that owns the property (ie 'NewgroundsIO_objects_Medal')
+	 * @param {string} property The name of the property (array values will include their index, ie 'medals[2]')
+	 * @param {string} expected The type the property expects (ie 'int' or 'NewgroundsIO_objects_User')
+	 * @param {string} actual The type that was actually used
+	 * @param {string} message An optional message. One will be built from the other values if this is omitted.
+	 */
+	constructor(className, property, expected, actual, message) {
+		super(message ? message : "NewgroundsIO Type Mismatch: " + className + "." + property + " should be a " + expected + ", got a " + actual);
+
+		this.name = "NewgroundsIO_ValidationError";
+
+		/**
+		 * The name of the class that owns the property
+		 * @type {string}
+		 */
+		this.className = className;
+
+		/**
+		 * The name of the property
+		 * @type {string}
+		 */
+		this.property = property;
+
+		/**
+		 * The type the property expects
+		 * @type {string}
+		 */
+		this.expected = expected;
+
+		/**
+		 * The type that was actually used
+		 * @type {string}
+		 */
+		this.actual = actual;
+	}
+}
+
+NewgroundsIO.ValidationError = NewgroundsIO_ValidationError;
+
+/* ---- core/NewgroundsIO_SessionState.js ---- */
+/**
+ * The states a NewgroundsIO_objects_Session can be in while its update() loop runs.
+ */
+const NewgroundsIO_SessionState = {
+
+	/** We don't know anything about the session yet. */
+	SESSION_UNINITIALIZED: "session-uninitialized",
+
+	/** We're waiting for the server to respond. */
+	WAITING_FOR_SERVER: "waiting-for-server",
+
+	/** We have a session, but the user needs to log in. */
+	LOGIN_REQUIRED: "login-required",
+
+	/** The passport page was opened and we're waiting for the user to log in. */
+	WAITING_FOR_USER: "waiting-for-user",
+
+	/** The user cancelled the login. */
+	LOGIN_CANCELLED: "login-cancelled",
+
+	/** The user is logged in. */
+	LOGIN_SUCCESSFUL: "login-successful",
+
+	/** The login failed. */
+	LOGIN_FAILED: "login-failed",
+
+	/** The user logged out. */
+	USER_LOGGED_OUT: "user-logged-out",
+
+	/** The server didn't respond as expected, it may be down. */
+	SERVER_UNAVAILABLE: "server-unavailable",
+
+	/** We failed to reach the server too many times in a row and gave up. */
+	EXCEEDED_MAX_ATTEMPTS: "exceeded-max-attempts"
+};
+
+/**
+ * The states that mean we're still waiting on the server or user
+ * @type {Array.<string>}
+ */
+NewgroundsIO_SessionState.SESSION_WAITING = [
+	NewgroundsIO_SessionState.SESSION_UNINITIALIZED,
+	NewgroundsIO_SessionState.WAITING_FOR_SERVER,
+	NewgroundsIO_SessionState.WAITING_FOR_USER,
+	NewgroundsIO_SessionState.LOGIN_CANCELLED,
+	NewgroundsIO_SessionState.LOGIN_FAILED
+];
+
+NewgroundsIO.SessionState = NewgroundsIO_SessionState;
+
+/* ---- core/NewgroundsIO_Event.js ---- */
+/**
+ * Gets passed to every function added with NewgroundsIO.addEventListener().
+ * Only the properties that make sense for the event's type will be set, the rest will be null:
+ *
+ *  sessionStatusChanged - session, status, previous_status
+ *  requestSent - request, component
+ *  responseReceived - request, component, response
+ *  componentFailed - request, component, response, result, error
+ *  medalUnlocked - request, component, response, result, medal
+ *  scorePosted - request, component, response, result, score, scoreboard
+ *  outboxQueued - component
+ *  outboxDelivered - request, component, response, result
+ *
+ * For requestSent and responseReceived, component will be an array if a list of components was sent. The others always get a single component.
+ */
+class NewgroundsIO_Event {
+
+	/**
+	 * Constructor
+	 * @param {string} type One of the NewgroundsIO_Event type constants
+	 * @param {object} props An object of properties for this event
+	 */
+	constructor(type, props) {
+
+		/**
+		 * The type of event (ie NewgroundsIO_Event.MEDAL_UNLOCKED)
+		 * @type {string}
+		 */
+		this.type = type;
+
+		/**
+		 * The NewgroundsIO instance that dispatched this event
+		 * @type {NewgroundsIO}
+		 */
+		this.target = null;
+
+		/**
+		 * The session whose status changed
+		 * @type {NewgroundsIO_objects_Session}
+		 */
+		this.session = null;
+
+		/**
+		 * The new session status. Will be one of the NewgroundsIO.SessionState constants.
+		 * @type {string}
+		 */
+		this.status = null;
+
+		/**
+		 * The session status before it changed
+		 * @type {string}
+		 */
+		this.previous_status = null;
+
+		/**
+		 * The request that was sent to the server
+		 * @type {NewgroundsIO_objects_Request}
+		 */
+		this.request = null;
+
+		/**
+		 * The component (or list of components) that was sent
+		 * @type {(NewgroundsIO_components|Array.<NewgroundsIO_components>)}
+		 */
+		this.component = null;
+
+		/**
+		 * The response from the server
+		 * @type {NewgroundsIO_objects_Response}
+		 */
+		this.response = null;
+
+		/**
+		 * The result for the component
+		 * @type {NewgroundsIO_results}
+		 */
+		this.result = null;
+
+		/**
+		 * Why the component failed
+		 * @type {NewgroundsIO_ExecuteError}
+		 */
+		this.error = null;
+
+		/**
+		 * The medal that was unlocked
+		 * @type {NewgroundsIO_objects_Medal}
+		 */
+		this.medal = null;
+
+		/**
+		 * The score that was posted
+		 * @type {NewgroundsIO_objects_Score}
+		 */
+		this.score = null;
+
+		/**
+		 * The scoreboard the score was posted to
+		 * @type {NewgroundsIO_objects_ScoreBoard}
+		 */
+		this.scoreboard = null;
+
+		if (typeof(props) === 'object' && props !== null) {
+			Object.keys(props).forEach(key => {
+				if (!Object.prototype.hasOwnProperty.call(this, key)) throw("NewgroundsIO Error: '" + key + "' is not a NewgroundsIO_Event property");
+				this[key] = props[key];
+			});
+		}
+	}
+}
+
+/**
+ * Fired when session.update() sees a change in the session status
+ * @type {string}
+ */
+NewgroundsIO_Event.SESSION_STATUS_CHANGED = "sessionStatusChanged";
+
+/**
+ * Fired when a request is posted to the gateway
+ * @type {string}
+ */
+NewgroundsIO_Event.REQUEST_SENT = "requestSent";
+
+/**
+ * Fired when the gateway responds to a request, or the request fails to reach it
+ * @type {string}
+ */
+NewgroundsIO_Event.RESPONSE_RECEIVED = "responseReceived";
+
+/**
+ * Fired for every component that failed, including components in a request that failed
+ * @type {string}
+ */
+NewgroundsIO_Event.COMPONENT_FAILED = "componentFailed";
+
+/**
+ * Fired when a Medal.unlock component succeeds
+ * @type {string}
+ */
+NewgroundsIO_Event.MEDAL_UNLOCKED = "medalUnlocked";
+
+/**
+ * Fired when a ScoreBoard.postScore component succeeds
+ * @type {string}
+ */
+NewgroundsIO_Event.SCORE_POSTED = "scorePosted";
+
+/**
+ * Fired when a secure component couldn't reach the server and was saved in the outbox
+ * @type {string}
+ */
+NewgroundsIO_Event.OUTBOX_QUEUED = "outboxQueued";
+
+/**
+ * Fired when a component from the outbox was finally delivered
+ * @type {string}
+ */
+NewgroundsIO_Event.OUTBOX_DELIVERED = "outboxDelivered";
+
+/**
+ * Every event type
+ * @type {Array.<string>}
+ */
+NewgroundsIO_Event.TYPES = [
+	NewgroundsIO_Event.SESSION_STATUS_CHANGED,
+	NewgroundsIO_Event.REQUEST_SENT,
+	NewgroundsIO_Event.RESPONSE_RECEIVED,
+	NewgroundsIO_Event.COMPONENT_FAILED,
+	NewgroundsIO_Event.MEDAL_UNLOCKED,
+	NewgroundsIO_Event.SCORE_POSTED,
+	NewgroundsIO_Event.OUTBOX_QUEUED,
+	NewgroundsIO_Event.OUTBOX_DELIVERED
+];
+
+NewgroundsIO.Event = NewgroundsIO_Event;
+
+/* ---- core/NewgroundsIO_RequestScheduler.js ---- */
+/**
+ * Spaces out requests so we don't get blocked by DDOS protection, and retries requests that failed to reach the server.
+ * Retries wait longer after each failed attempt (retry_delay, then double that, and so on, up to max_retry_delay).
+ * Only requests where every component is idempotent get retried, so nothing gets unlocked or posted twice.
+ * One scheduler can be shared by several NewgroundsIO instances with the 'scheduler' option.
+ */
+class NewgroundsIO_RequestScheduler {
+
+	/**
+	 * Constructor
+	 * @param {object} options Optional settings (min_interval, max_attempts, retry_delay, max_retry_delay)
+	 */
+	constructor(options) {
+		if (typeof(options) !== 'object' || options === null) options = {};
+
+		/**
+		 * The minimum number of milliseconds between requests
+		 * @type {Number}
+		 */
+		this.min_interval = typeof(options.min_interval) === 'number' ? options.min_interval : NewgroundsIO_RequestScheduler.MIN_INTERVAL;
+
+		/**
+		 * The most times a request will be sent before giving up
+		 * @type {Number}
+		 */
+		this.max_attempts = typeof(options.max_attempts) === 'number' ? options.max_attempts : NewgroundsIO_RequestScheduler.MAX_ATTEMPTS;
+
+		/**
+		 * The number of milliseconds to wait before the first retry
+		 * @type {Number}
+		 */
+		this.retry_delay = typeof(options.retry_delay) === 'number' ? options.retry_delay : NewgroundsIO_RequestScheduler.RETRY_DELAY;
+
+		/**
+		 * The longest a retry will wait, in milliseconds
+		 * @type {Number}
+		 */
+		this.max_retry_delay = typeof(options.max_retry_delay) === 'number' ? options.max_retry_delay : NewgroundsIO_RequestScheduler.MAX_RETRY_DELAY;
+
+		// requests waiting to be sent, and when the last one went out
+		this.__queue = [];
+		this.__lastSent = 0;
+		this.__timer = null;
+	}
+
+	/**
+	 * The number of requests waiting to be sent (not counting any waiting to be retried)
+	 * @type {Number}
+	 */
+	get pending()
+	{
+		return this.__queue.length;
+	}
+
+	/**
+	 * Adds a request to the schedule. It will be sent right away if enough time has passed since the last one.
+	 * @param {Function} post Sends the request. Will be passed a function to call with (error, responseText), like a transport.
+	 * @param {Boolean} retryable Set to true if the request is safe to send more than once
+	 * @param {Function} callback Gets called with (error, responseText, attempts) when the request is done.
+	 *        attempts is the number of times the request was sent, so anything over 1 with an error means every retry failed too.
+	 */
+	schedule(post, retryable, callback)
+	{
+		this.__queue.push({post: post, retryable: retryable ? true : false, callback: callback, attempts: 0});
+		this.__sendNext();
+	}
+
+	/**
+	 * Gets how long to wait before retrying a request
+	 * @param {Number} attempts The number of times the request has been sent
+	 * @return {Number} The delay, in milliseconds
+	 */
+	getRetryDelay(attempts)
+	{
+		return Math.min(this.retry_delay * Math.pow(2, attempts - 1), this.max_retry_delay);
+	}
+
+	// sends the next request, or waits until it can be sent
+	__sendNext()
+	{
+		if (this.__timer !== null || this.__queue.length < 1) return;
+
+		let wait = this.__lastSent + this.min_interval - Date.now();
+		if (wait > 0) {
+			this.__timer = setTimeout(() => {
+				this.__timer = null;
+				this.__sendNext();
+			}, wait);
+			return;
+		}
+
+		let job = this.__queue.shift();
+		this.__lastSent = Date.now();
+		job.attempts++;
+		job.post((error, responseText) => this.__onPosted(job, error, responseText));
+
+		this.__sendNext();
+	}
+
+	// retries a failed request after a delay, or passes the outcome to its callback
+	__onPosted(job, error, responseText)
+	{
+		if (error && job.retryable && job.attempts < this.max_attempts) {
+			setTimeout(() => {
+				this.__queue.unshift(job);
+				this.__sendNext();
+			}, this.getRetryDelay(job.attempts));
+			return;
+		}
+
+		job.callback(error, responseText, job.attempts);
+	}
+}
+
+/**
+ * The default minimum number of milliseconds between requests
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.MIN_INTERVAL = 250;
+
+/**
+ * The default number of times a request will be sent before giving up
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.MAX_ATTEMPTS = 5;
+
+/**
+ * The default number of milliseconds to wait before the first retry
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.RETRY_DELAY = 1000;
+
+/**
+ * The default longest a retry will wait, in milliseconds
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.MAX_RETRY_DELAY = 30000;
+
+NewgroundsIO.RequestScheduler = NewgroundsIO_RequestScheduler;
+
+/* ---- core/NewgroundsIO_Outbox.js ---- */
+/**
+ * Keeps secure components (ie Medal.unlock, ScoreBoard.postScore) that couldn't reach the server, and sends them again later.
+ * Entries are saved with the core's storage, so they survive the app closing, and are replayed with the session id they were first sent with.
+ * The outbox gets flushed when a user logs in, whenever a request gets through to the server, and when the browser comes back online.
+ * Enable it with the core's 'outbox' option.
+ */
+class NewgroundsIO_Outbox {
+
+	/**
+	 * Constructor
+	 * @param {NewgroundsIO} core The core instance to send components with
+	 */
+	constructor(core) {
+		this.__ngioCore = core;
+		this.__flushing = false;
+		this.__entries = this.__load();
+
+		core.addEventListener(NewgroundsIO_Event.COMPONENT_FAILED, this.__onComponentFailed, this);
+		core.addEventListener(NewgroundsIO_Event.RESPONSE_RECEIVED, this.__onResponseReceived, this);
+		core.addEventListener(NewgroundsIO_Event.SESSION_STATUS_CHANGED, this.__onSessionStatusChanged, this);
+
+		if (typeof(window) !== 'undefined' && typeof(window.addEventListener) === 'function') {
+			window.addEventListener('online', () => this.flush());
+		}
+	}
+
+	/**
+	 * The number of components waiting to be sent
+	 * @type {Number}
+	 */
+	get length()
+	{
+		return this.__entries.length;
+	}
+
+	/**
+	 * Copies of the entries waiting to be sent. Each has component (the name), parameters, session_id and queued (a timestamp) properties.
+	 * @type {Array.<object>}
+	 */
+	get entries()
+	{
+		return this.__entries.map(entry => Object.assign({}, entry));
+	}
+
+	/**
+	 * Adds a component to the outbox. A Medal.unlock that's already waiting, for the same session, won't be added twice.
+	 * @param {NewgroundsIO_components} component The component to send later
+	 * @param {string} session_id The session id to send it with
+	 * @return {Boolean} will return false if the component was already in the outbox
+	 */
+	add(component, session_id)
+	{
+		let entry = {
+			component: String(component),
+			parameters: JSON.parse(JSON.stringify(component)),
+			session_id: session_id ? session_id : null,
+			queued: Date.now()
+		};
+
+		let key = this.__getKey(entry);
+		if (key !== null && this.__entries.some(_entry => this.__getKey(_entry) === key)) return false;
+
+		this.__entries.push(entry);
+		this.__save();
+
+		this.__ngioCore.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.OUTBOX_QUEUED, {component: component}));
+		return true;
+	}
+
+	/**
+	 * Sends every waiting component, one at a time. Components the server accepts or rejects are removed,
+	 * but if the server can't be reached the rest stay in the outbox for next time.
+	 * Nothing gets sent until the core's session is active, or while another flush is running.
+	 * @param {Function} callback An optional function to call when done. Will be passed a {delivered, failed, remaining} object,
+	 *        where delivered and failed are arrays of NewgroundsIO_results and remaining is the number of components still waiting.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 */
+	flush(callback, thisArg)
+	{
+		let report = {delivered: [], failed: [], remaining: this.__entries.length};
+
+		let done = () => {
+			this.__flushing = false;
+			report.remaining = this.__entries.length;
+			if (typeof(callback) === 'function') callback.call(thisArg, report);
+		};
+
+		if (this.__flushing || !this.__ngioCore.session.isActive()) {
+			if (typeof(callback) === 'function') callback.call(thisArg, report);
+			return;
+		}
+
+		this.__flushing = true;
+
+		let sendNext = () => {
+			if (this.__entries.length < 1) return done();
+
+			let entry = this.__entries[0];
+			let component = this.__getComponent(entry);
+
+			// drop anything we can't rebuild, rather than getting stuck on it
+			if (!component) {
+				this.__remove(entry);
+				return sendNext();
+			}
+
+			let request = this.__ngioCore.getRequest();
+			request.session_id = entry.session_id;
+
+			let sent = request.send(component, response => {
+				if (response.__connectionFailed) return done();
+
+				let result = this.__ngioCore.__getListedResult(component, response, 0);
+				this.__remove(entry);
+
+				if (response.success && result.success) {
+					report.delivered.push(result);
+					this.__ngioCore.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.OUTBOX_DELIVERED, {
+						request: request,
+						component: component,
+						response: response,
+						result: result
+					}));
+				} else {
+					report.failed.push(result);
+				}
+
+				sendNext();
+			});
+
+			// the session went away, so try again when there's a new one
+			if (!sent) done();
+		};
+
+		sendNext();
+	}
+
+	/**
+	 * Removes every waiting component without sending them
+	 */
+	clear()
+	{
+		this.__entries = [];
+		this.__save();
+	}
+
+	// gets the key used to spot duplicate entries, or null if the entry can be sent any number of times
+	__getKey(entry)
+	{
+		if (entry.component !== "Medal.unlock") return null;
+		return entry.component + ":" + entry.session_id + ":" + entry.parameters.id;
+	}
+
+	// rebuilds the component for an entry
+	__getComponent(entry)
+	{
+		let [componentName, methodName] = entry.component.split(".");
+		let componentClass = NewgroundsIO.components[componentName] ? NewgroundsIO.components[componentName][methodName] : null;
+		if (typeof(componentClass) !== 'function') return null;
+
+		let component = new componentClass(entry.parameters);
+		component.__outboxEntry = entry;
+		return component;
+	}
+
+	__remove(entry)
+	{
+		this.__entries = this.__entries.filter(_entry => _entry !== entry);
+		this.__save();
+	}
+
+	__load()
+	{
+		let saved = this.__ngioCore.storage.getOutbox ? this.__ngioCore.storage.getOutbox(this.__ngioCore.app_id) : null;
+		if (!saved) return [];
+
+		try {
+			let entries = JSON.parse(saved);
+			return Array.isArray(entries) ? entries : [];
+		} catch(e) {
+			return [];
+		}
+	}
+
+	__save()
+	{
+		let storage = this.__ngioCore.storage;
+		if (!storage.setOutbox) return;
+
+		if (this.__entries.length > 0) storage.setOutbox(this.__ngioCore.app_id, JSON.stringify(this.__entries));
+		else if (storage.removeOutbox) storage.removeOutbox(this.__ngioCore.app_id);
+	}
+
+	// keeps secure components that couldn't reach the server (unless they're already being replayed from here)
+	__onComponentFailed(event)
+	{
+		if (!event.response.__connectionFailed || !event.component.__isSecure || event.component.__outboxEntry) return;
+		this.add(event.component, event.request.session_id);
+	}
+
+	// a request got through, so the connection is back
+	__onResponseReceived(event)
+	{
+		if (!event.response.__connectionFailed && this.__entries.length > 0) this.flush();
+	}
+
+	__onSessionStatusChanged(event)
+	{
+		if (event.status === NewgroundsIO.SessionState.LOGIN_SUCCESSFUL && this.__entries.length > 0) this.flush();
+	}
+}
+
+NewgroundsIO.Outbox = NewgroundsIO_Outbox;
+
+/* ---- core/NewgroundsIO_Encryption.js ---- */
+/**
+ * Encrypts the payloads of secure components (ie Medal.unlock, ScoreBoard.postScore).
+ * Supports the AES-128 (CBC) and RC4 ciphers, with Base64 or hex encoded keys, matching the settings on your project's API Tools page.
+ * All byte data is handled as arrays of numbers from 0 to 255.
+ */
+class NewgroundsIO_Encryption {
+
+	/**
+	 * Encrypts a string and encodes the result
+	 * @param {string} text The text to encrypt
+	 * @param {string} key The encoded encryption key
+	 * @param {string} cipher The cipher to use (NewgroundsIO_Encryption.AES_128 or NewgroundsIO_Encryption.RC4)
+	 * @param {string} format How the key and result are encoded (NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX)
+	 * @param {Array.<Number>} iv The 16 byte initialization vector to use with AES-128. Ignored by RC4.
+	 * @return {string} The encrypted, encoded text. AES-128 results have the iv prepended.
+	 */
+	static encrypt(text, key, cipher, format, iv)
+	{
+		let keyBytes = NewgroundsIO_Encryption.decode(key, format);
+		let data = NewgroundsIO_Encryption.toUTF8(text);
+
+		switch (cipher) {
+
+			case NewgroundsIO_Encryption.AES_128:
+				return NewgroundsIO_Encryption.encode(iv.concat(NewgroundsIO_Encryption.aesCBC(keyBytes, iv, data)), format);
+
+			case NewgroundsIO_Encryption.RC4:
+				return NewgroundsIO_Encryption.encode(NewgroundsIO_Encryption.rc4(keyBytes, data), format);
+		}
+
+		throw("NewgroundsIO Error: Unsupported cipher '" + cipher + "'");
+	}
+
+	/**
+	 * Gets 16 random bytes to use as an AES initialization vector
+	 * @return {Array.<Number>}
+	 */
+	static randomIV()
+	{
+		let iv = new Array(16);
+
+		if (typeof(crypto) !== 'undefined' && crypto.getRandomValues) {
+			let random = crypto.getRandomValues(new Uint8Array(16));
+			for (let i = 0; i < 16; i++) iv[i] = random[i];
+
+		// older versions of Node don't have a global crypto object
+		} else if (typeof(require) === 'function') {
+			let random = require('crypto').randomBytes(16);
+			for (let i = 0; i < 16; i++) iv[i] = random[i];
+
+		} else {
+			for (let i = 0; i < 16; i++) iv[i] = Math.floor(Math.random() * 256);
+		}
+
+		return iv;
+	}
+
+	/* ------------------------------------------- Ciphers ------------------------------------------- */
+
+	/**
+	 * Encrypts bytes with AES in CBC mode, using PKCS#7 padding. The key size (16, 24 or 32 bytes) picks AES-128, 192 or 256.
+	 * @param {Array.<Number>} key The key bytes
+	 * @param {Array.<Number>} iv The 16 byte initialization vector
+	 * @param {Array.<Number>} data The bytes to encrypt
+	 * @return {Array.<Number>} The encrypted bytes
+	 */
+	static aesCBC(key, iv, data)
+	{
+		if ([16, 24, 32].indexOf(key.length) < 0) throw("NewgroundsIO Error: AES keys must be 16, 24 or 32 bytes, got " + key.length);
+		if (!iv || iv.length !== 16) throw("NewgroundsIO Error: AES initialization vectors must be 16 bytes");
+
+		let roundKeys = NewgroundsIO_Encryption.__aesExpandKey(key);
+
+		let pad = 16 - (data.length % 16);
+		let padded = data.concat(new Array(pad).fill(pad));
+
+		let out = [];
+		let previous = iv;
+
+		for (let offset = 0; offset < padded.length; offset += 16) {
+			let block = padded.slice(offset, offset + 16).map((byte, i) => byte ^ previous[i]);
+			previous = NewgroundsIO_Encryption.__aesEncryptBlock(block, roundKeys);
+			out = out.concat(previous);
+		}
+
+		return out;
+	}
+
+	/**
+	 * Encrypts (or decrypts) bytes with RC4
+	 * @param {Array.<Number>} key The key bytes
+	 * @param {Array.<Number>} data The bytes to encrypt
+	 * @return {Array.<Number>} The encrypted bytes
+	 */
+	static rc4(key, data)
+	{
+		let s = [];
+		let i, j = 0, swap;
+
+		for (i = 0; i < 256; i++) s[i] = i;
+
+		for (i = 0; i < 256; i++) {
+			j = (j + s[i] + key[i % key.length]) % 256;
+			swap = s[i]; s[i] = s[j]; s[j] = swap;
+		}
+
+		i = 0;
+		j = 0;
+
+		return data.map(byte => {
+			i = (i + 1) % 256;
+			j = (j + s[i]) % 256;
+			swap = s[i]; s[i] = s[j]; s[j] = swap;
+			return byte ^ s[(s[i] + s[j]) % 256];
+		});
+	}
+
+	/* ------------------------------------------- Encoding ------------------------------------------- */
+
+	/**
+	 * Encodes bytes as a string
+	 * @param {Array.<Number>} bytes The bytes to encode
+	 * @param {string} format NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX
+	 * @return {string}
+	 */
+	static encode(bytes, format)
+	{
+		if (format === NewgroundsIO_Encryption.HEX) {
+			return bytes.map(byte => (byte < 16 ? "0" : "") + byte.toString(16)).join("");
+		}
+
+		let chars = NewgroundsIO_Encryption.__base64Chars;
+		let out = "";
+
+		for (let i = 0; i < bytes.length; i += 3) {
+			let triplet = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+			out += chars[(triplet >> 18) & 63] + chars[(triplet >> 12) & 63];
+			out += i + 1 < bytes.length ? chars[(triplet >> 6) & 63] : "=";
+			out += i + 2 < bytes.length ? chars[triplet & 63] : "=";
+		}
+
+		return out;
+	}
+
+	/**
+	 * Decodes a string to bytes
+	 * @param {string} text The encoded string
+	 * @param {string} format NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX
+	 * @return {Array.<Number>}
+	 */
+	static decode(text, format)
+	{
+		let bytes = [];
+
+		if (format === NewgroundsIO_Encryption.HEX) {
+			for (let i = 0; i < text.length; i += 2) bytes.push(parseInt(text.substr(i, 2), 16));
+			return bytes;
+		}
+
+		let chars = NewgroundsIO_Encryption.__base64Chars;
+		let bits = 0, value = 0;
+
+		for (let i = 0; i < text.length; i++) {
+			let index = chars.indexOf(text[i]);
+			if (index < 0) continue;
+
+			value = (value << 6) | index;
+			bits += 6;
+
+			if (bits >= 8) {
+				bits -= 8;
+				bytes.push((value >> bits) & 255);
+			}
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Gets the UTF-8 bytes of a string
+	 * @param {string} text
+	 * @return {Array.<Number>}
+	 */
+	static toUTF8(text)
+	{
+		if (typeof(TextEncoder) !== 'undefined') return Array.from(new TextEncoder().encode(text));
+
+		let binary = unescape(encodeURIComponent(text));
+		let bytes = new Array(binary.length);
+		for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+		return bytes;
+	}
+
+	/* ------------------------------------------- AES Internals ------------------------------------------- */
+
+	// multiplies a byte by 2 in the AES finite field
+	static __xtime(byte)
+	{
+		return ((byte << 1) ^ (byte & 0x80 ? 0x1b : 0)) & 0xff;
+	}
+
+	// builds the AES substitution box the first time it's needed
+	static __getSBox()
+	{
+		if (NewgroundsIO_Encryption.__sbox) return NewgroundsIO_Encryption.__sbox;
+
+		let sbox = new Array(256);
+		let rotate = (byte, shift) => ((byte << shift) | (byte >> (8 - shift))) & 0xff;
+		let p = 1, q = 1;
+
+		// walk every non-zero byte, keeping q as the multiplicative inverse of p
+		do {
+			p = p ^ NewgroundsIO_Encryption.__xtime(p);
+
+			q ^= q << 1;
+			q ^= q << 2;
+			q ^= q << 4;
+			q &= 0xff;
+			if (q & 0x80) q ^= 0x09;
+
+			sbox[p] = q ^ rotate(q, 1) ^ rotate(q, 2) ^ rotate(q, 3) ^ rotate(q, 4) ^ 0x63;
+		} while (p !== 1);
+
+		// zero has no inverse, so it gets special treatment
+		sbox[0] = 0x63;
+
+		NewgroundsIO_Encryption.__sbox = sbox;
+		return sbox;
+	}
+
+	// expands a key to the 4 byte words used by every round
+	static __aesExpandKey(key)
+	{
+		let sbox = NewgroundsIO_Encryption.__getSBox();
+		let nk = key.length / 4;
+		let total = 4 * (nk + 7);
+		let words = [];
+		let rcon = 1;
+
+		for (let i = 0; i < nk; i++) words.push(key.slice(i * 4, i * 4 + 4));
+
+		for (let i = nk; i < total; i++) {
+			let word = words[i - 1].slice();
+
+			if (i % nk === 0) {
+				word = [sbox[word[1]] ^ rcon, sbox[word[2]], sbox[word[3]], sbox[word[0]]];
+				rcon = NewgroundsIO_Encryption.__xtime(rcon);
+			} else if (nk > 6 && i % nk === 4) {
+				word = word.map(byte => sbox[byte]);
+			}
+
+			words.push(words[i - nk].map((byte, j) => byte ^ word[j]));
+		}
+
+		return words;
+	}
+
+	// encrypts a single 16 byte block
+	static __aesEncryptBlock(block, words)
+	{
+		let sbox = NewgroundsIO_Encryption.__getSBox();
+		let xtime = NewgroundsIO_Encryption.__xtime;
+		let rounds = words.length / 4 - 1;
+		let state = block.slice();
+
+		let addRoundKey = round => {
+			for (let c = 0; c < 4; c++) {
+				for (let r = 0; r < 4; r++) state[c * 4 + r] ^= words[round * 4 + c][r];
+			}
+		};
+
+		let subBytesAndShiftRows = () => {
+			let shifted = new Array(16);
+			for (let c = 0; c < 4; c++) {
+				for (let r = 0; r < 4; r++) shifted[c * 4 + r] = sbox[state[((c + r) % 4) * 4 + r]];
+			}
+			state = shifted;
+		};
+
+		addRoundKey(0);
+
+		for (let round = 1; round <= rounds; round++) {
+			subBytesAndShiftRows();
+
+			// the last round skips mixing the columns
+			if (round < rounds) {
+				for (let c = 0; c < 4; c++) {
+					let [a0, a1, a2, a3] = state.slice(c * 4, c * 4 + 4);
+					state[c * 4] = xtime(a0) ^ xtime(a1) ^ a1 ^ a2 ^ a3;
+					state[c * 4 + 1] = a0 ^ xtime(a1) ^ xtime(a2) ^ a2 ^ a3;
+					state[c * 4 + 2] = a0 ^ a1 ^ xtime(a2) ^ xtime(a3) ^ a3;
+					state[c * 4 + 3] = xtime(a0) ^ a0 ^ a1 ^ a2 ^ xtime(a3);
+				}
+			}
+
+			addRoundKey(round);
+		}
+
+		return state;
+	}
+}
+
+/**
+ * Cipher for AES-128 (CBC) encryption
+ * @type {string}
+ */
+NewgroundsIO_Encryption.AES_128 = "aes-128";
+
+/**
+ * Cipher for RC4 encryption
+ * @type {string}
+ */
+NewgroundsIO_Encryption.RC4 = "rc4";
+
+/**
+ * Format for Base64 encoded keys and results
+ * @type {string}
+ */
+NewgroundsIO_Encryption.BASE64 = "base64";
+
+/**
+ * Format for hex encoded keys and results
+ * @type {string}
+ */
+NewgroundsIO_Encryption.HEX = "hex";
+
+NewgroundsIO_Encryption.__base64Chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+NewgroundsIO_Encryption.__sbox = null;
+
+NewgroundsIO.Encryption = NewgroundsIO_Encryption;
+
+/* ---- core/NewgroundsIO_SessionStorage.js ---- */
+/**
+ * The base class for places a remembered session id can be saved, keyed by app_id.
+ * Extend this (or make any object with the same three methods) to save sessions somewhere else, ie an encrypted file.
+ * If you use the outbox, override getOutbox(), setOutbox() and removeOutbox() too, or unsent calls will only be kept in memory.
+ */
+class NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		this.__outboxes = {};
+	}
+
+	/**
+	 * Gets the remembered session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string} The session id, or null if there isn't one
+	 */
+	getSessionId(app_id)
+	{
+		throw("NewgroundsIO Error: " + this.constructor.name + " must implement getSessionId()");
+	}
+
+	/**
+	 * Remembers the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @param {string} session_id The session id to remember
+	 */
+	setSessionId(app_id, session_id)
+	{
+		throw("NewgroundsIO Error: " + this.constructor.name + " must implement setSessionId()");
+	}
+
+	/**
+	 * Forgets the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 */
+	removeSessionId(app_id)
+	{
+		throw("NewgroundsIO Error: " + this.constructor.name + " must implement removeSessionId()");
+	}
+
+	/**
+	 * Gets the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @return {string} The JSON encoded outbox, or null if there isn't one
+	 */
+	getOutbox(app_id)
+	{
+		return Object.prototype.hasOwnProperty.call(this.__outboxes, app_id) ? this.__outboxes[app_id] : null;
+	}
+
+	/**
+	 * Saves the outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @param {string} outbox The JSON encoded outbox
+	 */
+	setOutbox(app_id, outbox)
+	{
+		this.__outboxes[app_id] = outbox;
+	}
+
+	/**
+	 * Deletes the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 */
+	removeOutbox(app_id)
+	{
+		delete this.__outboxes[app_id];
+	}
+
+	/**
+	 * Registers a storage backend so it can be selected by name with the 'storage' option
+	 * @param {string} name The name to register (ie 'file')
+	 * @param {Function} factory A function that returns the storage backend. It won't be called until something uses this name.
+	 */
+	static register(name, factory)
+	{
+		NewgroundsIO_SessionStorage.__registry[name] = factory;
+	}
+
+	/**
+	 * Gets a storage backend from the value of the 'storage' option
+	 * @param {(string|object)} storage A registered name, a storage backend, or any object with localStorage's getItem, setItem and removeItem methods.
+	 *        If this is omitted, localStorage will be used if it's available, or memory if not.
+	 * @return {NewgroundsIO_SessionStorage}
+	 */
+	static create(storage)
+	{
+		if (!storage) storage = NewgroundsIO_WebSessionStorage.isAvailable() ? NewgroundsIO_SessionStorage.LOCAL : NewgroundsIO_SessionStorage.MEMORY;
+
+		if (typeof(storage) === 'string') {
+			if (typeof(NewgroundsIO_SessionStorage.__registry[storage]) !== 'function') throw("NewgroundsIO Error: No session storage is registered as '" + storage + "'");
+			return NewgroundsIO_SessionStorage.__registry[storage]();
+		}
+
+		if (typeof(storage.getSessionId) === 'function') return storage;
+		if (typeof(storage.getItem) === 'function') return new NewgroundsIO_WebSessionStorage(storage);
+
+		throw("NewgroundsIO Error: storage must be a registered name, a NewgroundsIO_SessionStorage, or an object with getItem, setItem and removeItem methods");
+	}
+}
+
+/**
+ * The name of the localStorage backend
+ * @type {string}
+ */
+NewgroundsIO_SessionStorage.LOCAL = "local";
+
+/**
+ * The name of the in-memory backend
+ * @type {string}
+ */
+NewgroundsIO_SessionStorage.MEMORY = "memory";
+
+// Every registered backend factory, by name. It has no prototype, so names like 'constructor' aren't found on it.
+NewgroundsIO_SessionStorage.__registry = Object.create(null);
+
+NewgroundsIO.SessionStorage = NewgroundsIO_SessionStorage;
+
+/* ---- core/NewgroundsIO_WebSessionStorage.js ---- */
+/**
+ * Saves session ids in localStorage, or any other object with the same getItem, setItem and removeItem methods.
+ */
+class NewgroundsIO_WebSessionStorage extends NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 * @param {object} storage The storage to use. Defaults to localStorage.
+	 */
+	constructor(storage) {
+		super();
+
+		/**
+		 * The storage session ids are saved in
+		 * @type {object}
+		 */
+		this.storage = storage ? storage : localStorage;
+	}
+
+	/**
+	 * Gets the remembered session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string} The session id, or null if there isn't one
+	 */
+	getSessionId(app_id)
+	{
+		return this.storage.getItem(NewgroundsIO_WebSessionStorage.getKey(app_id));
+	}
+
+	/**
+	 * Remembers the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @param {string} session_id The session id to remember
+	 */
+	setSessionId(app_id, session_id)
+	{
+		this.storage.setItem(NewgroundsIO_WebSessionStorage.getKey(app_id), session_id);
+	}
+
+	/**
+	 * Forgets the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 */
+	removeSessionId(app_id)
+	{
+		this.storage.removeItem(NewgroundsIO_WebSessionStorage.getKey(app_id));
+	}
+
+	/**
+	 * Gets the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @return {string} The JSON encoded outbox, or null if there isn't one
+	 */
+	getOutbox(app_id)
+	{
+		return this.storage.getItem(NewgroundsIO_WebSessionStorage.getOutboxKey(app_id));
+	}
+
+	/**
+	 * Saves the outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @param {string} outbox The JSON encoded outbox
+	 */
+	setOutbox(app_id, outbox)
+	{
+		this.storage.setItem(NewgroundsIO_WebSessionStorage.getOutboxKey(app_id), outbox);
+	}
+
+	/**
+	 * Deletes the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 */
+	removeOutbox(app_id)
+	{
+		this.storage.removeItem(NewgroundsIO_WebSessionStorage.getOutboxKey(app_id));
+	}
+
+	/**
+	 * Gets the key an app's outbox is saved under
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @return {string}
+	 */
+	static getOutboxKey(app_id)
+	{
+		return "Newgrounds-io-app_outbox-" + (app_id.split(":").join("-"));
+	}
+
+	/**
+	 * Gets the key an app's session id is saved under
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string}
+	 */
+	static getKey(app_id)
+	{
+		return "Newgrounds-io-app_session-" + (app_id.split(":").join("-"));
+	}
+
+	/**
+	 * Checks if localStorage can be used
+	 * @return {Boolean}
+	 */
+	static isAvailable()
+	{
+		// some browsers throw errors when storage is disabled, instead of leaving it undefined
+		try {
+			return typeof(localStorage) !== 'undefined' && localStorage ? true : false;
+		} catch(e) {
+			return false;
+		}
+	}
+}
+
+NewgroundsIO_SessionStorage.register(NewgroundsIO_SessionStorage.LOCAL, () => new NewgroundsIO_WebSessionStorage());
+
+NewgroundsIO.WebSessionStorage = NewgroundsIO_WebSessionStorage;
+
+/* ---- core/NewgroundsIO_MemorySessionStorage.js ---- */
+/**
+ * Keeps session ids in memory, so they are forgotten when the app closes.
+ * This is the default when localStorage isn't available (ie in Node), and is handy for tests.
+ */
+class NewgroundsIO_MemorySessionStorage extends NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		super();
+		this.__sessions = {};
+	}
+
+	/**
+	 * Gets the remembered session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string} The session id, or null if there isn't one
+	 */
+	getSessionId(app_id)
+	{
+		return Object.prototype.hasOwnProperty.call(this.__sessions, app_id) ? this.__sessions[app_id] : null;
+	}
+
+	/**
+	 * Remembers the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @param {string} session_id The session id to remember
+	 */
+	setSessionId(app_id, session_id)
+	{
+		this.__sessions[app_id] = session_id;
+	}
+
+	/**
+	 * Forgets the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 */
+	removeSessionId(app_id)
+	{
+		delete this.__sessions[app_id];
+	}
+}
+
+NewgroundsIO_SessionStorage.register(NewgroundsIO_SessionStorage.MEMORY, () => new NewgroundsIO_MemorySessionStorage());
+
+NewgroundsIO.MemorySessionStorage = NewgroundsIO_MemorySessionStorage;
+
+/* ---- components/App/checkSession.js ---- */
+/**
+ * Used to call the App.checkSession component.
+ */
+class NewgroundsIO_components_App_checkSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "App.checkSession";
+		
+		
+		
+		
+		
+		this.__requireSession = true;
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.checkSession = NewgroundsIO_components_App_checkSession;
+
+/* ---- results/App/checkSession.js ---- */
+/**
+ * Returned when App.checkSession component is called
+ */
+class NewgroundsIO_results_App_checkSession extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.checkSession";
+		this._session = null;
+		this.__properties = this.__properties.concat(["session"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	
+	 * @type {NewgroundsIO_objects_Session}
+	 */
+	get session() {
+		return this._session;
+	}
+
+	set session(_session) {
+		
+			if (_session !== null && typeof(_session) === 'object' && !(_session instanceof NewgroundsIO_objects_Session)) {
+				_session = new NewgroundsIO_objects_Session(_session);
+			}
+			if (_session !== null && !(_session instanceof NewgroundsIO_objects_Session)) {
+				this.__typeMismatch('session', 'NewgroundsIO_objects_Session', _session);
+			}
+			this._session = _session;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('App.checkSession', NewgroundsIO_results_App_checkSession);
+if (typeof(NewgroundsIO.results.App) === 'undefined') NewgroundsIO.results.App = {};
+NewgroundsIO.results.App.checkSession = NewgroundsIO_results_App_checkSession;
+
+/* ---- components/App/endSession.js ---- */
+/**
+ * Used to call the App.endSession component.
+ */
+class NewgroundsIO_components_App_endSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "App.endSession";
+		
+		
+		
+		
+		
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.endSession = NewgroundsIO_components_App_endSession;
+
+/* ---- components/App/logView.js ---- */
+/**
+ * Used to call the App.logView component.
+ */
+class NewgroundsIO_components_App_logView extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.logView";
+		this._host = null;
+		this.__properties = this.__properties.concat(["host"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["host"];
+		
+		
+		
+		
+	}
+
+	
+	/**
+	 * The domain hosting your app. Examples: "www.somesite.com", "localHost"
+	 * @type {String}
+	 */
+	get host() {
+		return this._host;
+	}
+
+	set host(_host) {
+		if (_host !== null && typeof(_host) !== 'string') this.__typeMismatch('host', 'string', _host);
+		this._host = _host === null ? null : String(_host);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.logView = NewgroundsIO_components_App_logView;
+
+/* ---- components/App/startSession.js ---- */
+/**
+ * Used to call the App.startSession component.
+ */
+class NewgroundsIO_components_App_startSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.startSession";
+		this._force = null;
+		this.__properties = this.__properties.concat(["force"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		
+		
+		
+	}
+
+	
+	/**
+	 * If true, will create a new session even if the user already has an existing one.
+	 *        Note: Any previous session ids will no longer be valid if this is used.
+	 * @type {Boolean}
+	 */
+	get force() {
+		return this._force;
+	}
+
+	set force(_force) {
+				if (_force !== null && typeof(_force) !== 'boolean') this.__typeMismatch('force', 'boolean', _force);
+		this._force = _force === null ? null : (_force ? true : false);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.startSession = NewgroundsIO_components_App_startSession;
+
+/* ---- results/App/startSession.js ---- */
+/**
+ * Returned when App.startSession component is called
+ */
+class NewgroundsIO_results_App_startSession extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.startSession";
+		this._session = null;
+		this.__properties = this.__properties.concat(["session"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	
+	 * @type {NewgroundsIO_objects_Session}
+	 */
+	get session() {
+		return this._session;
+	}
+
+	set session(_session) {
+		
+			if (_session !== null && typeof(_session) === 'object' && !(_session instanceof NewgroundsIO_objects_Session)) {
+				_session = new NewgroundsIO_objects_Session(_session);
+			}
+			if (_session !== null && !(_session instanceof NewgroundsIO_objects_Session)) {
+				this.__typeMismatch('session', 'NewgroundsIO_objects_Session', _session);
+			}
+			this._session = _session;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('App.startSession', NewgroundsIO_results_App_startSession);
+if (typeof(NewgroundsIO.results.App) === 'undefined') NewgroundsIO.results.App = {};
+NewgroundsIO.results.App.startSession = NewgroundsIO_results_App_startSession;
+
+/* ---- components/CloudSave/loadSlots.js ---- */
+/**
+ * Used to call the CloudSave.loadSlots component.
+ */
+class NewgroundsIO_components_CloudSave_loadSlots extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.loadSlots";
+		this._app_id = null;
+		this.__properties = this.__properties.concat(["app_id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		this.__requireSession = true;
+		this.__isIdempotent = true;
+		
+	}
+
+	
+	/**
+	 * The App ID of another, approved app to load slot data from.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.CloudSave) === 'undefined') NewgroundsIO.components.CloudSave = {};
+NewgroundsIO.components.CloudSave.loadSlots = NewgroundsIO_components_CloudSave_loadSlots;
+
+/* ---- results/CloudSave/loadSlots.js ---- */
+/**
+ * Returned when CloudSave.loadSlots component is called
+ */
+class NewgroundsIO_results_CloudSave_loadSlots extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.loadSlots";
+		this._slots = null;
+		this.__properties = this.__properties.concat(["slots"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * An array of NewgroundsIO_objects_SaveSlot objects.
+	 * @type {Array.<NewgroundsIO_objects_SaveSlot>}
+	 */
+	get slots() {
+		return this._slots;
+	}
+
+	set slots(_slots) {
+		if (Array.isArray(_slots)) {
+			let newArr = [];
+			_slots.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_SaveSlot)) {
+				val = new NewgroundsIO_objects_SaveSlot(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_SaveSlot)) {
+				this.__typeMismatch('slots[' + index + ']', 'NewgroundsIO_objects_SaveSlot', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._slots = newArr;
+			return;
+		}
+		if (_slots !== null) this.__typeMismatch('slots', 'Array', _slots);
+		this._slots = _slots;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('CloudSave.loadSlots', NewgroundsIO_results_CloudSave_loadSlots);
+if (typeof(NewgroundsIO.results.CloudSave) === 'undefined') NewgroundsIO.results.CloudSave = {};
+NewgroundsIO.results.CloudSave.loadSlots = NewgroundsIO_results_CloudSave_loadSlots;
+
+/* ---- components/CloudSave/setData.js ---- */
+/**
+ * Used to call the CloudSave.setData component.
+ */
+class NewgroundsIO_components_CloudSave_setData extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.setData";
+		this._id = null;
+		this._data = null;
+		this.__properties = this.__properties.concat(["id","data"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id","data"];
+		
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+	/**
+	 * The slot number.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The data you want to save.
+	 * @type {String}
+	 */
+	get data() {
+		return this._data;
+	}
+
+	set data(_data) {
+		if (_data !== null && typeof(_data) !== 'string') this.__typeMismatch('data', 'string', _data);
+		this._data = _data === null ? null : String(_data);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.CloudSave) === 'undefined') NewgroundsIO.components.CloudSave = {};
+NewgroundsIO.components.CloudSave.setData = NewgroundsIO_components_CloudSave_setData;
+
+/* ---- results/CloudSave/setData.js ---- */
+/**
+ * Returned when CloudSave.setData component is called
+ */
+class NewgroundsIO_results_CloudSave_setData extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.setData";
+		this._slot = null;
+		this.__properties = this.__properties.concat(["slot"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	
+	 * @type {NewgroundsIO_objects_SaveSlot}
+	 */
+	get slot() {
+		return this._slot;
+	}
+
+	set slot(_slot) {
+		
+			if (_slot !== null && typeof(_slot) === 'object' && !(_slot instanceof NewgroundsIO_objects_SaveSlot)) {
+				_slot = new NewgroundsIO_objects_SaveSlot(_slot);
+			}
+			if (_slot !== null && !(_slot instanceof NewgroundsIO_objects_SaveSlot)) {
+				this.__typeMismatch('slot', 'NewgroundsIO_objects_SaveSlot', _slot);
+			}
+			this._slot = _slot;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('CloudSave.setData', NewgroundsIO_results_CloudSave_setData);
+if (typeof(NewgroundsIO.results.CloudSave) === 'undefined') NewgroundsIO.results.CloudSave = {};
+NewgroundsIO.results.CloudSave.setData = NewgroundsIO_results_CloudSave_setData;
+
+/* ---- components/Gateway/getDatetime.js ---- */
+/**
+ * Used to call the Gateway.getDatetime component.
+ */
+class NewgroundsIO_components_Gateway_getDatetime extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "Gateway.getDatetime";
+		
+		
+		
+		
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Gateway) === 'undefined') NewgroundsIO.components.Gateway = {};
+NewgroundsIO.components.Gateway.getDatetime = NewgroundsIO_components_Gateway_getDatetime;
+
+/* ---- results/Gateway/getDatetime.js ---- */
+/**
+ * Returned when Gateway.getDatetime component is called
+ */
+class NewgroundsIO_results_Gateway_getDatetime extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Gateway.getDatetime";
+		this._datetime = null;
+		this._timestamp = null;
+		this.__properties = this.__properties.concat(["datetime","timestamp"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The server's date and time in ISO 8601 format.
+	 * @type {String}
+	 */
+	get datetime() {
+		return this._datetime;
+	}
+
+	set datetime(_datetime) {
+		if (_datetime !== null && typeof(_datetime) !== 'string') this.__typeMismatch('datetime', 'string', _datetime);
+		this._datetime = _datetime === null ? null : String(_datetime);
+
+	}
+	
+	
+	/**
+	 * The current UNIX timestamp on the server.
+	 * @type {Number}
+	 */
+	get timestamp() {
+		return this._timestamp;
+	}
+
+	set timestamp(_timestamp) {
+		if (_timestamp !== null && typeof(_timestamp) !== 'number') this.__typeMismatch('timestamp', 'int', _timestamp);
+		else if (_timestamp !== null && !Number.isInteger(_timestamp)) this.__typeMismatch('timestamp', 'int', _timestamp, 'float');
+		this._timestamp = _timestamp === null ? null : Number(_timestamp);
+		if (isNaN(this._timestamp)) this._timestamp = null;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Gateway.getDatetime', NewgroundsIO_results_Gateway_getDatetime);
+if (typeof(NewgroundsIO.results.Gateway) === 'undefined') NewgroundsIO.results.Gateway = {};
+NewgroundsIO.results.Gateway.getDatetime = NewgroundsIO_results_Gateway_getDatetime;
+
+/* ---- components/Gateway/ping.js ---- */
+/**
+ * Used to call the Gateway.ping component.
+ */
+class NewgroundsIO_components_Gateway_ping extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "Gateway.ping";
+		
+		
+		
+		
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Gateway) === 'undefined') NewgroundsIO.components.Gateway = {};
+NewgroundsIO.components.Gateway.ping = NewgroundsIO_components_Gateway_ping;
+
+/* ---- results/Gateway/ping.js ---- */
+/**
+ * Returned when Gateway.ping component is called
+ */
+class NewgroundsIO_results_Gateway_ping extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Gateway.ping";
+		this._pong = null;
+		this.__properties = this.__properties.concat(["pong"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * Will always return a value of 'pong'
+	 * @type {String}
+	 */
+	get pong() {
+		return this._pong;
+	}
+
+	set pong(_pong) {
+		if (_pong !== null && typeof(_pong) !== 'string') this.__typeMismatch('pong', 'string', _pong);
+		this._pong = _pong === null ? null : String(_pong);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Gateway.ping', NewgroundsIO_results_Gateway_ping);
+if (typeof(NewgroundsIO.results.Gateway) === 'undefined') NewgroundsIO.results.Gateway = {};
+NewgroundsIO.results.Gateway.ping = NewgroundsIO_results_Gateway_ping;
+
+/* ---- components/Medal/getList.js ---- */
+/**
+ * Used to call the Medal.getList component.
+ */
+class NewgroundsIO_components_Medal_getList extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.getList";
+		this._app_id = null;
+		this.__properties = this.__properties.concat(["app_id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+	/**
+	 * The App ID of another, approved app to load medals from.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Medal) === 'undefined') NewgroundsIO.components.Medal = {};
+NewgroundsIO.components.Medal.getList = NewgroundsIO_components_Medal_getList;
+
+/* ---- results/Medal/getList.js ---- */
+/**
+ * Returned when Medal.getList component is called
+ */
+class NewgroundsIO_results_Medal_getList extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.getList";
+		this._medals = null;
+		this.__properties = this.__properties.concat(["medals"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * An array of medal objects.
+	 * @type {Array.<NewgroundsIO_objects_Medal>}
+	 */
+	get medals() {
+		return this._medals;
+	}
+
+	set medals(_medals) {
+		if (Array.isArray(_medals)) {
+			let newArr = [];
+			_medals.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Medal)) {
+				val = new NewgroundsIO_objects_Medal(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Medal)) {
+				this.__typeMismatch('medals[' + index + ']', 'NewgroundsIO_objects_Medal', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._medals = newArr;
+			return;
+		}
+		if (_medals !== null) this.__typeMismatch('medals', 'Array', _medals);
+		this._medals = _medals;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Medal.getList', NewgroundsIO_results_Medal_getList);
+if (typeof(NewgroundsIO.results.Medal) === 'undefined') NewgroundsIO.results.Medal = {};
+NewgroundsIO.results.Medal.getList = NewgroundsIO_results_Medal_getList;
+
+/* ---- components/Medal/unlock.js ---- */
+/**
+ * Used to call the Medal.unlock component.
+ */
+class NewgroundsIO_components_Medal_unlock extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.unlock";
+		this._id = null;
+		this.__properties = this.__properties.concat(["id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id"];
+		this.__isSecure = true;
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the medal to unlock.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Medal) === 'undefined') NewgroundsIO.components.Medal = {};
+NewgroundsIO.components.Medal.unlock = NewgroundsIO_components_Medal_unlock;
+
+/* ---- results/Medal/unlock.js ---- */
+/**
+ * Returned when Medal.unlock component is called
+ */
+class NewgroundsIO_results_Medal_unlock extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.unlock";
+		this._medal = null;
+		this._medal_score = null;
+		this.__properties = this.__properties.concat(["medal","medal_score"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The NewgroundsIO_objects_Medal that was unlocked.
+	 * @type {NewgroundsIO_objects_Medal}
+	 */
+	get medal() {
+		return this._medal;
+	}
+
+	set medal(_medal) {
+		
+			if (_medal !== null && typeof(_medal) === 'object' && !(_medal instanceof NewgroundsIO_objects_Medal)) {
+				_medal = new NewgroundsIO_objects_Medal(_medal);
+			}
+			if (_medal !== null && !(_medal instanceof NewgroundsIO_objects_Medal)) {
+				this.__typeMismatch('medal', 'NewgroundsIO_objects_Medal', _medal);
+			}
+			this._medal = _medal;
+		
+	}
+	
+	
+	/**
+	 * The user's new medal score.
+	 * @type {Number}
+	 */
+	get medal_score() {
+		return this._medal_score;
+	}
+
+	set medal_score(_medal_score) {
+		if (_medal_score !== null && typeof(_medal_score) !== 'number') this.__typeMismatch('medal_score', 'int', _medal_score);
+		else if (_medal_score !== null && !Number.isInteger(_medal_score)) this.__typeMismatch('medal_score', 'int', _medal_score, 'float');
+		this._medal_score = _medal_score === null ? null : Number(_medal_score);
+		if (isNaN(this._medal_score)) this._medal_score = null;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Medal.unlock', NewgroundsIO_results_Medal_unlock);
+if (typeof(NewgroundsIO.results.Medal) === 'undefined') NewgroundsIO.results.Medal = {};
+NewgroundsIO.results.Medal.unlock = NewgroundsIO_results_Medal_unlock;
+
+/* ---- components/ScoreBoard/getBoards.js ---- */
+/**
+ * Used to call the ScoreBoard.getBoards component.
+ */
+class NewgroundsIO_components_ScoreBoard_getBoards extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "ScoreBoard.getBoards";
+		
+		
+		
+		
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.ScoreBoard) === 'undefined') NewgroundsIO.components.ScoreBoard = {};
+NewgroundsIO.components.ScoreBoard.getBoards = NewgroundsIO_components_ScoreBoard_getBoards;
+
+/* ---- results/ScoreBoard/getBoards.js ---- */
+/**
+ * Returned when ScoreBoard.getBoards component is called
+ */
+class NewgroundsIO_results_ScoreBoard_getBoards extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.getBoards";
+		this._scoreboards = null;
+		this.__properties = this.__properties.concat(["scoreboards"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * An array of NewgroundsIO_objects_ScoreBoard objects.
+	 * @type {Array.<NewgroundsIO_objects_ScoreBoard>}
+	 */
+	get scoreboards() {
+		return this._scoreboards;
+	}
+
+	set scoreboards(_scoreboards) {
+		if (Array.isArray(_scoreboards)) {
+			let newArr = [];
+			_scoreboards.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_ScoreBoard)) {
+				val = new NewgroundsIO_objects_ScoreBoard(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_ScoreBoard)) {
+				this.__typeMismatch('scoreboards[' + index + ']', 'NewgroundsIO_objects_ScoreBoard', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._scoreboards = newArr;
+			return;
+		}
+		if (_scoreboards !== null) this.__typeMismatch('scoreboards', 'Array', _scoreboards);
+		this._scoreboards = _scoreboards;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('ScoreBoard.getBoards', NewgroundsIO_results_ScoreBoard_getBoards);
+if (typeof(NewgroundsIO.results.ScoreBoard) === 'undefined') NewgroundsIO.results.ScoreBoard = {};
+NewgroundsIO.results.ScoreBoard.getBoards = NewgroundsIO_results_ScoreBoard_getBoards;
+
+/* ---- components/ScoreBoard/getScores.js ---- */
+/**
+ * Used to call the ScoreBoard.getScores component.
+ */
+class NewgroundsIO_components_ScoreBoard_getScores extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.getScores";
+		this._id = null;
+		this._period = null;
+		this._tag = null;
+		this._social = null;
+		this._user = null;
+		this._skip = null;
+		this._limit = null;
+		this._app_id = null;
+		this.__properties = this.__properties.concat(["id","period","tag","social","user","skip","limit","app_id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id"];
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the scoreboard.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The time-frame to pull scores from (see notes for acceptable values).
+	 * @type {String}
+	 */
+	get period() {
+		return this._period;
+	}
+
+	set period(_period) {
+		if (_period !== null && typeof(_period) !== 'string') this.__typeMismatch('period', 'string', _period);
+		this._period = _period === null ? null : String(_period);
+
+	}
+	
+	
+	/**
+	 * A tag to filter results by.
+	 * @type {String}
+	 */
+	get tag() {
+		return this._tag;
+	}
+
+	set tag(_tag) {
+		if (_tag !== null && typeof(_tag) !== 'string') this.__typeMismatch('tag', 'string', _tag);
+		this._tag = _tag === null ? null : String(_tag);
+
+	}
+	
+	
+	/**
+	 * If set to true, only social scores will be loaded (scores by the user and their friends).
+	 * @type {Boolean}
+	 */
+	get social() {
+		return this._social;
+	}
+
+	set social(_social) {
+				if (_social !== null && typeof(_social) !== 'boolean') this.__typeMismatch('social', 'boolean', _social);
+		this._social = _social === null ? null : (_social ? true : false);
+
+	}
+	
+	
+	/**
+	 * A user's ID or name.  If 'social' is true, this user and their friends will be included.
+	 * @type {String}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		if (_user !== null && typeof(_user) !== 'string') this.__typeMismatch('user', 'string', _user);
+		this._user = _user === null ? null : String(_user);
+
+	}
+	
+	
+	/**
+	 * An integer indicating the number of scores to skip before starting the list.
+	 * @type {Number}
+	 */
+	get skip() {
+		return this._skip;
+	}
+
+	set skip(_skip) {
+		if (_skip !== null && typeof(_skip) !== 'number') this.__typeMismatch('skip', 'int', _skip);
+		else if (_skip !== null && !Number.isInteger(_skip)) this.__typeMismatch('skip', 'int', _skip, 'float');
+		this._skip = _skip === null ? null : Number(_skip);
+		if (isNaN(this._skip)) this._skip = null;
+
+	}
+	
+	
+	/**
+	 * An integer indicating the number of scores to include in the list.
+	 * @type {Number}
+	 */
+	get limit() {
+		return this._limit;
+	}
+
+	set limit(_limit) {
+		if (_limit !== null && typeof(_limit) !== 'number') this.__typeMismatch('limit', 'int', _limit);
+		else if (_limit !== null && !Number.isInteger(_limit)) this.__typeMismatch('limit', 'int', _limit, 'float');
+		this._limit = _limit === null ? null : Number(_limit);
+		if (isNaN(this._limit)) this._limit = null;
+
+	}
+	
+	
+	/**
+	 * The App ID of another, approved app to load scores from.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.ScoreBoard) === 'undefined') NewgroundsIO.components.ScoreBoard = {};
+NewgroundsIO.components.ScoreBoard.getScores = NewgroundsIO_components_ScoreBoard_getScores;
+
+/* ---- results/ScoreBoard/getScores.js ---- */
+/**
+ * Returned when ScoreBoard.getScores component is called
+ */
+class NewgroundsIO_results_ScoreBoard_getScores extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.getScores";
+		this._scoreboard = null;
+		this._scores = null;
+		this._user = null;
+		this._period = null;
+		this._social = null;
+		this._limit = null;
+		this.__properties = this.__properties.concat(["scoreboard","scores","user","period","social","limit"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The NewgroundsIO_objects_ScoreBoard being queried.
+	 * @type {NewgroundsIO_objects_ScoreBoard}
+	 */
+	get scoreboard() {
+		return this._scoreboard;
+	}
+
+	set scoreboard(_scoreboard) {
+		
+			if (_scoreboard !== null && typeof(_scoreboard) === 'object' && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				_scoreboard = new NewgroundsIO_objects_ScoreBoard(_scoreboard);
+			}
+			if (_scoreboard !== null && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				this.__typeMismatch('scoreboard', 'NewgroundsIO_objects_ScoreBoard', _scoreboard);
+			}
+			this._scoreboard = _scoreboard;
+		
+	}
+	
+	
+	/**
+	 * An array of NewgroundsIO_objects_Score objects.
+	 * @type {Array.<NewgroundsIO_objects_Score>}
+	 */
+	get scores() {
+		return this._scores;
+	}
+
+	set scores(_scores) {
+		if (Array.isArray(_scores)) {
+			let newArr = [];
+			_scores.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Score)) {
+				val = new NewgroundsIO_objects_Score(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Score)) {
+				this.__typeMismatch('scores[' + index + ']', 'NewgroundsIO_objects_Score', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._scores = newArr;
+			return;
+		}
+		if (_scores !== null) this.__typeMismatch('scores', 'Array', _scores);
+		this._scores = _scores;
+
+	}
+	
+	
+	/**
+	 * The NewgroundsIO_objects_User the score list is associated with.
+	 * @type {NewgroundsIO_objects_User}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		
+			if (_user !== null && typeof(_user) === 'object' && !(_user instanceof NewgroundsIO_objects_User)) {
+				_user = new NewgroundsIO_objects_User(_user);
+			}
+			if (_user !== null && !(_user instanceof NewgroundsIO_objects_User)) {
+				this.__typeMismatch('user', 'NewgroundsIO_objects_User', _user);
+			}
+			this._user = _user;
+		
+	}
+	
+	
+	/**
+	 * The time-frame the scores belong to.
+	 * @type {String}
+	 */
+	get period() {
+		return this._period;
+	}
+
+	set period(_period) {
+		if (_period !== null && typeof(_period) !== 'string') this.__typeMismatch('period', 'string', _period);
+		this._period = _period === null ? null : String(_period);
+
+	}
+	
+	
+	/**
+	 * Will return true if scores were loaded in social context.
+	 * @type {Boolean}
+	 */
+	get social() {
+		return this._social;
+	}
+
+	set social(_social) {
+				if (_social !== null && typeof(_social) !== 'boolean') this.__typeMismatch('social', 'boolean', _social);
+		this._social = _social === null ? null : (_social ? true : false);
+
+	}
+	
+	
+	/**
+	 * The query limit that was used.
+	 * @type {Number}
+	 */
+	get limit() {
+		return this._limit;
+	}
+
+	set limit(_limit) {
+		if (_limit !== null && typeof(_limit) !== 'number') this.__typeMismatch('limit', 'int', _limit);
+		else if (_limit !== null && !Number.isInteger(_limit)) this.__typeMismatch('limit', 'int', _limit, 'float');
+		this._limit = _limit === null ? null : Number(_limit);
+		if (isNaN(this._limit)) this._limit = null;
+
+	}
+	
+
+	
+	/**
+	 * Finds a user's score in the list that was loaded
+	 * @param {(NewgroundsIO_objects_User|Number|string)} user The user, or their ID or name (not case sensitive)
+	 * @return {NewgroundsIO_objects_Score} The score, or null if the user isn't in this list
+	 */
+	getUserScore(user)
+	{
+		if (user instanceof NewgroundsIO_objects_User) user = user.id;
+		if (typeof(user) === 'string') user = user.toLowerCase();
+
+		return (this.scores || []).find(score => {
+			if (!score || !score.user) return false;
+			return typeof(user) === 'string' ? String(score.user.name).toLowerCase() === user : score.user.id === user;
+		}) || null;
+	}
+		
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('ScoreBoard.getScores', NewgroundsIO_results_ScoreBoard_getScores);
+if (typeof(NewgroundsIO.results.ScoreBoard) === 'undefined') NewgroundsIO.results.ScoreBoard = {};
+NewgroundsIO.results.ScoreBoard.getScores = NewgroundsIO_results_ScoreBoard_getScores;
+
+/* ---- components/ScoreBoard/postScore.js ---- */
+/**
+ * Used to call the ScoreBoard.postScore component.
+ */
+class NewgroundsIO_components_ScoreBoard_postScore extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.postScore";
+		this._id = null;
+		this._value = null;
+		this._tag = null;
+		this.__properties = this.__properties.concat(["id","value","tag"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id","value"];
+		this.__isSecure = true;
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the scoreboard.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The int value of the score.
+	 * @type {Number}
+	 */
+	get value() {
+		return this._value;
+	}
+
+	set value(_value) {
+		if (_value !== null && typeof(_value) !== 'number') this.__typeMismatch('value', 'int', _value);
+		else if (_value !== null && !Number.isInteger(_value)) this.__typeMismatch('value', 'int', _value, 'float');
+		this._value = _value === null ? null : Number(_value);
+		if (isNaN(this._value)) this._value = null;
+
+	}
+	
+	
+	/**
+	 * An optional tag that can be used to filter scores via ScoreBoard.getScores
+	 * @type {String}
+	 */
+	get tag() {
+		return this._tag;
+	}
+
+	set tag(_tag) {
+		if (_tag !== null && typeof(_tag) !== 'string') this.__typeMismatch('tag', 'string', _tag);
+		this._tag = _tag === null ? null : String(_tag);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.ScoreBoard) === 'undefined') NewgroundsIO.components.ScoreBoard = {};
+NewgroundsIO.components.ScoreBoard.postScore = NewgroundsIO_components_ScoreBoard_postScore;
+
+/* ---- results/ScoreBoard/postScore.js ---- */
+/**
+ * Returned when ScoreBoard.postScore component is called
+ */
+class NewgroundsIO_results_ScoreBoard_postScore extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.postScore";
+		this._scoreboard = null;
+		this._score = null;
+		this.__properties = this.__properties.concat(["scoreboard","score"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The NewgroundsIO_objects_ScoreBoard that was posted to.
+	 * @type {NewgroundsIO_objects_ScoreBoard}
+	 */
+	get scoreboard() {
+		return this._scoreboard;
+	}
+
+	set scoreboard(_scoreboard) {
+		
+			if (_scoreboard !== null && typeof(_scoreboard) === 'object' && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				_scoreboard = new NewgroundsIO_objects_ScoreBoard(_scoreboard);
+			}
+			if (_scoreboard !== null && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				this.__typeMismatch('scoreboard', 'NewgroundsIO_objects_ScoreBoard', _scoreboard);
+			}
+			this._scoreboard = _scoreboard;
+		
+	}
+	
+	
+	/**
+	 * The NewgroundsIO_objects_Score that was posted to the board.
+	 * @type {NewgroundsIO_objects_Score}
+	 */
+	get score() {
+		return this._score;
+	}
+
+	set score(_score) {
+		
+			if (_score !== null && typeof(_score) === 'object' && !(_score instanceof NewgroundsIO_objects_Score)) {
+				_score = new NewgroundsIO_objects_Score(_score);
+			}
+			if (_score !== null && !(_score instanceof NewgroundsIO_objects_Score)) {
+				this.__typeMismatch('score', 'NewgroundsIO_objects_Score', _score);
+			}
+			this._score = _score;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('ScoreBoard.postScore', NewgroundsIO_results_ScoreBoard_postScore);
+if (typeof(NewgroundsIO.results.ScoreBoard) === 'undefined') NewgroundsIO.results.ScoreBoard = {};
+NewgroundsIO.results.ScoreBoard.postScore = NewgroundsIO_results_ScoreBoard_postScore;
+
+/* ---- objects/Debug.js ---- */
+/**
+ * Contains extra debugging information.
+ */
+class NewgroundsIO_objects_Debug extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Debug';
+		this._exec_time = null;
+		this._request = null;
+		this.__properties = this.__properties.concat(["exec_time","request"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The time, in milliseconds, that it took to execute a request.
+	 * @type {String}
+	 */
+	get exec_time() {
+		return this._exec_time;
+	}
+
+	set exec_time(_exec_time) {
+		if (_exec_time !== null && typeof(_exec_time) !== 'string') this.__typeMismatch('exec_time', 'string', _exec_time);
+		this._exec_time = _exec_time === null ? null : String(_exec_time);
+
+	}
+	
+	
+	/**
+	 * A copy of the request object that was posted to the server.
+	 * @type {NewgroundsIO_objects_Request}
+	 */
+	get request() {
+		return this._request;
+	}
+
+	set request(_request) {
+		
+			if (_request !== null && typeof(_request) === 'object' && !(_request instanceof NewgroundsIO_objects_Request)) {
+				_request = new NewgroundsIO_objects_Request(_request);
+			}
+			if (_request !== null && !(_request instanceof NewgroundsIO_objects_Request)) {
+				this.__typeMismatch('request', 'NewgroundsIO_objects_Request', _request);
+			}
+			this._request = _request;
+		
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Debug = NewgroundsIO_objects_Debug;
+
+/* ---- objects/Error.js ---- */
+/**
+
+ */
+class NewgroundsIO_objects_Error extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Error';
+		this._message = null;
+		this._code = null;
+		this.__properties = this.__properties.concat(["message","code"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * Contains details about the error.
+	 * @type {String}
+	 */
+	get message() {
+		return this._message;
+	}
+
+	set message(_message) {
+		if (_message !== null && typeof(_message) !== 'string') this.__typeMismatch('message', 'string', _message);
+		this._message = _message === null ? null : String(_message);
+
+	}
+	
+	
+	/**
+	 * A code indication the error type.
+	 * @type {Number}
+	 */
+	get code() {
+		return this._code;
+	}
+
+	set code(_code) {
+		if (_code !== null && typeof(_code) !== 'number') this.__typeMismatch('code', 'int', _code);
+		else if (_code !== null && !Number.isInteger(_code)) this.__typeMismatch('code', 'int', _code, 'float');
+		this._code = _code === null ? null : Number(_code);
+		if (isNaN(this._code)) this._code = null;
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Error = NewgroundsIO_objects_Error;
+
+/* ---- objects/Execute.js ---- */
+/**
+ * Contains all the information needed to execute an API component.
+ */
+class NewgroundsIO_objects_Execute extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Execute';
+		this._component = null;
+		this._parameters = null;
+		this._secure = null;
+		this._echo = null;
+		this.__properties = this.__properties.concat(["component","parameters","secure","echo"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["component"];
+		
+			this.__componentObject = null;
+		
+	}
+
+	
+	/**
+	 * The name of the component you want to call, ie 'App.checkSession'.
+	 * @type {String}
+	 */
+	get component() {
+		return this._component;
+	}
+
+	set component(_component) {
+		if (_component !== null && typeof(_component) !== 'string') this.__typeMismatch('component', 'string', _component);
+		this._component = _component === null ? null : String(_component);
+
+	}
+	
+	
+	/**
+	 * An object of parameters you want to pass to the component.
+	 * @type {(Object|Array.<Object>)}
+	 */
+	get parameters() {
+		return this._parameters;
+	}
+
+	set parameters(_parameters) {
+		if (Array.isArray(_parameters)) {
+			let newArr = [];
+			_parameters.forEach((val, index) => {
+								if (typeof(val) !== 'object') this.__typeMismatch('parameters[' + index + ']', 'object', val);
+				newArr[index] = val;
+			});
+			this._parameters = newArr;
+			return;
+		}
+				if (typeof(_parameters) !== 'object') this.__typeMismatch('parameters', 'object', _parameters);
+		this._parameters = _parameters;
+
+	}
+	
+	
+	/**
+	 * A an encrypted NewgroundsIO_objects_Execute object or array of NewgroundsIO_objects_Execute objects.
+	 * @type {String}
+	 */
+	get secure() {
+		return this._secure;
+	}
+
+	set secure(_secure) {
+		if (_secure !== null && typeof(_secure) !== 'string') this.__typeMismatch('secure', 'string', _secure);
+		this._secure = _secure === null ? null : String(_secure);
+
+	}
+	
+	
+	/**
+	 * An optional value that will be returned, verbatim, in the NewgroundsIO_objects_Result object.
+	 * @type {String}
+	 */
+	get echo() {
+		return this._echo;
+	}
+
+	set echo(_echo) {
+		if (_echo !== null && typeof(_echo) !== 'string') this.__typeMismatch('echo', 'string', _echo);
+		this._echo = _echo === null ? null : String(_echo);
+
+	}
+	
+
+	
+		/**
+		 * Set a component object to execute
+		 * @param {NewgroundsIO_components} component Any NGIO component object
+		 */
+		setComponent(component)
+		{
+			if (!(component instanceof NewgroundsIO_components))
+				console.error('NewgroundsIO Error: Expecting NewgroundsIO component, got '+typeof(component));
+
+			this.__componentObject = component;
+
+			// set the string name of the component;
+			this.component = component.toString();
+			this.parameters = component.toJSON();
+		}
+
+		/**
+		 * Validate this object (overrides default validator)
+		 * @return {Boolean}
+		 */
+		isValid()
+		{
+			// must have a component set
+			if (!this.component) {
+				console.error('NewgroundsIO Error: Missing required component!');
+			}
+
+			// must be linked to a core NewgroundsIO instance
+			if (!this.__ngioCore) {
+				console.error('NewgroundsIO Error: Must call setCore() before validating!');
+				return false;
+			}
+
+			// SHOULD have an actual component object. Validate that as well, if it exists
+			if (this.__componentObject) {
+				if (this.__componentObject.__isSecure && !this.__ngioCore.aes_key) {
+					console.error('NewgroundsIO Error: '+this.component+' is a secure component and requires an aes_key!');
+					return false;
+				}
+
+				if (this.__componentObject.__requireSession && !this.__ngioCore.session.isActive()) {
+					console.warn('NewgroundsIO Warning: '+this.component+' can only be used with a valid user session.');
+					this.__ngioCore.session.logProblems();
+					return false;
+				}
+
+				return (this.__componentObject instanceof NewgroundsIO_components) && this.__componentObject.isValid();
+			}
+
+			return true;
+		}
+
+		/**
+		 * Override the default toJSON handler and use encryption on components that require it
+		 * @return {object} A native JS object that can be converted to a JSON string
+		 */
+		toJSON()
+		{
+			if (this.__componentObject && this.__componentObject.__isSecure) return this.toSecureJSON();
+			return super.toJSON();
+		}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Execute = NewgroundsIO_objects_Execute;
+
+/* ---- objects/Medal.js ---- */
+/**
+ * Contains information about a medal.
+ */
+class NewgroundsIO_objects_Medal extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Medal';
+		this._id = null;
+		this._name = null;
+		this._description = null;
+		this._icon = null;
+		this._value = null;
+		this._difficulty = null;
+		this._secret = null;
+		this._unlocked = null;
+		this.__properties = this.__properties.concat(["id","name","description","icon","value","difficulty","secret","unlocked"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the medal.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The name of the medal.
+	 * @type {String}
+	 */
+	get name() {
+		return this._name;
+	}
+
+	set name(_name) {
+		if (_name !== null && typeof(_name) !== 'string') this.__typeMismatch('name', 'string', _name);
+		this._name = _name === null ? null : String(_name);
+
+	}
+	
+	
+	/**
+	 * A short description of the medal.
+	 * @type {String}
+	 */
+	get description() {
+		return this._description;
+	}
+
+	set description(_description) {
+		if (_description !== null && typeof(_description) !== 'string') this.__typeMismatch('description', 'string', _description);
+		this._description = _description === null ? null : String(_description);
+
+	}
+	
+	
+	/**
+	 * The URL for the medal's icon.
+	 * @type {String}
+	 */
+	get icon() {
+		return this._icon;
+	}
+
+	set icon(_icon) {
+		if (_icon !== null && typeof(_icon) !== 'string') this.__typeMismatch('icon', 'string', _icon);
+		this._icon = _icon === null ? null : String(_icon);
+
+	}
+	
+	
+	/**
+	 * The medal's point value.
+	 * @type {Number}
+	 */
+	get value() {
+		return this._value;
+	}
+
+	set value(_value) {
+		if (_value !== null && typeof(_value) !== 'number') this.__typeMismatch('value', 'int', _value);
+		else if (_value !== null && !Number.isInteger(_value)) this.__typeMismatch('value', 'int', _value, 'float');
+		this._value = _value === null ? null : Number(_value);
+		if (isNaN(this._value)) this._value = null;
+
+	}
+	
+	
+	/**
+	 * The difficulty id of the medal.
+	 * @type {Number}
+	 */
+	get difficulty() {
+		return this._difficulty;
+	}
+
+	set difficulty(_difficulty) {
+		if (_difficulty !== null && typeof(_difficulty) !== 'number') this.__typeMismatch('difficulty', 'int', _difficulty);
+		else if (_difficulty !== null && !Number.isInteger(_difficulty)) this.__typeMismatch('difficulty', 'int', _difficulty, 'float');
+		this._difficulty = _difficulty === null ? null : Number(_difficulty);
+		if (isNaN(this._difficulty)) this._difficulty = null;
+
+	}
+	
+	
+	/**
+	
+	 * @type {Boolean}
+	 */
+	get secret() {
+		return this._secret;
+	}
+
+	set secret(_secret) {
+				if (_secret !== null && typeof(_secret) !== 'boolean') this.__typeMismatch('secret', 'boolean', _secret);
+		this._secret = _secret === null ? null : (_secret ? true : false);
+
+	}
+	
+	
+	/**
+	 * This will only be set if a valid user session exists.
+	 * @type {Boolean}
+	 */
+	get unlocked() {
+		return this._unlocked;
+	}
+
+	set unlocked(_unlocked) {
+				if (_unlocked !== null && typeof(_unlocked) !== 'boolean') this.__typeMismatch('unlocked', 'boolean', _unlocked);
+		this._unlocked = _unlocked === null ? null : (_unlocked ? true : false);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Medal = NewgroundsIO_objects_Medal;
+
+/* ---- objects/Request.js ---- */
+/**
+ * A top-level wrapper containing any information needed to authenticate the application/user and any component calls being made.
+ */
+class NewgroundsIO_objects_Request extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Request';
+		this._app_id = null;
+		this._execute = null;
+		this._session_id = null;
+		this._debug = null;
+		this._echo = null;
+		this.__properties = this.__properties.concat(["app_id","execute","session_id","debug","echo"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["app_id","execute"];
+		
+		
+	}
+
+	
+	/**
+	 * Your application's unique ID.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+	
+	/**
+	 * An NewgroundsIO_objects_Execute object, or a list of NewgroundsIO_objects_Execute objects.
+	 * @type {(NewgroundsIO_objects_Execute|Array.<NewgroundsIO_objects_Execute>)}
+	 */
+	get execute() {
+		return this._execute;
+	}
+
+	set execute(_execute) {
+		if (Array.isArray(_execute)) {
+			let newArr = [];
+			_execute.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Execute)) {
+				val = new NewgroundsIO_objects_Execute(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Execute)) {
+				this.__typeMismatch('execute[' + index + ']', 'NewgroundsIO_objects_Execute', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._execute = newArr;
+			return;
+		}
+		
+			if (_execute !== null && typeof(_execute) === 'object' && !(_execute instanceof NewgroundsIO_objects_Execute)) {
+				_execute = new NewgroundsIO_objects_Execute(_execute);
+			}
+			if (_execute !== null && !(_execute instanceof NewgroundsIO_objects_Execute)) {
+				this.__typeMismatch('execute', 'NewgroundsIO_objects_Execute', _execute);
+			}
+			this._execute = _execute;
+		
+	}
+	
+	
+	/**
+	 * An optional login session id.
+	 * @type {String}
+	 */
+	get session_id() {
+		return this._session_id;
+	}
+
+	set session_id(_session_id) {
+		if (_session_id !== null && typeof(_session_id) !== 'string') this.__typeMismatch('session_id', 'string', _session_id);
+		this._session_id = _session_id === null ? null : String(_session_id);
+
+	}
+	
+	
+	/**
+	 * If set to true, calls will be executed in debug mode.
+	 * @type {Boolean}
+	 */
+	get debug() {
+		return this._debug;
+	}
+
+	set debug(_debug) {
+				if (_debug !== null && typeof(_debug) !== 'boolean') this.__typeMismatch('debug', 'boolean', _debug);
+		this._debug = _debug === null ? null : (_debug ? true : false);
+
+	}
+	
+	
+	/**
+	 * An optional value that will be returned, verbatim, in the NewgroundsIO_objects_Response object.
+	 * @type {String}
+	 */
+	get echo() {
+		return this._echo;
+	}
+
+	set echo(_echo) {
+		if (_echo !== null && typeof(_echo) !== 'string') this.__typeMismatch('echo', 'string', _echo);
+		this._echo = _echo === null ? null : String(_echo);
+
+	}
+	
+
+	
+		/**
+		 * Attach a NewgrundsIO core object
+		 * @param {NewgroundsIO} core
+		 */
+		setCore(core)
+		{
+			super.setCore(core);
+			this._app_id = core.app_id;
+			if (core.session && core.session.id) this.session_id = core.session.id;
+			if (core.debug) this.debug = true;
+		}
+
+		/**
+		 * Attach a component to this request and send it
+		 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+		 * @param {Function} callback An optional function to call when the server responds
+		 * @param {Object} thisArg An optional value to use as 'this' when executing callback 
+		 * @return {Boolean} will return false if the request failed to send 
+		 */
+		send(component, callback, thisArg)
+		{
+			if (!this.__ngioCore) {
+				console.error('NewgroundsIO Error: Can not send request without calling setCore() first!');
+				return;
+			}
+
+			return this.__ngioCore.__doSendRequest(this, component, callback, thisArg);
+		}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Request = NewgroundsIO_objects_Request;
+
+/* ---- objects/Response.js ---- */
+/**
+ * Contains all return output from an API request.
+ */
+class NewgroundsIO_objects_Response extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Response';
+		this._app_id = null;
+		this._success = null;
+		this._debug = null;
+		this._result = null;
+		this._error = null;
+		this._api_version = null;
+		this._help_url = null;
+		this._echo = null;
+		this.__properties = this.__properties.concat(["app_id","success","debug","result","error","api_version","help_url","echo"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * Your application's unique ID
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+	
+	/**
+	 * If false, there was a problem with your 'request' object. Details will be in the error property.
+	 * @type {Boolean}
+	 */
+	get success() {
+		return this._success;
+	}
+
+	set success(_success) {
+				if (_success !== null && typeof(_success) !== 'boolean') this.__typeMismatch('success', 'boolean', _success);
+		this._success = _success === null ? null : (_success ? true : false);
+
+	}
+	
+	
+	/**
+	 * Contains extra information you may need when debugging (debug mode only).
+	 * @type {NewgroundsIO_objects_Debug}
+	 */
+	get debug() {
+		return this._debug;
+	}
+
+	set debug(_debug) {
+		
+			if (_debug !== null && typeof(_debug) === 'object' && !(_debug instanceof NewgroundsIO_objects_Debug)) {
+				_debug = new NewgroundsIO_objects_Debug(_debug);
+			}
+			if (_debug !== null && !(_debug instanceof NewgroundsIO_objects_Debug)) {
+				this.__typeMismatch('debug', 'NewgroundsIO_objects_Debug', _debug);
+			}
+			this._debug = _debug;
+		
+	}
+	
+	
+	/**
+	 * This will be a NewgroundsIO_objects_Result object, or a list of NewgroundsIO_objects_Result objects.
+	 * @type {(NewgroundsIO_objects_Result|Array.<NewgroundsIO_objects_Result>)}
+	 */
+	get result() {
+		return this._result;
+	}
+
+	set result(_result) {
+		if (Array.isArray(_result)) {
+			let newArr = [];
+			_result.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Result)) {
+				val = new NewgroundsIO_objects_Result(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Result)) {
+				this.__typeMismatch('result[' + index + ']', 'NewgroundsIO_objects_Result', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._result = newArr;
+			return;
+		}
+		
+			if (_result !== null && typeof(_result) === 'object' && !(_result instanceof NewgroundsIO_objects_Result)) {
+				_result = new NewgroundsIO_objects_Result(_result);
+			}
+			if (_result !== null && !(_result instanceof NewgroundsIO_objects_Result)) {
+				this.__typeMismatch('result', 'NewgroundsIO_objects_Result', _result);
+			}
+			this._result = _result;
+		
+	}
+	
+	
+	/**
+	 * This will contain any error info if the success property is false.
+	 * @type {NewgroundsIO_objects_Error}
+	 */
+	get error() {
+		return this._error;
+	}
+
+	set error(_error) {
+		
+			if (_error !== null && typeof(_error) === 'object' && !(_error instanceof NewgroundsIO_objects_Error)) {
+				_error = new NewgroundsIO_objects_Error(_error);
+			}
+			if (_error !== null && !(_error instanceof NewgroundsIO_objects_Error)) {
+				this.__typeMismatch('error', 'NewgroundsIO_objects_Error', _error);
+			}
+			this._error = _error;
+		
+	}
+	
+	
+	/**
+	 * If there was an error, this will contain the current version number of the API gateway.
+	 * @type {String}
+	 */
+	get api_version() {
+		return this._api_version;
+	}
+
+	set api_version(_api_version) {
+		if (_api_version !== null && typeof(_api_version) !== 'string') this.__typeMismatch('api_version', 'string', _api_version);
+		this._api_version = _api_version === null ? null : String(_api_version);
+
+	}
+	
+	
+	/**
+	 * If there was an error, this will contain the URL for our help docs.
+	 * @type {String}
+	 */
+	get help_url() {
+		return this._help_url;
+	}
+
+	set help_url(_help_url) {
+		if (_help_url !== null && typeof(_help_url) !== 'string') this.__typeMismatch('help_url', 'string', _help_url);
+		this._help_url = _help_url === null ? null : String(_help_url);
+
+	}
+	
+	
+	/**
+	 * The echo value from the NewgroundsIO_objects_Request object.
+	 * @type {String}
+	 */
+	get echo() {
+		return this._echo;
+	}
+
+	set echo(_echo) {
+		if (_echo !== null && typeof(_echo) !== 'string') this.__typeMismatch('echo', 'string', _echo);
+		this._echo = _echo === null ? null : String(_echo);
+
+	}
+	
+
+	
+		/**
+		 * There is no Result model, so this replaces the generated setter and casts each result to its registered NewgroundsIO_results class
+		 * @param {(object|Array.<object>)} _result A result, or list of results, as decoded from the server response
+		 */
+		set result(_result) {
+			if (Array.isArray(_result)) {
+				this._result = _result.map(result => this.__castResult(result));
+				return;
+			}
+			this._result = this.__castResult(_result);
+		}
+
+		/**
+		 * Turns a decoded result into an instance of the NewgroundsIO_results class registered to its component
+		 * @param {object} result A decoded result object, with component and data properties
+		 * @return {NewgroundsIO_results}
+		 */
+		__castResult(result)
+		{
+			if (result instanceof NewgroundsIO_results || result === null || typeof(result) !== 'object') return result;
+
+			let resultClass = NewgroundsIO_results.getResultClass(result.component);
+
+			// components that don't return any data only get the basic success/error properties
+			if (!resultClass) resultClass = NewgroundsIO_results;
+
+			let instance = new resultClass(result.data);
+			instance.__object = result.component;
+
+			return instance;
+		}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Response = NewgroundsIO_objects_Response;
+
+/* ---- objects/SaveSlot.js ---- */
+/**
+ * Contains information about a CloudSave slot.
+ */
+class NewgroundsIO_objects_SaveSlot extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'SaveSlot';
+		this._id = null;
+		this._size = null;
+		this._datetime = null;
+		this._timestamp = null;
+		this._url = null;
+		this.__properties = this.__properties.concat(["id","size","datetime","timestamp","url"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The slot number.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The size of the save data in bytes.
+	 * @type {Number}
+	 */
+	get size() {
+		return this._size;
+	}
+
+	set size(_size) {
+		if (_size !== null && typeof(_size) !== 'number') this.__typeMismatch('size', 'int', _size);
+		else if (_size !== null && !Number.isInteger(_size)) this.__typeMismatch('size', 'int', _size, 'float');
+		this._size = _size === null ? null : Number(_size);
+		if (isNaN(this._size)) this._size = null;
+
+	}
+	
+	
+	/**
+	 * A date and time (in ISO 8601 format) representing when this slot was last saved.
+	 * @type {String}
+	 */
+	get datetime() {
+		return this._datetime;
+	}
+
+	set datetime(_datetime) {
+		if (_datetime !== null && typeof(_datetime) !== 'string') this.__typeMismatch('datetime', 'string', _datetime);
+		this._datetime = _datetime === null ? null : String(_datetime);
+
+	}
+	
+	
+	/**
+	 * A unix timestamp representing when this slot was last saved.
+	 * @type {Number}
+	 */
+	get timestamp() {
+		return this._timestamp;
+	}
+
+	set timestamp(_timestamp) {
+		if (_timestamp !== null && typeof(_timestamp) !== 'number') this.__typeMismatch('timestamp', 'int', _timestamp);
+		else if (_timestamp !== null && !Number.isInteger(_timestamp)) this.__typeMismatch('timestamp', 'int', _timestamp, 'float');
+		this._timestamp = _timestamp === null ? null : Number(_timestamp);
+		if (isNaN(this._timestamp)) this._timestamp = null;
+
+	}
+	
+	
+	/**
+	 * The URL containing the actual save data for this slot, or null if this slot has no data.
+	 * @type {String}
+	 */
+	get url() {
+		return this._url;
+	}
+
+	set url(_url) {
+		if (_url !== null && typeof(_url) !== 'string') this.__typeMismatch('url', 'string', _url);
+		this._url = _url === null ? null : String(_url);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.SaveSlot = NewgroundsIO_objects_SaveSlot;
+
+/* ---- objects/Score.js ---- */
+/**
+ * Contains information about a score posted to a scoreboard.
+ */
+class NewgroundsIO_objects_Score extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Score';
+		this._user = null;
+		this._value = null;
+		this._formatted_value = null;
+		this._tag = null;
+		this.__properties = this.__properties.concat(["user","value","formatted_value","tag"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The user who earned score. If this property is absent, the score belongs to the active user.
+	 * @type {NewgroundsIO_objects_User}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		
+			if (_user !== null && typeof(_user) === 'object' && !(_user instanceof NewgroundsIO_objects_User)) {
+				_user = new NewgroundsIO_objects_User(_user);
+			}
+			if (_user !== null && !(_user instanceof NewgroundsIO_objects_User)) {
+				this.__typeMismatch('user', 'NewgroundsIO_objects_User', _user);
+			}
+			this._user = _user;
+		
+	}
+	
+	
+	/**
+	 * The integer value of the score.
+	 * @type {Number}
+	 */
+	get value() {
+		return this._value;
+	}
+
+	set value(_value) {
+		if (_value !== null && typeof(_value) !== 'number') this.__typeMismatch('value', 'int', _value);
+		else if (_value !== null && !Number.isInteger(_value)) this.__typeMismatch('value', 'int', _value, 'float');
+		this._value = _value === null ? null : Number(_value);
+		if (isNaN(this._value)) this._value = null;
+
+	}
+	
+	
+	/**
+	 * The score value in the format selected in your scoreboard settings.
+	 * @type {String}
+	 */
+	get formatted_value() {
+		return this._formatted_value;
+	}
+
+	set formatted_value(_formatted_value) {
+		if (_formatted_value !== null && typeof(_formatted_value) !== 'string') this.__typeMismatch('formatted_value', 'string', _formatted_value);
+		this._formatted_value = _formatted_value === null ? null : String(_formatted_value);
+
+	}
+	
+	
+	/**
+	 * The tag attached to this score (if any).
+	 * @type {String}
+	 */
+	get tag() {
+		return this._tag;
+	}
+
+	set tag(_tag) {
+		if (_tag !== null && typeof(_tag) !== 'string') this.__typeMismatch('tag', 'string', _tag);
+		this._tag = _tag === null ? null : String(_tag);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Score = NewgroundsIO_objects_Score;
+
+/* ---- objects/ScoreBoard.js ---- */
+/**
+ * Contains information about a scoreboard.
+ */
+class NewgroundsIO_objects_ScoreBoard extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'ScoreBoard';
+		this._id = null;
+		this._name = null;
+		this.__properties = this.__properties.concat(["id","name"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the scoreboard.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The name of the scoreboard.
+	 * @type {String}
+	 */
+	get name() {
+		return this._name;
+	}
+
+	set name(_name) {
+		if (_name !== null && typeof(_name) !== 'string') this.__typeMismatch('name', 'string', _name);
+		this._name = _name === null ? null : String(_name);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.ScoreBoard = NewgroundsIO_objects_ScoreBoard;
+
+/* ---- objects/Session.js ---- */
+/**
+ * Contains information about the current user session.
+ */
+class NewgroundsIO_objects_Session extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Session';
+		this._id = null;
+		this._user = null;
+		this._expired = null;
+		this._remember = null;
+		this._passport_url = null;
+		this.__properties = this.__properties.concat(["id","user","expired","remember","passport_url"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		this.__status = NewgroundsIO.SessionState.SESSION_UNINITIALIZED;
+
+		// session ids from the page URL (if hosted on Newgrounds) and from a remembered Passport login
+		this.__uri_id = null;
+		this.__saved_id = null;
+		this.__loaded_url_key = false;
+
+		// the status from the last time update() was called
+		this.__lastStatus = null;
+
+		// set this in the past so the first time-lapse check won't make the user wait
+		this.__lastUpdate = Date.now() - 30000;
+
+		// if false, update() will end immediately when called
+		this.__canUpdate = true;
+
+		// the mode we'll use to check the status of this session
+		this.__mode = "expired";
+
+		// the number of times we've failed to reach the server, and how many times we can fail before giving up
+		this.__totalAttempts = 0;
+		this.__maxAttempts = 5;
+
+		// functions to call whenever the status changes
+		this.__statusListeners = [];
+		
+	}
+
+	
+	/**
+	 * A unique session identifier
+	 * @type {String}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'string') this.__typeMismatch('id', 'string', _id);
+		this._id = _id === null ? null : String(_id);
+
+	}
+	
+	
+	/**
+	 * If the user has not signed in, or granted access to your app, this will be null
+	 * @type {NewgroundsIO_objects_User}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		
+			if (_user !== null && typeof(_user) === 'object' && !(_user instanceof NewgroundsIO_objects_User)) {
+				_user = new NewgroundsIO_objects_User(_user);
+			}
+			if (_user !== null && !(_user instanceof NewgroundsIO_objects_User)) {
+				this.__typeMismatch('user', 'NewgroundsIO_objects_User', _user);
+			}
+			this._user = _user;
+		
+	}
+	
+	
+	/**
+	 * If true, the session_id is expired. Use App.startSession to get a new one.
+	 * @type {Boolean}
+	 */
+	get expired() {
+		return this._expired;
+	}
+
+	set expired(_expired) {
+				if (_expired !== null && typeof(_expired) !== 'boolean') this.__typeMismatch('expired', 'boolean', _expired);
+		this._expired = _expired === null ? null : (_expired ? true : false);
+
+	}
+	
+	
+	/**
+	 * If true, the user would like you to remember their session id.
+	 * @type {Boolean}
+	 */
+	get remember() {
+		return this._remember;
+	}
+
+	set remember(_remember) {
+				if (_remember !== null && typeof(_remember) !== 'boolean') this.__typeMismatch('remember', 'boolean', _remember);
+		this._remember = _remember === null ? null : (_remember ? true : false);
+
+	}
+	
+	
+	/**
+	 * If the session has no associated user but is not expired, this property will provide a URL that can be used to sign the user in.
+	 * @type {String}
+	 */
+	get passport_url() {
+		return this._passport_url;
+	}
+
+	set passport_url(_passport_url) {
+		if (_passport_url !== null && typeof(_passport_url) !== 'string') this.__typeMismatch('passport_url', 'string', _passport_url);
+		this._passport_url = _passport_url === null ? null : String(_passport_url);
+
+	}
+	
+
+	
+			/**
+			 * The current state of this session. Will be one of the NewgroundsIO.SessionState constants.
+			 * @type {string}
+			 */
+			get status() {
+				return this.__status;
+			}
+
+			/**
+			 * Will be true if the status has changed since the last time update() was called
+			 * @type {Boolean}
+			 */
+			get statusChanged() {
+				return this.__lastStatus !== this.__status;
+			}
+
+			/**
+			 * Will be true if the current state is a waiting state
+			 * @type {Boolean}
+			 */
+			get waiting() {
+				return NewgroundsIO.SessionState.SESSION_WAITING.indexOf(this.__status) >= 0;
+			}
+
+			getSessionStorageKey() {
+				return NewgroundsIO_WebSessionStorage.getKey(this.__ngioCore.app_id);
+			}
+
+			/**
+			 * Checks if we have a session id that can be used with components requiring a session
+			 * @return {Boolean}
+			 */
+			isActive() {
+				return this._id !== null && this._expired !== true;
+			}
+
+			/**
+			 * Logs details about why this session can't be used yet
+			 */
+			logProblems() {
+				if (this._id === null) {
+					console.warn('NewgroundsIO warning: There is no session id. Call update() until the session status is "' + NewgroundsIO.SessionState.LOGIN_SUCCESSFUL + '".');
+				} else if (this._expired === true) {
+					console.warn('NewgroundsIO warning: The session has expired. Call update() to start a new one.');
+				} else if (this._user === null) {
+					console.warn('NewgroundsIO warning: The user has not logged in yet. Current session status is "' + this.__status + '".');
+				}
+			}
+
+			wasServerValidated() {
+				return (this._user !== null || this._expired !== null);
+			}
+
+			/**
+			 * Adds a function to call whenever update() sees a change in status
+			 * @param {Function} listener Will be passed this session object
+			 * @param {Object} thisArg An optional value to use as 'this' when executing listener
+			 */
+			addStatusListener(listener, thisArg) {
+				this.__statusListeners.push([listener, thisArg]);
+			}
+
+			/**
+			 * Removes a function that was added with addStatusListener()
+			 * @param {Function} listener The function to remove
+			 */
+			removeStatusListener(listener) {
+				this.__statusListeners = this.__statusListeners.filter(([_listener]) => _listener !== listener);
+			}
+
+			// resets everything except the session id
+			__resetSession() {
+				this.__uri_id = null;
+				this.__saved_id = null;
+				this._remember = false;
+				this._user = null;
+				this._expired = false;
+
+				if (this.__ngioCore) this.__ngioCore.storage.removeSessionId(this.__ngioCore.app_id);
+			}
+
+			// gets the ngio_session_id parameter from the page URL, if there is one (there is no page outside of browsers)
+			__getUrlSessionId() {
+				if (typeof(window) === 'undefined' || !window.location || typeof(window.location.search) !== 'string') return null;
+
+				let match = window.location.search.match(/[?&]ngio_session_id=([^&]+)/);
+				return match ? decodeURIComponent(match[1]) : null;
+			}
+
+			/**
+			 * Opens the Newgrounds Passport login page with the core's open_url function (a new browser tab, by default)
+			 */
+			openLoginPage() {
+				if (this._passport_url) this.__ngioCore.open_url(this._passport_url);
+				this.__status = NewgroundsIO.SessionState.WAITING_FOR_USER;
+				this.__mode = "check";
+			}
+
+			/**
+			 * Logs the user out of their current session, locally and on the server, then calls a function when complete
+			 * @param {Function} callback An optional function to call when complete. Will be passed this session object.
+			 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+			 */
+			logOut(callback, thisArg) {
+				this.__mode = "wait";
+				this.endSession(callback, thisArg);
+			}
+
+			/**
+			 * Cancels a pending login attempt
+			 * @param {string} newStatus An optional status code to use if LOGIN_CANCELLED is insufficient
+			 */
+			cancelLogin(newStatus) {
+				if (!newStatus) newStatus = NewgroundsIO.SessionState.LOGIN_CANCELLED;
+
+				// clear the current session data, and set the appropriate cancel status
+				this.__resetSession();
+				this._id = null;
+				this.__status = newStatus;
+
+				// this was a manual cancel, so we can reset the retry counter
+				this.__totalAttempts = 0;
+
+				// let the user pull a new session right away
+				this.__mode = "new";
+				this.__lastUpdate = Date.now() - 30000;
+			}
+
+			/**
+			 * Call this to update the session process and call a function if there are any changes
+			 * @param {Function} callback An optional function to call if the status changed. Will be passed this session object.
+			 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+			 */
+			update(callback, thisArg) {
+
+				// if we have a new status, we can fire the callback, any status listeners, and the core's sessionStatusChanged event
+				if (this.__lastStatus !== this.__status) {
+					let previousStatus = this.__lastStatus;
+					this.__lastStatus = this.__status;
+					if (typeof(callback) === 'function') callback.call(thisArg, this);
+
+					// a listener that throws an error shouldn't stop the others, or leave the state machine half updated
+					this.__statusListeners.slice().forEach(([listener, _thisArg]) => {
+						try {
+							listener.call(_thisArg, this);
+						} catch(e) {
+							console.error("NewgroundsIO Error: A session status listener threw an error", e);
+						}
+					});
+
+					if (this.__ngioCore) {
+						this.__ngioCore.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.SESSION_STATUS_CHANGED, {
+							session: this,
+							status: this.__status,
+							previous_status: previousStatus
+						}));
+					}
+				}
+
+				// we can skip this whole routine if we're in the middle of checking things
+				if (!this.__canUpdate || this.__mode === "wait") return;
+
+				// Server is not responding as expected, it may be down...  We'll set the session back to unintialized and try again
+				if (this.__status === NewgroundsIO.SessionState.SERVER_UNAVAILABLE) {
+
+					// we've had too many failed attempts, time to stop retrying
+					if (this.__totalAttempts >= this.__maxAttempts) {
+						this.__status = NewgroundsIO.SessionState.EXCEEDED_MAX_ATTEMPTS;
+
+					// next time our delay time has passed, we'll reset this, and try our sessions again
+					} else {
+						this.__status = NewgroundsIO.SessionState.SESSION_UNINITIALIZED;
+						this.__totalAttempts++;
+					}
+				}
+
+				// first time getting here (probably).  We need to see if we have any existing session data to try...
+				if (this.__status === NewgroundsIO.SessionState.SESSION_UNINITIALIZED) {
+
+					// the URL only gets checked once, so an expired id doesn't get used again
+					if (!this.__loaded_url_key) {
+						this.__uri_id = this.__getUrlSessionId();
+						this.__loaded_url_key = true;
+					}
+
+					this.__saved_id = this.__ngioCore.storage.getSessionId(this.__ngioCore.app_id);
+
+					// check if we have a session id from our URL params (hosted on Newgrounds)
+					if (this.__uri_id) {
+						this._id = this.__uri_id;
+
+					// check if we have a saved session (hosted elsewhere or standalone app)
+					} else if (this.__saved_id) {
+						this._id = this.__saved_id;
+					}
+
+					// If we have an existing session, we'll use "check" mode to varify it, otherwise we'll nequest a "new" one.
+					this.__mode = this._id ? "check" : "new";
+				}
+
+				// make sure at least 5 seconds pass between each API call so we don't get blocked by DDOS protection.
+				if (Date.now() - this.__lastUpdate < 5000) return;
+				this.__lastUpdate = Date.now();
+
+				switch (this.__mode) {
+
+					// we don't have an existing session, so we're requesting a new one
+					case "new":
+						this.__mode = "wait";
+						this.startSession();
+						break;
+
+					// we have a session, we just need to check and see if there's a valid login attached to it
+					case "check":
+						this.__mode = "wait";
+						this.checkSession();
+						break;
+				}
+			}
+
+			// =================================== API CALLS/HANDLERS =================================== //
+
+			/**
+			 * Resets our current session object, then makes the API call to get a new session
+			 */
+			startSession() {
+				// don't check for any new updates while we're starting the new session
+				this.__canUpdate = false;
+
+				// clear out any pre-existing session data
+				this.__resetSession();
+
+				this.__status = NewgroundsIO.SessionState.WAITING_FOR_SERVER;
+
+				this.__ngioCore.executeComponent(new NewgroundsIO.components.App.startSession(), this.__onStartSession, this);
+			}
+
+			// Handles the acquisition of a new session id from the server.
+			__onStartSession(response) {
+
+				// The start session request was successful!
+				if (response.success === true && response.result && response.result.success) {
+
+					// save the new session data to this session object
+					let newSession = response.result.session;
+					this._id = newSession.id;
+					this._passport_url = newSession.passport_url;
+
+					// The update loop needs to wait until the user clicks a login button
+					this.__status = NewgroundsIO.SessionState.LOGIN_REQUIRED;
+					this.__mode = "wait";
+
+				// Something went wrong!  (Good chance the servers are down)
+				} else {
+					this.__status = NewgroundsIO.SessionState.SERVER_UNAVAILABLE;
+				}
+
+				// Let our update loop know it can actually do stuff again
+				this.__canUpdate = true;
+			}
+
+			/**
+			 * Calls the API to see what the status of our current session is
+			 */
+			checkSession() {
+				// don't check for any new updates while we're checking session
+				this.__canUpdate = false;
+
+				this.__ngioCore.executeComponent(new NewgroundsIO.components.App.checkSession(), this.__onCheckSession, this);
+			}
+
+			// Handles the response to checkSession. This may lead to a change in status if the user has signed in,
+			// cancelled, or the session has expired.
+			__onCheckSession(response) {
+
+				// The API request was successful
+				if (response.success === true && response.result) {
+
+					let result = response.result;
+
+					// Our session either failed, or the user cancelled the login on the server.
+					if (!result.success) {
+						this._id = null;
+						this.cancelLogin(result.error && result.error.code === 111 ? NewgroundsIO.SessionState.LOGIN_CANCELLED : NewgroundsIO.SessionState.LOGIN_FAILED);
+
+					// The session is expired, reset it so it's like we never had one
+					} else if (result.session.expired) {
+						this.__resetSession();
+						this._id = null;
+						this.__status = NewgroundsIO.SessionState.SESSION_UNINITIALIZED;
+						this.__mode = "new";
+
+					// we have a valid user login attached!
+					} else if (result.session.user !== null) {
+						this._user = result.session.user;
+						this.__status = NewgroundsIO.SessionState.LOGIN_SUCCESSFUL;
+						this.__mode = "valid";
+
+						// if the user selected to remember the login, save it now!
+						if (result.session.remember) {
+							this.__saved_id = this._id;
+							this._remember = true;
+							this.__ngioCore.storage.setSessionId(this.__ngioCore.app_id, this._id);
+						}
+
+					// Nothing has changed, we'll have to check again in the next loop.
+					} else {
+						this.__mode = "check";
+					}
+
+				// Something went wrong!  Servers may be down, or you got blocked for sending too many requests
+				} else {
+					this.__status = NewgroundsIO.SessionState.SERVER_UNAVAILABLE;
+				}
+
+				// Let our update loop know it can actually do stuff again
+				this.__canUpdate = true;
+			}
+
+			/**
+			 * Ends the current session on the server
+			 * @param {Function} callback An optional function to call when complete. Will be passed this session object.
+			 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+			 */
+			endSession(callback, thisArg) {
+				// don't check for any new updates while we're ending session
+				this.__canUpdate = false;
+
+				let onEndSession = response => {
+					this.__onEndSession(response);
+					if (typeof(callback) === 'function') callback.call(thisArg, this);
+				};
+
+				// there may not be a session to end on the server, but we still need to reset locally
+				if (!this.__ngioCore.executeComponent(new NewgroundsIO.components.App.endSession(), onEndSession)) onEndSession(null);
+			}
+
+			// Handler for endSession. Resets the session locally
+			__onEndSession(response) {
+				// We'll just clear out the whole session, even if something failed.
+				this.__resetSession();
+				this._id = null;
+				this.__mode = "new";
+				this.__status = NewgroundsIO.SessionState.USER_LOGGED_OUT;
+
+				// Let our update loop know it can actually do stuff again
+				this.__canUpdate = true;
+			}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Session = NewgroundsIO_objects_Session;
+
+/* ---- objects/User.js ---- */
+/**
+ * Contains information about a user.
+ */
+class NewgroundsIO_objects_User extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'User';
+		this._id = null;
+		this._name = null;
+		this._icons = null;
+		this._supporter = null;
+		this.__properties = this.__properties.concat(["id","name","icons","supporter"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The user's numeric ID.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The user's textual name.
+	 * @type {String}
+	 */
+	get name() {
+		return this._name;
+	}
+
+	set name(_name) {
+		if (_name !== null && typeof(_name) !== 'string') this.__typeMismatch('name', 'string', _name);
+		this._name = _name === null ? null : String(_name);
+
+	}
+	
+	
+	/**
+	 * The user's icon images.
+	 * @type {NewgroundsIO_objects_UserIcons}
+	 */
+	get icons() {
+		return this._icons;
+	}
+
+	set icons(_icons) {
+		
+			if (_icons !== null && typeof(_icons) === 'object' && !(_icons instanceof NewgroundsIO_objects_UserIcons)) {
+				_icons = new NewgroundsIO_objects_UserIcons(_icons);
+			}
+			if (_icons !== null && !(_icons instanceof NewgroundsIO_objects_UserIcons)) {
+				this.__typeMismatch('icons', 'NewgroundsIO_objects_UserIcons', _icons);
+			}
+			this._icons = _icons;
+		
+	}
+	
+	
+	/**
+	 * Returns true if the user has a Newgrounds Supporter upgrade.
+	 * @type {Boolean}
+	 */
+	get supporter() {
+		return this._supporter;
+	}
+
+	set supporter(_supporter) {
+				if (_supporter !== null && typeof(_supporter) !== 'boolean') this.__typeMismatch('supporter', 'boolean', _supporter);
+		this._supporter = _supporter === null ? null : (_supporter ? true : false);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.User = NewgroundsIO_objects_User;
+
+/* ---- objects/UserIcons.js ---- */
+/**
+ * Contains any icons associated with this user.
+ */
+class NewgroundsIO_objects_UserIcons extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'UserIcons';
+		this._small = null;
+		this._medium = null;
+		this._large = null;
+		this.__properties = this.__properties.concat(["small","medium","large"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The URL of the user's small icon
+	 * @type {String}
+	 */
+	get small() {
+		return this._small;
+	}
+
+	set small(_small) {
+		if (_small !== null && typeof(_small) !== 'string') this.__typeMismatch('small', 'string', _small);
+		this._small = _small === null ? null : String(_small);
+
+	}
+	
+	
+	/**
+	 * The URL of the user's medium icon
+	 * @type {String}
+	 */
+	get medium() {
+		return this._medium;
+	}
+
+	set medium(_medium) {
+		if (_medium !== null && typeof(_medium) !== 'string') this.__typeMismatch('medium', 'string', _medium);
+		this._medium = _medium === null ? null : String(_medium);
+
+	}
+	
+	
+	/**
+	 * The URL of the user's large icon
+	 * @type {String}
+	 */
+	get large() {
+		return this._large;
+	}
+
+	set large(_large) {
+		if (_large !== null && typeof(_large) !== 'string') this.__typeMismatch('large', 'string', _large);
+		this._large = _large === null ? null : String(_large);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.UserIcons = NewgroundsIO_objects_UserIcons;
+
+/* ---- objects/ObjectIndex.js ---- */
+/**
+ * Creates object, component and result instances from their string names (case insensitive) and decoded or encoded JSON.
+ * Also lists every known component, with the metadata from the object document, for tooling.
+ */
+class NewgroundsIO_ObjectIndex {
+
+	/**
+	 * Creates an object model instance
+	 * @param {string} name The object's name (ie 'Medal')
+	 * @param {(object|string)} json The values to apply to the object, or a JSON string containing them
+	 * @return {NewgroundsIO_objects} The new instance, or null if there is no object with this name
+	 */
+	static createObject(name, json)
+	{
+		let objectClass = NewgroundsIO_ObjectIndex.__getClass(NewgroundsIO_ObjectIndex.objects, NewgroundsIO.objects, name);
+		return objectClass ? objectClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Creates a component instance
+	 * @param {string} name The component's name (ie 'Medal.unlock')
+	 * @param {(object|string)} json The values to apply to the component, or a JSON string containing them
+	 * @return {NewgroundsIO_components} The new instance, or null if there is no component with this name
+	 */
+	static createComponent(name, json)
+	{
+		let componentClass = NewgroundsIO_ObjectIndex.__getClass(Object.keys(NewgroundsIO_ObjectIndex.components), NewgroundsIO.components, name);
+		return componentClass ? componentClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Creates a result instance
+	 * @param {string} name The name of the component the result is for (ie 'Medal.unlock')
+	 * @param {(object|string)} json The values to apply to the result, or a JSON string containing them
+	 * @return {NewgroundsIO_results} The new instance, or null if there is no result with this name
+	 */
+	static createResult(name, json)
+	{
+		let resultClass = NewgroundsIO_ObjectIndex.__getClass(NewgroundsIO_ObjectIndex.results, NewgroundsIO.results, name);
+		return resultClass ? resultClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Gets the metadata for a component
+	 * @param {string} name The component's name (ie 'Medal.unlock')
+	 * @return {object} {description, secure, require_session, params, return}, or null if there is no component with this name
+	 */
+	static getComponentInfo(name)
+	{
+		let match = NewgroundsIO_ObjectIndex.__findName(Object.keys(NewgroundsIO_ObjectIndex.components), name);
+		return match ? NewgroundsIO_ObjectIndex.components[match] : null;
+	}
+
+	/**
+	 * Gets the names of every component
+	 * @param {object} filter Optional flags the components must match (ie {secure: true})
+	 * @return {Array.<string>}
+	 */
+	static getComponentNames(filter)
+	{
+		return Object.keys(NewgroundsIO_ObjectIndex.components).filter(name => {
+			if (typeof(filter) !== 'object' || filter === null) return true;
+
+			let info = NewgroundsIO_ObjectIndex.components[name];
+			return Object.keys(filter).every(flag => info[flag] === filter[flag]);
+		});
+	}
+
+	// finds the properly cased version of a name in a list
+	static __findName(names, name)
+	{
+		if (typeof(name) !== 'string') return null;
+
+		let lower = name.toLowerCase();
+		let match = names.find(_name => _name.toLowerCase() === lower);
+		return match ? match : null;
+	}
+
+	// finds a class in one of the NewgroundsIO namespaces
+	static __getClass(names, namespace, name)
+	{
+		let match = NewgroundsIO_ObjectIndex.__findName(names, name);
+		if (!match) return null;
+
+		let found = match.split(".").reduce((parent, part) => parent ? parent[part] : null, namespace);
+		return typeof(found) === 'function' ? found : null;
+	}
+}
+
+/**
+ * The name of every object model
+ * @type {Array.<string>}
+ */
+NewgroundsIO_ObjectIndex.objects = ["Debug","Error","Execute","Medal","Request","Response","SaveSlot","Score","ScoreBoard","Session","User","UserIcons"];
+
+/**
+ * The name of every component with a result class
+ * @type {Array.<string>}
+ */
+NewgroundsIO_ObjectIndex.results = ["App.checkSession","App.startSession","CloudSave.loadSlots","CloudSave.setData","Gateway.getDatetime","Gateway.ping","Medal.getList","Medal.unlock","ScoreBoard.getBoards","ScoreBoard.getScores","ScoreBoard.postScore"];
+
+/**
+ * Every component, by name, with its description, secure and require_session flags, params and return values
+ * @type {object}
+ */
+NewgroundsIO_ObjectIndex.components = {
+	"App.checkSession": {
+		"description": "Checks the validity of a session id and returns the results in a #Session object.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"session": {
+				"object": "Session"
+			}
+		}
+	},
+	"App.endSession": {
+		"description": "Ends the current session, if any.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": false,
+		"params": {},
+		"return": {}
+	},
+	"App.logView": {
+		"description": "Increments \"Total Views\" statistic.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": false,
+		"params": {
+			"host": {
+				"type": "string",
+				"required": true,
+				"description": "The domain hosting your app. Examples: \"www.somesite.com\", \"localHost\""
+			}
+		},
+		"return": {}
+	},
+	"App.startSession": {
+		"description": "Starts a new session for the application.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": false,
+		"params": {
+			"force": {
+				"type": "boolean",
+				"description": "If true, will create a new session even if the user already has an existing one.\n\nNote: Any previous session ids will no longer be valid if this is used."
+			}
+		},
+		"return": {
+			"session": {
+				"object": "Session"
+			}
+		}
+	},
+	"CloudSave.loadSlots": {
+		"description": "Returns a list of #SaveSlot objects.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": true,
+		"params": {
+			"app_id": {
+				"type": "string",
+				"description": "The App ID of another, approved app to load slot data from."
+			}
+		},
+		"return": {
+			"slots": {
+				"array": {
+					"object": "SaveSlot"
+				},
+				"description": "An array of #SaveSlot objects."
+			}
+		}
+	},
+	"CloudSave.setData": {
+		"description": "Deletes all data from a save slot.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": false,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The slot number."
+			},
+			"data": {
+				"type": "string",
+				"required": true,
+				"description": "The data you want to save."
+			}
+		},
+		"return": {
+			"slot": {
+				"object": "SaveSlot"
+			}
+		}
+	},
+	"Gateway.getDatetime": {
+		"description": "Loads the current date and time from the Newgrounds.io server.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"datetime": {
+				"type": "string",
+				"description": "The server's date and time in ISO 8601 format."
+			},
+			"timestamp": {
+				"type": "int",
+				"description": "The current UNIX timestamp on the server."
+			}
+		}
+	},
+	"Gateway.ping": {
+		"description": "Pings the Newgrounds.io server.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"pong": {
+				"type": "string",
+				"description": "Will always return a value of 'pong'"
+			}
+		}
+	},
+	"Medal.getList": {
+		"description": "Loads a list of #Medal objects.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {
+			"app_id": {
+				"type": "string",
+				"description": "The App ID of another, approved app to load medals from."
+			}
+		},
+		"return": {
+			"medals": {
+				"array": {
+					"object": "Medal"
+				},
+				"description": "An array of medal objects."
+			}
+		}
+	},
+	"Medal.unlock": {
+		"description": "Unlocks a medal.",
+		"secure": true,
+		"require_session": true,
+		"idempotent": false,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The numeric ID of the medal to unlock."
+			}
+		},
+		"return": {
+			"medal": {
+				"object": "Medal",
+				"description": "The #Medal that was unlocked."
+			},
+			"medal_score": {
+				"type": "int",
+				"description": "The user's new medal score."
+			}
+		}
+	},
+	"ScoreBoard.getBoards": {
+		"description": "Returns a list of available scoreboards.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"scoreboards": {
+				"array": {
+					"object": "ScoreBoard"
+				},
+				"description": "An array of #ScoreBoard objects."
+			}
+		}
+	},
+	"ScoreBoard.getScores": {
+		"description": "Loads a list of #Score objects from a scoreboard.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The numeric ID of the scoreboard."
+			},
+			"period": {
+				"type": "string",
+				"description": "The time-frame to pull scores from (see notes for acceptable values)."
+			},
+			"tag": {
+				"type": "string",
+				"description": "A tag to filter results by."
+			},
+			"social": {
+				"type": "boolean",
+				"description": "If set to true, only social scores will be loaded (scores by the user and their friends)."
+			},
+			"user": {
+				"type": "string",
+				"description": "A user's ID or name.  If 'social' is true, this user and their friends will be included."
+			},
+			"skip": {
+				"type": "int",
+				"description": "An integer indicating the number of scores to skip before starting the list."
+			},
+			"limit": {
+				"type": "int",
+				"description": "An integer indicating the number of scores to include in the list."
+			},
+			"app_id": {
+				"type": "string",
+				"description": "The App ID of another, approved app to load scores from."
+			}
+		},
+		"return": {
+			"scoreboard": {
+				"object": "ScoreBoard",
+				"description": "The #ScoreBoard being queried."
+			},
+			"scores": {
+				"array": {
+					"object": "Score"
+				},
+				"description": "An array of #Score objects."
+			},
+			"user": {
+				"object": "User",
+				"description": "The #User the score list is associated with."
+			},
+			"period": {
+				"type": "string",
+				"description": "The time-frame the scores belong to."
+			},
+			"social": {
+				"type": "boolean",
+				"description": "Will return true if scores were loaded in social context."
+			},
+			"limit": {
+				"type": "int",
+				"description": "The query limit that was used."
+			}
+		}
+	},
+	"ScoreBoard.postScore": {
+		"description": "Posts a score to the specified scoreboard.",
+		"secure": true,
+		"require_session": true,
+		"idempotent": false,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The numeric ID of the scoreboard."
+			},
+			"value": {
+				"type": "int",
+				"required": true,
+				"description": "The int value of the score."
+			},
+			"tag": {
+				"type": "string",
+				"description": "An optional tag that can be used to filter scores via ScoreBoard.getScores"
+			}
+		},
+		"return": {
+			"scoreboard": {
+				"object": "ScoreBoard",
+				"description": "The #ScoreBoard that was posted to."
+			},
+			"score": {
+				"object": "Score",
+				"description": "The #Score that was posted to the board."
+			}
+		}
+	}
+};
+
+NewgroundsIO.ObjectIndex = NewgroundsIO_ObjectIndex;
+
+return NewgroundsIO;
+}));
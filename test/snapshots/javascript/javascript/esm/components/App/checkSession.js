@@ -0,0 +1,33 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the App.checkSession component.
+ */
+class NewgroundsIO_components_App_checkSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "App.checkSession";
+		
+		
+		
+		
+		
+		this.__requireSession = true;
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.checkSession = NewgroundsIO_components_App_checkSession;
+
+export { NewgroundsIO_components_App_checkSession };
@@ -0,0 +1,51 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the App.logView component.
+ */
+class NewgroundsIO_components_App_logView extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.logView";
+		this._host = null;
+		this.__properties = this.__properties.concat(["host"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["host"];
+		
+		
+		
+		
+	}
+
+	
+	/**
+	 * The domain hosting your app. Examples: "www.somesite.com", "localHost"
+	 * @type {String}
+	 */
+	get host() {
+		return this._host;
+	}
+
+	set host(_host) {
+		if (_host !== null && typeof(_host) !== 'string') this.__typeMismatch('host', 'string', _host);
+		this._host = _host === null ? null : String(_host);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.logView = NewgroundsIO_components_App_logView;
+
+export { NewgroundsIO_components_App_logView };
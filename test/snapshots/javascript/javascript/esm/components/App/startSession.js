@@ -0,0 +1,52 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the App.startSession component.
+ */
+class NewgroundsIO_components_App_startSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.startSession";
+		this._force = null;
+		this.__properties = this.__properties.concat(["force"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		
+		
+		
+	}
+
+	
+	/**
+	 * If true, will create a new session even if the user already has an existing one.
+	 *        Note: Any previous session ids will no longer be valid if this is used.
+	 * @type {Boolean}
+	 */
+	get force() {
+		return this._force;
+	}
+
+	set force(_force) {
+				if (_force !== null && typeof(_force) !== 'boolean') this.__typeMismatch('force', 'boolean', _force);
+		this._force = _force === null ? null : (_force ? true : false);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.startSession = NewgroundsIO_components_App_startSession;
+
+export { NewgroundsIO_components_App_startSession };
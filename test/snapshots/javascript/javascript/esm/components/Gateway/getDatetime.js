@@ -0,0 +1,33 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the Gateway.getDatetime component.
+ */
+class NewgroundsIO_components_Gateway_getDatetime extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "Gateway.getDatetime";
+		
+		
+		
+		
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Gateway) === 'undefined') NewgroundsIO.components.Gateway = {};
+NewgroundsIO.components.Gateway.getDatetime = NewgroundsIO_components_Gateway_getDatetime;
+
+export { NewgroundsIO_components_Gateway_getDatetime };
@@ -0,0 +1,33 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the Gateway.ping component.
+ */
+class NewgroundsIO_components_Gateway_ping extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "Gateway.ping";
+		
+		
+		
+		
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Gateway) === 'undefined') NewgroundsIO.components.Gateway = {};
+NewgroundsIO.components.Gateway.ping = NewgroundsIO_components_Gateway_ping;
+
+export { NewgroundsIO_components_Gateway_ping };
@@ -0,0 +1,51 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the Medal.getList component.
+ */
+class NewgroundsIO_components_Medal_getList extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.getList";
+		this._app_id = null;
+		this.__properties = this.__properties.concat(["app_id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+	/**
+	 * The App ID of another, approved app to load medals from.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Medal) === 'undefined') NewgroundsIO.components.Medal = {};
+NewgroundsIO.components.Medal.getList = NewgroundsIO_components_Medal_getList;
+
+export { NewgroundsIO_components_Medal_getList };
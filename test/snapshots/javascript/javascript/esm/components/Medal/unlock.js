@@ -0,0 +1,53 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the Medal.unlock component.
+ */
+class NewgroundsIO_components_Medal_unlock extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.unlock";
+		this._id = null;
+		this.__properties = this.__properties.concat(["id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id"];
+		this.__isSecure = true;
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the medal to unlock.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.Medal) === 'undefined') NewgroundsIO.components.Medal = {};
+NewgroundsIO.components.Medal.unlock = NewgroundsIO_components_Medal_unlock;
+
+export { NewgroundsIO_components_Medal_unlock };
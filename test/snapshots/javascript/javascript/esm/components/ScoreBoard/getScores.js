@@ -0,0 +1,169 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the ScoreBoard.getScores component.
+ */
+class NewgroundsIO_components_ScoreBoard_getScores extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.getScores";
+		this._id = null;
+		this._period = null;
+		this._tag = null;
+		this._social = null;
+		this._user = null;
+		this._skip = null;
+		this._limit = null;
+		this._app_id = null;
+		this.__properties = this.__properties.concat(["id","period","tag","social","user","skip","limit","app_id"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id"];
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the scoreboard.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The time-frame to pull scores from (see notes for acceptable values).
+	 * @type {String}
+	 */
+	get period() {
+		return this._period;
+	}
+
+	set period(_period) {
+		if (_period !== null && typeof(_period) !== 'string') this.__typeMismatch('period', 'string', _period);
+		this._period = _period === null ? null : String(_period);
+
+	}
+	
+	
+	/**
+	 * A tag to filter results by.
+	 * @type {String}
+	 */
+	get tag() {
+		return this._tag;
+	}
+
+	set tag(_tag) {
+		if (_tag !== null && typeof(_tag) !== 'string') this.__typeMismatch('tag', 'string', _tag);
+		this._tag = _tag === null ? null : String(_tag);
+
+	}
+	
+	
+	/**
+	 * If set to true, only social scores will be loaded (scores by the user and their friends).
+	 * @type {Boolean}
+	 */
+	get social() {
+		return this._social;
+	}
+
+	set social(_social) {
+				if (_social !== null && typeof(_social) !== 'boolean') this.__typeMismatch('social', 'boolean', _social);
+		this._social = _social === null ? null : (_social ? true : false);
+
+	}
+	
+	
+	/**
+	 * A user's ID or name.  If 'social' is true, this user and their friends will be included.
+	 * @type {String}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		if (_user !== null && typeof(_user) !== 'string') this.__typeMismatch('user', 'string', _user);
+		this._user = _user === null ? null : String(_user);
+
+	}
+	
+	
+	/**
+	 * An integer indicating the number of scores to skip before starting the list.
+	 * @type {Number}
+	 */
+	get skip() {
+		return this._skip;
+	}
+
+	set skip(_skip) {
+		if (_skip !== null && typeof(_skip) !== 'number') this.__typeMismatch('skip', 'int', _skip);
+		else if (_skip !== null && !Number.isInteger(_skip)) this.__typeMismatch('skip', 'int', _skip, 'float');
+		this._skip = _skip === null ? null : Number(_skip);
+		if (isNaN(this._skip)) this._skip = null;
+
+	}
+	
+	
+	/**
+	 * An integer indicating the number of scores to include in the list.
+	 * @type {Number}
+	 */
+	get limit() {
+		return this._limit;
+	}
+
+	set limit(_limit) {
+		if (_limit !== null && typeof(_limit) !== 'number') this.__typeMismatch('limit', 'int', _limit);
+		else if (_limit !== null && !Number.isInteger(_limit)) this.__typeMismatch('limit', 'int', _limit, 'float');
+		this._limit = _limit === null ? null : Number(_limit);
+		if (isNaN(this._limit)) this._limit = null;
+
+	}
+	
+	
+	/**
+	 * The App ID of another, approved app to load scores from.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.ScoreBoard) === 'undefined') NewgroundsIO.components.ScoreBoard = {};
+NewgroundsIO.components.ScoreBoard.getScores = NewgroundsIO_components_ScoreBoard_getScores;
+
+export { NewgroundsIO_components_ScoreBoard_getScores };
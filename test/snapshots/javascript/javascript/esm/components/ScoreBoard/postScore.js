@@ -0,0 +1,87 @@
+import { NewgroundsIO, NewgroundsIO_components } from '../../index.js';
+/**
+ * Used to call the ScoreBoard.postScore component.
+ */
+class NewgroundsIO_components_ScoreBoard_postScore extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.postScore";
+		this._id = null;
+		this._value = null;
+		this._tag = null;
+		this.__properties = this.__properties.concat(["id","value","tag"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id","value"];
+		this.__isSecure = true;
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the scoreboard.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The int value of the score.
+	 * @type {Number}
+	 */
+	get value() {
+		return this._value;
+	}
+
+	set value(_value) {
+		if (_value !== null && typeof(_value) !== 'number') this.__typeMismatch('value', 'int', _value);
+		else if (_value !== null && !Number.isInteger(_value)) this.__typeMismatch('value', 'int', _value, 'float');
+		this._value = _value === null ? null : Number(_value);
+		if (isNaN(this._value)) this._value = null;
+
+	}
+	
+	
+	/**
+	 * An optional tag that can be used to filter scores via ScoreBoard.getScores
+	 * @type {String}
+	 */
+	get tag() {
+		return this._tag;
+	}
+
+	set tag(_tag) {
+		if (_tag !== null && typeof(_tag) !== 'string') this.__typeMismatch('tag', 'string', _tag);
+		this._tag = _tag === null ? null : String(_tag);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.ScoreBoard) === 'undefined') NewgroundsIO.components.ScoreBoard = {};
+NewgroundsIO.components.ScoreBoard.postScore = NewgroundsIO_components_ScoreBoard_postScore;
+
+export { NewgroundsIO_components_ScoreBoard_postScore };
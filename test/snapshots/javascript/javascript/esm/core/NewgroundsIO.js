@@ -0,0 +1,612 @@
+import { NewgroundsIO_results, NewgroundsIO_ExecuteError, NewgroundsIO_ValidationError, NewgroundsIO_Event, NewgroundsIO_RequestScheduler, NewgroundsIO_Outbox, NewgroundsIO_Encryption, NewgroundsIO_SessionStorage } from '../index.js';
+/**
+ * The core NewgroundsIO client. Sends components to the Newgrounds.io gateway and turns the responses into result objects.
+ * This also serves as the namespace for every generated class, so it needs to be loaded before any other NewgroundsIO class.
+ */
+class NewgroundsIO {
+
+	/**
+	 * Constructor
+	 * @param {string} app_id The App ID from your Newgrounds project's API Tools page
+	 * @param {string} aes_key The encryption key from your Newgrounds project's API Tools page
+	 * @param {object} options Optional settings (debug, gateway_url, transport, storage, open_url, cipher, format, iv_generator,
+	 *        scheduler, min_interval, max_attempts, retry_delay, max_retry_delay, outbox)
+	 */
+	constructor(app_id, aes_key, options) {
+		if (!app_id) throw("NewgroundsIO requires an app_id");
+
+		if (typeof(options) !== 'object' || options === null) options = {};
+
+		/**
+		 * The App ID from your Newgrounds project's API Tools page
+		 * @type {string}
+		 */
+		this.app_id = app_id;
+
+		/**
+		 * The encryption key from your Newgrounds project's API Tools page
+		 * @type {string}
+		 */
+		this.aes_key = aes_key ? aes_key : null;
+
+		/**
+		 * The cipher used to encrypt secure components (NewgroundsIO_Encryption.AES_128 or NewgroundsIO_Encryption.RC4)
+		 * @type {string}
+		 */
+		this.cipher = options.cipher ? options.cipher : NewgroundsIO_Encryption.AES_128;
+
+		/**
+		 * How the aes_key and encrypted values are encoded (NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX)
+		 * @type {string}
+		 */
+		this.format = options.format ? options.format : NewgroundsIO_Encryption.BASE64;
+
+		/**
+		 * The function used to get a 16 byte initialization vector for AES encryption
+		 * @type {Function}
+		 */
+		this.iv_generator = typeof(options.iv_generator) === 'function' ? options.iv_generator : NewgroundsIO_Encryption.randomIV;
+
+		/**
+		 * If true, calls will be executed in debug mode
+		 * @type {Boolean}
+		 */
+		this.debug = options.debug ? true : false;
+
+		/**
+		 * The URL all requests get posted to
+		 * @type {string}
+		 */
+		this.gateway_url = options.gateway_url ? options.gateway_url : NewgroundsIO.GATEWAY_URL;
+
+		/**
+		 * The function used to post requests to the gateway. See NewgroundsIO.xhrTransport for the expected signature.
+		 * @type {Function}
+		 */
+		this.transport = typeof(options.transport) === 'function' ? options.transport : NewgroundsIO.getDefaultTransport();
+
+		/**
+		 * Where remembered session ids are saved. The 'storage' option can be a registered name (ie 'local' or 'memory'), a NewgroundsIO_SessionStorage,
+		 * or any object with the getItem, setItem and removeItem methods of localStorage.
+		 * @type {NewgroundsIO_SessionStorage}
+		 */
+		this.storage = NewgroundsIO_SessionStorage.create(options.storage);
+
+		/**
+		 * Spaces out requests and retries the ones that fail to reach the server. The 'scheduler' option can be a NewgroundsIO_RequestScheduler to share
+		 * with other instances. Otherwise, one gets created with the min_interval, max_attempts, retry_delay and max_retry_delay options.
+		 * @type {NewgroundsIO_RequestScheduler}
+		 */
+		this.scheduler = options.scheduler instanceof NewgroundsIO_RequestScheduler ? options.scheduler : new NewgroundsIO_RequestScheduler(options);
+
+		/**
+		 * The function used to open the Passport login page. Will be passed the URL.
+		 * @type {Function}
+		 */
+		this.open_url = typeof(options.open_url) === 'function' ? options.open_url : NewgroundsIO.openURL;
+
+		/**
+		 * The current user session
+		 * @type {NewgroundsIO_objects_Session}
+		 */
+		this.session = new NewgroundsIO.objects.Session();
+		this.session.setCore(this);
+
+		// components waiting to be sent with executeQueue()
+		this.__componentQueue = [];
+
+		// functions added with addEventListener(), by event type
+		this.__eventListeners = {};
+
+		/**
+		 * Keeps secure components that couldn't reach the server and sends them again later, if the 'outbox' option was set to true
+		 * @type {NewgroundsIO_Outbox}
+		 */
+		this.outbox = options.outbox ? new NewgroundsIO_Outbox(this) : null;
+	}
+
+	/**
+	 * Adds a function to call whenever an event of the given type happens
+	 * @param {string} type One of the NewgroundsIO_Event type constants (ie NewgroundsIO_Event.MEDAL_UNLOCKED)
+	 * @param {Function} listener Will be passed a NewgroundsIO_Event object
+	 * @param {Object} thisArg An optional value to use as 'this' when executing listener
+	 */
+	addEventListener(type, listener, thisArg)
+	{
+		if (NewgroundsIO_Event.TYPES.indexOf(type) < 0) throw("NewgroundsIO Error: '" + type + "' is not a NewgroundsIO_Event type");
+		if (typeof(listener) !== 'function') throw("NewgroundsIO Error: Event listeners must be functions");
+
+		if (!this.__eventListeners[type]) this.__eventListeners[type] = [];
+		this.__eventListeners[type].push([listener, thisArg]);
+	}
+
+	/**
+	 * Removes a function that was added with addEventListener()
+	 * @param {string} type The event type the function was added for
+	 * @param {Function} listener The function to remove
+	 */
+	removeEventListener(type, listener)
+	{
+		if (!this.__eventListeners[type]) return;
+		this.__eventListeners[type] = this.__eventListeners[type].filter(([_listener]) => _listener !== listener);
+	}
+
+	/**
+	 * Passes an event to every function listening for its type.
+	 * A listener that throws an error won't stop the others (or the request's own callback) from being called, the error just gets logged.
+	 * @param {NewgroundsIO_Event} event The event to dispatch
+	 */
+	dispatchEvent(event)
+	{
+		event.target = this;
+
+		// copy the list, so listeners can remove themselves
+		let listeners = this.__eventListeners[event.type] ? this.__eventListeners[event.type].slice() : [];
+
+		listeners.forEach(([listener, thisArg]) => {
+			try {
+				listener.call(thisArg, event);
+			} catch(e) {
+				console.error("NewgroundsIO Error: A '" + event.type + "' listener threw an error", e);
+			}
+		});
+	}
+
+	/**
+	 * Encrypts a string using this instance's aes_key, cipher and format
+	 * @param {string} text The text to encrypt
+	 * @return {string} The encrypted, encoded text
+	 */
+	encrypt(text)
+	{
+		return NewgroundsIO_Encryption.encrypt(text, this.aes_key, this.cipher, this.format, this.iv_generator());
+	}
+
+	/**
+	 * Gets a new request object, linked to this core instance
+	 * @return {NewgroundsIO_objects_Request}
+	 */
+	getRequest()
+	{
+		let request = new NewgroundsIO.objects.Request();
+		request.setCore(this);
+		return request;
+	}
+
+	/**
+	 * Sends a component, or list of components, to the server
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+	 * @param {Function} callback An optional function to call when the server responds. Will be passed a NewgroundsIO_objects_Response object.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 * @return {Boolean} will return false if the request failed to send
+	 */
+	executeComponent(component, callback, thisArg)
+	{
+		return this.getRequest().send(component, callback, thisArg);
+	}
+
+	/**
+	 * Sends a component to the server and gets a promise for its result.
+	 * If you pass an array of components they will be sent in a single request, and the promise will resolve to an array of
+	 * {component, result, error} objects, in the same order. error will be null for any component that succeeded.
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+	 * @return {Promise} Resolves to the component's result (or list of outcomes), or rejects with a NewgroundsIO_ExecuteError
+	 */
+	execute(component)
+	{
+		return new Promise((resolve, reject) => {
+			let sent = this.executeComponent(component, response => {
+
+				if (Array.isArray(component)) {
+					if (!response.success) {
+						reject(this.__getExecuteError(component, response, null));
+						return;
+					}
+
+					resolve(component.map((_component, index) => {
+						let result = this.__getListedResult(_component, response, index);
+						return {component: _component, result: result, error: this.__getExecuteError(_component, response, result)};
+					}));
+					return;
+				}
+
+				let error = this.__getExecuteError(component, response, response.result);
+				if (error) reject(error);
+				else resolve(response.result);
+			});
+
+			if (!sent) {
+				reject(new NewgroundsIO_ExecuteError(NewgroundsIO_ExecuteError.INVALID_COMPONENT, "NewgroundsIO Error: " + String(component) + " is not valid and could not be sent.", {
+					component: component
+				}));
+			}
+		});
+	}
+
+	/**
+	 * Adds a component to the queue. Queued components get sent together, in a single request, when you call executeQueue().
+	 * @param {NewgroundsIO_components} component Any NGIO component object
+	 * @param {Function} callback An optional function to call when the queue has been executed. Will be passed the NewgroundsIO_results object for this component.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 */
+	queueComponent(component, callback, thisArg)
+	{
+		this.__componentQueue.push([component, callback, thisArg]);
+	}
+
+	/**
+	 * The number of components waiting in the queue
+	 * @type {Number}
+	 */
+	get queueLength()
+	{
+		return this.__componentQueue.length;
+	}
+
+	/**
+	 * Removes every component from the queue without sending them
+	 */
+	clearQueue()
+	{
+		this.__componentQueue = [];
+	}
+
+	/**
+	 * Sends every queued component in a single request. Each component's own callback will be passed its result
+	 * (with success set to false if the component, or the whole request, failed), then the optional callback here will get the full response.
+	 * @param {Function} callback An optional function to call when the server responds. Will be passed a NewgroundsIO_objects_Response object.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 * @return {Boolean} will return false if the queue was empty or the request failed to send. Nothing is removed from the queue when this happens.
+	 */
+	executeQueue(callback, thisArg)
+	{
+		let queue = this.__componentQueue;
+		if (queue.length < 1) return false;
+
+		// clear the queue first, so any callbacks can start a new one
+		this.__componentQueue = [];
+
+		let sent = this.executeComponent(queue.map(([component]) => component), response => {
+			queue.forEach(([component, _callback, _thisArg], index) => {
+				if (typeof(_callback) === 'function') _callback.call(_thisArg, this.__getListedResult(component, response, index));
+			});
+			if (typeof(callback) === 'function') callback.call(thisArg, response);
+		});
+
+		if (!sent) this.__componentQueue = queue.concat(this.__componentQueue);
+
+		return sent;
+	}
+
+	/**
+	 * Gets the result for one component in a list, or a failed result if the request failed or the server skipped it
+	 * @param {NewgroundsIO_components} component The component that was executed
+	 * @param {NewgroundsIO_objects_Response} response The response from the server
+	 * @param {Number} index The component's position in the list that was sent
+	 * @return {NewgroundsIO_results}
+	 */
+	__getListedResult(component, response, index)
+	{
+		let results = response.result === null ? [] : [].concat(response.result);
+
+		if (response.success && results[index] instanceof NewgroundsIO_results) return results[index];
+
+		let result = new NewgroundsIO_results({
+			success: false,
+			error: response.error ? response.error : new NewgroundsIO.objects.Error({message: "NewgroundsIO Error: The server did not return a result for " + String(component)})
+		});
+		result.__object = String(component);
+		result.setCore(this);
+		return result;
+	}
+
+	/**
+	 * Checks a response for a failed request or component
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component The component(s) that were executed
+	 * @param {NewgroundsIO_objects_Response} response The response from the server
+	 * @param {NewgroundsIO_results} result The result for the component
+	 * @return {NewgroundsIO_ExecuteError} An error describing the failure, or null if the component succeeded
+	 */
+	__getExecuteError(component, response, result)
+	{
+		if (!response.success) {
+			let type = response.__exceededMaxAttempts ? NewgroundsIO_ExecuteError.EXCEEDED_MAX_ATTEMPTS : NewgroundsIO_ExecuteError.REQUEST_FAILED;
+			return new NewgroundsIO_ExecuteError(type, response.error ? response.error.message : "NewgroundsIO Error: Request failed.", {
+				code: response.error ? response.error.code : null,
+				component: component,
+				response: response
+			});
+		}
+
+		if (!result || !result.success) {
+			return new NewgroundsIO_ExecuteError(NewgroundsIO_ExecuteError.COMPONENT_FAILED, result && result.error ? result.error.message : "NewgroundsIO Error: " + String(component) + " failed.", {
+				code: result && result.error ? result.error.code : null,
+				component: component,
+				response: response,
+				result: result
+			});
+		}
+
+		return null;
+	}
+
+	/**
+	 * Wraps components in Execute objects, attaches them to a request and posts it to the gateway.
+	 * This gets called by NewgroundsIO_objects_Request.send(), you should never call it directly.
+	 * @param {NewgroundsIO_objects_Request} request The request to send
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+	 * @param {Function} callback An optional function to call when the server responds
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 * @return {Boolean} will return false if the request failed to send
+	 */
+	__doSendRequest(request, component, callback, thisArg)
+	{
+		let executeList = [].concat(component).map(_component => {
+			let execute = new NewgroundsIO.objects.Execute();
+			execute.setCore(this);
+			execute.setComponent(_component);
+			return execute;
+		});
+
+		request.execute = Array.isArray(component) ? executeList : executeList[0];
+
+		if (executeList.length < 1 || !executeList.every(execute => execute.isValid()) || !request.isValid()) return false;
+
+		let postData = "input=" + encodeURIComponent(JSON.stringify(request));
+
+		// only retry if sending every component twice would do no harm
+		let retryable = [].concat(component).every(_component => _component.__isIdempotent);
+
+		this.scheduler.schedule(done => {
+
+			// dispatch this before posting, in case the transport calls back right away
+			this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.REQUEST_SENT, {request: request, component: component}));
+			this.transport(this.gateway_url, postData, done);
+
+		}, retryable, (error, responseText, attempts) => {
+			let response = error ? this.__getErrorResponse(error, attempts) : this.__parseResponse(responseText);
+			this.__dispatchResponseEvents(request, component, response);
+			if (typeof(callback) === 'function') callback.call(thisArg, response);
+		});
+
+		return true;
+	}
+
+	/**
+	 * Dispatches the responseReceived event, then a componentFailed, medalUnlocked or scorePosted event for each component that was sent
+	 * @param {NewgroundsIO_objects_Request} request The request that was sent
+	 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component The component(s) that were sent
+	 * @param {NewgroundsIO_objects_Response} response The response from the server
+	 */
+	__dispatchResponseEvents(request, component, response)
+	{
+		this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.RESPONSE_RECEIVED, {request: request, component: component, response: response}));
+
+		[].concat(component).forEach((_component, index) => {
+			let result = this.__getListedResult(_component, response, index);
+			let props = {request: request, component: _component, response: response, result: result};
+			let error = this.__getExecuteError(_component, response, result);
+
+			if (error) {
+				props.error = error;
+				this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.COMPONENT_FAILED, props));
+
+			} else if (String(_component) === "Medal.unlock") {
+				props.medal = result.medal;
+				this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.MEDAL_UNLOCKED, props));
+
+			} else if (String(_component) === "ScoreBoard.postScore") {
+				props.score = result.score;
+				props.scoreboard = result.scoreboard;
+				this.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.SCORE_POSTED, props));
+			}
+		});
+	}
+
+	/**
+	 * Turns the raw text from the gateway into a response object, with results cast to their registered NewgroundsIO_results classes.
+	 * Text that isn't JSON, or that fails validation in NewgroundsIO.VALIDATION_THROW mode, becomes a failed response.
+	 * @param {string} responseText The JSON encoded response
+	 * @return {NewgroundsIO_objects_Response}
+	 */
+	__parseResponse(responseText)
+	{
+		let json;
+
+		try {
+			json = JSON.parse(responseText);
+		} catch(e) {
+			return this.__getErrorResponse("Unable to parse response from server: " + responseText);
+		}
+
+		// in VALIDATION_THROW mode a bad value from the server would throw inside the transport, and the request would never finish
+		try {
+			let response = new NewgroundsIO.objects.Response(json);
+			response.setCore(this);
+			return response;
+		} catch(e) {
+			if (!(e instanceof NewgroundsIO_ValidationError)) throw e;
+			return this.__getErrorResponse("Invalid response from server: " + e.message);
+		}
+	}
+
+	/**
+	 * Gets a failed response object for when the server could not be reached or sent back garbage
+	 * @param {string} message Details about what went wrong
+	 * @param {Number} attempts The number of times the request was sent, if it never reached the server. Anything over 1 means the scheduler gave up retrying it.
+	 * @return {NewgroundsIO_objects_Response}
+	 */
+	__getErrorResponse(message, attempts)
+	{
+		let exceeded = attempts > 1;
+		if (exceeded) message = "NewgroundsIO Error: Gave up after " + attempts + " attempts. " + message;
+
+		let response = new NewgroundsIO.objects.Response({
+			app_id: this.app_id,
+			success: false,
+			error: new NewgroundsIO.objects.Error({message: String(message)})
+		});
+		response.setCore(this);
+		response.__exceededMaxAttempts = exceeded ? true : false;
+		response.__connectionFailed = attempts > 0;
+		return response;
+	}
+
+	/**
+	 * Gets the best transport for the current environment. Browsers use XMLHttpRequest, Node uses fetch (Node 18+) or the http/https modules.
+	 * @return {Function}
+	 */
+	static getDefaultTransport()
+	{
+		if (typeof(XMLHttpRequest) !== 'undefined') return NewgroundsIO.xhrTransport;
+		if (typeof(fetch) === 'function') return NewgroundsIO.fetchTransport;
+		if (typeof(require) === 'function') return NewgroundsIO.httpTransport;
+
+		return (url, postData, callback) => {
+			callback("NewgroundsIO Error: No transport is available in this environment. Use the 'transport' option to provide one.", null);
+		};
+	}
+
+	/**
+	 * Posts data to a URL with XMLHttpRequest. This is the default in browsers.
+	 * Custom transports must use the same signature.
+	 * @param {string} url The URL to post to
+	 * @param {string} postData The url-encoded post data
+	 * @param {Function} callback Gets called with (error, responseText) when the request completes. error will be null on success.
+	 */
+	static xhrTransport(url, postData, callback)
+	{
+		let xhr = new XMLHttpRequest();
+
+		xhr.onreadystatechange = function() {
+			if (xhr.readyState !== 4) return;
+
+			if (xhr.status === 200) callback(null, xhr.responseText);
+			else callback("Unable to connect to server, status: " + xhr.status, null);
+		};
+
+		xhr.open('POST', url, true);
+		xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+		xhr.send(postData);
+	}
+
+	/**
+	 * Posts data to a URL with fetch(). This is the default in Node 18+.
+	 * @param {string} url The URL to post to
+	 * @param {string} postData The url-encoded post data
+	 * @param {Function} callback Gets called with (error, responseText) when the request completes. error will be null on success.
+	 */
+	static fetchTransport(url, postData, callback)
+	{
+		fetch(url, {
+			method: 'POST',
+			headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+			body: postData
+		}).then(response => {
+			if (response.status !== 200) throw("Unable to connect to server, status: " + response.status);
+			return response.text();
+		}).then(responseText => {
+			callback(null, responseText);
+		}, error => {
+			callback(typeof(error) === 'string' ? error : "Unable to connect to server: " + error.message, null);
+		});
+	}
+
+	/**
+	 * Posts data to a URL with Node's http or https module, for versions of Node without fetch().
+	 * @param {string} url The URL to post to
+	 * @param {string} postData The url-encoded post data
+	 * @param {Function} callback Gets called with (error, responseText) when the request completes. error will be null on success.
+	 */
+	static httpTransport(url, postData, callback)
+	{
+		let http = require(url.indexOf("http:") === 0 ? 'http' : 'https');
+
+		let request = http.request(url, {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/x-www-form-urlencoded',
+				'Content-Length': postData.length
+			}
+		}, response => {
+			let responseText = "";
+
+			response.setEncoding('utf8');
+			response.on('data', chunk => responseText += chunk);
+			response.on('end', () => {
+				if (response.statusCode === 200) callback(null, responseText);
+				else callback("Unable to connect to server, status: " + response.statusCode, null);
+			});
+		});
+
+		request.on('error', error => callback("Unable to connect to server: " + error.message, null));
+		request.write(postData);
+		request.end();
+	}
+
+	/**
+	 * Opens a URL in a new browser tab. Outside of browsers, the URL gets logged instead.
+	 * @param {string} url The URL to open
+	 */
+	static openURL(url)
+	{
+		if (typeof(window) !== 'undefined' && typeof(window.open) === 'function') window.open(url, "_blank");
+		else console.log("NewgroundsIO: Open this URL to continue: " + url);
+	}
+}
+
+/**
+ * The default URL for the Newgrounds.io gateway
+ * @type {string}
+ */
+NewgroundsIO.GATEWAY_URL = "https://www.newgrounds.io/gateway_v3.php";
+
+/**
+ * Type mismatches get logged with console.warn, then the value is coerced to the expected type
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_WARN = "warn";
+
+/**
+ * Type mismatches are silently coerced to the expected type
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_COERCE = "coerce";
+
+/**
+ * Type mismatches, and missing required properties, throw a NewgroundsIO_ValidationError
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_THROW = "throw";
+
+/**
+ * Type mismatches, and missing required properties, are stored on the object (see NewgroundsIO_objects.getValidationErrors), then the value is coerced
+ * @type {string}
+ */
+NewgroundsIO.VALIDATION_COLLECT = "collect";
+
+/**
+ * How every NewgroundsIO object handles bad property values. Use one of the NewgroundsIO.VALIDATION_ constants.
+ * @type {string}
+ */
+NewgroundsIO.validationMode = NewgroundsIO.VALIDATION_WARN;
+
+/**
+ * All NewgroundsIO_objects classes, by object name (ie NewgroundsIO.objects.Medal)
+ * @type {object}
+ */
+NewgroundsIO.objects = {};
+
+/**
+ * All NewgroundsIO_components classes, by component name (ie NewgroundsIO.components.Medal.unlock)
+ * @type {object}
+ */
+NewgroundsIO.components = {};
+
+/**
+ * All NewgroundsIO_results classes, by component name (ie NewgroundsIO.results.Medal.unlock)
+ * @type {object}
+ */
+NewgroundsIO.results = {};
+
+export { NewgroundsIO };
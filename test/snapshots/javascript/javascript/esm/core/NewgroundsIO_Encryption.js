@@ -0,0 +1,333 @@
+import { NewgroundsIO } from '../index.js';
+/**
+ * Encrypts the payloads of secure components (ie Medal.unlock, ScoreBoard.postScore).
+ * Supports the AES-128 (CBC) and RC4 ciphers, with Base64 or hex encoded keys, matching the settings on your project's API Tools page.
+ * All byte data is handled as arrays of numbers from 0 to 255.
+ */
+class NewgroundsIO_Encryption {
+
+	/**
+	 * Encrypts a string and encodes the result
+	 * @param {string} text The text to encrypt
+	 * @param {string} key The encoded encryption key
+	 * @param {string} cipher The cipher to use (NewgroundsIO_Encryption.AES_128 or NewgroundsIO_Encryption.RC4)
+	 * @param {string} format How the key and result are encoded (NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX)
+	 * @param {Array.<Number>} iv The 16 byte initialization vector to use with AES-128. Ignored by RC4.
+	 * @return {string} The encrypted, encoded text. AES-128 results have the iv prepended.
+	 */
+	static encrypt(text, key, cipher, format, iv)
+	{
+		let keyBytes = NewgroundsIO_Encryption.decode(key, format);
+		let data = NewgroundsIO_Encryption.toUTF8(text);
+
+		switch (cipher) {
+
+			case NewgroundsIO_Encryption.AES_128:
+				return NewgroundsIO_Encryption.encode(iv.concat(NewgroundsIO_Encryption.aesCBC(keyBytes, iv, data)), format);
+
+			case NewgroundsIO_Encryption.RC4:
+				return NewgroundsIO_Encryption.encode(NewgroundsIO_Encryption.rc4(keyBytes, data), format);
+		}
+
+		throw("NewgroundsIO Error: Unsupported cipher '" + cipher + "'");
+	}
+
+	/**
+	 * Gets 16 random bytes to use as an AES initialization vector
+	 * @return {Array.<Number>}
+	 */
+	static randomIV()
+	{
+		let iv = new Array(16);
+
+		if (typeof(crypto) !== 'undefined' && crypto.getRandomValues) {
+			let random = crypto.getRandomValues(new Uint8Array(16));
+			for (let i = 0; i < 16; i++) iv[i] = random[i];
+
+		// older versions of Node don't have a global crypto object
+		} else if (typeof(require) === 'function') {
+			let random = require('crypto').randomBytes(16);
+			for (let i = 0; i < 16; i++) iv[i] = random[i];
+
+		} else {
+			for (let i = 0; i < 16; i++) iv[i] = Math.floor(Math.random() * 256);
+		}
+
+		return iv;
+	}
+
+	/* ------------------------------------------- Ciphers ------------------------------------------- */
+
+	/**
+	 * Encrypts bytes with AES in CBC mode, using PKCS#7 padding. The key size (16, 24 or 32 bytes) picks AES-128, 192 or 256.
+	 * @param {Array.<Number>} key The key bytes
+	 * @param {Array.<Number>} iv The 16 byte initialization vector
+	 * @param {Array.<Number>} data The bytes to encrypt
+	 * @return {Array.<Number>} The encrypted bytes
+	 */
+	static aesCBC(key, iv, data)
+	{
+		if ([16, 24, 32].indexOf(key.length) < 0) throw("NewgroundsIO Error: AES keys must be 16, 24 or 32 bytes, got " + key.length);
+		if (!iv || iv.length !== 16) throw("NewgroundsIO Error: AES initialization vectors must be 16 bytes");
+
+		let roundKeys = NewgroundsIO_Encryption.__aesExpandKey(key);
+
+		let pad = 16 - (data.length % 16);
+		let padded = data.concat(new Array(pad).fill(pad));
+
+		let out = [];
+		let previous = iv;
+
+		for (let offset = 0; offset < padded.length; offset += 16) {
+			let block = padded.slice(offset, offset + 16).map((byte, i) => byte ^ previous[i]);
+			previous = NewgroundsIO_Encryption.__aesEncryptBlock(block, roundKeys);
+			out = out.concat(previous);
+		}
+
+		return out;
+	}
+
+	/**
+	 * Encrypts (or decrypts) bytes with RC4
+	 * @param {Array.<Number>} key The key bytes
+	 * @param {Array.<Number>} data The bytes to encrypt
+	 * @return {Array.<Number>} The encrypted bytes
+	 */
+	static rc4(key, data)
+	{
+		let s = [];
+		let i, j = 0, swap;
+
+		for (i = 0; i < 256; i++) s[i] = i;
+
+		for (i = 0; i < 256; i++) {
+			j = (j + s[i] + key[i % key.length]) % 256;
+			swap = s[i]; s[i] = s[j]; s[j] = swap;
+		}
+
+		i = 0;
+		j = 0;
+
+		return data.map(byte => {
+			i = (i + 1) % 256;
+			j = (j + s[i]) % 256;
+			swap = s[i]; s[i] = s[j]; s[j] = swap;
+			return byte ^ s[(s[i] + s[j]) % 256];
+		});
+	}
+
+	/* ------------------------------------------- Encoding ------------------------------------------- */
+
+	/**
+	 * Encodes bytes as a string
+	 * @param {Array.<Number>} bytes The bytes to encode
+	 * @param {string} format NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX
+	 * @return {string}
+	 */
+	static encode(bytes, format)
+	{
+		if (format === NewgroundsIO_Encryption.HEX) {
+			return bytes.map(byte => (byte < 16 ? "0" : "") + byte.toString(16)).join("");
+		}
+
+		let chars = NewgroundsIO_Encryption.__base64Chars;
+		let out = "";
+
+		for (let i = 0; i < bytes.length; i += 3) {
+			let triplet = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+			out += chars[(triplet >> 18) & 63] + chars[(triplet >> 12) & 63];
+			out += i + 1 < bytes.length ? chars[(triplet >> 6) & 63] : "=";
+			out += i + 2 < bytes.length ? chars[triplet & 63] : "=";
+		}
+
+		return out;
+	}
+
+	/**
+	 * Decodes a string to bytes
+	 * @param {string} text The encoded string
+	 * @param {string} format NewgroundsIO_Encryption.BASE64 or NewgroundsIO_Encryption.HEX
+	 * @return {Array.<Number>}
+	 */
+	static decode(text, format)
+	{
+		let bytes = [];
+
+		if (format === NewgroundsIO_Encryption.HEX) {
+			for (let i = 0; i < text.length; i += 2) bytes.push(parseInt(text.substr(i, 2), 16));
+			return bytes;
+		}
+
+		let chars = NewgroundsIO_Encryption.__base64Chars;
+		let bits = 0, value = 0;
+
+		for (let i = 0; i < text.length; i++) {
+			let index = chars.indexOf(text[i]);
+			if (index < 0) continue;
+
+			value = (value << 6) | index;
+			bits += 6;
+
+			if (bits >= 8) {
+				bits -= 8;
+				bytes.push((value >> bits) & 255);
+			}
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Gets the UTF-8 bytes of a string
+	 * @param {string} text
+	 * @return {Array.<Number>}
+	 */
+	static toUTF8(text)
+	{
+		if (typeof(TextEncoder) !== 'undefined') return Array.from(new TextEncoder().encode(text));
+
+		let binary = unescape(encodeURIComponent(text));
+		let bytes = new Array(binary.length);
+		for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+		return bytes;
+	}
+
+	/* ------------------------------------------- AES Internals ------------------------------------------- */
+
+	// multiplies a byte by 2 in the AES finite field
+	static __xtime(byte)
+	{
+		return ((byte << 1) ^ (byte & 0x80 ? 0x1b : 0)) & 0xff;
+	}
+
+	// builds the AES substitution box the first time it's needed
+	static __getSBox()
+	{
+		if (NewgroundsIO_Encryption.__sbox) return NewgroundsIO_Encryption.__sbox;
+
+		let sbox = new Array(256);
+		let rotate = (byte, shift) => ((byte << shift) | (byte >> (8 - shift))) & 0xff;
+		let p = 1, q = 1;
+
+		// walk every non-zero byte, keeping q as the multiplicative inverse of p
+		do {
+			p = p ^ NewgroundsIO_Encryption.__xtime(p);
+
+			q ^= q << 1;
+			q ^= q << 2;
+			q ^= q << 4;
+			q &= 0xff;
+			if (q & 0x80) q ^= 0x09;
+
+			sbox[p] = q ^ rotate(q, 1) ^ rotate(q, 2) ^ rotate(q, 3) ^ rotate(q, 4) ^ 0x63;
+		} while (p !== 1);
+
+		// zero has no inverse, so it gets special treatment
+		sbox[0] = 0x63;
+
+		NewgroundsIO_Encryption.__sbox = sbox;
+		return sbox;
+	}
+
+	// expands a key to the 4 byte words used by every round
+	static __aesExpandKey(key)
+	{
+		let sbox = NewgroundsIO_Encryption.__getSBox();
+		let nk = key.length / 4;
+		let total = 4 * (nk + 7);
+		let words = [];
+		let rcon = 1;
+
+		for (let i = 0; i < nk; i++) words.push(key.slice(i * 4, i * 4 + 4));
+
+		for (let i = nk; i < total; i++) {
+			let word = words[i - 1].slice();
+
+			if (i % nk === 0) {
+				word = [sbox[word[1]] ^ rcon, sbox[word[2]], sbox[word[3]], sbox[word[0]]];
+				rcon = NewgroundsIO_Encryption.__xtime(rcon);
+			} else if (nk > 6 && i % nk === 4) {
+				word = word.map(byte => sbox[byte]);
+			}
+
+			words.push(words[i - nk].map((byte, j) => byte ^ word[j]));
+		}
+
+		return words;
+	}
+
+	// encrypts a single 16 byte block
+	static __aesEncryptBlock(block, words)
+	{
+		let sbox = NewgroundsIO_Encryption.__getSBox();
+		let xtime = NewgroundsIO_Encryption.__xtime;
+		let rounds = words.length / 4 - 1;
+		let state = block.slice();
+
+		let addRoundKey = round => {
+			for (let c = 0; c < 4; c++) {
+				for (let r = 0; r < 4; r++) state[c * 4 + r] ^= words[round * 4 + c][r];
+			}
+		};
+
+		let subBytesAndShiftRows = () => {
+			let shifted = new Array(16);
+			for (let c = 0; c < 4; c++) {
+				for (let r = 0; r < 4; r++) shifted[c * 4 + r] = sbox[state[((c + r) % 4) * 4 + r]];
+			}
+			state = shifted;
+		};
+
+		addRoundKey(0);
+
+		for (let round = 1; round <= rounds; round++) {
+			subBytesAndShiftRows();
+
+			// the last round skips mixing the columns
+			if (round < rounds) {
+				for (let c = 0; c < 4; c++) {
+					let [a0, a1, a2, a3] = state.slice(c * 4, c * 4 + 4);
+					state[c * 4] = xtime(a0) ^ xtime(a1) ^ a1 ^ a2 ^ a3;
+					state[c * 4 + 1] = a0 ^ xtime(a1) ^ xtime(a2) ^ a2 ^ a3;
+					state[c * 4 + 2] = a0 ^ a1 ^ xtime(a2) ^ xtime(a3) ^ a3;
+					state[c * 4 + 3] = xtime(a0) ^ a0 ^ a1 ^ a2 ^ xtime(a3);
+				}
+			}
+
+			addRoundKey(round);
+		}
+
+		return state;
+	}
+}
+
+/**
+ * Cipher for AES-128 (CBC) encryption
+ * @type {string}
+ */
+NewgroundsIO_Encryption.AES_128 = "aes-128";
+
+/**
+ * Cipher for RC4 encryption
+ * @type {string}
+ */
+NewgroundsIO_Encryption.RC4 = "rc4";
+
+/**
+ * Format for Base64 encoded keys and results
+ * @type {string}
+ */
+NewgroundsIO_Encryption.BASE64 = "base64";
+
+/**
+ * Format for hex encoded keys and results
+ * @type {string}
+ */
+NewgroundsIO_Encryption.HEX = "hex";
+
+NewgroundsIO_Encryption.__base64Chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+NewgroundsIO_Encryption.__sbox = null;
+
+NewgroundsIO.Encryption = NewgroundsIO_Encryption;
+
+export { NewgroundsIO_Encryption };
@@ -0,0 +1,178 @@
+import { NewgroundsIO } from '../index.js';
+/**
+ * Gets passed to every function added with NewgroundsIO.addEventListener().
+ * Only the properties that make sense for the event's type will be set, the rest will be null:
+ *
+ *  sessionStatusChanged - session, status, previous_status
+ *  requestSent - request, component
+ *  responseReceived - request, component, response
+ *  componentFailed - request, component, response, result, error
+ *  medalUnlocked - request, component, response, result, medal
+ *  scorePosted - request, component, response, result, score, scoreboard
+ *  outboxQueued - component
+ *  outboxDelivered - request, component, response, result
+ *
+ * For requestSent and responseReceived, component will be an array if a list of components was sent. The others always get a single component.
+ */
+class NewgroundsIO_Event {
+
+	/**
+	 * Constructor
+	 * @param {string} type One of the NewgroundsIO_Event type constants
+	 * @param {object} props An object of properties for this event
+	 */
+	constructor(type, props) {
+
+		/**
+		 * The type of event (ie NewgroundsIO_Event.MEDAL_UNLOCKED)
+		 * @type {string}
+		 */
+		this.type = type;
+
+		/**
+		 * The NewgroundsIO instance that dispatched this event
+		 * @type {NewgroundsIO}
+		 */
+		this.target = null;
+
+		/**
+		 * The session whose status changed
+		 * @type {NewgroundsIO_objects_Session}
+		 */
+		this.session = null;
+
+		/**
+		 * The new session status. Will be one of the NewgroundsIO.SessionState constants.
+		 * @type {string}
+		 */
+		this.status = null;
+
+		/**
+		 * The session status before it changed
+		 * @type {string}
+		 */
+		this.previous_status = null;
+
+		/**
+		 * The request that was sent to the server
+		 * @type {NewgroundsIO_objects_Request}
+		 */
+		this.request = null;
+
+		/**
+		 * The component (or list of components) that was sent
+		 * @type {(NewgroundsIO_components|Array.<NewgroundsIO_components>)}
+		 */
+		this.component = null;
+
+		/**
+		 * The response from the server
+		 * @type {NewgroundsIO_objects_Response}
+		 */
+		this.response = null;
+
+		/**
+		 * The result for the component
+		 * @type {NewgroundsIO_results}
+		 */
+		this.result = null;
+
+		/**
+		 * Why the component failed
+		 * @type {NewgroundsIO_ExecuteError}
+		 */
+		this.error = null;
+
+		/**
+		 * The medal that was unlocked
+		 * @type {NewgroundsIO_objects_Medal}
+		 */
+		this.medal = null;
+
+		/**
+		 * The score that was posted
+		 * @type {NewgroundsIO_objects_Score}
+		 */
+		this.score = null;
+
+		/**
+		 * The scoreboard the score was posted to
+		 * @type {NewgroundsIO_objects_ScoreBoard}
+		 */
+		this.scoreboard = null;
+
+		if (typeof(props) === 'object' && props !== null) {
+			Object.keys(props).forEach(key => {
+				if (!Object.prototype.hasOwnProperty.call(this, key)) throw("NewgroundsIO Error: '" + key + "' is not a NewgroundsIO_Event property");
+				this[key] = props[key];
+			});
+		}
+	}
+}
+
+/**
+ * Fired when session.update() sees a change in the session status
+ * @type {string}
+ */
+NewgroundsIO_Event.SESSION_STATUS_CHANGED = "sessionStatusChanged";
+
+/**
+ * Fired when a request is posted to the gateway
+ * @type {string}
+ */
+NewgroundsIO_Event.REQUEST_SENT = "requestSent";
+
+/**
+ * Fired when the gateway responds to a request, or the request fails to reach it
+ * @type {string}
+ */
+NewgroundsIO_Event.RESPONSE_RECEIVED = "responseReceived";
+
+/**
+ * Fired for every component that failed, including components in a request that failed
+ * @type {string}
+ */
+NewgroundsIO_Event.COMPONENT_FAILED = "componentFailed";
+
+/**
+ * Fired when a Medal.unlock component succeeds
+ * @type {string}
+ */
+NewgroundsIO_Event.MEDAL_UNLOCKED = "medalUnlocked";
+
+/**
+ * Fired when a ScoreBoard.postScore component succeeds
+ * @type {string}
+ */
+NewgroundsIO_Event.SCORE_POSTED = "scorePosted";
+
+/**
+ * Fired when a secure component couldn't reach the server and was saved in the outbox
+ * @type {string}
+ */
+NewgroundsIO_Event.OUTBOX_QUEUED = "outboxQueued";
+
+/**
+ * Fired when a component from the outbox was finally delivered
+ * @type {string}
+ */
+NewgroundsIO_Event.OUTBOX_DELIVERED = "outboxDelivered";
+
+/**
+ * Every event type
+ * @type {Array.<string>}
+ */
+NewgroundsIO_Event.TYPES = [
+	NewgroundsIO_Event.SESSION_STATUS_CHANGED,
+	NewgroundsIO_Event.REQUEST_SENT,
+	NewgroundsIO_Event.RESPONSE_RECEIVED,
+	NewgroundsIO_Event.COMPONENT_FAILED,
+	NewgroundsIO_Event.MEDAL_UNLOCKED,
+	NewgroundsIO_Event.SCORE_POSTED,
+	NewgroundsIO_Event.OUTBOX_QUEUED,
+	NewgroundsIO_Event.OUTBOX_DELIVERED
+];
+
+NewgroundsIO.Event = NewgroundsIO_Event;
+
+export { NewgroundsIO_Event };
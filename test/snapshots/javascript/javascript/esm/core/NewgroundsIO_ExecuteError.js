@@ -0,0 +1,78 @@
+import { NewgroundsIO } from '../index.js';
+/**
+ * Passed to rejected promises when a component could not be executed, or the server reported it as failed.
+ */
+class NewgroundsIO_ExecuteError extends Error {
+
+	/**
+	 * Constructor
+	 * @param {string} type Where the failure happened. One of the NewgroundsIO_ExecuteError type constants.
+	 * @param {string} message Details about what went wrong
+	 * @param {object} props Any additional info (code, component, response, result)
+	 */
+	constructor(type, message, props) {
+		super(message);
+
+		if (typeof(props) !== 'object' || props === null) props = {};
+
+		this.name = "NewgroundsIO_ExecuteError";
+
+		/**
+		 * Where the failure happened. One of the NewgroundsIO_ExecuteError type constants.
+		 * @type {string}
+		 */
+		this.type = type;
+
+		/**
+		 * The error code from the server, or null if the failure happened locally
+		 * @type {Number}
+		 */
+		this.code = typeof(props.code) === 'number' ? props.code : null;
+
+		/**
+		 * The name of the component that failed (ie 'Medal.unlock')
+		 * @type {string}
+		 */
+		this.component = props.component ? String(props.component) : null;
+
+		/**
+		 * The response from the server, if we got one
+		 * @type {NewgroundsIO_objects_Response}
+		 */
+		this.response = props.response ? props.response : null;
+
+		/**
+		 * The component result from the server, if we got one
+		 * @type {NewgroundsIO_results}
+		 */
+		this.result = props.result ? props.result : null;
+	}
+}
+
+/**
+ * The component failed validation and was never sent
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.INVALID_COMPONENT = "invalid_component";
+
+/**
+ * The server could not be reached, or rejected the whole request
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.REQUEST_FAILED = "request_failed";
+
+/**
+ * The request went through, but the component itself reported a failure
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.COMPONENT_FAILED = "component_failed";
+
+/**
+ * The server could not be reached, even after retrying the request as many times as the scheduler allows
+ * @type {string}
+ */
+NewgroundsIO_ExecuteError.EXCEEDED_MAX_ATTEMPTS = "exceeded_max_attempts";
+
+NewgroundsIO.ExecuteError = NewgroundsIO_ExecuteError;
+
+export { NewgroundsIO_ExecuteError };
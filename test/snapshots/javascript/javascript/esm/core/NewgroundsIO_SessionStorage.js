@@ -0,0 +1,123 @@
+import { NewgroundsIO, NewgroundsIO_WebSessionStorage } from '../index.js';
+/**
+ * The base class for places a remembered session id can be saved, keyed by app_id.
+ * Extend this (or make any object with the same three methods) to save sessions somewhere else, ie an encrypted file.
+ * If you use the outbox, override getOutbox(), setOutbox() and removeOutbox() too, or unsent calls will only be kept in memory.
+ */
+class NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		this.__outboxes = {};
+	}
+
+	/**
+	 * Gets the remembered session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string} The session id, or null if there isn't one
+	 */
+	getSessionId(app_id)
+	{
+		throw("NewgroundsIO Error: " + this.constructor.name + " must implement getSessionId()");
+	}
+
+	/**
+	 * Remembers the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @param {string} session_id The session id to remember
+	 */
+	setSessionId(app_id, session_id)
+	{
+		throw("NewgroundsIO Error: " + this.constructor.name + " must implement setSessionId()");
+	}
+
+	/**
+	 * Forgets the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 */
+	removeSessionId(app_id)
+	{
+		throw("NewgroundsIO Error: " + this.constructor.name + " must implement removeSessionId()");
+	}
+
+	/**
+	 * Gets the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @return {string} The JSON encoded outbox, or null if there isn't one
+	 */
+	getOutbox(app_id)
+	{
+		return Object.prototype.hasOwnProperty.call(this.__outboxes, app_id) ? this.__outboxes[app_id] : null;
+	}
+
+	/**
+	 * Saves the outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @param {string} outbox The JSON encoded outbox
+	 */
+	setOutbox(app_id, outbox)
+	{
+		this.__outboxes[app_id] = outbox;
+	}
+
+	/**
+	 * Deletes the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 */
+	removeOutbox(app_id)
+	{
+		delete this.__outboxes[app_id];
+	}
+
+	/**
+	 * Registers a storage backend so it can be selected by name with the 'storage' option
+	 * @param {string} name The name to register (ie 'file')
+	 * @param {Function} factory A function that returns the storage backend. It won't be called until something uses this name.
+	 */
+	static register(name, factory)
+	{
+		NewgroundsIO_SessionStorage.__registry[name] = factory;
+	}
+
+	/**
+	 * Gets a storage backend from the value of the 'storage' option
+	 * @param {(string|object)} storage A registered name, a storage backend, or any object with localStorage's getItem, setItem and removeItem methods.
+	 *        If this is omitted, localStorage will be used if it's available, or memory if not.
+	 * @return {NewgroundsIO_SessionStorage}
+	 */
+	static create(storage)
+	{
+		if (!storage) storage = NewgroundsIO_WebSessionStorage.isAvailable() ? NewgroundsIO_SessionStorage.LOCAL : NewgroundsIO_SessionStorage.MEMORY;
+
+		if (typeof(storage) === 'string') {
+			if (typeof(NewgroundsIO_SessionStorage.__registry[storage]) !== 'function') throw("NewgroundsIO Error: No session storage is registered as '" + storage + "'");
+			return NewgroundsIO_SessionStorage.__registry[storage]();
+		}
+
+		if (typeof(storage.getSessionId) === 'function') return storage;
+		if (typeof(storage.getItem) === 'function') return new NewgroundsIO_WebSessionStorage(storage);
+
+		throw("NewgroundsIO Error: storage must be a registered name, a NewgroundsIO_SessionStorage, or an object with getItem, setItem and removeItem methods");
+	}
+}
+
+/**
+ * The name of the localStorage backend
+ * @type {string}
+ */
+NewgroundsIO_SessionStorage.LOCAL = "local";
+
+/**
+ * The name of the in-memory backend
+ * @type {string}
+ */
+NewgroundsIO_SessionStorage.MEMORY = "memory";
+
+// Every registered backend factory, by name. It has no prototype, so names like 'constructor' aren't found on it.
+NewgroundsIO_SessionStorage.__registry = Object.create(null);
+
+NewgroundsIO.SessionStorage = NewgroundsIO_SessionStorage;
+
+export { NewgroundsIO_SessionStorage };
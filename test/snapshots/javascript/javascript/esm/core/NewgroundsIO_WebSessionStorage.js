@@ -0,0 +1,118 @@
+import { NewgroundsIO, NewgroundsIO_SessionStorage } from '../index.js';
+/**
+ * Saves session ids in localStorage, or any other object with the same getItem, setItem and removeItem methods.
+ */
+class NewgroundsIO_WebSessionStorage extends NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 * @param {object} storage The storage to use. Defaults to localStorage.
+	 */
+	constructor(storage) {
+		super();
+
+		/**
+		 * The storage session ids are saved in
+		 * @type {object}
+		 */
+		this.storage = storage ? storage : localStorage;
+	}
+
+	/**
+	 * Gets the remembered session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string} The session id, or null if there isn't one
+	 */
+	getSessionId(app_id)
+	{
+		return this.storage.getItem(NewgroundsIO_WebSessionStorage.getKey(app_id));
+	}
+
+	/**
+	 * Remembers the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 * @param {string} session_id The session id to remember
+	 */
+	setSessionId(app_id, session_id)
+	{
+		this.storage.setItem(NewgroundsIO_WebSessionStorage.getKey(app_id), session_id);
+	}
+
+	/**
+	 * Forgets the session id for an app
+	 * @param {string} app_id The App ID the session belongs to
+	 */
+	removeSessionId(app_id)
+	{
+		this.storage.removeItem(NewgroundsIO_WebSessionStorage.getKey(app_id));
+	}
+
+	/**
+	 * Gets the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @return {string} The JSON encoded outbox, or null if there isn't one
+	 */
+	getOutbox(app_id)
+	{
+		return this.storage.getItem(NewgroundsIO_WebSessionStorage.getOutboxKey(app_id));
+	}
+
+	/**
+	 * Saves the outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @param {string} outbox The JSON encoded outbox
+	 */
+	setOutbox(app_id, outbox)
+	{
+		this.storage.setItem(NewgroundsIO_WebSessionStorage.getOutboxKey(app_id), outbox);
+	}
+
+	/**
+	 * Deletes the saved outbox for an app
+	 * @param {string} app_id The App ID the outbox belongs to
+	 */
+	removeOutbox(app_id)
+	{
+		this.storage.removeItem(NewgroundsIO_WebSessionStorage.getOutboxKey(app_id));
+	}
+
+	/**
+	 * Gets the key an app's outbox is saved under
+	 * @param {string} app_id The App ID the outbox belongs to
+	 * @return {string}
+	 */
+	static getOutboxKey(app_id)
+	{
+		return "Newgrounds-io-app_outbox-" + (app_id.split(":").join("-"));
+	}
+
+	/**
+	 * Gets the key an app's session id is saved under
+	 * @param {string} app_id The App ID the session belongs to
+	 * @return {string}
+	 */
+	static getKey(app_id)
+	{
+		return "Newgrounds-io-app_session-" + (app_id.split(":").join("-"));
+	}
+
+	/**
+	 * Checks if localStorage can be used
+	 * @return {Boolean}
+	 */
+	static isAvailable()
+	{
+		// some browsers throw errors when storage is disabled, instead of leaving it undefined
+		try {
+			return typeof(localStorage) !== 'undefined' && localStorage ? true : false;
+		} catch(e) {
+			return false;
+		}
+	}
+}
+
+NewgroundsIO_SessionStorage.register(NewgroundsIO_SessionStorage.LOCAL, () => new NewgroundsIO_WebSessionStorage());
+
+NewgroundsIO.WebSessionStorage = NewgroundsIO_WebSessionStorage;
+
+export { NewgroundsIO_WebSessionStorage };
@@ -0,0 +1,19 @@
+import { NewgroundsIO_objects } from '../index.js';
+/**
+ * The base class for every NewgroundsIO component.
+ */
+class NewgroundsIO_components extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		super();
+		this.__object = "Component";
+		this.__isSecure = false;
+		this.__requireSession = false;
+		this.__isIdempotent = false;
+	}
+}
+
+export { NewgroundsIO_components };
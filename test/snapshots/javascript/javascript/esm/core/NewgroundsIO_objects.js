@@ -0,0 +1,196 @@
+import { NewgroundsIO, NewgroundsIO_ValidationError } from '../index.js';
+/**
+ * The base class for every NewgroundsIO object model.
+ * Handles property bookkeeping, validation and JSON serialization.
+ */
+class NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		this.__object = "Object";
+		this.__properties = [];
+		this.__required = [];
+		this.__ngioCore = null;
+		this.__validationErrors = [];
+	}
+
+	/**
+	 * Creates an instance of this class from decoded or encoded JSON. Any nested objects, and arrays of objects, will be cast to their models as well.
+	 * ie NewgroundsIO_objects_Response.fromJSON(responseText)
+	 * @param {(object|string)} json The object's properties, or a JSON string containing them
+	 * @return {NewgroundsIO_objects}
+	 */
+	static fromJSON(json)
+	{
+		return new this(typeof(json) === 'string' ? JSON.parse(json) : json);
+	}
+
+	/**
+	 * Checks if this object is the type of object you are expecting
+	 * @param {string} objectName The name of the object or component (ie 'Medal' or 'Medal.unlock')
+	 * @return {Boolean}
+	 */
+	objectIs(objectName)
+	{
+		return this.__object === objectName;
+	}
+
+	/**
+	 * Attach a NewgroundsIO core object to this object, and any child objects it contains
+	 * @param {NewgroundsIO} core
+	 */
+	setCore(core)
+	{
+		this.__ngioCore = core;
+
+		this.__properties.forEach(property => {
+			let value = this[property];
+
+			if (value instanceof NewgroundsIO_objects) {
+				value.setCore(core);
+
+			} else if (Array.isArray(value)) {
+				value.forEach(child => {
+					if (child instanceof NewgroundsIO_objects) child.setCore(core);
+				});
+			}
+		});
+	}
+
+	/**
+	 * Validates this object, making sure every required property has a value.
+	 * Missing properties are reported by name, according to NewgroundsIO.validationMode.
+	 * @return {Boolean}
+	 */
+	isValid()
+	{
+		let missing = this.getMissingProperties();
+
+		missing.forEach(property => {
+			let value = this[property];
+			let error = new NewgroundsIO_ValidationError(this.constructor.name, property, "value", value === null ? "null" : typeof(value),
+				'NewgroundsIO Error: '+this.__object+' is missing required property "'+property+'"');
+
+			// there's nothing to coerce a missing value to, so we always want to report these
+			if (NewgroundsIO.validationMode === NewgroundsIO.VALIDATION_COERCE) console.error(error.message);
+			else this.__reportValidationError(error);
+		});
+
+		return missing.length < 1;
+	}
+
+	/**
+	 * Gets the names of any required properties that don't have a value
+	 * @return {Array.<string>}
+	 */
+	getMissingProperties()
+	{
+		return this.__required.filter(property => this[property] === null || typeof(this[property]) === 'undefined');
+	}
+
+	/**
+	 * Gets every validation error collected by this object, and any objects it contains, while NewgroundsIO.validationMode was 'collect'
+	 * @return {Array.<NewgroundsIO_ValidationError>}
+	 */
+	getValidationErrors()
+	{
+		let errors = this.__validationErrors.slice();
+
+		this.__properties.forEach(property => {
+			[].concat(this[property]).forEach(child => {
+				if (child instanceof NewgroundsIO_objects) errors = errors.concat(child.getValidationErrors());
+			});
+		});
+
+		return errors;
+	}
+
+	/**
+	 * Removes any validation errors collected by this object
+	 */
+	clearValidationErrors()
+	{
+		this.__validationErrors = [];
+	}
+
+	/**
+	 * Reports a value that doesn't match its property's type. Setters call this before coercing the value.
+	 * @param {string} property The name of the property
+	 * @param {string} expected The type the property expects
+	 * @param {*} value The value that was used
+	 * @param {string} actual An optional type name to report, if typeof(value) isn't descriptive enough
+	 */
+	__typeMismatch(property, expected, value, actual)
+	{
+		if (!actual) actual = value === null ? "null" : (Array.isArray(value) ? "Array" : typeof(value));
+		this.__reportValidationError(new NewgroundsIO_ValidationError(this.constructor.name, property, expected, actual));
+	}
+
+	/**
+	 * Handles a validation error according to NewgroundsIO.validationMode
+	 * @param {NewgroundsIO_ValidationError} error
+	 */
+	__reportValidationError(error)
+	{
+		switch (NewgroundsIO.validationMode) {
+
+			case NewgroundsIO.VALIDATION_THROW:
+				throw error;
+
+			case NewgroundsIO.VALIDATION_COLLECT:
+				this.__validationErrors.push(error);
+				break;
+
+			case NewgroundsIO.VALIDATION_COERCE:
+				break;
+
+			default:
+				console.warn(error.message);
+		}
+	}
+
+	/**
+	 * Gets the object or component name of this object
+	 * @return {string}
+	 */
+	toString()
+	{
+		return this.__object;
+	}
+
+	/**
+	 * Gets every property with a value as a native JS object
+	 * @return {object} A native JS object that can be converted to a JSON string
+	 */
+	toJSON()
+	{
+		let json = {};
+
+		this.__properties.forEach(property => {
+			if (this[property] !== null && typeof(this[property]) !== 'undefined') json[property] = this[property];
+		});
+
+		return json;
+	}
+
+	/**
+	 * Gets every property with a value, encrypted as a single 'secure' property.
+	 * Throws an error if there's no core instance with an aes_key, so secure values are never sent unencrypted.
+	 * @return {object} A native JS object that can be converted to a JSON string
+	 */
+	toSecureJSON()
+	{
+		// subclasses may override toJSON() to call this, so we always encrypt the plain property values
+		let json = NewgroundsIO_objects.prototype.toJSON.call(this);
+
+		if (!this.__ngioCore || !this.__ngioCore.aes_key) {
+			throw("NewgroundsIO Error: Can not encrypt " + this.__object + " without a core instance with an aes_key!");
+		}
+
+		return {secure: this.__ngioCore.encrypt(JSON.stringify(json))};
+	}
+}
+
+export { NewgroundsIO_objects };
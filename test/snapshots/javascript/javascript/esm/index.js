@@ -0,0 +1,107 @@
+import { NewgroundsIO } from './core/NewgroundsIO.js';
+import { NewgroundsIO_objects } from './core/NewgroundsIO_objects.js';
+import { NewgroundsIO_components } from './core/NewgroundsIO_components.js';
+import { NewgroundsIO_results } from './core/NewgroundsIO_results.js';
+import { NewgroundsIO_ExecuteError } from './core/NewgroundsIO_ExecuteError.js';
+import { NewgroundsIO_ValidationError } from './core/NewgroundsIO_ValidationError.js';
+import { NewgroundsIO_SessionState } from './core/NewgroundsIO_SessionState.js';
+import { NewgroundsIO_Event } from './core/NewgroundsIO_Event.js';
+import { NewgroundsIO_RequestScheduler } from './core/NewgroundsIO_RequestScheduler.js';
+import { NewgroundsIO_Outbox } from './core/NewgroundsIO_Outbox.js';
+import { NewgroundsIO_Encryption } from './core/NewgroundsIO_Encryption.js';
+import { NewgroundsIO_SessionStorage } from './core/NewgroundsIO_SessionStorage.js';
+import { NewgroundsIO_WebSessionStorage } from './core/NewgroundsIO_WebSessionStorage.js';
+import { NewgroundsIO_MemorySessionStorage } from './core/NewgroundsIO_MemorySessionStorage.js';
+import { NewgroundsIO_components_App_checkSession } from './components/App/checkSession.js';
+import { NewgroundsIO_results_App_checkSession } from './results/App/checkSession.js';
+import { NewgroundsIO_components_App_endSession } from './components/App/endSession.js';
+import { NewgroundsIO_components_App_logView } from './components/App/logView.js';
+import { NewgroundsIO_components_App_startSession } from './components/App/startSession.js';
+import { NewgroundsIO_results_App_startSession } from './results/App/startSession.js';
+import { NewgroundsIO_components_CloudSave_loadSlots } from './components/CloudSave/loadSlots.js';
+import { NewgroundsIO_results_CloudSave_loadSlots } from './results/CloudSave/loadSlots.js';
+import { NewgroundsIO_components_CloudSave_setData } from './components/CloudSave/setData.js';
+import { NewgroundsIO_results_CloudSave_setData } from './results/CloudSave/setData.js';
+import { NewgroundsIO_components_Gateway_getDatetime } from './components/Gateway/getDatetime.js';
+import { NewgroundsIO_results_Gateway_getDatetime } from './results/Gateway/getDatetime.js';
+import { NewgroundsIO_components_Gateway_ping } from './components/Gateway/ping.js';
+import { NewgroundsIO_results_Gateway_ping } from './results/Gateway/ping.js';
+import { NewgroundsIO_components_Medal_getList } from './components/Medal/getList.js';
+import { NewgroundsIO_results_Medal_getList } from './results/Medal/getList.js';
+import { NewgroundsIO_components_Medal_unlock } from './components/Medal/unlock.js';
+import { NewgroundsIO_results_Medal_unlock } from './results/Medal/unlock.js';
+import { NewgroundsIO_components_ScoreBoard_getBoards } from './components/ScoreBoard/getBoards.js';
+import { NewgroundsIO_results_ScoreBoard_getBoards } from './results/ScoreBoard/getBoards.js';
+import { NewgroundsIO_components_ScoreBoard_getScores } from './components/ScoreBoard/getScores.js';
+import { NewgroundsIO_results_ScoreBoard_getScores } from './results/ScoreBoard/getScores.js';
+import { NewgroundsIO_components_ScoreBoard_postScore } from './components/ScoreBoard/postScore.js';
+import { NewgroundsIO_results_ScoreBoard_postScore } from './results/ScoreBoard/postScore.js';
+import { NewgroundsIO_objects_Debug } from './objects/Debug.js';
+import { NewgroundsIO_objects_Error } from './objects/Error.js';
+import { NewgroundsIO_objects_Execute } from './objects/Execute.js';
+import { NewgroundsIO_objects_Medal } from './objects/Medal.js';
+import { NewgroundsIO_objects_Request } from './objects/Request.js';
+import { NewgroundsIO_objects_Response } from './objects/Response.js';
+import { NewgroundsIO_objects_SaveSlot } from './objects/SaveSlot.js';
+import { NewgroundsIO_objects_Score } from './objects/Score.js';
+import { NewgroundsIO_objects_ScoreBoard } from './objects/ScoreBoard.js';
+import { NewgroundsIO_objects_Session } from './objects/Session.js';
+import { NewgroundsIO_objects_User } from './objects/User.js';
+import { NewgroundsIO_objects_UserIcons } from './objects/UserIcons.js';
+import { NewgroundsIO_ObjectIndex } from './objects/ObjectIndex.js';
+
+export {
+	NewgroundsIO,
+	NewgroundsIO_objects,
+	NewgroundsIO_components,
+	NewgroundsIO_results,
+	NewgroundsIO_ExecuteError,
+	NewgroundsIO_ValidationError,
+	NewgroundsIO_SessionState,
+	NewgroundsIO_Event,
+	NewgroundsIO_RequestScheduler,
+	NewgroundsIO_Outbox,
+	NewgroundsIO_Encryption,
+	NewgroundsIO_SessionStorage,
+	NewgroundsIO_WebSessionStorage,
+	NewgroundsIO_MemorySessionStorage,
+	NewgroundsIO_components_App_checkSession,
+	NewgroundsIO_results_App_checkSession,
+	NewgroundsIO_components_App_endSession,
+	NewgroundsIO_components_App_logView,
+	NewgroundsIO_components_App_startSession,
+	NewgroundsIO_results_App_startSession,
+	NewgroundsIO_components_CloudSave_loadSlots,
+	NewgroundsIO_results_CloudSave_loadSlots,
+	NewgroundsIO_components_CloudSave_setData,
+	NewgroundsIO_results_CloudSave_setData,
+	NewgroundsIO_components_Gateway_getDatetime,
+	NewgroundsIO_results_Gateway_getDatetime,
+	NewgroundsIO_components_Gateway_ping,
+	NewgroundsIO_results_Gateway_ping,
+	NewgroundsIO_components_Medal_getList,
+	NewgroundsIO_results_Medal_getList,
+	NewgroundsIO_components_Medal_unlock,
+	NewgroundsIO_results_Medal_unlock,
+	NewgroundsIO_components_ScoreBoard_getBoards,
+	NewgroundsIO_results_ScoreBoard_getBoards,
+	NewgroundsIO_components_ScoreBoard_getScores,
+	NewgroundsIO_results_ScoreBoard_getScores,
+	NewgroundsIO_components_ScoreBoard_postScore,
+	NewgroundsIO_results_ScoreBoard_postScore,
+	NewgroundsIO_objects_Debug,
+	NewgroundsIO_objects_Error,
+	NewgroundsIO_objects_Execute,
+	NewgroundsIO_objects_Medal,
+	NewgroundsIO_objects_Request,
+	NewgroundsIO_objects_Response,
+	NewgroundsIO_objects_SaveSlot,
+	NewgroundsIO_objects_Score,
+	NewgroundsIO_objects_ScoreBoard,
+	NewgroundsIO_objects_Session,
+	NewgroundsIO_objects_User,
+	NewgroundsIO_objects_UserIcons,
+	NewgroundsIO_ObjectIndex
+};
+
+export default NewgroundsIO;
@@ -0,0 +1,69 @@
+import { NewgroundsIO, NewgroundsIO_objects, NewgroundsIO_objects_Request } from '../index.js';
+/**
+ * Contains extra debugging information.
+ */
+class NewgroundsIO_objects_Debug extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Debug';
+		this._exec_time = null;
+		this._request = null;
+		this.__properties = this.__properties.concat(["exec_time","request"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The time, in milliseconds, that it took to execute a request.
+	 * @type {String}
+	 */
+	get exec_time() {
+		return this._exec_time;
+	}
+
+	set exec_time(_exec_time) {
+		if (_exec_time !== null && typeof(_exec_time) !== 'string') this.__typeMismatch('exec_time', 'string', _exec_time);
+		this._exec_time = _exec_time === null ? null : String(_exec_time);
+
+	}
+	
+	
+	/**
+	 * A copy of the request object that was posted to the server.
+	 * @type {NewgroundsIO_objects_Request}
+	 */
+	get request() {
+		return this._request;
+	}
+
+	set request(_request) {
+		
+			if (_request !== null && typeof(_request) === 'object' && !(_request instanceof NewgroundsIO_objects_Request)) {
+				_request = new NewgroundsIO_objects_Request(_request);
+			}
+			if (_request !== null && !(_request instanceof NewgroundsIO_objects_Request)) {
+				this.__typeMismatch('request', 'NewgroundsIO_objects_Request', _request);
+			}
+			this._request = _request;
+		
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Debug = NewgroundsIO_objects_Debug;
+
+export { NewgroundsIO_objects_Debug };
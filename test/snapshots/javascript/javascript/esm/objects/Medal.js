@@ -0,0 +1,165 @@
+import { NewgroundsIO, NewgroundsIO_objects } from '../index.js';
+/**
+ * Contains information about a medal.
+ */
+class NewgroundsIO_objects_Medal extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Medal';
+		this._id = null;
+		this._name = null;
+		this._description = null;
+		this._icon = null;
+		this._value = null;
+		this._difficulty = null;
+		this._secret = null;
+		this._unlocked = null;
+		this.__properties = this.__properties.concat(["id","name","description","icon","value","difficulty","secret","unlocked"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the medal.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The name of the medal.
+	 * @type {String}
+	 */
+	get name() {
+		return this._name;
+	}
+
+	set name(_name) {
+		if (_name !== null && typeof(_name) !== 'string') this.__typeMismatch('name', 'string', _name);
+		this._name = _name === null ? null : String(_name);
+
+	}
+	
+	
+	/**
+	 * A short description of the medal.
+	 * @type {String}
+	 */
+	get description() {
+		return this._description;
+	}
+
+	set description(_description) {
+		if (_description !== null && typeof(_description) !== 'string') this.__typeMismatch('description', 'string', _description);
+		this._description = _description === null ? null : String(_description);
+
+	}
+	
+	
+	/**
+	 * The URL for the medal's icon.
+	 * @type {String}
+	 */
+	get icon() {
+		return this._icon;
+	}
+
+	set icon(_icon) {
+		if (_icon !== null && typeof(_icon) !== 'string') this.__typeMismatch('icon', 'string', _icon);
+		this._icon = _icon === null ? null : String(_icon);
+
+	}
+	
+	
+	/**
+	 * The medal's point value.
+	 * @type {Number}
+	 */
+	get value() {
+		return this._value;
+	}
+
+	set value(_value) {
+		if (_value !== null && typeof(_value) !== 'number') this.__typeMismatch('value', 'int', _value);
+		else if (_value !== null && !Number.isInteger(_value)) this.__typeMismatch('value', 'int', _value, 'float');
+		this._value = _value === null ? null : Number(_value);
+		if (isNaN(this._value)) this._value = null;
+
+	}
+	
+	
+	/**
+	 * The difficulty id of the medal.
+	 * @type {Number}
+	 */
+	get difficulty() {
+		return this._difficulty;
+	}
+
+	set difficulty(_difficulty) {
+		if (_difficulty !== null && typeof(_difficulty) !== 'number') this.__typeMismatch('difficulty', 'int', _difficulty);
+		else if (_difficulty !== null && !Number.isInteger(_difficulty)) this.__typeMismatch('difficulty', 'int', _difficulty, 'float');
+		this._difficulty = _difficulty === null ? null : Number(_difficulty);
+		if (isNaN(this._difficulty)) this._difficulty = null;
+
+	}
+	
+	
+	/**
+	
+	 * @type {Boolean}
+	 */
+	get secret() {
+		return this._secret;
+	}
+
+	set secret(_secret) {
+				if (_secret !== null && typeof(_secret) !== 'boolean') this.__typeMismatch('secret', 'boolean', _secret);
+		this._secret = _secret === null ? null : (_secret ? true : false);
+
+	}
+	
+	
+	/**
+	 * This will only be set if a valid user session exists.
+	 * @type {Boolean}
+	 */
+	get unlocked() {
+		return this._unlocked;
+	}
+
+	set unlocked(_unlocked) {
+				if (_unlocked !== null && typeof(_unlocked) !== 'boolean') this.__typeMismatch('unlocked', 'boolean', _unlocked);
+		this._unlocked = _unlocked === null ? null : (_unlocked ? true : false);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Medal = NewgroundsIO_objects_Medal;
+
+export { NewgroundsIO_objects_Medal };
@@ -0,0 +1,395 @@
+import { NewgroundsIO } from '../index.js';
+/**
+ * Creates object, component and result instances from their string names (case insensitive) and decoded or encoded JSON.
+ * Also lists every known component, with the metadata from the object document, for tooling.
+ */
+class NewgroundsIO_ObjectIndex {
+
+	/**
+	 * Creates an object model instance
+	 * @param {string} name The object's name (ie 'Medal')
+	 * @param {(object|string)} json The values to apply to the object, or a JSON string containing them
+	 * @return {NewgroundsIO_objects} The new instance, or null if there is no object with this name
+	 */
+	static createObject(name, json)
+	{
+		let objectClass = NewgroundsIO_ObjectIndex.__getClass(NewgroundsIO_ObjectIndex.objects, NewgroundsIO.objects, name);
+		return objectClass ? objectClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Creates a component instance
+	 * @param {string} name The component's name (ie 'Medal.unlock')
+	 * @param {(object|string)} json The values to apply to the component, or a JSON string containing them
+	 * @return {NewgroundsIO_components} The new instance, or null if there is no component with this name
+	 */
+	static createComponent(name, json)
+	{
+		let componentClass = NewgroundsIO_ObjectIndex.__getClass(Object.keys(NewgroundsIO_ObjectIndex.components), NewgroundsIO.components, name);
+		return componentClass ? componentClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Creates a result instance
+	 * @param {string} name The name of the component the result is for (ie 'Medal.unlock')
+	 * @param {(object|string)} json The values to apply to the result, or a JSON string containing them
+	 * @return {NewgroundsIO_results} The new instance, or null if there is no result with this name
+	 */
+	static createResult(name, json)
+	{
+		let resultClass = NewgroundsIO_ObjectIndex.__getClass(NewgroundsIO_ObjectIndex.results, NewgroundsIO.results, name);
+		return resultClass ? resultClass.fromJSON(json ? json : {}) : null;
+	}
+
+	/**
+	 * Gets the metadata for a component
+	 * @param {string} name The component's name (ie 'Medal.unlock')
+	 * @return {object} {description, secure, require_session, params, return}, or null if there is no component with this name
+	 */
+	static getComponentInfo(name)
+	{
+		let match = NewgroundsIO_ObjectIndex.__findName(Object.keys(NewgroundsIO_ObjectIndex.components), name);
+		return match ? NewgroundsIO_ObjectIndex.components[match] : null;
+	}
+
+	/**
+	 * Gets the names of every component
+	 * @param {object} filter Optional flags the components must match (ie {secure: true})
+	 * @return {Array.<string>}
+	 */
+	static getComponentNames(filter)
+	{
+		return Object.keys(NewgroundsIO_ObjectIndex.components).filter(name => {
+			if (typeof(filter) !== 'object' || filter === null) return true;
+
+			let info = NewgroundsIO_ObjectIndex.components[name];
+			return Object.keys(filter).every(flag => info[flag] === filter[flag]);
+		});
+	}
+
+	// finds the properly cased version of a name in a list
+	static __findName(names, name)
+	{
+		if (typeof(name) !== 'string') return null;
+
+		let lower = name.toLowerCase();
+		let match = names.find(_name => _name.toLowerCase() === lower);
+		return match ? match : null;
+	}
+
+	// finds a class in one of the NewgroundsIO namespaces
+	static __getClass(names, namespace, name)
+	{
+		let match = NewgroundsIO_ObjectIndex.__findName(names, name);
+		if (!match) return null;
+
+		let found = match.split(".").reduce((parent, part) => parent ? parent[part] : null, namespace);
+		return typeof(found) === 'function' ? found : null;
+	}
+}
+
+/**
+ * The name of every object model
+ * @type {Array.<string>}
+ */
+NewgroundsIO_ObjectIndex.objects = ["Debug","Error","Execute","Medal","Request","Response","SaveSlot","Score","ScoreBoard","Session","User","UserIcons"];
+
+/**
+ * The name of every component with a result class
+ * @type {Array.<string>}
+ */
+NewgroundsIO_ObjectIndex.results = ["App.checkSession","App.startSession","CloudSave.loadSlots","CloudSave.setData","Gateway.getDatetime","Gateway.ping","Medal.getList","Medal.unlock","ScoreBoard.getBoards","ScoreBoard.getScores","ScoreBoard.postScore"];
+
+/**
+ * Every component, by name, with its description, secure and require_session flags, params and return values
+ * @type {object}
+ */
+NewgroundsIO_ObjectIndex.components = {
+	"App.checkSession": {
+		"description": "Checks the validity of a session id and returns the results in a #Session object.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"session": {
+				"object": "Session"
+			}
+		}
+	},
+	"App.endSession": {
+		"description": "Ends the current session, if any.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": false,
+		"params": {},
+		"return": {}
+	},
+	"App.logView": {
+		"description": "Increments \"Total Views\" statistic.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": false,
+		"params": {
+			"host": {
+				"type": "string",
+				"required": true,
+				"description": "The domain hosting your app. Examples: \"www.somesite.com\", \"localHost\""
+			}
+		},
+		"return": {}
+	},
+	"App.startSession": {
+		"description": "Starts a new session for the application.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": false,
+		"params": {
+			"force": {
+				"type": "boolean",
+				"description": "If true, will create a new session even if the user already has an existing one.\n\nNote: Any previous session ids will no longer be valid if this is used."
+			}
+		},
+		"return": {
+			"session": {
+				"object": "Session"
+			}
+		}
+	},
+	"CloudSave.loadSlots": {
+		"description": "Returns a list of #SaveSlot objects.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": true,
+		"params": {
+			"app_id": {
+				"type": "string",
+				"description": "The App ID of another, approved app to load slot data from."
+			}
+		},
+		"return": {
+			"slots": {
+				"array": {
+					"object": "SaveSlot"
+				},
+				"description": "An array of #SaveSlot objects."
+			}
+		}
+	},
+	"CloudSave.setData": {
+		"description": "Deletes all data from a save slot.",
+		"secure": false,
+		"require_session": true,
+		"idempotent": false,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The slot number."
+			},
+			"data": {
+				"type": "string",
+				"required": true,
+				"description": "The data you want to save."
+			}
+		},
+		"return": {
+			"slot": {
+				"object": "SaveSlot"
+			}
+		}
+	},
+	"Gateway.getDatetime": {
+		"description": "Loads the current date and time from the Newgrounds.io server.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"datetime": {
+				"type": "string",
+				"description": "The server's date and time in ISO 8601 format."
+			},
+			"timestamp": {
+				"type": "int",
+				"description": "The current UNIX timestamp on the server."
+			}
+		}
+	},
+	"Gateway.ping": {
+		"description": "Pings the Newgrounds.io server.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"pong": {
+				"type": "string",
+				"description": "Will always return a value of 'pong'"
+			}
+		}
+	},
+	"Medal.getList": {
+		"description": "Loads a list of #Medal objects.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {
+			"app_id": {
+				"type": "string",
+				"description": "The App ID of another, approved app to load medals from."
+			}
+		},
+		"return": {
+			"medals": {
+				"array": {
+					"object": "Medal"
+				},
+				"description": "An array of medal objects."
+			}
+		}
+	},
+	"Medal.unlock": {
+		"description": "Unlocks a medal.",
+		"secure": true,
+		"require_session": true,
+		"idempotent": false,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The numeric ID of the medal to unlock."
+			}
+		},
+		"return": {
+			"medal": {
+				"object": "Medal",
+				"description": "The #Medal that was unlocked."
+			},
+			"medal_score": {
+				"type": "int",
+				"description": "The user's new medal score."
+			}
+		}
+	},
+	"ScoreBoard.getBoards": {
+		"description": "Returns a list of available scoreboards.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {},
+		"return": {
+			"scoreboards": {
+				"array": {
+					"object": "ScoreBoard"
+				},
+				"description": "An array of #ScoreBoard objects."
+			}
+		}
+	},
+	"ScoreBoard.getScores": {
+		"description": "Loads a list of #Score objects from a scoreboard.",
+		"secure": false,
+		"require_session": false,
+		"idempotent": true,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The numeric ID of the scoreboard."
+			},
+			"period": {
+				"type": "string",
+				"description": "The time-frame to pull scores from (see notes for acceptable values)."
+			},
+			"tag": {
+				"type": "string",
+				"description": "A tag to filter results by."
+			},
+			"social": {
+				"type": "boolean",
+				"description": "If set to true, only social scores will be loaded (scores by the user and their friends)."
+			},
+			"user": {
+				"type": "string",
+				"description": "A user's ID or name.  If 'social' is true, this user and their friends will be included."
+			},
+			"skip": {
+				"type": "int",
+				"description": "An integer indicating the number of scores to skip before starting the list."
+			},
+			"limit": {
+				"type": "int",
+				"description": "An integer indicating the number of scores to include in the list."
+			},
+			"app_id": {
+				"type": "string",
+				"description": "The App ID of another, approved app to load scores from."
+			}
+		},
+		"return": {
+			"scoreboard": {
+				"object": "ScoreBoard",
+				"description": "The #ScoreBoard being queried."
+			},
+			"scores": {
+				"array": {
+					"object": "Score"
+				},
+				"description": "An array of #Score objects."
+			},
+			"user": {
+				"object": "User",
+				"description": "The #User the score list is associated with."
+			},
+			"period": {
+				"type": "string",
+				"description": "The time-frame the scores belong to."
+			},
+			"social": {
+				"type": "boolean",
+				"description": "Will return true if scores were loaded in social context."
+			},
+			"limit": {
+				"type": "int",
+				"description": "The query limit that was used."
+			}
+		}
+	},
+	"ScoreBoard.postScore": {
+		"description": "Posts a score to the specified scoreboard.",
+		"secure": true,
+		"require_session": true,
+		"idempotent": false,
+		"params": {
+			"id": {
+				"type": "int",
+				"required": true,
+				"description": "The numeric ID of the scoreboard."
+			},
+			"value": {
+				"type": "int",
+				"required": true,
+				"description": "The int value of the score."
+			},
+			"tag": {
+				"type": "string",
+				"description": "An optional tag that can be used to filter scores via ScoreBoard.getScores"
+			}
+		},
+		"return": {
+			"scoreboard": {
+				"object": "ScoreBoard",
+				"description": "The #ScoreBoard that was posted to."
+			},
+			"score": {
+				"object": "Score",
+				"description": "The #Score that was posted to the board."
+			}
+		}
+	}
+};
+
+NewgroundsIO.ObjectIndex = NewgroundsIO_ObjectIndex;
+
+export { NewgroundsIO_ObjectIndex };
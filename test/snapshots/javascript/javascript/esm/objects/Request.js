@@ -0,0 +1,163 @@
+import { NewgroundsIO, NewgroundsIO_objects, NewgroundsIO_objects_Execute } from '../index.js';
+/**
+ * A top-level wrapper containing any information needed to authenticate the application/user and any component calls being made.
+ */
+class NewgroundsIO_objects_Request extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Request';
+		this._app_id = null;
+		this._execute = null;
+		this._session_id = null;
+		this._debug = null;
+		this._echo = null;
+		this.__properties = this.__properties.concat(["app_id","execute","session_id","debug","echo"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["app_id","execute"];
+		
+		
+	}
+
+	
+	/**
+	 * Your application's unique ID.
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+	
+	/**
+	 * An NewgroundsIO_objects_Execute object, or a list of NewgroundsIO_objects_Execute objects.
+	 * @type {(NewgroundsIO_objects_Execute|Array.<NewgroundsIO_objects_Execute>)}
+	 */
+	get execute() {
+		return this._execute;
+	}
+
+	set execute(_execute) {
+		if (Array.isArray(_execute)) {
+			let newArr = [];
+			_execute.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Execute)) {
+				val = new NewgroundsIO_objects_Execute(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Execute)) {
+				this.__typeMismatch('execute[' + index + ']', 'NewgroundsIO_objects_Execute', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._execute = newArr;
+			return;
+		}
+		
+			if (_execute !== null && typeof(_execute) === 'object' && !(_execute instanceof NewgroundsIO_objects_Execute)) {
+				_execute = new NewgroundsIO_objects_Execute(_execute);
+			}
+			if (_execute !== null && !(_execute instanceof NewgroundsIO_objects_Execute)) {
+				this.__typeMismatch('execute', 'NewgroundsIO_objects_Execute', _execute);
+			}
+			this._execute = _execute;
+		
+	}
+	
+	
+	/**
+	 * An optional login session id.
+	 * @type {String}
+	 */
+	get session_id() {
+		return this._session_id;
+	}
+
+	set session_id(_session_id) {
+		if (_session_id !== null && typeof(_session_id) !== 'string') this.__typeMismatch('session_id', 'string', _session_id);
+		this._session_id = _session_id === null ? null : String(_session_id);
+
+	}
+	
+	
+	/**
+	 * If set to true, calls will be executed in debug mode.
+	 * @type {Boolean}
+	 */
+	get debug() {
+		return this._debug;
+	}
+
+	set debug(_debug) {
+				if (_debug !== null && typeof(_debug) !== 'boolean') this.__typeMismatch('debug', 'boolean', _debug);
+		this._debug = _debug === null ? null : (_debug ? true : false);
+
+	}
+	
+	
+	/**
+	 * An optional value that will be returned, verbatim, in the NewgroundsIO_objects_Response object.
+	 * @type {String}
+	 */
+	get echo() {
+		return this._echo;
+	}
+
+	set echo(_echo) {
+		if (_echo !== null && typeof(_echo) !== 'string') this.__typeMismatch('echo', 'string', _echo);
+		this._echo = _echo === null ? null : String(_echo);
+
+	}
+	
+
+	
+		/**
+		 * Attach a NewgrundsIO core object
+		 * @param {NewgroundsIO} core
+		 */
+		setCore(core)
+		{
+			super.setCore(core);
+			this._app_id = core.app_id;
+			if (core.session && core.session.id) this.session_id = core.session.id;
+			if (core.debug) this.debug = true;
+		}
+
+		/**
+		 * Attach a component to this request and send it
+		 * @param {(NewgroundsIO_components|Array.<NewgroundsIO_components>)} component Any NGIO component object, or an array of NGIO components
+		 * @param {Function} callback An optional function to call when the server responds
+		 * @param {Object} thisArg An optional value to use as 'this' when executing callback 
+		 * @return {Boolean} will return false if the request failed to send 
+		 */
+		send(component, callback, thisArg)
+		{
+			if (!this.__ngioCore) {
+				console.error('NewgroundsIO Error: Can not send request without calling setCore() first!');
+				return;
+			}
+
+			return this.__ngioCore.__doSendRequest(this, component, callback, thisArg);
+		}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Request = NewgroundsIO_objects_Request;
+
+export { NewgroundsIO_objects_Request };
@@ -0,0 +1,117 @@
+import { NewgroundsIO, NewgroundsIO_objects } from '../index.js';
+/**
+ * Contains information about a CloudSave slot.
+ */
+class NewgroundsIO_objects_SaveSlot extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'SaveSlot';
+		this._id = null;
+		this._size = null;
+		this._datetime = null;
+		this._timestamp = null;
+		this._url = null;
+		this.__properties = this.__properties.concat(["id","size","datetime","timestamp","url"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The slot number.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The size of the save data in bytes.
+	 * @type {Number}
+	 */
+	get size() {
+		return this._size;
+	}
+
+	set size(_size) {
+		if (_size !== null && typeof(_size) !== 'number') this.__typeMismatch('size', 'int', _size);
+		else if (_size !== null && !Number.isInteger(_size)) this.__typeMismatch('size', 'int', _size, 'float');
+		this._size = _size === null ? null : Number(_size);
+		if (isNaN(this._size)) this._size = null;
+
+	}
+	
+	
+	/**
+	 * A date and time (in ISO 8601 format) representing when this slot was last saved.
+	 * @type {String}
+	 */
+	get datetime() {
+		return this._datetime;
+	}
+
+	set datetime(_datetime) {
+		if (_datetime !== null && typeof(_datetime) !== 'string') this.__typeMismatch('datetime', 'string', _datetime);
+		this._datetime = _datetime === null ? null : String(_datetime);
+
+	}
+	
+	
+	/**
+	 * A unix timestamp representing when this slot was last saved.
+	 * @type {Number}
+	 */
+	get timestamp() {
+		return this._timestamp;
+	}
+
+	set timestamp(_timestamp) {
+		if (_timestamp !== null && typeof(_timestamp) !== 'number') this.__typeMismatch('timestamp', 'int', _timestamp);
+		else if (_timestamp !== null && !Number.isInteger(_timestamp)) this.__typeMismatch('timestamp', 'int', _timestamp, 'float');
+		this._timestamp = _timestamp === null ? null : Number(_timestamp);
+		if (isNaN(this._timestamp)) this._timestamp = null;
+
+	}
+	
+	
+	/**
+	 * The URL containing the actual save data for this slot, or null if this slot has no data.
+	 * @type {String}
+	 */
+	get url() {
+		return this._url;
+	}
+
+	set url(_url) {
+		if (_url !== null && typeof(_url) !== 'string') this.__typeMismatch('url', 'string', _url);
+		this._url = _url === null ? null : String(_url);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.SaveSlot = NewgroundsIO_objects_SaveSlot;
+
+export { NewgroundsIO_objects_SaveSlot };
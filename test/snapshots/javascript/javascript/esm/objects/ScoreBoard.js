@@ -0,0 +1,65 @@
+import { NewgroundsIO, NewgroundsIO_objects } from '../index.js';
+/**
+ * Contains information about a scoreboard.
+ */
+class NewgroundsIO_objects_ScoreBoard extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'ScoreBoard';
+		this._id = null;
+		this._name = null;
+		this.__properties = this.__properties.concat(["id","name"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The numeric ID of the scoreboard.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The name of the scoreboard.
+	 * @type {String}
+	 */
+	get name() {
+		return this._name;
+	}
+
+	set name(_name) {
+		if (_name !== null && typeof(_name) !== 'string') this.__typeMismatch('name', 'string', _name);
+		this._name = _name === null ? null : String(_name);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.ScoreBoard = NewgroundsIO_objects_ScoreBoard;
+
+export { NewgroundsIO_objects_ScoreBoard };
@@ -0,0 +1,492 @@
+import { NewgroundsIO, NewgroundsIO_objects, NewgroundsIO_Event, NewgroundsIO_WebSessionStorage, NewgroundsIO_objects_User } from '../index.js';
+/**
+ * Contains information about the current user session.
+ */
+class NewgroundsIO_objects_Session extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Session';
+		this._id = null;
+		this._user = null;
+		this._expired = null;
+		this._remember = null;
+		this._passport_url = null;
+		this.__properties = this.__properties.concat(["id","user","expired","remember","passport_url"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+		this.__status = NewgroundsIO.SessionState.SESSION_UNINITIALIZED;
+
+		// session ids from the page URL (if hosted on Newgrounds) and from a remembered Passport login
+		this.__uri_id = null;
+		this.__saved_id = null;
+		this.__loaded_url_key = false;
+
+		// the status from the last time update() was called
+		this.__lastStatus = null;
+
+		// set this in the past so the first time-lapse check won't make the user wait
+		this.__lastUpdate = Date.now() - 30000;
+
+		// if false, update() will end immediately when called
+		this.__canUpdate = true;
+
+		// the mode we'll use to check the status of this session
+		this.__mode = "expired";
+
+		// the number of times we've failed to reach the server, and how many times we can fail before giving up
+		this.__totalAttempts = 0;
+		this.__maxAttempts = 5;
+
+		// functions to call whenever the status changes
+		this.__statusListeners = [];
+		
+	}
+
+	
+	/**
+	 * A unique session identifier
+	 * @type {String}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'string') this.__typeMismatch('id', 'string', _id);
+		this._id = _id === null ? null : String(_id);
+
+	}
+	
+	
+	/**
+	 * If the user has not signed in, or granted access to your app, this will be null
+	 * @type {NewgroundsIO_objects_User}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		
+			if (_user !== null && typeof(_user) === 'object' && !(_user instanceof NewgroundsIO_objects_User)) {
+				_user = new NewgroundsIO_objects_User(_user);
+			}
+			if (_user !== null && !(_user instanceof NewgroundsIO_objects_User)) {
+				this.__typeMismatch('user', 'NewgroundsIO_objects_User', _user);
+			}
+			this._user = _user;
+		
+	}
+	
+	
+	/**
+	 * If true, the session_id is expired. Use App.startSession to get a new one.
+	 * @type {Boolean}
+	 */
+	get expired() {
+		return this._expired;
+	}
+
+	set expired(_expired) {
+				if (_expired !== null && typeof(_expired) !== 'boolean') this.__typeMismatch('expired', 'boolean', _expired);
+		this._expired = _expired === null ? null : (_expired ? true : false);
+
+	}
+	
+	
+	/**
+	 * If true, the user would like you to remember their session id.
+	 * @type {Boolean}
+	 */
+	get remember() {
+		return this._remember;
+	}
+
+	set remember(_remember) {
+				if (_remember !== null && typeof(_remember) !== 'boolean') this.__typeMismatch('remember', 'boolean', _remember);
+		this._remember = _remember === null ? null : (_remember ? true : false);
+
+	}
+	
+	
+	/**
+	 * If the session has no associated user but is not expired, this property will provide a URL that can be used to sign the user in.
+	 * @type {String}
+	 */
+	get passport_url() {
+		return this._passport_url;
+	}
+
+	set passport_url(_passport_url) {
+		if (_passport_url !== null && typeof(_passport_url) !== 'string') this.__typeMismatch('passport_url', 'string', _passport_url);
+		this._passport_url = _passport_url === null ? null : String(_passport_url);
+
+	}
+	
+
+	
+			/**
+			 * The current state of this session. Will be one of the NewgroundsIO.SessionState constants.
+			 * @type {string}
+			 */
+			get status() {
+				return this.__status;
+			}
+
+			/**
+			 * Will be true if the status has changed since the last time update() was called
+			 * @type {Boolean}
+			 */
+			get statusChanged() {
+				return this.__lastStatus !== this.__status;
+			}
+
+			/**
+			 * Will be true if the current state is a waiting state
+			 * @type {Boolean}
+			 */
+			get waiting() {
+				return NewgroundsIO.SessionState.SESSION_WAITING.indexOf(this.__status) >= 0;
+			}
+
+			getSessionStorageKey() {
+				return NewgroundsIO_WebSessionStorage.getKey(this.__ngioCore.app_id);
+			}
+
+			/**
+			 * Checks if we have a session id that can be used with components requiring a session
+			 * @return {Boolean}
+			 */
+			isActive() {
+				return this._id !== null && this._expired !== true;
+			}
+
+			/**
+			 * Logs details about why this session can't be used yet
+			 */
+			logProblems() {
+				if (this._id === null) {
+					console.warn('NewgroundsIO warning: There is no session id. Call update() until the session status is "' + NewgroundsIO.SessionState.LOGIN_SUCCESSFUL + '".');
+				} else if (this._expired === true) {
+					console.warn('NewgroundsIO warning: The session has expired. Call update() to start a new one.');
+				} else if (this._user === null) {
+					console.warn('NewgroundsIO warning: The user has not logged in yet. Current session status is "' + this.__status + '".');
+				}
+			}
+
+			wasServerValidated() {
+				return (this._user !== null || this._expired !== null);
+			}
+
+			/**
+			 * Adds a function to call whenever update() sees a change in status
+			 * @param {Function} listener Will be passed this session object
+			 * @param {Object} thisArg An optional value to use as 'this' when executing listener
+			 */
+			addStatusListener(listener, thisArg) {
+				this.__statusListeners.push([listener, thisArg]);
+			}
+
+			/**
+			 * Removes a function that was added with addStatusListener()
+			 * @param {Function} listener The function to remove
+			 */
+			removeStatusListener(listener) {
+				this.__statusListeners = this.__statusListeners.filter(([_listener]) => _listener !== listener);
+			}
+
+			// resets everything except the session id
+			__resetSession() {
+				this.__uri_id = null;
+				this.__saved_id = null;
+				this._remember = false;
+				this._user = null;
+				this._expired = false;
+
+				if (this.__ngioCore) this.__ngioCore.storage.removeSessionId(this.__ngioCore.app_id);
+			}
+
+			// gets the ngio_session_id parameter from the page URL, if there is one (there is no page outside of browsers)
+			__getUrlSessionId() {
+				if (typeof(window) === 'undefined' || !window.location || typeof(window.location.search) !== 'string') return null;
+
+				let match = window.location.search.match(/[?&]ngio_session_id=([^&]+)/);
+				return match ? decodeURIComponent(match[1]) : null;
+			}
+
+			/**
+			 * Opens the Newgrounds Passport login page with the core's open_url function (a new browser tab, by default)
+			 */
+			openLoginPage() {
+				if (this._passport_url) this.__ngioCore.open_url(this._passport_url);
+				this.__status = NewgroundsIO.SessionState.WAITING_FOR_USER;
+				this.__mode = "check";
+			}
+
+			/**
+			 * Logs the user out of their current session, locally and on the server, then calls a function when complete
+			 * @param {Function} callback An optional function to call when complete. Will be passed this session object.
+			 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+			 */
+			logOut(callback, thisArg) {
+				this.__mode = "wait";
+				this.endSession(callback, thisArg);
+			}
+
+			/**
+			 * Cancels a pending login attempt
+			 * @param {string} newStatus An optional status code to use if LOGIN_CANCELLED is insufficient
+			 */
+			cancelLogin(newStatus) {
+				if (!newStatus) newStatus = NewgroundsIO.SessionState.LOGIN_CANCELLED;
+
+				// clear the current session data, and set the appropriate cancel status
+				this.__resetSession();
+				this._id = null;
+				this.__status = newStatus;
+
+				// this was a manual cancel, so we can reset the retry counter
+				this.__totalAttempts = 0;
+
+				// let the user pull a new session right away
+				this.__mode = "new";
+				this.__lastUpdate = Date.now() - 30000;
+			}
+
+			/**
+			 * Call this to update the session process and call a function if there are any changes
+			 * @param {Function} callback An optional function to call if the status changed. Will be passed this session object.
+			 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+			 */
+			update(callback, thisArg) {
+
+				// if we have a new status, we can fire the callback, any status listeners, and the core's sessionStatusChanged event
+				if (this.__lastStatus !== this.__status) {
+					let previousStatus = this.__lastStatus;
+					this.__lastStatus = this.__status;
+					if (typeof(callback) === 'function') callback.call(thisArg, this);
+
+					// a listener that throws an error shouldn't stop the others, or leave the state machine half updated
+					this.__statusListeners.slice().forEach(([listener, _thisArg]) => {
+						try {
+							listener.call(_thisArg, this);
+						} catch(e) {
+							console.error("NewgroundsIO Error: A session status listener threw an error", e);
+						}
+					});
+
+					if (this.__ngioCore) {
+						this.__ngioCore.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.SESSION_STATUS_CHANGED, {
+							session: this,
+							status: this.__status,
+							previous_status: previousStatus
+						}));
+					}
+				}
+
+				// we can skip this whole routine if we're in the middle of checking things
+				if (!this.__canUpdate || this.__mode === "wait") return;
+
+				// Server is not responding as expected, it may be down...  We'll set the session back to unintialized and try again
+				if (this.__status === NewgroundsIO.SessionState.SERVER_UNAVAILABLE) {
+
+					// we've had too many failed attempts, time to stop retrying
+					if (this.__totalAttempts >= this.__maxAttempts) {
+						this.__status = NewgroundsIO.SessionState.EXCEEDED_MAX_ATTEMPTS;
+
+					// next time our delay time has passed, we'll reset this, and try our sessions again
+					} else {
+						this.__status = NewgroundsIO.SessionState.SESSION_UNINITIALIZED;
+						this.__totalAttempts++;
+					}
+				}
+
+				// first time getting here (probably).  We need to see if we have any existing session data to try...
+				if (this.__status === NewgroundsIO.SessionState.SESSION_UNINITIALIZED) {
+
+					// the URL only gets checked once, so an expired id doesn't get used again
+					if (!this.__loaded_url_key) {
+						this.__uri_id = this.__getUrlSessionId();
+						this.__loaded_url_key = true;
+					}
+
+					this.__saved_id = this.__ngioCore.storage.getSessionId(this.__ngioCore.app_id);
+
+					// check if we have a session id from our URL params (hosted on Newgrounds)
+					if (this.__uri_id) {
+						this._id = this.__uri_id;
+
+					// check if we have a saved session (hosted elsewhere or standalone app)
+					} else if (this.__saved_id) {
+						this._id = this.__saved_id;
+					}
+
+					// If we have an existing session, we'll use "check" mode to varify it, otherwise we'll nequest a "new" one.
+					this.__mode = this._id ? "check" : "new";
+				}
+
+				// make sure at least 5 seconds pass between each API call so we don't get blocked by DDOS protection.
+				if (Date.now() - this.__lastUpdate < 5000) return;
+				this.__lastUpdate = Date.now();
+
+				switch (this.__mode) {
+
+					// we don't have an existing session, so we're requesting a new one
+					case "new":
+						this.__mode = "wait";
+						this.startSession();
+						break;
+
+					// we have a session, we just need to check and see if there's a valid login attached to it
+					case "check":
+						this.__mode = "wait";
+						this.checkSession();
+						break;
+				}
+			}
+
+			// =================================== API CALLS/HANDLERS =================================== //
+
+			/**
+			 * Resets our current session object, then makes the API call to get a new session
+			 */
+			startSession() {
+				// don't check for any new updates while we're starting the new session
+				this.__canUpdate = false;
+
+				// clear out any pre-existing session data
+				this.__resetSession();
+
+				this.__status = NewgroundsIO.SessionState.WAITING_FOR_SERVER;
+
+				this.__ngioCore.executeComponent(new NewgroundsIO.components.App.startSession(), this.__onStartSession, this);
+			}
+
+			// Handles the acquisition of a new session id from the server.
+			__onStartSession(response) {
+
+				// The start session request was successful!
+				if (response.success === true && response.result && response.result.success) {
+
+					// save the new session data to this session object
+					let newSession = response.result.session;
+					this._id = newSession.id;
+					this._passport_url = newSession.passport_url;
+
+					// The update loop needs to wait until the user clicks a login button
+					this.__status = NewgroundsIO.SessionState.LOGIN_REQUIRED;
+					this.__mode = "wait";
+
+				// Something went wrong!  (Good chance the servers are down)
+				} else {
+					this.__status = NewgroundsIO.SessionState.SERVER_UNAVAILABLE;
+				}
+
+				// Let our update loop know it can actually do stuff again
+				this.__canUpdate = true;
+			}
+
+			/**
+			 * Calls the API to see what the status of our current session is
+			 */
+			checkSession() {
+				// don't check for any new updates while we're checking session
+				this.__canUpdate = false;
+
+				this.__ngioCore.executeComponent(new NewgroundsIO.components.App.checkSession(), this.__onCheckSession, this);
+			}
+
+			// Handles the response to checkSession. This may lead to a change in status if the user has signed in,
+			// cancelled, or the session has expired.
+			__onCheckSession(response) {
+
+				// The API request was successful
+				if (response.success === true && response.result) {
+
+					let result = response.result;
+
+					// Our session either failed, or the user cancelled the login on the server.
+					if (!result.success) {
+						this._id = null;
+						this.cancelLogin(result.error && result.error.code === 111 ? NewgroundsIO.SessionState.LOGIN_CANCELLED : NewgroundsIO.SessionState.LOGIN_FAILED);
+
+					// The session is expired, reset it so it's like we never had one
+					} else if (result.session.expired) {
+						this.__resetSession();
+						this._id = null;
+						this.__status = NewgroundsIO.SessionState.SESSION_UNINITIALIZED;
+						this.__mode = "new";
+
+					// we have a valid user login attached!
+					} else if (result.session.user !== null) {
+						this._user = result.session.user;
+						this.__status = NewgroundsIO.SessionState.LOGIN_SUCCESSFUL;
+						this.__mode = "valid";
+
+						// if the user selected to remember the login, save it now!
+						if (result.session.remember) {
+							this.__saved_id = this._id;
+							this._remember = true;
+							this.__ngioCore.storage.setSessionId(this.__ngioCore.app_id, this._id);
+						}
+
+					// Nothing has changed, we'll have to check again in the next loop.
+					} else {
+						this.__mode = "check";
+					}
+
+				// Something went wrong!  Servers may be down, or you got blocked for sending too many requests
+				} else {
+					this.__status = NewgroundsIO.SessionState.SERVER_UNAVAILABLE;
+				}
+
+				// Let our update loop know it can actually do stuff again
+				this.__canUpdate = true;
+			}
+
+			/**
+			 * Ends the current session on the server
+			 * @param {Function} callback An optional function to call when complete. Will be passed this session object.
+			 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+			 */
+			endSession(callback, thisArg) {
+				// don't check for any new updates while we're ending session
+				this.__canUpdate = false;
+
+				let onEndSession = response => {
+					this.__onEndSession(response);
+					if (typeof(callback) === 'function') callback.call(thisArg, this);
+				};
+
+				// there may not be a session to end on the server, but we still need to reset locally
+				if (!this.__ngioCore.executeComponent(new NewgroundsIO.components.App.endSession(), onEndSession)) onEndSession(null);
+			}
+
+			// Handler for endSession. Resets the session locally
+			__onEndSession(response) {
+				// We'll just clear out the whole session, even if something failed.
+				this.__resetSession();
+				this._id = null;
+				this.__mode = "new";
+				this.__status = NewgroundsIO.SessionState.USER_LOGGED_OUT;
+
+				// Let our update loop know it can actually do stuff again
+				this.__canUpdate = true;
+			}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Session = NewgroundsIO_objects_Session;
+
+export { NewgroundsIO_objects_Session };
@@ -0,0 +1,103 @@
+import { NewgroundsIO, NewgroundsIO_objects, NewgroundsIO_objects_UserIcons } from '../index.js';
+/**
+ * Contains information about a user.
+ */
+class NewgroundsIO_objects_User extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'User';
+		this._id = null;
+		this._name = null;
+		this._icons = null;
+		this._supporter = null;
+		this.__properties = this.__properties.concat(["id","name","icons","supporter"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The user's numeric ID.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The user's textual name.
+	 * @type {String}
+	 */
+	get name() {
+		return this._name;
+	}
+
+	set name(_name) {
+		if (_name !== null && typeof(_name) !== 'string') this.__typeMismatch('name', 'string', _name);
+		this._name = _name === null ? null : String(_name);
+
+	}
+	
+	
+	/**
+	 * The user's icon images.
+	 * @type {NewgroundsIO_objects_UserIcons}
+	 */
+	get icons() {
+		return this._icons;
+	}
+
+	set icons(_icons) {
+		
+			if (_icons !== null && typeof(_icons) === 'object' && !(_icons instanceof NewgroundsIO_objects_UserIcons)) {
+				_icons = new NewgroundsIO_objects_UserIcons(_icons);
+			}
+			if (_icons !== null && !(_icons instanceof NewgroundsIO_objects_UserIcons)) {
+				this.__typeMismatch('icons', 'NewgroundsIO_objects_UserIcons', _icons);
+			}
+			this._icons = _icons;
+		
+	}
+	
+	
+	/**
+	 * Returns true if the user has a Newgrounds Supporter upgrade.
+	 * @type {Boolean}
+	 */
+	get supporter() {
+		return this._supporter;
+	}
+
+	set supporter(_supporter) {
+				if (_supporter !== null && typeof(_supporter) !== 'boolean') this.__typeMismatch('supporter', 'boolean', _supporter);
+		this._supporter = _supporter === null ? null : (_supporter ? true : false);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.User = NewgroundsIO_objects_User;
+
+export { NewgroundsIO_objects_User };
@@ -0,0 +1,54 @@
+import { NewgroundsIO, NewgroundsIO_results, NewgroundsIO_objects_Session } from '../../index.js';
+/**
+ * Returned when App.startSession component is called
+ */
+class NewgroundsIO_results_App_startSession extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "App.startSession";
+		this._session = null;
+		this.__properties = this.__properties.concat(["session"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	
+	 * @type {NewgroundsIO_objects_Session}
+	 */
+	get session() {
+		return this._session;
+	}
+
+	set session(_session) {
+		
+			if (_session !== null && typeof(_session) === 'object' && !(_session instanceof NewgroundsIO_objects_Session)) {
+				_session = new NewgroundsIO_objects_Session(_session);
+			}
+			if (_session !== null && !(_session instanceof NewgroundsIO_objects_Session)) {
+				this.__typeMismatch('session', 'NewgroundsIO_objects_Session', _session);
+			}
+			this._session = _session;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('App.startSession', NewgroundsIO_results_App_startSession);
+if (typeof(NewgroundsIO.results.App) === 'undefined') NewgroundsIO.results.App = {};
+NewgroundsIO.results.App.startSession = NewgroundsIO_results_App_startSession;
+
+export { NewgroundsIO_results_App_startSession };
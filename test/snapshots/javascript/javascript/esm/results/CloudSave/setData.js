@@ -0,0 +1,54 @@
+import { NewgroundsIO, NewgroundsIO_results, NewgroundsIO_objects_SaveSlot } from '../../index.js';
+/**
+ * Returned when CloudSave.setData component is called
+ */
+class NewgroundsIO_results_CloudSave_setData extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.setData";
+		this._slot = null;
+		this.__properties = this.__properties.concat(["slot"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	
+	 * @type {NewgroundsIO_objects_SaveSlot}
+	 */
+	get slot() {
+		return this._slot;
+	}
+
+	set slot(_slot) {
+		
+			if (_slot !== null && typeof(_slot) === 'object' && !(_slot instanceof NewgroundsIO_objects_SaveSlot)) {
+				_slot = new NewgroundsIO_objects_SaveSlot(_slot);
+			}
+			if (_slot !== null && !(_slot instanceof NewgroundsIO_objects_SaveSlot)) {
+				this.__typeMismatch('slot', 'NewgroundsIO_objects_SaveSlot', _slot);
+			}
+			this._slot = _slot;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('CloudSave.setData', NewgroundsIO_results_CloudSave_setData);
+if (typeof(NewgroundsIO.results.CloudSave) === 'undefined') NewgroundsIO.results.CloudSave = {};
+NewgroundsIO.results.CloudSave.setData = NewgroundsIO_results_CloudSave_setData;
+
+export { NewgroundsIO_results_CloudSave_setData };
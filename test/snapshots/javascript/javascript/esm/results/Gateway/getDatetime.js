@@ -0,0 +1,66 @@
+import { NewgroundsIO, NewgroundsIO_results } from '../../index.js';
+/**
+ * Returned when Gateway.getDatetime component is called
+ */
+class NewgroundsIO_results_Gateway_getDatetime extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Gateway.getDatetime";
+		this._datetime = null;
+		this._timestamp = null;
+		this.__properties = this.__properties.concat(["datetime","timestamp"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The server's date and time in ISO 8601 format.
+	 * @type {String}
+	 */
+	get datetime() {
+		return this._datetime;
+	}
+
+	set datetime(_datetime) {
+		if (_datetime !== null && typeof(_datetime) !== 'string') this.__typeMismatch('datetime', 'string', _datetime);
+		this._datetime = _datetime === null ? null : String(_datetime);
+
+	}
+	
+	
+	/**
+	 * The current UNIX timestamp on the server.
+	 * @type {Number}
+	 */
+	get timestamp() {
+		return this._timestamp;
+	}
+
+	set timestamp(_timestamp) {
+		if (_timestamp !== null && typeof(_timestamp) !== 'number') this.__typeMismatch('timestamp', 'int', _timestamp);
+		else if (_timestamp !== null && !Number.isInteger(_timestamp)) this.__typeMismatch('timestamp', 'int', _timestamp, 'float');
+		this._timestamp = _timestamp === null ? null : Number(_timestamp);
+		if (isNaN(this._timestamp)) this._timestamp = null;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Gateway.getDatetime', NewgroundsIO_results_Gateway_getDatetime);
+if (typeof(NewgroundsIO.results.Gateway) === 'undefined') NewgroundsIO.results.Gateway = {};
+NewgroundsIO.results.Gateway.getDatetime = NewgroundsIO_results_Gateway_getDatetime;
+
+export { NewgroundsIO_results_Gateway_getDatetime };
@@ -0,0 +1,64 @@
+import { NewgroundsIO, NewgroundsIO_results, NewgroundsIO_objects_ScoreBoard } from '../../index.js';
+/**
+ * Returned when ScoreBoard.getBoards component is called
+ */
+class NewgroundsIO_results_ScoreBoard_getBoards extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.getBoards";
+		this._scoreboards = null;
+		this.__properties = this.__properties.concat(["scoreboards"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * An array of NewgroundsIO_objects_ScoreBoard objects.
+	 * @type {Array.<NewgroundsIO_objects_ScoreBoard>}
+	 */
+	get scoreboards() {
+		return this._scoreboards;
+	}
+
+	set scoreboards(_scoreboards) {
+		if (Array.isArray(_scoreboards)) {
+			let newArr = [];
+			_scoreboards.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_ScoreBoard)) {
+				val = new NewgroundsIO_objects_ScoreBoard(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_ScoreBoard)) {
+				this.__typeMismatch('scoreboards[' + index + ']', 'NewgroundsIO_objects_ScoreBoard', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._scoreboards = newArr;
+			return;
+		}
+		if (_scoreboards !== null) this.__typeMismatch('scoreboards', 'Array', _scoreboards);
+		this._scoreboards = _scoreboards;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('ScoreBoard.getBoards', NewgroundsIO_results_ScoreBoard_getBoards);
+if (typeof(NewgroundsIO.results.ScoreBoard) === 'undefined') NewgroundsIO.results.ScoreBoard = {};
+NewgroundsIO.results.ScoreBoard.getBoards = NewgroundsIO_results_ScoreBoard_getBoards;
+
+export { NewgroundsIO_results_ScoreBoard_getBoards };
@@ -0,0 +1,174 @@
+import { NewgroundsIO, NewgroundsIO_results, NewgroundsIO_objects_Score, NewgroundsIO_objects_ScoreBoard, NewgroundsIO_objects_User } from '../../index.js';
+/**
+ * Returned when ScoreBoard.getScores component is called
+ */
+class NewgroundsIO_results_ScoreBoard_getScores extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.getScores";
+		this._scoreboard = null;
+		this._scores = null;
+		this._user = null;
+		this._period = null;
+		this._social = null;
+		this._limit = null;
+		this.__properties = this.__properties.concat(["scoreboard","scores","user","period","social","limit"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The NewgroundsIO_objects_ScoreBoard being queried.
+	 * @type {NewgroundsIO_objects_ScoreBoard}
+	 */
+	get scoreboard() {
+		return this._scoreboard;
+	}
+
+	set scoreboard(_scoreboard) {
+		
+			if (_scoreboard !== null && typeof(_scoreboard) === 'object' && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				_scoreboard = new NewgroundsIO_objects_ScoreBoard(_scoreboard);
+			}
+			if (_scoreboard !== null && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				this.__typeMismatch('scoreboard', 'NewgroundsIO_objects_ScoreBoard', _scoreboard);
+			}
+			this._scoreboard = _scoreboard;
+		
+	}
+	
+	
+	/**
+	 * An array of NewgroundsIO_objects_Score objects.
+	 * @type {Array.<NewgroundsIO_objects_Score>}
+	 */
+	get scores() {
+		return this._scores;
+	}
+
+	set scores(_scores) {
+		if (Array.isArray(_scores)) {
+			let newArr = [];
+			_scores.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Score)) {
+				val = new NewgroundsIO_objects_Score(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Score)) {
+				this.__typeMismatch('scores[' + index + ']', 'NewgroundsIO_objects_Score', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._scores = newArr;
+			return;
+		}
+		if (_scores !== null) this.__typeMismatch('scores', 'Array', _scores);
+		this._scores = _scores;
+
+	}
+	
+	
+	/**
+	 * The NewgroundsIO_objects_User the score list is associated with.
+	 * @type {NewgroundsIO_objects_User}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		
+			if (_user !== null && typeof(_user) === 'object' && !(_user instanceof NewgroundsIO_objects_User)) {
+				_user = new NewgroundsIO_objects_User(_user);
+			}
+			if (_user !== null && !(_user instanceof NewgroundsIO_objects_User)) {
+				this.__typeMismatch('user', 'NewgroundsIO_objects_User', _user);
+			}
+			this._user = _user;
+		
+	}
+	
+	
+	/**
+	 * The time-frame the scores belong to.
+	 * @type {String}
+	 */
+	get period() {
+		return this._period;
+	}
+
+	set period(_period) {
+		if (_period !== null && typeof(_period) !== 'string') this.__typeMismatch('period', 'string', _period);
+		this._period = _period === null ? null : String(_period);
+
+	}
+	
+	
+	/**
+	 * Will return true if scores were loaded in social context.
+	 * @type {Boolean}
+	 */
+	get social() {
+		return this._social;
+	}
+
+	set social(_social) {
+				if (_social !== null && typeof(_social) !== 'boolean') this.__typeMismatch('social', 'boolean', _social);
+		this._social = _social === null ? null : (_social ? true : false);
+
+	}
+	
+	
+	/**
+	 * The query limit that was used.
+	 * @type {Number}
+	 */
+	get limit() {
+		return this._limit;
+	}
+
+	set limit(_limit) {
+		if (_limit !== null && typeof(_limit) !== 'number') this.__typeMismatch('limit', 'int', _limit);
+		else if (_limit !== null && !Number.isInteger(_limit)) this.__typeMismatch('limit', 'int', _limit, 'float');
+		this._limit = _limit === null ? null : Number(_limit);
+		if (isNaN(this._limit)) this._limit = null;
+
+	}
+	
+
+	
+	/**
+	 * Finds a user's score in the list that was loaded
+	 * @param {(NewgroundsIO_objects_User|Number|string)} user The user, or their ID or name (not case sensitive)
+	 * @return {NewgroundsIO_objects_Score} The score, or null if the user isn't in this list
+	 */
+	getUserScore(user)
+	{
+		if (user instanceof NewgroundsIO_objects_User) user = user.id;
+		if (typeof(user) === 'string') user = user.toLowerCase();
+
+		return (this.scores || []).find(score => {
+			if (!score || !score.user) return false;
+			return typeof(user) === 'string' ? String(score.user.name).toLowerCase() === user : score.user.id === user;
+		}) || null;
+	}
+		
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('ScoreBoard.getScores', NewgroundsIO_results_ScoreBoard_getScores);
+if (typeof(NewgroundsIO.results.ScoreBoard) === 'undefined') NewgroundsIO.results.ScoreBoard = {};
+NewgroundsIO.results.ScoreBoard.getScores = NewgroundsIO_results_ScoreBoard_getScores;
+
+export { NewgroundsIO_results_ScoreBoard_getScores };
@@ -0,0 +1,76 @@
+import { NewgroundsIO, NewgroundsIO_results, NewgroundsIO_objects_Score, NewgroundsIO_objects_ScoreBoard } from '../../index.js';
+/**
+ * Returned when ScoreBoard.postScore component is called
+ */
+class NewgroundsIO_results_ScoreBoard_postScore extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "ScoreBoard.postScore";
+		this._scoreboard = null;
+		this._score = null;
+		this.__properties = this.__properties.concat(["scoreboard","score"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The NewgroundsIO_objects_ScoreBoard that was posted to.
+	 * @type {NewgroundsIO_objects_ScoreBoard}
+	 */
+	get scoreboard() {
+		return this._scoreboard;
+	}
+
+	set scoreboard(_scoreboard) {
+		
+			if (_scoreboard !== null && typeof(_scoreboard) === 'object' && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				_scoreboard = new NewgroundsIO_objects_ScoreBoard(_scoreboard);
+			}
+			if (_scoreboard !== null && !(_scoreboard instanceof NewgroundsIO_objects_ScoreBoard)) {
+				this.__typeMismatch('scoreboard', 'NewgroundsIO_objects_ScoreBoard', _scoreboard);
+			}
+			this._scoreboard = _scoreboard;
+		
+	}
+	
+	
+	/**
+	 * The NewgroundsIO_objects_Score that was posted to the board.
+	 * @type {NewgroundsIO_objects_Score}
+	 */
+	get score() {
+		return this._score;
+	}
+
+	set score(_score) {
+		
+			if (_score !== null && typeof(_score) === 'object' && !(_score instanceof NewgroundsIO_objects_Score)) {
+				_score = new NewgroundsIO_objects_Score(_score);
+			}
+			if (_score !== null && !(_score instanceof NewgroundsIO_objects_Score)) {
+				this.__typeMismatch('score', 'NewgroundsIO_objects_Score', _score);
+			}
+			this._score = _score;
+		
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('ScoreBoard.postScore', NewgroundsIO_results_ScoreBoard_postScore);
+if (typeof(NewgroundsIO.results.ScoreBoard) === 'undefined') NewgroundsIO.results.ScoreBoard = {};
+NewgroundsIO.results.ScoreBoard.postScore = NewgroundsIO_results_ScoreBoard_postScore;
+
+export { NewgroundsIO_results_ScoreBoard_postScore };
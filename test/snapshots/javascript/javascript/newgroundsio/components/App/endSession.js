@@ -0,0 +1,31 @@
+
+/**
+ * Used to call the App.endSession component.
+ */
+class NewgroundsIO_components_App_endSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "App.endSession";
+		
+		
+		
+		
+		
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.App) === 'undefined') NewgroundsIO.components.App = {};
+NewgroundsIO.components.App.endSession = NewgroundsIO_components_App_endSession;
@@ -0,0 +1,67 @@
+
+/**
+ * Used to call the CloudSave.setData component.
+ */
+class NewgroundsIO_components_CloudSave_setData extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.setData";
+		this._id = null;
+		this._data = null;
+		this.__properties = this.__properties.concat(["id","data"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["id","data"];
+		
+		this.__requireSession = true;
+		
+		
+	}
+
+	
+	/**
+	 * The slot number.
+	 * @type {Number}
+	 */
+	get id() {
+		return this._id;
+	}
+
+	set id(_id) {
+		if (_id !== null && typeof(_id) !== 'number') this.__typeMismatch('id', 'int', _id);
+		else if (_id !== null && !Number.isInteger(_id)) this.__typeMismatch('id', 'int', _id, 'float');
+		this._id = _id === null ? null : Number(_id);
+		if (isNaN(this._id)) this._id = null;
+
+	}
+	
+	
+	/**
+	 * The data you want to save.
+	 * @type {String}
+	 */
+	get data() {
+		return this._data;
+	}
+
+	set data(_data) {
+		if (_data !== null && typeof(_data) !== 'string') this.__typeMismatch('data', 'string', _data);
+		this._data = _data === null ? null : String(_data);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.CloudSave) === 'undefined') NewgroundsIO.components.CloudSave = {};
+NewgroundsIO.components.CloudSave.setData = NewgroundsIO_components_CloudSave_setData;
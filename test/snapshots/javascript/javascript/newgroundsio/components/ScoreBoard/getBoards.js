@@ -0,0 +1,31 @@
+
+/**
+ * Used to call the ScoreBoard.getBoards component.
+ */
+class NewgroundsIO_components_ScoreBoard_getBoards extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	
+	 */
+	constructor() {
+		super();
+		this.__object = "ScoreBoard.getBoards";
+		
+		
+		
+		
+		
+		
+		this.__isIdempotent = true;
+		
+	}
+
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+if (typeof(NewgroundsIO.components.ScoreBoard) === 'undefined') NewgroundsIO.components.ScoreBoard = {};
+NewgroundsIO.components.ScoreBoard.getBoards = NewgroundsIO_components_ScoreBoard_getBoards;
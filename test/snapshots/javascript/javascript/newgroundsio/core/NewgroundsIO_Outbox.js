@@ -0,0 +1,214 @@
+
+/**
+ * Keeps secure components (ie Medal.unlock, ScoreBoard.postScore) that couldn't reach the server, and sends them again later.
+ * Entries are saved with the core's storage, so they survive the app closing, and are replayed with the session id they were first sent with.
+ * The outbox gets flushed when a user logs in, whenever a request gets through to the server, and when the browser comes back online.
+ * Enable it with the core's 'outbox' option.
+ */
+class NewgroundsIO_Outbox {
+
+	/**
+	 * Constructor
+	 * @param {NewgroundsIO} core The core instance to send components with
+	 */
+	constructor(core) {
+		this.__ngioCore = core;
+		this.__flushing = false;
+		this.__entries = this.__load();
+
+		core.addEventListener(NewgroundsIO_Event.COMPONENT_FAILED, this.__onComponentFailed, this);
+		core.addEventListener(NewgroundsIO_Event.RESPONSE_RECEIVED, this.__onResponseReceived, this);
+		core.addEventListener(NewgroundsIO_Event.SESSION_STATUS_CHANGED, this.__onSessionStatusChanged, this);
+
+		if (typeof(window) !== 'undefined' && typeof(window.addEventListener) === 'function') {
+			window.addEventListener('online', () => this.flush());
+		}
+	}
+
+	/**
+	 * The number of components waiting to be sent
+	 * @type {Number}
+	 */
+	get length()
+	{
+		return this.__entries.length;
+	}
+
+	/**
+	 * Copies of the entries waiting to be sent. Each has component (the name), parameters, session_id and queued (a timestamp) properties.
+	 * @type {Array.<object>}
+	 */
+	get entries()
+	{
+		return this.__entries.map(entry => Object.assign({}, entry));
+	}
+
+	/**
+	 * Adds a component to the outbox. A Medal.unlock that's already waiting, for the same session, won't be added twice.
+	 * @param {NewgroundsIO_components} component The component to send later
+	 * @param {string} session_id The session id to send it with
+	 * @return {Boolean} will return false if the component was already in the outbox
+	 */
+	add(component, session_id)
+	{
+		let entry = {
+			component: String(component),
+			parameters: JSON.parse(JSON.stringify(component)),
+			session_id: session_id ? session_id : null,
+			queued: Date.now()
+		};
+
+		let key = this.__getKey(entry);
+		if (key !== null && this.__entries.some(_entry => this.__getKey(_entry) === key)) return false;
+
+		this.__entries.push(entry);
+		this.__save();
+
+		this.__ngioCore.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.OUTBOX_QUEUED, {component: component}));
+		return true;
+	}
+
+	/**
+	 * Sends every waiting component, one at a time. Components the server accepts or rejects are removed,
+	 * but if the server can't be reached the rest stay in the outbox for next time.
+	 * Nothing gets sent until the core's session is active, or while another flush is running.
+	 * @param {Function} callback An optional function to call when done. Will be passed a {delivered, failed, remaining} object,
+	 *        where delivered and failed are arrays of NewgroundsIO_results and remaining is the number of components still waiting.
+	 * @param {Object} thisArg An optional value to use as 'this' when executing callback
+	 */
+	flush(callback, thisArg)
+	{
+		let report = {delivered: [], failed: [], remaining: this.__entries.length};
+
+		let done = () => {
+			this.__flushing = false;
+			report.remaining = this.__entries.length;
+			if (typeof(callback) === 'function') callback.call(thisArg, report);
+		};
+
+		if (this.__flushing || !this.__ngioCore.session.isActive()) {
+			if (typeof(callback) === 'function') callback.call(thisArg, report);
+			return;
+		}
+
+		this.__flushing = true;
+
+		let sendNext = () => {
+			if (this.__entries.length < 1) return done();
+
+			let entry = this.__entries[0];
+			let component = this.__getComponent(entry);
+
+			// drop anything we can't rebuild, rather than getting stuck on it
+			if (!component) {
+				this.__remove(entry);
+				return sendNext();
+			}
+
+			let request = this.__ngioCore.getRequest();
+			request.session_id = entry.session_id;
+
+			let sent = request.send(component, response => {
+				if (response.__connectionFailed) return done();
+
+				let result = this.__ngioCore.__getListedResult(component, response, 0);
+				this.__remove(entry);
+
+				if (response.success && result.success) {
+					report.delivered.push(result);
+					this.__ngioCore.dispatchEvent(new NewgroundsIO_Event(NewgroundsIO_Event.OUTBOX_DELIVERED, {
+						request: request,
+						component: component,
+						response: response,
+						result: result
+					}));
+				} else {
+					report.failed.push(result);
+				}
+
+				sendNext();
+			});
+
+			// the session went away, so try again when there's a new one
+			if (!sent) done();
+		};
+
+		sendNext();
+	}
+
+	/**
+	 * Removes every waiting component without sending them
+	 */
+	clear()
+	{
+		this.__entries = [];
+		this.__save();
+	}
+
+	// gets the key used to spot duplicate entries, or null if the entry can be sent any number of times
+	__getKey(entry)
+	{
+		if (entry.component !== "Medal.unlock") return null;
+		return entry.component + ":" + entry.session_id + ":" + entry.parameters.id;
+	}
+
+	// rebuilds the component for an entry
+	__getComponent(entry)
+	{
+		let [componentName, methodName] = entry.component.split(".");
+		let componentClass = NewgroundsIO.components[componentName] ? NewgroundsIO.components[componentName][methodName] : null;
+		if (typeof(componentClass) !== 'function') return null;
+
+		let component = new componentClass(entry.parameters);
+		component.__outboxEntry = entry;
+		return component;
+	}
+
+	__remove(entry)
+	{
+		this.__entries = this.__entries.filter(_entry => _entry !== entry);
+		this.__save();
+	}
+
+	__load()
+	{
+		let saved = this.__ngioCore.storage.getOutbox ? this.__ngioCore.storage.getOutbox(this.__ngioCore.app_id) : null;
+		if (!saved) return [];
+
+		try {
+			let entries = JSON.parse(saved);
+			return Array.isArray(entries) ? entries : [];
+		} catch(e) {
+			return [];
+		}
+	}
+
+	__save()
+	{
+		let storage = this.__ngioCore.storage;
+		if (!storage.setOutbox) return;
+
+		if (this.__entries.length > 0) storage.setOutbox(this.__ngioCore.app_id, JSON.stringify(this.__entries));
+		else if (storage.removeOutbox) storage.removeOutbox(this.__ngioCore.app_id);
+	}
+
+	// keeps secure components that couldn't reach the server (unless they're already being replayed from here)
+	__onComponentFailed(event)
+	{
+		if (!event.response.__connectionFailed || !event.component.__isSecure || event.component.__outboxEntry) return;
+		this.add(event.component, event.request.session_id);
+	}
+
+	// a request got through, so the connection is back
+	__onResponseReceived(event)
+	{
+		if (!event.response.__connectionFailed && this.__entries.length > 0) this.flush();
+	}
+
+	__onSessionStatusChanged(event)
+	{
+		if (event.status === NewgroundsIO.SessionState.LOGIN_SUCCESSFUL && this.__entries.length > 0) this.flush();
+	}
+}
+
+NewgroundsIO.Outbox = NewgroundsIO_Outbox;
@@ -0,0 +1,140 @@
+
+/**
+ * Spaces out requests so we don't get blocked by DDOS protection, and retries requests that failed to reach the server.
+ * Retries wait longer after each failed attempt (retry_delay, then double that, and so on, up to max_retry_delay).
+ * Only requests where every component is idempotent get retried, so nothing gets unlocked or posted twice.
+ * One scheduler can be shared by several NewgroundsIO instances with the 'scheduler' option.
+ */
+class NewgroundsIO_RequestScheduler {
+
+	/**
+	 * Constructor
+	 * @param {object} options Optional settings (min_interval, max_attempts, retry_delay, max_retry_delay)
+	 */
+	constructor(options) {
+		if (typeof(options) !== 'object' || options === null) options = {};
+
+		/**
+		 * The minimum number of milliseconds between requests
+		 * @type {Number}
+		 */
+		this.min_interval = typeof(options.min_interval) === 'number' ? options.min_interval : NewgroundsIO_RequestScheduler.MIN_INTERVAL;
+
+		/**
+		 * The most times a request will be sent before giving up
+		 * @type {Number}
+		 */
+		this.max_attempts = typeof(options.max_attempts) === 'number' ? options.max_attempts : NewgroundsIO_RequestScheduler.MAX_ATTEMPTS;
+
+		/**
+		 * The number of milliseconds to wait before the first retry
+		 * @type {Number}
+		 */
+		this.retry_delay = typeof(options.retry_delay) === 'number' ? options.retry_delay : NewgroundsIO_RequestScheduler.RETRY_DELAY;
+
+		/**
+		 * The longest a retry will wait, in milliseconds
+		 * @type {Number}
+		 */
+		this.max_retry_delay = typeof(options.max_retry_delay) === 'number' ? options.max_retry_delay : NewgroundsIO_RequestScheduler.MAX_RETRY_DELAY;
+
+		// requests waiting to be sent, and when the last one went out
+		this.__queue = [];
+		this.__lastSent = 0;
+		this.__timer = null;
+	}
+
+	/**
+	 * The number of requests waiting to be sent (not counting any waiting to be retried)
+	 * @type {Number}
+	 */
+	get pending()
+	{
+		return this.__queue.length;
+	}
+
+	/**
+	 * Adds a request to the schedule. It will be sent right away if enough time has passed since the last one.
+	 * @param {Function} post Sends the request. Will be passed a function to call with (error, responseText), like a transport.
+	 * @param {Boolean} retryable Set to true if the request is safe to send more than once
+	 * @param {Function} callback Gets called with (error, responseText, attempts) when the request is done.
+	 *        attempts is the number of times the request was sent, so anything over 1 with an error means every retry failed too.
+	 */
+	schedule(post, retryable, callback)
+	{
+		this.__queue.push({post: post, retryable: retryable ? true : false, callback: callback, attempts: 0});
+		this.__sendNext();
+	}
+
+	/**
+	 * Gets how long to wait before retrying a request
+	 * @param {Number} attempts The number of times the request has been sent
+	 * @return {Number} The delay, in milliseconds
+	 */
+	getRetryDelay(attempts)
+	{
+		return Math.min(this.retry_delay * Math.pow(2, attempts - 1), this.max_retry_delay);
+	}
+
+	// sends the next request, or waits until it can be sent
+	__sendNext()
+	{
+		if (this.__timer !== null || this.__queue.length < 1) return;
+
+		let wait = this.__lastSent + this.min_interval - Date.now();
+		if (wait > 0) {
+			this.__timer = setTimeout(() => {
+				this.__timer = null;
+				this.__sendNext();
+			}, wait);
+			return;
+		}
+
+		let job = this.__queue.shift();
+		this.__lastSent = Date.now();
+		job.attempts++;
+		job.post((error, responseText) => this.__onPosted(job, error, responseText));
+
+		this.__sendNext();
+	}
+
+	// retries a failed request after a delay, or passes the outcome to its callback
+	__onPosted(job, error, responseText)
+	{
+		if (error && job.retryable && job.attempts < this.max_attempts) {
+			setTimeout(() => {
+				this.__queue.unshift(job);
+				this.__sendNext();
+			}, this.getRetryDelay(job.attempts));
+			return;
+		}
+
+		job.callback(error, responseText, job.attempts);
+	}
+}
+
+/**
+ * The default minimum number of milliseconds between requests
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.MIN_INTERVAL = 250;
+
+/**
+ * The default number of times a request will be sent before giving up
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.MAX_ATTEMPTS = 5;
+
+/**
+ * The default number of milliseconds to wait before the first retry
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.RETRY_DELAY = 1000;
+
+/**
+ * The default longest a retry will wait, in milliseconds
+ * @type {Number}
+ */
+NewgroundsIO_RequestScheduler.MAX_RETRY_DELAY = 30000;
+
+NewgroundsIO.RequestScheduler = NewgroundsIO_RequestScheduler;
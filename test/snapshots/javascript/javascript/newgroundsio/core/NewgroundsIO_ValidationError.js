@@ -0,0 +1,47 @@
+
+/**
+ * Describes a property that was given the wrong type of value, or is missing a required value.
+ * These get thrown, collected or logged depending on NewgroundsIO.validationMode.
+ */
+class NewgroundsIO_ValidationError extends Error {
+
+	/**
+	 * Constructor
+	 * @param {string} className The name of the class that owns the property (ie 'NewgroundsIO_objects_Medal')
+	 * @param {string} property The name of the property (array values will include their index, ie 'medals[2]')
+	 * @param {string} expected The type the property expects (ie 'int' or 'NewgroundsIO_objects_User')
+	 * @param {string} actual The type that was actually used
+	 * @param {string} message An optional message. One will be built from the other values if this is omitted.
+	 */
+	constructor(className, property, expected, actual, message) {
+		super(message ? message : "NewgroundsIO Type Mismatch: " + className + "." + property + " should be a " + expected + ", got a " + actual);
+
+		this.name = "NewgroundsIO_ValidationError";
+
+		/**
+		 * The name of the class that owns the property
+		 * @type {string}
+		 */
+		this.className = className;
+
+		/**
+		 * The name of the property
+		 * @type {string}
+		 */
+		this.property = property;
+
+		/**
+		 * The type the property expects
+		 * @type {string}
+		 */
+		this.expected = expected;
+
+		/**
+		 * The type that was actually used
+		 * @type {string}
+		 */
+		this.actual = actual;
+	}
+}
+
+NewgroundsIO.ValidationError = NewgroundsIO_ValidationError;
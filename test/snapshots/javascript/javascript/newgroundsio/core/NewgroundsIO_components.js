@@ -0,0 +1,17 @@
+
+/**
+ * The base class for every NewgroundsIO component.
+ */
+class NewgroundsIO_components extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor() {
+		super();
+		this.__object = "Component";
+		this.__isSecure = false;
+		this.__requireSession = false;
+		this.__isIdempotent = false;
+	}
+}
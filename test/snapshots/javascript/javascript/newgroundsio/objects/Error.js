@@ -0,0 +1,63 @@
+
+/**
+
+ */
+class NewgroundsIO_objects_Error extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Error';
+		this._message = null;
+		this._code = null;
+		this.__properties = this.__properties.concat(["message","code"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * Contains details about the error.
+	 * @type {String}
+	 */
+	get message() {
+		return this._message;
+	}
+
+	set message(_message) {
+		if (_message !== null && typeof(_message) !== 'string') this.__typeMismatch('message', 'string', _message);
+		this._message = _message === null ? null : String(_message);
+
+	}
+	
+	
+	/**
+	 * A code indication the error type.
+	 * @type {Number}
+	 */
+	get code() {
+		return this._code;
+	}
+
+	set code(_code) {
+		if (_code !== null && typeof(_code) !== 'number') this.__typeMismatch('code', 'int', _code);
+		else if (_code !== null && !Number.isInteger(_code)) this.__typeMismatch('code', 'int', _code, 'float');
+		this._code = _code === null ? null : Number(_code);
+		if (isNaN(this._code)) this._code = null;
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Error = NewgroundsIO_objects_Error;
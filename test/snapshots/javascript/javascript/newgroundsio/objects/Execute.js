@@ -0,0 +1,166 @@
+
+/**
+ * Contains all the information needed to execute an API component.
+ */
+class NewgroundsIO_objects_Execute extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Execute';
+		this._component = null;
+		this._parameters = null;
+		this._secure = null;
+		this._echo = null;
+		this.__properties = this.__properties.concat(["component","parameters","secure","echo"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = ["component"];
+		
+			this.__componentObject = null;
+		
+	}
+
+	
+	/**
+	 * The name of the component you want to call, ie 'App.checkSession'.
+	 * @type {String}
+	 */
+	get component() {
+		return this._component;
+	}
+
+	set component(_component) {
+		if (_component !== null && typeof(_component) !== 'string') this.__typeMismatch('component', 'string', _component);
+		this._component = _component === null ? null : String(_component);
+
+	}
+	
+	
+	/**
+	 * An object of parameters you want to pass to the component.
+	 * @type {(Object|Array.<Object>)}
+	 */
+	get parameters() {
+		return this._parameters;
+	}
+
+	set parameters(_parameters) {
+		if (Array.isArray(_parameters)) {
+			let newArr = [];
+			_parameters.forEach((val, index) => {
+								if (typeof(val) !== 'object') this.__typeMismatch('parameters[' + index + ']', 'object', val);
+				newArr[index] = val;
+			});
+			this._parameters = newArr;
+			return;
+		}
+				if (typeof(_parameters) !== 'object') this.__typeMismatch('parameters', 'object', _parameters);
+		this._parameters = _parameters;
+
+	}
+	
+	
+	/**
+	 * A an encrypted NewgroundsIO_objects_Execute object or array of NewgroundsIO_objects_Execute objects.
+	 * @type {String}
+	 */
+	get secure() {
+		return this._secure;
+	}
+
+	set secure(_secure) {
+		if (_secure !== null && typeof(_secure) !== 'string') this.__typeMismatch('secure', 'string', _secure);
+		this._secure = _secure === null ? null : String(_secure);
+
+	}
+	
+	
+	/**
+	 * An optional value that will be returned, verbatim, in the NewgroundsIO_objects_Result object.
+	 * @type {String}
+	 */
+	get echo() {
+		return this._echo;
+	}
+
+	set echo(_echo) {
+		if (_echo !== null && typeof(_echo) !== 'string') this.__typeMismatch('echo', 'string', _echo);
+		this._echo = _echo === null ? null : String(_echo);
+
+	}
+	
+
+	
+		/**
+		 * Set a component object to execute
+		 * @param {NewgroundsIO_components} component Any NGIO component object
+		 */
+		setComponent(component)
+		{
+			if (!(component instanceof NewgroundsIO_components))
+				console.error('NewgroundsIO Error: Expecting NewgroundsIO component, got '+typeof(component));
+
+			this.__componentObject = component;
+
+			// set the string name of the component;
+			this.component = component.toString();
+			this.parameters = component.toJSON();
+		}
+
+		/**
+		 * Validate this object (overrides default validator)
+		 * @return {Boolean}
+		 */
+		isValid()
+		{
+			// must have a component set
+			if (!this.component) {
+				console.error('NewgroundsIO Error: Missing required component!');
+			}
+
+			// must be linked to a core NewgroundsIO instance
+			if (!this.__ngioCore) {
+				console.error('NewgroundsIO Error: Must call setCore() before validating!');
+				return false;
+			}
+
+			// SHOULD have an actual component object. Validate that as well, if it exists
+			if (this.__componentObject) {
+				if (this.__componentObject.__isSecure && !this.__ngioCore.aes_key) {
+					console.error('NewgroundsIO Error: '+this.component+' is a secure component and requires an aes_key!');
+					return false;
+				}
+
+				if (this.__componentObject.__requireSession && !this.__ngioCore.session.isActive()) {
+					console.warn('NewgroundsIO Warning: '+this.component+' can only be used with a valid user session.');
+					this.__ngioCore.session.logProblems();
+					return false;
+				}
+
+				return (this.__componentObject instanceof NewgroundsIO_components) && this.__componentObject.isValid();
+			}
+
+			return true;
+		}
+
+		/**
+		 * Override the default toJSON handler and use encryption on components that require it
+		 * @return {object} A native JS object that can be converted to a JSON string
+		 */
+		toJSON()
+		{
+			if (this.__componentObject && this.__componentObject.__isSecure) return this.toSecureJSON();
+			return super.toJSON();
+		}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Execute = NewgroundsIO_objects_Execute;
@@ -0,0 +1,223 @@
+
+/**
+ * Contains all return output from an API request.
+ */
+class NewgroundsIO_objects_Response extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Response';
+		this._app_id = null;
+		this._success = null;
+		this._debug = null;
+		this._result = null;
+		this._error = null;
+		this._api_version = null;
+		this._help_url = null;
+		this._echo = null;
+		this.__properties = this.__properties.concat(["app_id","success","debug","result","error","api_version","help_url","echo"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * Your application's unique ID
+	 * @type {String}
+	 */
+	get app_id() {
+		return this._app_id;
+	}
+
+	set app_id(_app_id) {
+		if (_app_id !== null && typeof(_app_id) !== 'string') this.__typeMismatch('app_id', 'string', _app_id);
+		this._app_id = _app_id === null ? null : String(_app_id);
+
+	}
+	
+	
+	/**
+	 * If false, there was a problem with your 'request' object. Details will be in the error property.
+	 * @type {Boolean}
+	 */
+	get success() {
+		return this._success;
+	}
+
+	set success(_success) {
+				if (_success !== null && typeof(_success) !== 'boolean') this.__typeMismatch('success', 'boolean', _success);
+		this._success = _success === null ? null : (_success ? true : false);
+
+	}
+	
+	
+	/**
+	 * Contains extra information you may need when debugging (debug mode only).
+	 * @type {NewgroundsIO_objects_Debug}
+	 */
+	get debug() {
+		return this._debug;
+	}
+
+	set debug(_debug) {
+		
+			if (_debug !== null && typeof(_debug) === 'object' && !(_debug instanceof NewgroundsIO_objects_Debug)) {
+				_debug = new NewgroundsIO_objects_Debug(_debug);
+			}
+			if (_debug !== null && !(_debug instanceof NewgroundsIO_objects_Debug)) {
+				this.__typeMismatch('debug', 'NewgroundsIO_objects_Debug', _debug);
+			}
+			this._debug = _debug;
+		
+	}
+	
+	
+	/**
+	 * This will be a NewgroundsIO_objects_Result object, or a list of NewgroundsIO_objects_Result objects.
+	 * @type {(NewgroundsIO_objects_Result|Array.<NewgroundsIO_objects_Result>)}
+	 */
+	get result() {
+		return this._result;
+	}
+
+	set result(_result) {
+		if (Array.isArray(_result)) {
+			let newArr = [];
+			_result.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Result)) {
+				val = new NewgroundsIO_objects_Result(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Result)) {
+				this.__typeMismatch('result[' + index + ']', 'NewgroundsIO_objects_Result', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._result = newArr;
+			return;
+		}
+		
+			if (_result !== null && typeof(_result) === 'object' && !(_result instanceof NewgroundsIO_objects_Result)) {
+				_result = new NewgroundsIO_objects_Result(_result);
+			}
+			if (_result !== null && !(_result instanceof NewgroundsIO_objects_Result)) {
+				this.__typeMismatch('result', 'NewgroundsIO_objects_Result', _result);
+			}
+			this._result = _result;
+		
+	}
+	
+	
+	/**
+	 * This will contain any error info if the success property is false.
+	 * @type {NewgroundsIO_objects_Error}
+	 */
+	get error() {
+		return this._error;
+	}
+
+	set error(_error) {
+		
+			if (_error !== null && typeof(_error) === 'object' && !(_error instanceof NewgroundsIO_objects_Error)) {
+				_error = new NewgroundsIO_objects_Error(_error);
+			}
+			if (_error !== null && !(_error instanceof NewgroundsIO_objects_Error)) {
+				this.__typeMismatch('error', 'NewgroundsIO_objects_Error', _error);
+			}
+			this._error = _error;
+		
+	}
+	
+	
+	/**
+	 * If there was an error, this will contain the current version number of the API gateway.
+	 * @type {String}
+	 */
+	get api_version() {
+		return this._api_version;
+	}
+
+	set api_version(_api_version) {
+		if (_api_version !== null && typeof(_api_version) !== 'string') this.__typeMismatch('api_version', 'string', _api_version);
+		this._api_version = _api_version === null ? null : String(_api_version);
+
+	}
+	
+	
+	/**
+	 * If there was an error, this will contain the URL for our help docs.
+	 * @type {String}
+	 */
+	get help_url() {
+		return this._help_url;
+	}
+
+	set help_url(_help_url) {
+		if (_help_url !== null && typeof(_help_url) !== 'string') this.__typeMismatch('help_url', 'string', _help_url);
+		this._help_url = _help_url === null ? null : String(_help_url);
+
+	}
+	
+	
+	/**
+	 * The echo value from the NewgroundsIO_objects_Request object.
+	 * @type {String}
+	 */
+	get echo() {
+		return this._echo;
+	}
+
+	set echo(_echo) {
+		if (_echo !== null && typeof(_echo) !== 'string') this.__typeMismatch('echo', 'string', _echo);
+		this._echo = _echo === null ? null : String(_echo);
+
+	}
+	
+
+	
+		/**
+		 * There is no Result model, so this replaces the generated setter and casts each result to its registered NewgroundsIO_results class
+		 * @param {(object|Array.<object>)} _result A result, or list of results, as decoded from the server response
+		 */
+		set result(_result) {
+			if (Array.isArray(_result)) {
+				this._result = _result.map(result => this.__castResult(result));
+				return;
+			}
+			this._result = this.__castResult(_result);
+		}
+
+		/**
+		 * Turns a decoded result into an instance of the NewgroundsIO_results class registered to its component
+		 * @param {object} result A decoded result object, with component and data properties
+		 * @return {NewgroundsIO_results}
+		 */
+		__castResult(result)
+		{
+			if (result instanceof NewgroundsIO_results || result === null || typeof(result) !== 'object') return result;
+
+			let resultClass = NewgroundsIO_results.getResultClass(result.component);
+
+			// components that don't return any data only get the basic success/error properties
+			if (!resultClass) resultClass = NewgroundsIO_results;
+
+			let instance = new resultClass(result.data);
+			instance.__object = result.component;
+
+			return instance;
+		}
+		
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Response = NewgroundsIO_objects_Response;
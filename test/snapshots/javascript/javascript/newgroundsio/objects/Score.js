@@ -0,0 +1,101 @@
+
+/**
+ * Contains information about a score posted to a scoreboard.
+ */
+class NewgroundsIO_objects_Score extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'Score';
+		this._user = null;
+		this._value = null;
+		this._formatted_value = null;
+		this._tag = null;
+		this.__properties = this.__properties.concat(["user","value","formatted_value","tag"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The user who earned score. If this property is absent, the score belongs to the active user.
+	 * @type {NewgroundsIO_objects_User}
+	 */
+	get user() {
+		return this._user;
+	}
+
+	set user(_user) {
+		
+			if (_user !== null && typeof(_user) === 'object' && !(_user instanceof NewgroundsIO_objects_User)) {
+				_user = new NewgroundsIO_objects_User(_user);
+			}
+			if (_user !== null && !(_user instanceof NewgroundsIO_objects_User)) {
+				this.__typeMismatch('user', 'NewgroundsIO_objects_User', _user);
+			}
+			this._user = _user;
+		
+	}
+	
+	
+	/**
+	 * The integer value of the score.
+	 * @type {Number}
+	 */
+	get value() {
+		return this._value;
+	}
+
+	set value(_value) {
+		if (_value !== null && typeof(_value) !== 'number') this.__typeMismatch('value', 'int', _value);
+		else if (_value !== null && !Number.isInteger(_value)) this.__typeMismatch('value', 'int', _value, 'float');
+		this._value = _value === null ? null : Number(_value);
+		if (isNaN(this._value)) this._value = null;
+
+	}
+	
+	
+	/**
+	 * The score value in the format selected in your scoreboard settings.
+	 * @type {String}
+	 */
+	get formatted_value() {
+		return this._formatted_value;
+	}
+
+	set formatted_value(_formatted_value) {
+		if (_formatted_value !== null && typeof(_formatted_value) !== 'string') this.__typeMismatch('formatted_value', 'string', _formatted_value);
+		this._formatted_value = _formatted_value === null ? null : String(_formatted_value);
+
+	}
+	
+	
+	/**
+	 * The tag attached to this score (if any).
+	 * @type {String}
+	 */
+	get tag() {
+		return this._tag;
+	}
+
+	set tag(_tag) {
+		if (_tag !== null && typeof(_tag) !== 'string') this.__typeMismatch('tag', 'string', _tag);
+		this._tag = _tag === null ? null : String(_tag);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.Score = NewgroundsIO_objects_Score;
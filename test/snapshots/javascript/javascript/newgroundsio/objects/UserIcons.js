@@ -0,0 +1,77 @@
+
+/**
+ * Contains any icons associated with this user.
+ */
+class NewgroundsIO_objects_UserIcons extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = 'UserIcons';
+		this._small = null;
+		this._medium = null;
+		this._large = null;
+		this.__properties = this.__properties.concat(["small","medium","large"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		this.__required = [];
+		
+	}
+
+	
+	/**
+	 * The URL of the user's small icon
+	 * @type {String}
+	 */
+	get small() {
+		return this._small;
+	}
+
+	set small(_small) {
+		if (_small !== null && typeof(_small) !== 'string') this.__typeMismatch('small', 'string', _small);
+		this._small = _small === null ? null : String(_small);
+
+	}
+	
+	
+	/**
+	 * The URL of the user's medium icon
+	 * @type {String}
+	 */
+	get medium() {
+		return this._medium;
+	}
+
+	set medium(_medium) {
+		if (_medium !== null && typeof(_medium) !== 'string') this.__typeMismatch('medium', 'string', _medium);
+		this._medium = _medium === null ? null : String(_medium);
+
+	}
+	
+	
+	/**
+	 * The URL of the user's large icon
+	 * @type {String}
+	 */
+	get large() {
+		return this._large;
+	}
+
+	set large(_large) {
+		if (_large !== null && typeof(_large) !== 'string') this.__typeMismatch('large', 'string', _large);
+		this._large = _large === null ? null : String(_large);
+
+	}
+	
+
+	
+}
+
+// Alias to the NewgroundsIO.objects namespace
+NewgroundsIO.objects.UserIcons = NewgroundsIO_objects_UserIcons;
@@ -0,0 +1,62 @@
+
+/**
+ * Returned when CloudSave.loadSlots component is called
+ */
+class NewgroundsIO_results_CloudSave_loadSlots extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "CloudSave.loadSlots";
+		this._slots = null;
+		this.__properties = this.__properties.concat(["slots"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * An array of NewgroundsIO_objects_SaveSlot objects.
+	 * @type {Array.<NewgroundsIO_objects_SaveSlot>}
+	 */
+	get slots() {
+		return this._slots;
+	}
+
+	set slots(_slots) {
+		if (Array.isArray(_slots)) {
+			let newArr = [];
+			_slots.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_SaveSlot)) {
+				val = new NewgroundsIO_objects_SaveSlot(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_SaveSlot)) {
+				this.__typeMismatch('slots[' + index + ']', 'NewgroundsIO_objects_SaveSlot', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._slots = newArr;
+			return;
+		}
+		if (_slots !== null) this.__typeMismatch('slots', 'Array', _slots);
+		this._slots = _slots;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('CloudSave.loadSlots', NewgroundsIO_results_CloudSave_loadSlots);
+if (typeof(NewgroundsIO.results.CloudSave) === 'undefined') NewgroundsIO.results.CloudSave = {};
+NewgroundsIO.results.CloudSave.loadSlots = NewgroundsIO_results_CloudSave_loadSlots;
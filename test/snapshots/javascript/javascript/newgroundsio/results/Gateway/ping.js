@@ -0,0 +1,46 @@
+
+/**
+ * Returned when Gateway.ping component is called
+ */
+class NewgroundsIO_results_Gateway_ping extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Gateway.ping";
+		this._pong = null;
+		this.__properties = this.__properties.concat(["pong"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * Will always return a value of 'pong'
+	 * @type {String}
+	 */
+	get pong() {
+		return this._pong;
+	}
+
+	set pong(_pong) {
+		if (_pong !== null && typeof(_pong) !== 'string') this.__typeMismatch('pong', 'string', _pong);
+		this._pong = _pong === null ? null : String(_pong);
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Gateway.ping', NewgroundsIO_results_Gateway_ping);
+if (typeof(NewgroundsIO.results.Gateway) === 'undefined') NewgroundsIO.results.Gateway = {};
+NewgroundsIO.results.Gateway.ping = NewgroundsIO_results_Gateway_ping;
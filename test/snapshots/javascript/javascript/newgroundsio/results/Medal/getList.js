@@ -0,0 +1,62 @@
+
+/**
+ * Returned when Medal.getList component is called
+ */
+class NewgroundsIO_results_Medal_getList extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.getList";
+		this._medals = null;
+		this.__properties = this.__properties.concat(["medals"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * An array of medal objects.
+	 * @type {Array.<NewgroundsIO_objects_Medal>}
+	 */
+	get medals() {
+		return this._medals;
+	}
+
+	set medals(_medals) {
+		if (Array.isArray(_medals)) {
+			let newArr = [];
+			_medals.forEach((val, index) => {
+				
+			if (val !== null && typeof(val) === 'object' && !(val instanceof NewgroundsIO_objects_Medal)) {
+				val = new NewgroundsIO_objects_Medal(val);
+			}
+			if (val !== null && !(val instanceof NewgroundsIO_objects_Medal)) {
+				this.__typeMismatch('medals[' + index + ']', 'NewgroundsIO_objects_Medal', val);
+			}
+			newArr[index] = val;
+		
+			});
+			this._medals = newArr;
+			return;
+		}
+		if (_medals !== null) this.__typeMismatch('medals', 'Array', _medals);
+		this._medals = _medals;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Medal.getList', NewgroundsIO_results_Medal_getList);
+if (typeof(NewgroundsIO.results.Medal) === 'undefined') NewgroundsIO.results.Medal = {};
+NewgroundsIO.results.Medal.getList = NewgroundsIO_results_Medal_getList;
@@ -0,0 +1,70 @@
+
+/**
+ * Returned when Medal.unlock component is called
+ */
+class NewgroundsIO_results_Medal_unlock extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	@param {object} props An object of initial properties for this instance
+	 */
+	constructor(props) {
+		super();
+		this.__object = "Medal.unlock";
+		this._medal = null;
+		this._medal_score = null;
+		this.__properties = this.__properties.concat(["medal","medal_score"]);
+		if (typeof(props) === 'object') {
+			for (let i = 0; i < this.__properties.length; i++) {
+				if (typeof(props[this.__properties[i]]) !== 'undefined') this[this.__properties[i]] = props[this.__properties[i]];
+			}
+		}
+		
+	}
+
+	
+	/**
+	 * The NewgroundsIO_objects_Medal that was unlocked.
+	 * @type {NewgroundsIO_objects_Medal}
+	 */
+	get medal() {
+		return this._medal;
+	}
+
+	set medal(_medal) {
+		
+			if (_medal !== null && typeof(_medal) === 'object' && !(_medal instanceof NewgroundsIO_objects_Medal)) {
+				_medal = new NewgroundsIO_objects_Medal(_medal);
+			}
+			if (_medal !== null && !(_medal instanceof NewgroundsIO_objects_Medal)) {
+				this.__typeMismatch('medal', 'NewgroundsIO_objects_Medal', _medal);
+			}
+			this._medal = _medal;
+		
+	}
+	
+	
+	/**
+	 * The user's new medal score.
+	 * @type {Number}
+	 */
+	get medal_score() {
+		return this._medal_score;
+	}
+
+	set medal_score(_medal_score) {
+		if (_medal_score !== null && typeof(_medal_score) !== 'number') this.__typeMismatch('medal_score', 'int', _medal_score);
+		else if (_medal_score !== null && !Number.isInteger(_medal_score)) this.__typeMismatch('medal_score', 'int', _medal_score, 'float');
+		this._medal_score = _medal_score === null ? null : Number(_medal_score);
+		if (isNaN(this._medal_score)) this._medal_score = null;
+
+	}
+	
+
+	
+}
+
+// Make an alias for this class so it can be used dynamically with string names
+NewgroundsIO_results.registerComponent('Medal.unlock', NewgroundsIO_results_Medal_unlock);
+if (typeof(NewgroundsIO.results.Medal) === 'undefined') NewgroundsIO.results.Medal = {};
+NewgroundsIO.results.Medal.unlock = NewgroundsIO_results_Medal_unlock;
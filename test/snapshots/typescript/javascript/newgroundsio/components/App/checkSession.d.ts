@@ -0,0 +1,25 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_App_checkSession constructor
+ */
+interface NewgroundsIO_components_App_checkSession_Props {
+}
+
+/**
+ * Used to call the App.checkSession component.
+ */
+declare class NewgroundsIO_components_App_checkSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_App_checkSession_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "App.checkSession";
+
+
+}
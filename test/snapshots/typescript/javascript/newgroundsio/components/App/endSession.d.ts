@@ -0,0 +1,25 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_App_endSession constructor
+ */
+interface NewgroundsIO_components_App_endSession_Props {
+}
+
+/**
+ * Used to call the App.endSession component.
+ */
+declare class NewgroundsIO_components_App_endSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_App_endSession_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "App.endSession";
+
+
+}
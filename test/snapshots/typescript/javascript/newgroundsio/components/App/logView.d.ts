@@ -0,0 +1,31 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_App_logView constructor
+ */
+interface NewgroundsIO_components_App_logView_Props {
+	host: string;
+}
+
+/**
+ * Used to call the App.logView component.
+ */
+declare class NewgroundsIO_components_App_logView extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_App_logView_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "App.logView";
+
+	/**
+	 * The domain hosting your app. Examples: "www.somesite.com", "localHost"
+	 */
+	host: string | null;
+
+
+}
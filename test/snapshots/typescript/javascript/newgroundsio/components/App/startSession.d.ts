@@ -0,0 +1,32 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_App_startSession constructor
+ */
+interface NewgroundsIO_components_App_startSession_Props {
+	force?: boolean | null;
+}
+
+/**
+ * Used to call the App.startSession component.
+ */
+declare class NewgroundsIO_components_App_startSession extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_App_startSession_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "App.startSession";
+
+	/**
+	 * If true, will create a new session even if the user already has an existing one.
+	 *        Note: Any previous session ids will no longer be valid if this is used.
+	 */
+	force: boolean | null;
+
+
+}
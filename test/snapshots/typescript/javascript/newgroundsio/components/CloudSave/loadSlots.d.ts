@@ -0,0 +1,31 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_CloudSave_loadSlots constructor
+ */
+interface NewgroundsIO_components_CloudSave_loadSlots_Props {
+	app_id?: string | null;
+}
+
+/**
+ * Used to call the CloudSave.loadSlots component.
+ */
+declare class NewgroundsIO_components_CloudSave_loadSlots extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_CloudSave_loadSlots_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "CloudSave.loadSlots";
+
+	/**
+	 * The App ID of another, approved app to load slot data from.
+	 */
+	app_id: string | null;
+
+
+}
@@ -0,0 +1,37 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_CloudSave_setData constructor
+ */
+interface NewgroundsIO_components_CloudSave_setData_Props {
+	id: number;
+	data: string;
+}
+
+/**
+ * Used to call the CloudSave.setData component.
+ */
+declare class NewgroundsIO_components_CloudSave_setData extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_CloudSave_setData_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "CloudSave.setData";
+
+	/**
+	 * The slot number.
+	 */
+	id: number | null;
+
+	/**
+	 * The data you want to save.
+	 */
+	data: string | null;
+
+
+}
@@ -0,0 +1,25 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_Gateway_getDatetime constructor
+ */
+interface NewgroundsIO_components_Gateway_getDatetime_Props {
+}
+
+/**
+ * Used to call the Gateway.getDatetime component.
+ */
+declare class NewgroundsIO_components_Gateway_getDatetime extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_Gateway_getDatetime_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "Gateway.getDatetime";
+
+
+}
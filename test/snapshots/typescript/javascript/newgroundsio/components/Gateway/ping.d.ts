@@ -0,0 +1,25 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_Gateway_ping constructor
+ */
+interface NewgroundsIO_components_Gateway_ping_Props {
+}
+
+/**
+ * Used to call the Gateway.ping component.
+ */
+declare class NewgroundsIO_components_Gateway_ping extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_Gateway_ping_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "Gateway.ping";
+
+
+}
@@ -0,0 +1,31 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_Medal_getList constructor
+ */
+interface NewgroundsIO_components_Medal_getList_Props {
+	app_id?: string | null;
+}
+
+/**
+ * Used to call the Medal.getList component.
+ */
+declare class NewgroundsIO_components_Medal_getList extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_Medal_getList_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "Medal.getList";
+
+	/**
+	 * The App ID of another, approved app to load medals from.
+	 */
+	app_id: string | null;
+
+
+}
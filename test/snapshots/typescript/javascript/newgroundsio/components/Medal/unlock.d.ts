@@ -0,0 +1,31 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_Medal_unlock constructor
+ */
+interface NewgroundsIO_components_Medal_unlock_Props {
+	id: number;
+}
+
+/**
+ * Used to call the Medal.unlock component.
+ */
+declare class NewgroundsIO_components_Medal_unlock extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_Medal_unlock_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "Medal.unlock";
+
+	/**
+	 * The numeric ID of the medal to unlock.
+	 */
+	id: number | null;
+
+
+}
@@ -0,0 +1,25 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_ScoreBoard_getBoards constructor
+ */
+interface NewgroundsIO_components_ScoreBoard_getBoards_Props {
+}
+
+/**
+ * Used to call the ScoreBoard.getBoards component.
+ */
+declare class NewgroundsIO_components_ScoreBoard_getBoards extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_ScoreBoard_getBoards_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "ScoreBoard.getBoards";
+
+
+}
@@ -0,0 +1,73 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_ScoreBoard_getScores constructor
+ */
+interface NewgroundsIO_components_ScoreBoard_getScores_Props {
+	id: number;
+	period?: string | null;
+	tag?: string | null;
+	social?: boolean | null;
+	user?: string | null;
+	skip?: number | null;
+	limit?: number | null;
+	app_id?: string | null;
+}
+
+/**
+ * Used to call the ScoreBoard.getScores component.
+ */
+declare class NewgroundsIO_components_ScoreBoard_getScores extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_ScoreBoard_getScores_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "ScoreBoard.getScores";
+
+	/**
+	 * The numeric ID of the scoreboard.
+	 */
+	id: number | null;
+
+	/**
+	 * The time-frame to pull scores from (see notes for acceptable values).
+	 */
+	period: string | null;
+
+	/**
+	 * A tag to filter results by.
+	 */
+	tag: string | null;
+
+	/**
+	 * If set to true, only social scores will be loaded (scores by the user and their friends).
+	 */
+	social: boolean | null;
+
+	/**
+	 * A user's ID or name.  If 'social' is true, this user and their friends will be included.
+	 */
+	user: string | null;
+
+	/**
+	 * An integer indicating the number of scores to skip before starting the list.
+	 */
+	skip: number | null;
+
+	/**
+	 * An integer indicating the number of scores to include in the list.
+	 */
+	limit: number | null;
+
+	/**
+	 * The App ID of another, approved app to load scores from.
+	 */
+	app_id: string | null;
+
+
+}
@@ -0,0 +1,43 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_components_ScoreBoard_postScore constructor
+ */
+interface NewgroundsIO_components_ScoreBoard_postScore_Props {
+	id: number;
+	value: number;
+	tag?: string | null;
+}
+
+/**
+ * Used to call the ScoreBoard.postScore component.
+ */
+declare class NewgroundsIO_components_ScoreBoard_postScore extends NewgroundsIO_components {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_components_ScoreBoard_postScore_Props);
+
+	/**
+	 * The name of the component
+	 */
+	__object: "ScoreBoard.postScore";
+
+	/**
+	 * The numeric ID of the scoreboard.
+	 */
+	id: number | null;
+
+	/**
+	 * The int value of the score.
+	 */
+	value: number | null;
+
+	/**
+	 * An optional tag that can be used to filter scores via ScoreBoard.getScores
+	 */
+	tag: string | null;
+
+
+}
@@ -0,0 +1,192 @@
+
+/**
+ * Gets passed to every function added with NewgroundsIO.addEventListener().
+ * Only the properties that make sense for the event's type will be set, the rest will be null.
+ * Listeners added with addEventListener() get the narrower NewgroundsIO.EventMap type for their event.
+ */
+declare class NewgroundsIO_Event {
+
+	/**
+	 * Constructor
+	 * @param type One of the NewgroundsIO_Event type constants
+	 * @param props An object of properties for this event
+	 */
+	constructor(type: NewgroundsIO.EventType, props?: Partial<Omit<NewgroundsIO_Event, "type" | "target">>);
+
+	/**
+	 * The type of event
+	 */
+	type: NewgroundsIO.EventType;
+
+	/**
+	 * The NewgroundsIO instance that dispatched this event
+	 */
+	target: NewgroundsIO | null;
+
+	/**
+	 * The session whose status changed
+	 */
+	session: NewgroundsIO_objects_Session | null;
+
+	/**
+	 * The new session status
+	 */
+	status: NewgroundsIO.SessionStatus | null;
+
+	/**
+	 * The session status before it changed
+	 */
+	previous_status: NewgroundsIO.SessionStatus | null;
+
+	/**
+	 * The request that was sent to the server
+	 */
+	request: NewgroundsIO_objects_Request | null;
+
+	/**
+	 * The component (or list of components) that was sent
+	 */
+	component: NewgroundsIO_components | Array<NewgroundsIO_components> | null;
+
+	/**
+	 * The response from the server
+	 */
+	response: NewgroundsIO_objects_Response | null;
+
+	/**
+	 * The result for the component
+	 */
+	result: NewgroundsIO_results | null;
+
+	/**
+	 * Why the component failed
+	 */
+	error: NewgroundsIO_ExecuteError | null;
+
+	/**
+	 * The medal that was unlocked
+	 */
+	medal: NewgroundsIO_objects_Medal | null;
+
+	/**
+	 * The score that was posted
+	 */
+	score: NewgroundsIO_objects_Score | null;
+
+	/**
+	 * The scoreboard the score was posted to
+	 */
+	scoreboard: NewgroundsIO_objects_ScoreBoard | null;
+
+	/** Fired when session.update() sees a change in the session status */
+	static readonly SESSION_STATUS_CHANGED: "sessionStatusChanged";
+
+	/** Fired when a request is posted to the gateway */
+	static readonly REQUEST_SENT: "requestSent";
+
+	/** Fired when the gateway responds to a request, or the request fails to reach it */
+	static readonly RESPONSE_RECEIVED: "responseReceived";
+
+	/** Fired for every component that failed, including components in a request that failed */
+	static readonly COMPONENT_FAILED: "componentFailed";
+
+	/** Fired when a Medal.unlock component succeeds */
+	static readonly MEDAL_UNLOCKED: "medalUnlocked";
+
+	/** Fired when a ScoreBoard.postScore component succeeds */
+	static readonly SCORE_POSTED: "scorePosted";
+
+	/** Fired when a secure component couldn't reach the server and was saved in the outbox */
+	static readonly OUTBOX_QUEUED: "outboxQueued";
+
+	/** Fired when a component from the outbox was finally delivered */
+	static readonly OUTBOX_DELIVERED: "outboxDelivered";
+
+	/** Every event type */
+	static readonly TYPES: Array<NewgroundsIO.EventType>;
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_Event
+	 */
+	const Event: typeof NewgroundsIO_Event;
+	type Event = NewgroundsIO_Event;
+
+	/**
+	 * One of the NewgroundsIO_Event type constants
+	 */
+	type EventType = keyof EventMap;
+
+	interface SessionStatusChangedEvent extends NewgroundsIO_Event {
+		type: "sessionStatusChanged";
+		session: NewgroundsIO_objects_Session;
+		status: SessionStatus;
+	}
+
+	interface RequestSentEvent extends NewgroundsIO_Event {
+		type: "requestSent";
+		request: NewgroundsIO_objects_Request;
+		component: NewgroundsIO_components | Array<NewgroundsIO_components>;
+	}
+
+	interface ResponseReceivedEvent extends NewgroundsIO_Event {
+		type: "responseReceived";
+		request: NewgroundsIO_objects_Request;
+		component: NewgroundsIO_components | Array<NewgroundsIO_components>;
+		response: NewgroundsIO_objects_Response;
+	}
+
+	interface ComponentFailedEvent extends NewgroundsIO_Event {
+		type: "componentFailed";
+		request: NewgroundsIO_objects_Request;
+		component: NewgroundsIO_components;
+		response: NewgroundsIO_objects_Response;
+		result: NewgroundsIO_results;
+		error: NewgroundsIO_ExecuteError;
+	}
+
+	interface MedalUnlockedEvent extends NewgroundsIO_Event {
+		type: "medalUnlocked";
+		request: NewgroundsIO_objects_Request;
+		component: NewgroundsIO_components;
+		response: NewgroundsIO_objects_Response;
+		result: ResultOf<{ __object: "Medal.unlock" }>;
+	}
+
+	interface ScorePostedEvent extends NewgroundsIO_Event {
+		type: "scorePosted";
+		request: NewgroundsIO_objects_Request;
+		component: NewgroundsIO_components;
+		response: NewgroundsIO_objects_Response;
+		result: ResultOf<{ __object: "ScoreBoard.postScore" }>;
+	}
+
+	interface OutboxQueuedEvent extends NewgroundsIO_Event {
+		type: "outboxQueued";
+		component: NewgroundsIO_components;
+	}
+
+	interface OutboxDeliveredEvent extends NewgroundsIO_Event {
+		type: "outboxDelivered";
+		request: NewgroundsIO_objects_Request;
+		component: NewgroundsIO_components;
+		response: NewgroundsIO_objects_Response;
+		result: NewgroundsIO_results;
+	}
+
+	/**
+	 * Maps every event type to the event its listeners get
+	 */
+	interface EventMap {
+		sessionStatusChanged: SessionStatusChangedEvent;
+		requestSent: RequestSentEvent;
+		responseReceived: ResponseReceivedEvent;
+		componentFailed: ComponentFailedEvent;
+		medalUnlocked: MedalUnlockedEvent;
+		scorePosted: ScorePostedEvent;
+		outboxQueued: OutboxQueuedEvent;
+		outboxDelivered: OutboxDeliveredEvent;
+	}
+}
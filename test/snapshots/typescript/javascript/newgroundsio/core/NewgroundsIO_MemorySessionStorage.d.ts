@@ -0,0 +1,21 @@
+
+/**
+ * Keeps session ids in memory, so they are forgotten when the app closes.
+ * This is the default when localStorage isn't available (ie in Node), and is handy for tests.
+ */
+declare class NewgroundsIO_MemorySessionStorage extends NewgroundsIO_SessionStorage {
+
+	/**
+	 * Constructor
+	 */
+	constructor();
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_MemorySessionStorage
+	 */
+	const MemorySessionStorage: typeof NewgroundsIO_MemorySessionStorage;
+	type MemorySessionStorage = NewgroundsIO_MemorySessionStorage;
+}
@@ -0,0 +1,69 @@
+
+/**
+ * Keeps secure components (ie Medal.unlock, ScoreBoard.postScore) that couldn't reach the server, and sends them again later.
+ * Enable it with the core's 'outbox' option.
+ */
+declare class NewgroundsIO_Outbox {
+
+	/**
+	 * Constructor
+	 * @param core The core instance to send components with
+	 */
+	constructor(core: NewgroundsIO);
+
+	/**
+	 * The number of components waiting to be sent
+	 */
+	readonly length: number;
+
+	/**
+	 * Copies of the entries waiting to be sent
+	 */
+	readonly entries: Array<NewgroundsIO.OutboxEntry>;
+
+	/**
+	 * Adds a component to the outbox. A Medal.unlock that's already waiting, for the same session, won't be added twice.
+	 * @return will return false if the component was already in the outbox
+	 */
+	add(component: NewgroundsIO_components, session_id: string | null): boolean;
+
+	/**
+	 * Sends every waiting component, one at a time. If the server can't be reached, the rest stay in the outbox for next time.
+	 * @param callback An optional function to call when done
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 */
+	flush(callback?: (report: NewgroundsIO.OutboxReport) => void, thisArg?: any): void;
+
+	/**
+	 * Removes every waiting component without sending them
+	 */
+	clear(): void;
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_Outbox
+	 */
+	const Outbox: typeof NewgroundsIO_Outbox;
+	type Outbox = NewgroundsIO_Outbox;
+
+	/**
+	 * A component waiting in the outbox
+	 */
+	interface OutboxEntry {
+		component: string;
+		parameters: { [name: string]: any };
+		session_id: string | null;
+		queued: number;
+	}
+
+	/**
+	 * What happened when the outbox was flushed
+	 */
+	interface OutboxReport {
+		delivered: Array<NewgroundsIO_results>;
+		failed: Array<NewgroundsIO_results>;
+		remaining: number;
+	}
+}
@@ -0,0 +1,46 @@
+
+/**
+ * Describes a property that was given the wrong type of value, or is missing a required value.
+ * These get thrown, collected or logged depending on NewgroundsIO.validationMode.
+ */
+declare class NewgroundsIO_ValidationError extends Error {
+
+	/**
+	 * Constructor
+	 * @param className The name of the class that owns the property (ie 'NewgroundsIO_objects_Medal')
+	 * @param property The name of the property (array values will include their index, ie 'medals[2]')
+	 * @param expected The type the property expects (ie 'int' or 'NewgroundsIO_objects_User')
+	 * @param actual The type that was actually used
+	 * @param message An optional message. One will be built from the other values if this is omitted.
+	 */
+	constructor(className: string, property: string, expected: string, actual: string, message?: string);
+
+	/**
+	 * The name of the class that owns the property
+	 */
+	className: string;
+
+	/**
+	 * The name of the property
+	 */
+	property: string;
+
+	/**
+	 * The type the property expects
+	 */
+	expected: string;
+
+	/**
+	 * The type that was actually used
+	 */
+	actual: string;
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_ValidationError
+	 */
+	const ValidationError: typeof NewgroundsIO_ValidationError;
+	type ValidationError = NewgroundsIO_ValidationError;
+}
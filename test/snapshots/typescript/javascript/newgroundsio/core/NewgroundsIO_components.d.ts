@@ -0,0 +1,11 @@
+
+/**
+ * The base class for every NewgroundsIO component.
+ */
+declare class NewgroundsIO_components extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor(props?: object);
+}
@@ -0,0 +1,67 @@
+
+/**
+ * The base class for every NewgroundsIO object model.
+ * Handles property bookkeeping, validation and JSON serialization.
+ */
+declare class NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 */
+	constructor();
+
+	/**
+	 * The name of the object or component
+	 */
+	__object: string;
+
+	/**
+	 * Creates an instance of this class from decoded or encoded JSON
+	 * @param json The object's properties, or a JSON string containing them
+	 */
+	static fromJSON<T extends NewgroundsIO_objects>(this: new (props?: any) => T, json: object | string): T;
+
+	/**
+	 * Checks if this object is a specific type
+	 * @param objectName The name of the object or component (ie 'Medal' or 'Medal.unlock')
+	 */
+	objectIs(objectName: string): boolean;
+
+	/**
+	 * Links this object, and any objects it contains, to a core instance
+	 */
+	setCore(core: NewgroundsIO): void;
+
+	/**
+	 * Checks that every required property has a value
+	 */
+	isValid(): boolean;
+
+	/**
+	 * Gets the names of any required properties that don't have a value
+	 */
+	getMissingProperties(): Array<string>;
+
+	/**
+	 * Gets every validation error collected by this object, and any objects it contains
+	 */
+	getValidationErrors(): Array<NewgroundsIO_ValidationError>;
+
+	/**
+	 * Clears the validation errors collected by this object
+	 */
+	clearValidationErrors(): void;
+
+	toString(): string;
+
+	/**
+	 * Gets a native JS object that can be converted to a JSON string
+	 */
+	toJSON(): object;
+
+	/**
+	 * Gets an object with this object's properties as an encrypted JSON string.
+	 * Throws an error if there's no core instance with an aes_key.
+	 */
+	toSecureJSON(): object;
+}
@@ -0,0 +1,44 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results constructor
+ */
+interface NewgroundsIO_results_Props {
+	success?: boolean | null;
+	error?: NewgroundsIO_objects_Error | NewgroundsIO_objects_Error_Props | null;
+}
+
+/**
+ * The base class for every NewgroundsIO component result.
+ */
+declare class NewgroundsIO_results extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_Props);
+
+	/**
+	 * Will be true if the component was executed successfully
+	 */
+	success: boolean | null;
+
+	/**
+	 * Contains information about any errors
+	 */
+	get error(): NewgroundsIO_objects_Error | null;
+	set error(_error: NewgroundsIO_objects_Error | NewgroundsIO_objects_Error_Props | null);
+
+	/**
+	 * Registers the result class for a component, so responses can be cast to it
+	 * @param componentName The name of the component (ie 'Medal.unlock')
+	 * @param resultClass The NewgroundsIO_results class to use for this component
+	 */
+	static registerComponent(componentName: string, resultClass: typeof NewgroundsIO_results): void;
+
+	/**
+	 * Gets the result class registered to a component, or null if nothing was registered
+	 * @param componentName The name of the component (ie 'Medal.unlock')
+	 */
+	static getResultClass(componentName: string): typeof NewgroundsIO_results | null;
+}
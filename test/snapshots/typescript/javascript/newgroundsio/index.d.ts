@@ -0,0 +1,254 @@
+/// <reference path="./core/NewgroundsIO.d.ts" />
+/// <reference path="./core/NewgroundsIO_objects.d.ts" />
+/// <reference path="./core/NewgroundsIO_components.d.ts" />
+/// <reference path="./core/NewgroundsIO_results.d.ts" />
+/// <reference path="./core/NewgroundsIO_ExecuteError.d.ts" />
+/// <reference path="./core/NewgroundsIO_ValidationError.d.ts" />
+/// <reference path="./core/NewgroundsIO_SessionState.d.ts" />
+/// <reference path="./core/NewgroundsIO_Event.d.ts" />
+/// <reference path="./core/NewgroundsIO_RequestScheduler.d.ts" />
+/// <reference path="./core/NewgroundsIO_Outbox.d.ts" />
+/// <reference path="./core/NewgroundsIO_Encryption.d.ts" />
+/// <reference path="./core/NewgroundsIO_SessionStorage.d.ts" />
+/// <reference path="./core/NewgroundsIO_WebSessionStorage.d.ts" />
+/// <reference path="./core/NewgroundsIO_MemorySessionStorage.d.ts" />
+/// <reference path="./objects/Debug.d.ts" />
+/// <reference path="./objects/Error.d.ts" />
+/// <reference path="./objects/Execute.d.ts" />
+/// <reference path="./objects/Medal.d.ts" />
+/// <reference path="./objects/Request.d.ts" />
+/// <reference path="./objects/Response.d.ts" />
+/// <reference path="./objects/SaveSlot.d.ts" />
+/// <reference path="./objects/Score.d.ts" />
+/// <reference path="./objects/ScoreBoard.d.ts" />
+/// <reference path="./objects/Session.d.ts" />
+/// <reference path="./objects/User.d.ts" />
+/// <reference path="./objects/UserIcons.d.ts" />
+/// <reference path="./components/App/checkSession.d.ts" />
+/// <reference path="./components/App/endSession.d.ts" />
+/// <reference path="./components/App/logView.d.ts" />
+/// <reference path="./components/App/startSession.d.ts" />
+/// <reference path="./components/CloudSave/loadSlots.d.ts" />
+/// <reference path="./components/CloudSave/setData.d.ts" />
+/// <reference path="./components/Gateway/getDatetime.d.ts" />
+/// <reference path="./components/Gateway/ping.d.ts" />
+/// <reference path="./components/Medal/getList.d.ts" />
+/// <reference path="./components/Medal/unlock.d.ts" />
+/// <reference path="./components/ScoreBoard/getBoards.d.ts" />
+/// <reference path="./components/ScoreBoard/getScores.d.ts" />
+/// <reference path="./components/ScoreBoard/postScore.d.ts" />
+/// <reference path="./results/App/checkSession.d.ts" />
+/// <reference path="./results/App/startSession.d.ts" />
+/// <reference path="./results/CloudSave/loadSlots.d.ts" />
+/// <reference path="./results/CloudSave/setData.d.ts" />
+/// <reference path="./results/Gateway/getDatetime.d.ts" />
+/// <reference path="./results/Gateway/ping.d.ts" />
+/// <reference path="./results/Medal/getList.d.ts" />
+/// <reference path="./results/Medal/unlock.d.ts" />
+/// <reference path="./results/ScoreBoard/getBoards.d.ts" />
+/// <reference path="./results/ScoreBoard/getScores.d.ts" />
+/// <reference path="./results/ScoreBoard/postScore.d.ts" />
+
+/**
+ * Maps component names to the result classes they return, so NewgroundsIO.execute() can resolve to the right type
+ */
+interface NewgroundsIO_ResultMap {
+	"App.checkSession": NewgroundsIO_results_App_checkSession;
+	"App.startSession": NewgroundsIO_results_App_startSession;
+	"CloudSave.loadSlots": NewgroundsIO_results_CloudSave_loadSlots;
+	"CloudSave.setData": NewgroundsIO_results_CloudSave_setData;
+	"Gateway.getDatetime": NewgroundsIO_results_Gateway_getDatetime;
+	"Gateway.ping": NewgroundsIO_results_Gateway_ping;
+	"Medal.getList": NewgroundsIO_results_Medal_getList;
+	"Medal.unlock": NewgroundsIO_results_Medal_unlock;
+	"ScoreBoard.getBoards": NewgroundsIO_results_ScoreBoard_getBoards;
+	"ScoreBoard.getScores": NewgroundsIO_results_ScoreBoard_getScores;
+	"ScoreBoard.postScore": NewgroundsIO_results_ScoreBoard_postScore;
+}
+
+/**
+ * Maps object names to their classes
+ */
+interface NewgroundsIO_ObjectMap {
+	"Debug": NewgroundsIO_objects_Debug;
+	"Error": NewgroundsIO_objects_Error;
+	"Execute": NewgroundsIO_objects_Execute;
+	"Medal": NewgroundsIO_objects_Medal;
+	"Request": NewgroundsIO_objects_Request;
+	"Response": NewgroundsIO_objects_Response;
+	"SaveSlot": NewgroundsIO_objects_SaveSlot;
+	"Score": NewgroundsIO_objects_Score;
+	"ScoreBoard": NewgroundsIO_objects_ScoreBoard;
+	"Session": NewgroundsIO_objects_Session;
+	"User": NewgroundsIO_objects_User;
+	"UserIcons": NewgroundsIO_objects_UserIcons;
+}
+
+/**
+ * Maps component names to their classes
+ */
+interface NewgroundsIO_ComponentMap {
+	"App.checkSession": NewgroundsIO_components_App_checkSession;
+	"App.endSession": NewgroundsIO_components_App_endSession;
+	"App.logView": NewgroundsIO_components_App_logView;
+	"App.startSession": NewgroundsIO_components_App_startSession;
+	"CloudSave.loadSlots": NewgroundsIO_components_CloudSave_loadSlots;
+	"CloudSave.setData": NewgroundsIO_components_CloudSave_setData;
+	"Gateway.getDatetime": NewgroundsIO_components_Gateway_getDatetime;
+	"Gateway.ping": NewgroundsIO_components_Gateway_ping;
+	"Medal.getList": NewgroundsIO_components_Medal_getList;
+	"Medal.unlock": NewgroundsIO_components_Medal_unlock;
+	"ScoreBoard.getBoards": NewgroundsIO_components_ScoreBoard_getBoards;
+	"ScoreBoard.getScores": NewgroundsIO_components_ScoreBoard_getScores;
+	"ScoreBoard.postScore": NewgroundsIO_components_ScoreBoard_postScore;
+}
+
+/**
+ * The metadata NewgroundsIO_ObjectIndex lists for each component
+ */
+interface NewgroundsIO_ComponentInfo {
+	description: string;
+	secure: boolean;
+	require_session: boolean;
+	idempotent: boolean;
+	params: { [name: string]: object };
+	return: { [name: string]: object };
+}
+
+/**
+ * Creates object, component and result instances from their string names (case insensitive) and decoded or encoded JSON.
+ */
+declare class NewgroundsIO_ObjectIndex {
+	static createObject<K extends keyof NewgroundsIO_ObjectMap>(name: K, json?: object | string): NewgroundsIO_ObjectMap[K];
+	static createObject(name: string, json?: object | string): NewgroundsIO_objects | null;
+	static createComponent<K extends keyof NewgroundsIO_ComponentMap>(name: K, json?: object | string): NewgroundsIO_ComponentMap[K];
+	static createComponent(name: string, json?: object | string): NewgroundsIO_components | null;
+	static createResult<K extends keyof NewgroundsIO_ResultMap>(name: K, json?: object | string): NewgroundsIO_ResultMap[K];
+	static createResult(name: string, json?: object | string): NewgroundsIO_results | null;
+	static getComponentInfo(name: string): NewgroundsIO_ComponentInfo | null;
+	static getComponentNames(filter?: Partial<NewgroundsIO_ComponentInfo>): Array<string>;
+
+	/**
+	 * The name of every object model
+	 */
+	static objects: Array<keyof NewgroundsIO_ObjectMap>;
+
+	/**
+	 * The name of every component with a result class
+	 */
+	static results: Array<keyof NewgroundsIO_ResultMap>;
+
+	/**
+	 * Every component, by name, with its metadata
+	 */
+	static components: { [K in keyof NewgroundsIO_ComponentMap]: NewgroundsIO_ComponentInfo };
+}
+
+declare namespace NewgroundsIO {
+
+	/**
+	 * Alias of NewgroundsIO_ObjectIndex
+	 */
+	const ObjectIndex: typeof NewgroundsIO_ObjectIndex;
+
+	namespace objects {
+		const Debug: typeof NewgroundsIO_objects_Debug;
+		type Debug = NewgroundsIO_objects_Debug;
+		const Error: typeof NewgroundsIO_objects_Error;
+		type Error = NewgroundsIO_objects_Error;
+		const Execute: typeof NewgroundsIO_objects_Execute;
+		type Execute = NewgroundsIO_objects_Execute;
+		const Medal: typeof NewgroundsIO_objects_Medal;
+		type Medal = NewgroundsIO_objects_Medal;
+		const Request: typeof NewgroundsIO_objects_Request;
+		type Request = NewgroundsIO_objects_Request;
+		const Response: typeof NewgroundsIO_objects_Response;
+		type Response = NewgroundsIO_objects_Response;
+		const SaveSlot: typeof NewgroundsIO_objects_SaveSlot;
+		type SaveSlot = NewgroundsIO_objects_SaveSlot;
+		const Score: typeof NewgroundsIO_objects_Score;
+		type Score = NewgroundsIO_objects_Score;
+		const ScoreBoard: typeof NewgroundsIO_objects_ScoreBoard;
+		type ScoreBoard = NewgroundsIO_objects_ScoreBoard;
+		const Session: typeof NewgroundsIO_objects_Session;
+		type Session = NewgroundsIO_objects_Session;
+		const User: typeof NewgroundsIO_objects_User;
+		type User = NewgroundsIO_objects_User;
+		const UserIcons: typeof NewgroundsIO_objects_UserIcons;
+		type UserIcons = NewgroundsIO_objects_UserIcons;
+	}
+
+	namespace components {
+		namespace App {
+			const checkSession: typeof NewgroundsIO_components_App_checkSession;
+			type checkSession = NewgroundsIO_components_App_checkSession;
+			const endSession: typeof NewgroundsIO_components_App_endSession;
+			type endSession = NewgroundsIO_components_App_endSession;
+			const logView: typeof NewgroundsIO_components_App_logView;
+			type logView = NewgroundsIO_components_App_logView;
+			const startSession: typeof NewgroundsIO_components_App_startSession;
+			type startSession = NewgroundsIO_components_App_startSession;
+		}
+		namespace CloudSave {
+			const loadSlots: typeof NewgroundsIO_components_CloudSave_loadSlots;
+			type loadSlots = NewgroundsIO_components_CloudSave_loadSlots;
+			const setData: typeof NewgroundsIO_components_CloudSave_setData;
+			type setData = NewgroundsIO_components_CloudSave_setData;
+		}
+		namespace Gateway {
+			const getDatetime: typeof NewgroundsIO_components_Gateway_getDatetime;
+			type getDatetime = NewgroundsIO_components_Gateway_getDatetime;
+			const ping: typeof NewgroundsIO_components_Gateway_ping;
+			type ping = NewgroundsIO_components_Gateway_ping;
+		}
+		namespace Medal {
+			const getList: typeof NewgroundsIO_components_Medal_getList;
+			type getList = NewgroundsIO_components_Medal_getList;
+			const unlock: typeof NewgroundsIO_components_Medal_unlock;
+			type unlock = NewgroundsIO_components_Medal_unlock;
+		}
+		namespace ScoreBoard {
+			const getBoards: typeof NewgroundsIO_components_ScoreBoard_getBoards;
+			type getBoards = NewgroundsIO_components_ScoreBoard_getBoards;
+			const getScores: typeof NewgroundsIO_components_ScoreBoard_getScores;
+			type getScores = NewgroundsIO_components_ScoreBoard_getScores;
+			const postScore: typeof NewgroundsIO_components_ScoreBoard_postScore;
+			type postScore = NewgroundsIO_components_ScoreBoard_postScore;
+		}
+	}
+
+	namespace results {
+		namespace App {
+			const checkSession: typeof NewgroundsIO_results_App_checkSession;
+			type checkSession = NewgroundsIO_results_App_checkSession;
+			const startSession: typeof NewgroundsIO_results_App_startSession;
+			type startSession = NewgroundsIO_results_App_startSession;
+		}
+		namespace CloudSave {
+			const loadSlots: typeof NewgroundsIO_results_CloudSave_loadSlots;
+			type loadSlots = NewgroundsIO_results_CloudSave_loadSlots;
+			const setData: typeof NewgroundsIO_results_CloudSave_setData;
+			type setData = NewgroundsIO_results_CloudSave_setData;
+		}
+		namespace Gateway {
+			const getDatetime: typeof NewgroundsIO_results_Gateway_getDatetime;
+			type getDatetime = NewgroundsIO_results_Gateway_getDatetime;
+			const ping: typeof NewgroundsIO_results_Gateway_ping;
+			type ping = NewgroundsIO_results_Gateway_ping;
+		}
+		namespace Medal {
+			const getList: typeof NewgroundsIO_results_Medal_getList;
+			type getList = NewgroundsIO_results_Medal_getList;
+			const unlock: typeof NewgroundsIO_results_Medal_unlock;
+			type unlock = NewgroundsIO_results_Medal_unlock;
+		}
+		namespace ScoreBoard {
+			const getBoards: typeof NewgroundsIO_results_ScoreBoard_getBoards;
+			type getBoards = NewgroundsIO_results_ScoreBoard_getBoards;
+			const getScores: typeof NewgroundsIO_results_ScoreBoard_getScores;
+			type getScores = NewgroundsIO_results_ScoreBoard_getScores;
+			const postScore: typeof NewgroundsIO_results_ScoreBoard_postScore;
+			type postScore = NewgroundsIO_results_ScoreBoard_postScore;
+		}
+	}
+}
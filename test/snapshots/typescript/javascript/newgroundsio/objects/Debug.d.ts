@@ -0,0 +1,33 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Debug constructor
+ */
+interface NewgroundsIO_objects_Debug_Props {
+	exec_time?: string | null;
+	request?: (NewgroundsIO_objects_Request | NewgroundsIO_objects_Request_Props) | null;
+}
+
+/**
+ * Contains extra debugging information.
+ */
+declare class NewgroundsIO_objects_Debug extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Debug_Props);
+
+	/**
+	 * The time, in milliseconds, that it took to execute a request.
+	 */
+	exec_time: string | null;
+
+	/**
+	 * A copy of the request object that was posted to the server.
+	 */
+	get request(): NewgroundsIO_objects_Request | null;
+	set request(_request: (NewgroundsIO_objects_Request | NewgroundsIO_objects_Request_Props) | null);
+
+
+}
@@ -0,0 +1,32 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Error constructor
+ */
+interface NewgroundsIO_objects_Error_Props {
+	message?: string | null;
+	code?: number | null;
+}
+
+/**
+
+ */
+declare class NewgroundsIO_objects_Error extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Error_Props);
+
+	/**
+	 * Contains details about the error.
+	 */
+	message: string | null;
+
+	/**
+	 * A code indication the error type.
+	 */
+	code: number | null;
+
+
+}
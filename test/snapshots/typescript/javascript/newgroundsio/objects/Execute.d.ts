@@ -0,0 +1,50 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Execute constructor
+ */
+interface NewgroundsIO_objects_Execute_Props {
+	component?: string | null;
+	parameters?: object | Array<object> | null;
+	secure?: string | null;
+	echo?: string | null;
+}
+
+/**
+ * Contains all the information needed to execute an API component.
+ */
+declare class NewgroundsIO_objects_Execute extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Execute_Props);
+
+	/**
+	 * The name of the component you want to call, ie 'App.checkSession'.
+	 */
+	component: string | null;
+
+	/**
+	 * An object of parameters you want to pass to the component.
+	 */
+	parameters: object | Array<object> | null;
+
+	/**
+	 * A an encrypted NewgroundsIO_objects_Execute object or array of NewgroundsIO_objects_Execute objects.
+	 */
+	secure: string | null;
+
+	/**
+	 * An optional value that will be returned, verbatim, in the NewgroundsIO_objects_Result object.
+	 */
+	echo: string | null;
+
+
+	/**
+	 * Set a component object to execute
+	 * @param component Any NGIO component object
+	 */
+	setComponent(component: NewgroundsIO_components): void;
+		
+}
@@ -0,0 +1,67 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Medal constructor
+ */
+interface NewgroundsIO_objects_Medal_Props {
+	id?: number | null;
+	name?: string | null;
+	description?: string | null;
+	icon?: string | null;
+	value?: number | null;
+	difficulty?: number | null;
+	secret?: boolean | null;
+	unlocked?: boolean | null;
+}
+
+/**
+ * Contains information about a medal.
+ */
+declare class NewgroundsIO_objects_Medal extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Medal_Props);
+
+	/**
+	 * The numeric ID of the medal.
+	 */
+	id: number | null;
+
+	/**
+	 * The name of the medal.
+	 */
+	name: string | null;
+
+	/**
+	 * A short description of the medal.
+	 */
+	description: string | null;
+
+	/**
+	 * The URL for the medal's icon.
+	 */
+	icon: string | null;
+
+	/**
+	 * The medal's point value.
+	 */
+	value: number | null;
+
+	/**
+	 * The difficulty id of the medal.
+	 */
+	difficulty: number | null;
+
+	/**
+	 */
+	secret: boolean | null;
+
+	/**
+	 * This will only be set if a valid user session exists.
+	 */
+	unlocked: boolean | null;
+
+
+}
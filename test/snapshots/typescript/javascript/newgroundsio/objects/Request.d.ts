@@ -0,0 +1,60 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Request constructor
+ */
+interface NewgroundsIO_objects_Request_Props {
+	app_id?: string | null;
+	execute?: (NewgroundsIO_objects_Execute | NewgroundsIO_objects_Execute_Props) | Array<(NewgroundsIO_objects_Execute | NewgroundsIO_objects_Execute_Props)> | null;
+	session_id?: string | null;
+	debug?: boolean | null;
+	echo?: string | null;
+}
+
+/**
+ * A top-level wrapper containing any information needed to authenticate the application/user and any component calls being made.
+ */
+declare class NewgroundsIO_objects_Request extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Request_Props);
+
+	/**
+	 * Your application's unique ID.
+	 */
+	app_id: string | null;
+
+	/**
+	 * An NewgroundsIO_objects_Execute object, or a list of NewgroundsIO_objects_Execute objects.
+	 */
+	get execute(): NewgroundsIO_objects_Execute | Array<NewgroundsIO_objects_Execute> | null;
+	set execute(_execute: (NewgroundsIO_objects_Execute | NewgroundsIO_objects_Execute_Props) | Array<(NewgroundsIO_objects_Execute | NewgroundsIO_objects_Execute_Props)> | null);
+
+	/**
+	 * An optional login session id.
+	 */
+	session_id: string | null;
+
+	/**
+	 * If set to true, calls will be executed in debug mode.
+	 */
+	debug: boolean | null;
+
+	/**
+	 * An optional value that will be returned, verbatim, in the NewgroundsIO_objects_Response object.
+	 */
+	echo: string | null;
+
+
+	/**
+	 * Executes a component, or an array of components, and calls a function when the server responds
+	 * @param component Any NGIO component object, or an array of NGIO components
+	 * @param callback An optional function to call when the server responds
+	 * @param thisArg An optional value to use as 'this' when executing callback
+	 * @return will return false if the request failed to send
+	 */
+	send(component: NewgroundsIO_components | Array<NewgroundsIO_components>, callback?: (response: NewgroundsIO_objects_Response) => void, thisArg?: any): boolean;
+		
+}
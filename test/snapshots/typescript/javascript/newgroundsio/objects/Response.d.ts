@@ -0,0 +1,71 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Response constructor
+ */
+interface NewgroundsIO_objects_Response_Props {
+	app_id?: string | null;
+	success?: boolean | null;
+	debug?: (NewgroundsIO_objects_Debug | NewgroundsIO_objects_Debug_Props) | null;
+	result?: NewgroundsIO_results | object | Array<NewgroundsIO_results | object> | null;
+	error?: (NewgroundsIO_objects_Error | NewgroundsIO_objects_Error_Props) | null;
+	api_version?: string | null;
+	help_url?: string | null;
+	echo?: string | null;
+}
+
+/**
+ * Contains all return output from an API request.
+ */
+declare class NewgroundsIO_objects_Response extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Response_Props);
+
+	/**
+	 * Your application's unique ID
+	 */
+	app_id: string | null;
+
+	/**
+	 * If false, there was a problem with your 'request' object. Details will be in the error property.
+	 */
+	success: boolean | null;
+
+	/**
+	 * Contains extra information you may need when debugging (debug mode only).
+	 */
+	get debug(): NewgroundsIO_objects_Debug | null;
+	set debug(_debug: (NewgroundsIO_objects_Debug | NewgroundsIO_objects_Debug_Props) | null);
+
+	/**
+	 * This will be a NewgroundsIO_objects_Result object, or a list of NewgroundsIO_objects_Result objects.
+	 */
+	get result(): NewgroundsIO_results | Array<NewgroundsIO_results> | null;
+	set result(_result: NewgroundsIO_results | object | Array<NewgroundsIO_results | object> | null);
+
+	/**
+	 * This will contain any error info if the success property is false.
+	 */
+	get error(): NewgroundsIO_objects_Error | null;
+	set error(_error: (NewgroundsIO_objects_Error | NewgroundsIO_objects_Error_Props) | null);
+
+	/**
+	 * If there was an error, this will contain the current version number of the API gateway.
+	 */
+	api_version: string | null;
+
+	/**
+	 * If there was an error, this will contain the URL for our help docs.
+	 */
+	help_url: string | null;
+
+	/**
+	 * The echo value from the NewgroundsIO_objects_Request object.
+	 */
+	echo: string | null;
+
+
+}
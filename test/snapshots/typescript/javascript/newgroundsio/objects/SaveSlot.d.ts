@@ -0,0 +1,50 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_SaveSlot constructor
+ */
+interface NewgroundsIO_objects_SaveSlot_Props {
+	id?: number | null;
+	size?: number | null;
+	datetime?: string | null;
+	timestamp?: number | null;
+	url?: string | null;
+}
+
+/**
+ * Contains information about a CloudSave slot.
+ */
+declare class NewgroundsIO_objects_SaveSlot extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_SaveSlot_Props);
+
+	/**
+	 * The slot number.
+	 */
+	id: number | null;
+
+	/**
+	 * The size of the save data in bytes.
+	 */
+	size: number | null;
+
+	/**
+	 * A date and time (in ISO 8601 format) representing when this slot was last saved.
+	 */
+	datetime: string | null;
+
+	/**
+	 * A unix timestamp representing when this slot was last saved.
+	 */
+	timestamp: number | null;
+
+	/**
+	 * The URL containing the actual save data for this slot, or null if this slot has no data.
+	 */
+	url: string | null;
+
+
+}
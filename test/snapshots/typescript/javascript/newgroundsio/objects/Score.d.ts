@@ -0,0 +1,45 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_Score constructor
+ */
+interface NewgroundsIO_objects_Score_Props {
+	user?: (NewgroundsIO_objects_User | NewgroundsIO_objects_User_Props) | null;
+	value?: number | null;
+	formatted_value?: string | null;
+	tag?: string | null;
+}
+
+/**
+ * Contains information about a score posted to a scoreboard.
+ */
+declare class NewgroundsIO_objects_Score extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_Score_Props);
+
+	/**
+	 * The user who earned score. If this property is absent, the score belongs to the active user.
+	 */
+	get user(): NewgroundsIO_objects_User | null;
+	set user(_user: (NewgroundsIO_objects_User | NewgroundsIO_objects_User_Props) | null);
+
+	/**
+	 * The integer value of the score.
+	 */
+	value: number | null;
+
+	/**
+	 * The score value in the format selected in your scoreboard settings.
+	 */
+	formatted_value: string | null;
+
+	/**
+	 * The tag attached to this score (if any).
+	 */
+	tag: string | null;
+
+
+}
@@ -0,0 +1,32 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_ScoreBoard constructor
+ */
+interface NewgroundsIO_objects_ScoreBoard_Props {
+	id?: number | null;
+	name?: string | null;
+}
+
+/**
+ * Contains information about a scoreboard.
+ */
+declare class NewgroundsIO_objects_ScoreBoard extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_ScoreBoard_Props);
+
+	/**
+	 * The numeric ID of the scoreboard.
+	 */
+	id: number | null;
+
+	/**
+	 * The name of the scoreboard.
+	 */
+	name: string | null;
+
+
+}
@@ -0,0 +1,45 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_User constructor
+ */
+interface NewgroundsIO_objects_User_Props {
+	id?: number | null;
+	name?: string | null;
+	icons?: (NewgroundsIO_objects_UserIcons | NewgroundsIO_objects_UserIcons_Props) | null;
+	supporter?: boolean | null;
+}
+
+/**
+ * Contains information about a user.
+ */
+declare class NewgroundsIO_objects_User extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_User_Props);
+
+	/**
+	 * The user's numeric ID.
+	 */
+	id: number | null;
+
+	/**
+	 * The user's textual name.
+	 */
+	name: string | null;
+
+	/**
+	 * The user's icon images.
+	 */
+	get icons(): NewgroundsIO_objects_UserIcons | null;
+	set icons(_icons: (NewgroundsIO_objects_UserIcons | NewgroundsIO_objects_UserIcons_Props) | null);
+
+	/**
+	 * Returns true if the user has a Newgrounds Supporter upgrade.
+	 */
+	supporter: boolean | null;
+
+
+}
@@ -0,0 +1,38 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_objects_UserIcons constructor
+ */
+interface NewgroundsIO_objects_UserIcons_Props {
+	small?: string | null;
+	medium?: string | null;
+	large?: string | null;
+}
+
+/**
+ * Contains any icons associated with this user.
+ */
+declare class NewgroundsIO_objects_UserIcons extends NewgroundsIO_objects {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_objects_UserIcons_Props);
+
+	/**
+	 * The URL of the user's small icon
+	 */
+	small: string | null;
+
+	/**
+	 * The URL of the user's medium icon
+	 */
+	medium: string | null;
+
+	/**
+	 * The URL of the user's large icon
+	 */
+	large: string | null;
+
+
+}
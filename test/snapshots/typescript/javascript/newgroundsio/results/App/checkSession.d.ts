@@ -0,0 +1,26 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_App_checkSession constructor
+ */
+interface NewgroundsIO_results_App_checkSession_Props extends NewgroundsIO_results_Props {
+	session?: (NewgroundsIO_objects_Session | NewgroundsIO_objects_Session_Props) | null;
+}
+
+/**
+ * Returned when App.checkSession component is called
+ */
+declare class NewgroundsIO_results_App_checkSession extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_App_checkSession_Props);
+
+	/**
+	 */
+	get session(): NewgroundsIO_objects_Session | null;
+	set session(_session: (NewgroundsIO_objects_Session | NewgroundsIO_objects_Session_Props) | null);
+
+
+}
@@ -0,0 +1,27 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_CloudSave_loadSlots constructor
+ */
+interface NewgroundsIO_results_CloudSave_loadSlots_Props extends NewgroundsIO_results_Props {
+	slots?: Array<(NewgroundsIO_objects_SaveSlot | NewgroundsIO_objects_SaveSlot_Props)> | null;
+}
+
+/**
+ * Returned when CloudSave.loadSlots component is called
+ */
+declare class NewgroundsIO_results_CloudSave_loadSlots extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_CloudSave_loadSlots_Props);
+
+	/**
+	 * An array of NewgroundsIO_objects_SaveSlot objects.
+	 */
+	get slots(): Array<NewgroundsIO_objects_SaveSlot> | null;
+	set slots(_slots: Array<(NewgroundsIO_objects_SaveSlot | NewgroundsIO_objects_SaveSlot_Props)> | null);
+
+
+}
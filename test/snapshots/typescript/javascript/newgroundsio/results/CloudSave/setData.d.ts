@@ -0,0 +1,26 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_CloudSave_setData constructor
+ */
+interface NewgroundsIO_results_CloudSave_setData_Props extends NewgroundsIO_results_Props {
+	slot?: (NewgroundsIO_objects_SaveSlot | NewgroundsIO_objects_SaveSlot_Props) | null;
+}
+
+/**
+ * Returned when CloudSave.setData component is called
+ */
+declare class NewgroundsIO_results_CloudSave_setData extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_CloudSave_setData_Props);
+
+	/**
+	 */
+	get slot(): NewgroundsIO_objects_SaveSlot | null;
+	set slot(_slot: (NewgroundsIO_objects_SaveSlot | NewgroundsIO_objects_SaveSlot_Props) | null);
+
+
+}
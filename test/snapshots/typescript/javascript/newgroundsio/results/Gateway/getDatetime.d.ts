@@ -0,0 +1,32 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_Gateway_getDatetime constructor
+ */
+interface NewgroundsIO_results_Gateway_getDatetime_Props extends NewgroundsIO_results_Props {
+	datetime?: string | null;
+	timestamp?: number | null;
+}
+
+/**
+ * Returned when Gateway.getDatetime component is called
+ */
+declare class NewgroundsIO_results_Gateway_getDatetime extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_Gateway_getDatetime_Props);
+
+	/**
+	 * The server's date and time in ISO 8601 format.
+	 */
+	datetime: string | null;
+
+	/**
+	 * The current UNIX timestamp on the server.
+	 */
+	timestamp: number | null;
+
+
+}
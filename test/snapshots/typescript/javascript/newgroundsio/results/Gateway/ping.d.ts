@@ -0,0 +1,26 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_Gateway_ping constructor
+ */
+interface NewgroundsIO_results_Gateway_ping_Props extends NewgroundsIO_results_Props {
+	pong?: string | null;
+}
+
+/**
+ * Returned when Gateway.ping component is called
+ */
+declare class NewgroundsIO_results_Gateway_ping extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_Gateway_ping_Props);
+
+	/**
+	 * Will always return a value of 'pong'
+	 */
+	pong: string | null;
+
+
+}
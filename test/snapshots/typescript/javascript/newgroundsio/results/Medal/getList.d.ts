@@ -0,0 +1,27 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_Medal_getList constructor
+ */
+interface NewgroundsIO_results_Medal_getList_Props extends NewgroundsIO_results_Props {
+	medals?: Array<(NewgroundsIO_objects_Medal | NewgroundsIO_objects_Medal_Props)> | null;
+}
+
+/**
+ * Returned when Medal.getList component is called
+ */
+declare class NewgroundsIO_results_Medal_getList extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_Medal_getList_Props);
+
+	/**
+	 * An array of medal objects.
+	 */
+	get medals(): Array<NewgroundsIO_objects_Medal> | null;
+	set medals(_medals: Array<(NewgroundsIO_objects_Medal | NewgroundsIO_objects_Medal_Props)> | null);
+
+
+}
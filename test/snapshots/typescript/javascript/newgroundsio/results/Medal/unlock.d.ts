@@ -0,0 +1,33 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_Medal_unlock constructor
+ */
+interface NewgroundsIO_results_Medal_unlock_Props extends NewgroundsIO_results_Props {
+	medal?: (NewgroundsIO_objects_Medal | NewgroundsIO_objects_Medal_Props) | null;
+	medal_score?: number | null;
+}
+
+/**
+ * Returned when Medal.unlock component is called
+ */
+declare class NewgroundsIO_results_Medal_unlock extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_Medal_unlock_Props);
+
+	/**
+	 * The NewgroundsIO_objects_Medal that was unlocked.
+	 */
+	get medal(): NewgroundsIO_objects_Medal | null;
+	set medal(_medal: (NewgroundsIO_objects_Medal | NewgroundsIO_objects_Medal_Props) | null);
+
+	/**
+	 * The user's new medal score.
+	 */
+	medal_score: number | null;
+
+
+}
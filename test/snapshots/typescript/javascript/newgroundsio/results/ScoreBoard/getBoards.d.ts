@@ -0,0 +1,27 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_ScoreBoard_getBoards constructor
+ */
+interface NewgroundsIO_results_ScoreBoard_getBoards_Props extends NewgroundsIO_results_Props {
+	scoreboards?: Array<(NewgroundsIO_objects_ScoreBoard | NewgroundsIO_objects_ScoreBoard_Props)> | null;
+}
+
+/**
+ * Returned when ScoreBoard.getBoards component is called
+ */
+declare class NewgroundsIO_results_ScoreBoard_getBoards extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_ScoreBoard_getBoards_Props);
+
+	/**
+	 * An array of NewgroundsIO_objects_ScoreBoard objects.
+	 */
+	get scoreboards(): Array<NewgroundsIO_objects_ScoreBoard> | null;
+	set scoreboards(_scoreboards: Array<(NewgroundsIO_objects_ScoreBoard | NewgroundsIO_objects_ScoreBoard_Props)> | null);
+
+
+}
@@ -0,0 +1,66 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_ScoreBoard_getScores constructor
+ */
+interface NewgroundsIO_results_ScoreBoard_getScores_Props extends NewgroundsIO_results_Props {
+	scoreboard?: (NewgroundsIO_objects_ScoreBoard | NewgroundsIO_objects_ScoreBoard_Props) | null;
+	scores?: Array<(NewgroundsIO_objects_Score | NewgroundsIO_objects_Score_Props)> | null;
+	user?: (NewgroundsIO_objects_User | NewgroundsIO_objects_User_Props) | null;
+	period?: string | null;
+	social?: boolean | null;
+	limit?: number | null;
+}
+
+/**
+ * Returned when ScoreBoard.getScores component is called
+ */
+declare class NewgroundsIO_results_ScoreBoard_getScores extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_ScoreBoard_getScores_Props);
+
+	/**
+	 * The NewgroundsIO_objects_ScoreBoard being queried.
+	 */
+	get scoreboard(): NewgroundsIO_objects_ScoreBoard | null;
+	set scoreboard(_scoreboard: (NewgroundsIO_objects_ScoreBoard | NewgroundsIO_objects_ScoreBoard_Props) | null);
+
+	/**
+	 * An array of NewgroundsIO_objects_Score objects.
+	 */
+	get scores(): Array<NewgroundsIO_objects_Score> | null;
+	set scores(_scores: Array<(NewgroundsIO_objects_Score | NewgroundsIO_objects_Score_Props)> | null);
+
+	/**
+	 * The NewgroundsIO_objects_User the score list is associated with.
+	 */
+	get user(): NewgroundsIO_objects_User | null;
+	set user(_user: (NewgroundsIO_objects_User | NewgroundsIO_objects_User_Props) | null);
+
+	/**
+	 * The time-frame the scores belong to.
+	 */
+	period: string | null;
+
+	/**
+	 * Will return true if scores were loaded in social context.
+	 */
+	social: boolean | null;
+
+	/**
+	 * The query limit that was used.
+	 */
+	limit: number | null;
+
+
+	/**
+	 * Finds a user's score in the list that was loaded
+	 * @param user The user, or their ID or name (not case sensitive)
+	 * @return The score, or null if the user isn't in this list
+	 */
+	getUserScore(user: NewgroundsIO_objects_User | number | string): NewgroundsIO_objects_Score | null;
+		
+}
@@ -0,0 +1,34 @@
+
+/**
+ * The properties that can be passed to the NewgroundsIO_results_ScoreBoard_postScore constructor
+ */
+interface NewgroundsIO_results_ScoreBoard_postScore_Props extends NewgroundsIO_results_Props {
+	scoreboard?: (NewgroundsIO_objects_ScoreBoard | NewgroundsIO_objects_ScoreBoard_Props) | null;
+	score?: (NewgroundsIO_objects_Score | NewgroundsIO_objects_Score_Props) | null;
+}
+
+/**
+ * Returned when ScoreBoard.postScore component is called
+ */
+declare class NewgroundsIO_results_ScoreBoard_postScore extends NewgroundsIO_results {
+
+	/**
+	 * Constructor
+	 * @param props An object of initial properties for this instance
+	 */
+	constructor(props?: NewgroundsIO_results_ScoreBoard_postScore_Props);
+
+	/**
+	 * The NewgroundsIO_objects_ScoreBoard that was posted to.
+	 */
+	get scoreboard(): NewgroundsIO_objects_ScoreBoard | null;
+	set scoreboard(_scoreboard: (NewgroundsIO_objects_ScoreBoard | NewgroundsIO_objects_ScoreBoard_Props) | null);
+
+	/**
+	 * The NewgroundsIO_objects_Score that was posted to the board.
+	 */
+	get score(): NewgroundsIO_objects_Score | null;
+	set score(_score: (NewgroundsIO_objects_Score | NewgroundsIO_objects_Score_Props) | null);
+
+
+}